@@ -8,4 +8,5 @@ module.exports = function (RED) {
   require('./nodes/wger-nutrition.js')(RED);
   require('./nodes/wger-weight.js')(RED);
   require('./nodes/wger-user.js')(RED);
+  require('./nodes/wger-measurement.js')(RED);
 };
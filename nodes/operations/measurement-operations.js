@@ -0,0 +1,127 @@
+const OperationBuilders = require('../../utils/operation-builders');
+const { API, PAGINATION } = require('../../utils/constants');
+const validationSchemas = require('../../utils/validation-schemas');
+
+/**
+ * Body measurement operations (categories, entries and latest values)
+ */
+const measurementOperations = {
+  // Measurement category operations
+  listMeasurementCategories: OperationBuilders.listOperation(
+    API.ENDPOINTS.MEASUREMENT_CATEGORIES,
+    {
+      limit: 'limit',
+      offset: 'offset'
+    },
+    validationSchemas.measurement.listMeasurementCategories
+  ),
+
+  getMeasurementCategory: OperationBuilders.getByIdOperation(
+    API.ENDPOINTS.MEASUREMENT_CATEGORY_BY_ID,
+    'categoryId',
+    validationSchemas.measurement.getMeasurementCategory
+  ),
+
+  createMeasurementCategory: OperationBuilders.createOperation(
+    API.ENDPOINTS.MEASUREMENT_CATEGORIES,
+    null,
+    validationSchemas.measurement.createMeasurementCategory
+  ),
+
+  updateMeasurementCategory: OperationBuilders.updateOperation(
+    API.ENDPOINTS.MEASUREMENT_CATEGORY_BY_ID,
+    'categoryId',
+    'patch',
+    validationSchemas.measurement.updateMeasurementCategory
+  ),
+
+  deleteMeasurementCategory: OperationBuilders.deleteOperation(
+    API.ENDPOINTS.MEASUREMENT_CATEGORY_BY_ID,
+    'categoryId',
+    validationSchemas.measurement.deleteMeasurementCategory
+  ),
+
+  // Measurement entry operations
+  listMeasurements: OperationBuilders.listOperation(
+    API.ENDPOINTS.MEASUREMENTS,
+    {
+      category: 'category',
+      date__gte: 'startDate',
+      date__lte: 'endDate',
+      ordering: payload => payload.ordering || '-date',
+      limit: 'limit',
+      offset: 'offset'
+    },
+    validationSchemas.measurement.listMeasurements
+  ),
+
+  getMeasurement: OperationBuilders.getByIdOperation(
+    API.ENDPOINTS.MEASUREMENT_BY_ID,
+    'measurementId',
+    validationSchemas.measurement.getMeasurement
+  ),
+
+  createMeasurement: OperationBuilders.createOperation(
+    API.ENDPOINTS.MEASUREMENTS,
+    null,
+    validationSchemas.measurement.createMeasurement
+  ),
+
+  updateMeasurement: OperationBuilders.updateOperation(
+    API.ENDPOINTS.MEASUREMENT_BY_ID,
+    'measurementId',
+    'patch',
+    validationSchemas.measurement.updateMeasurement
+  ),
+
+  deleteMeasurement: OperationBuilders.deleteOperation(
+    API.ENDPOINTS.MEASUREMENT_BY_ID,
+    'measurementId',
+    validationSchemas.measurement.deleteMeasurement
+  ),
+
+  // Latest value for a single category
+  getLatestMeasurement: OperationBuilders.customOperation(
+    null,
+    async (client, payload) => {
+      const measurements = await client.get(API.ENDPOINTS.MEASUREMENTS, {
+        category: payload.categoryId,
+        ordering: '-date',
+        limit: 1
+      });
+      return measurements.results && measurements.results.length > 0 ? measurements.results[0] : null;
+    },
+    validationSchemas.measurement.getLatestMeasurement
+  ),
+
+  // Latest value for every category of every page, one lookup per category
+  getLatestMeasurements: OperationBuilders.customOperation(
+    null,
+    async (client, _payload) => {
+      const categories = await OperationBuilders.fetchAllPages(client, API.ENDPOINTS.MEASUREMENT_CATEGORIES, {}, {
+        maxPages: PAGINATION.MAX_PAGES,
+        pageSize: PAGINATION.MAX_PAGE_SIZE
+      });
+      const results = categories.results || [];
+
+      return await Promise.all(results.map(async (category) => {
+        const measurements = await client.get(API.ENDPOINTS.MEASUREMENTS, {
+          category: category.id,
+          ordering: '-date',
+          limit: 1
+        });
+        const latest = measurements.results && measurements.results.length > 0
+          ? measurements.results[0]
+          : null;
+
+        return {
+          category,
+          latest
+        };
+      }));
+    },
+    validationSchemas.measurement.getLatestMeasurements
+  )
+};
+
+module.exports = measurementOperations;
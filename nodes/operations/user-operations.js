@@ -1,5 +1,6 @@
 const OperationBuilders = require('../../utils/operation-builders');
-const { API } = require('../../utils/constants');
+const UnitConverter = require('../../utils/unit-converter');
+const { API, WEIGHT_UNITS } = require('../../utils/constants');
 const validationSchemas = require('../../utils/validation-schemas');
 
 /**
@@ -78,6 +79,27 @@ const userOperations = {
       return await client.post(API.ENDPOINTS.USER_SETTINGS, payload);
     },
     validationSchemas.user.updateUserPreferences
+  ),
+
+  // Weight unit of the account: the preferences first, then the profile, kilograms if neither names one
+  getWeightUnit: OperationBuilders.customOperation(
+    null,
+    async (client, _payload) => {
+      const sources = [
+        ['preferences', () => userOperations.getUserPreferences(client, {})],
+        ['profile', () => userOperations.getUserProfile(client, {})]
+      ];
+      for (const [source, load] of sources) {
+        const data = await load();
+        const records = data && Array.isArray(data.results) ? data.results : [data];
+        const unit = UnitConverter.accountUnitFrom(records[0]);
+        if (unit) {
+          return { unit, source };
+        }
+      }
+      return { unit: WEIGHT_UNITS.KG, source: 'default' };
+    },
+    validationSchemas.user.getWeightUnit
   )
 };
 
@@ -1,7 +1,46 @@
 const OperationBuilders = require('../../utils/operation-builders');
-const { API } = require('../../utils/constants');
+const WeightImporter = require('../../utils/weight-importer');
+const WeightExporter = require('../../utils/weight-exporter');
+const WeightStatsCalculator = require('../../utils/weight-stats-calculator');
+const BodyCompositionCalculator = require('../../utils/body-composition-calculator');
+const measurementOperations = require('./measurement-operations');
+const { API, PAGINATION, BATCH, BODY_COMPOSITION } = require('../../utils/constants');
 const validationSchemas = require('../../utils/validation-schemas');
 
+/**
+ * Runs a batch handler over items in chunks of at most BATCH.MAX_ITEMS.
+ * @private
+ */
+const runInChunks = async (items, handleItem, context) => {
+  const results = [];
+  for (let start = 0; start < items.length; start += BATCH.MAX_ITEMS) {
+    const report = await OperationBuilders.runBatch(items.slice(start, start + BATCH.MAX_ITEMS), handleItem, context);
+    results.push(...report.results.map(result => ({ ...result, index: start + result.index })));
+  }
+  return results;
+};
+
+/**
+ * Loads the body-fat measurements of the given or first matching measurement category.
+ * @private
+ */
+const loadBodyFat = async (client, { bodyFatCategory, startDate, endDate }) => {
+  const all = { fetchAll: true, maxPages: PAGINATION.MAX_PAGES, pageSize: PAGINATION.MAX_PAGE_SIZE };
+  let category;
+  if (bodyFatCategory) {
+    category = await measurementOperations.getMeasurementCategory(client, { categoryId: bodyFatCategory });
+  } else {
+    const categories = await measurementOperations.listMeasurementCategories(client, all);
+    category = (categories.results || []).find(candidate => BODY_COMPOSITION.BODY_FAT_CATEGORY.test(candidate.name || ''));
+  }
+  if (!category) {
+    return null;
+  }
+
+  const measurements = await measurementOperations.listMeasurements(client, { ...all, category: category.id, startDate, endDate });
+  return { category, entries: measurements.results || [] };
+};
+
 /**
  * Weight tracking operations with comprehensive validation
  */
@@ -11,7 +50,9 @@ const weightOperations = {
     API.ENDPOINTS.WEIGHT_ENTRIES,
     {
       limit: 'limit',
-      offset: 'offset'
+      offset: 'offset',
+      date__gte: 'startDate',
+      date__lte: 'endDate'
     },
     validationSchemas.weight.listWeightEntries
   ),
@@ -43,6 +84,140 @@ const weightOperations = {
     API.ENDPOINTS.WEIGHT_ENTRY_BY_ID,
     'entryId',
     validationSchemas.weight.deleteWeightEntry
+  ),
+
+  // Import weight entries from CSV text or JSON rows, skipping or updating same-date entries
+  importWeightEntries: OperationBuilders.customOperation(
+    null,
+    async (client, payload, context) => {
+      // Entries are stored in the account's weight unit when the node resolved it
+      const targetUnit = context && context.weightUnit;
+      const { entries, errors } = WeightImporter.normalize(WeightImporter.readRows(payload), { ...payload, targetUnit });
+      const report = { total: entries.length + errors.length, inserted: 0, updated: 0, skipped: 0, failed: errors.length, errors };
+      if (entries.length === 0) {
+        return report;
+      }
+
+      // Entry dates may carry a time, so query up to the day after the last imported date
+      const dates = entries.map(entry => entry.date).sort();
+      const dayAfter = new Date(`${dates[dates.length - 1]}T00:00:00Z`);
+      dayAfter.setUTCDate(dayAfter.getUTCDate() + 1);
+      const existing = await weightOperations.listWeightEntries(client, {
+        startDate: dates[0],
+        endDate: dayAfter.toISOString().substring(0, 10),
+        fetchAll: true,
+        maxPages: PAGINATION.MAX_PAGES,
+        pageSize: PAGINATION.MAX_PAGE_SIZE
+      });
+
+      const plan = WeightImporter.plan(entries, existing.results || [], payload.duplicates);
+      report.skipped = plan.skipped.length;
+
+      const collect = (planned, results, counter) => {
+        results.forEach(result => {
+          if (result.success) {
+            report[counter]++;
+          } else {
+            report.failed++;
+            errors.push({ row: planned[result.index].row, date: planned[result.index].date, error: result.error });
+          }
+        });
+      };
+
+      collect(plan.create, await runInChunks(
+        plan.create,
+        entry => weightOperations.createWeightEntry(client, { date: entry.date, weight: entry.weight }),
+        context
+      ), 'inserted');
+      collect(plan.update, await runInChunks(
+        plan.update,
+        entry => weightOperations.updateWeightEntry(client, { entryId: entry.entryId, weight: entry.weight }),
+        context
+      ), 'updated');
+
+      errors.sort((a, b) => a.row - b.row);
+      return report;
+    },
+    validationSchemas.weight.importWeightEntries
+  ),
+
+  // Find entries that look like scale glitches or typos so flows can review, fix or delete them
+  findSuspectWeightEntries: OperationBuilders.customOperation(
+    null,
+    async (client, payload) => {
+      const { startDate, endDate, window, threshold, minDeviation } = payload;
+      const entries = await weightOperations.listWeightEntries(client, {
+        startDate,
+        endDate,
+        fetchAll: true,
+        maxPages: PAGINATION.MAX_PAGES,
+        pageSize: PAGINATION.MAX_PAGE_SIZE
+      });
+
+      const results = entries.results || [];
+      return {
+        checked: results.length,
+        suspects: WeightStatsCalculator.detectOutliers(results, { window, threshold, minDeviation })
+      };
+    },
+    validationSchemas.weight.findSuspectWeightEntries
+  ),
+
+  // Join the profile, weight history and body-fat measurements into BMI, energy and lean-mass estimates
+  getBodyCompositionStats: OperationBuilders.customOperation(
+    null,
+    async (client, payload, context) => {
+      const { startDate, endDate } = payload;
+      const [profiles, entries, bodyFat] = await Promise.all([
+        client.get(API.ENDPOINTS.USER_PROFILE),
+        weightOperations.listWeightEntries(client, {
+          startDate,
+          endDate,
+          fetchAll: true,
+          maxPages: PAGINATION.MAX_PAGES,
+          pageSize: PAGINATION.MAX_PAGE_SIZE
+        }),
+        loadBodyFat(client, payload)
+      ]);
+
+      return BodyCompositionCalculator.calculate({
+        profile: (profiles && Array.isArray(profiles.results) ? profiles.results[0] : profiles) || {},
+        entries: entries.results || [],
+        bodyFat,
+        unit: context && context.weightUnit,
+        height: payload.height,
+        activityFactor: payload.activityFactor,
+        maxPairingDays: payload.maxPairingDays
+      });
+    },
+    validationSchemas.weight.getBodyCompositionStats
+  ),
+
+  // Export the weight history of a date range as CSV, JSON Lines or dashboard chart data
+  exportWeightEntries: OperationBuilders.customOperation(
+    null,
+    async (client, payload, context) => {
+      const { startDate, endDate, format, delimiter } = payload;
+      const entries = await weightOperations.listWeightEntries(client, {
+        startDate,
+        endDate,
+        fetchAll: true,
+        maxPages: PAGINATION.MAX_PAGES,
+        pageSize: PAGINATION.MAX_PAGE_SIZE
+      });
+
+      const rows = WeightExporter.buildRows(entries.results || [], {
+        from: context && context.weightUnit,
+        unit: payload.unit,
+        includeTrend: payload.includeTrend,
+        includeWeeklyAverage: payload.includeWeeklyAverage,
+        smoothing: payload.smoothing,
+        timeZone: context && context.timeZone,
+        weekStart: context && context.weekStart
+      });
+      return WeightExporter.format(rows, format, { delimiter });
+    },
+    validationSchemas.weight.exportWeightEntries
   )
 };
 
@@ -1,7 +1,239 @@
 const OperationBuilders = require('../../utils/operation-builders');
-const { API } = require('../../utils/constants');
+const RollbackJournal = require('../../utils/rollback-journal');
+const WorkoutPlan = require('../../utils/workout-plan');
+const PersonalRecords = require('../../utils/personal-records');
+const TrainingVolumeCalculator = require('../../utils/training-volume-calculator');
+const ProgressionEngine = require('../../utils/progression-engine');
+const IcsCalendar = require('../../utils/ics-calendar');
+const WorkoutSchedule = require('../../utils/workout-schedule');
+const { getSharedExerciseCache } = require('../../utils/exercise-metadata-cache');
+const InputValidator = require('../../utils/input-validator');
+const UnitConverter = require('../../utils/unit-converter');
+const exerciseOperations = require('./exercise-operations');
+const { API, PAGINATION, UNITS, WEIGHT_UNITS, WORKOUT_CLONE, WORKOUT_PLAN, SESSION_LOG, PROGRESSION, ICS, ERRORS } = require('../../utils/constants');
 const validationSchemas = require('../../utils/validation-schemas');
 
+/**
+ * Copies the given fields of an object, leaving out missing ones.
+ * @private
+ */
+const pick = (source, fields) => {
+  const copy = {};
+  fields.forEach(field => {
+    if (source[field] !== undefined) {
+      copy[field] = source[field];
+    }
+  });
+  return copy;
+};
+
+/**
+ * Deletes the objects a failed multi-step write created and builds the error
+ * reporting it from a template with `{reason}`, `{deleted}` and `{created}`.
+ * Objects that could not be deleted are listed after the message. The error's
+ * `report` (`{ ...details, reason, created, rollback }`) is what the node
+ * sends to catch nodes as `msg.payload`.
+ * @private
+ */
+const rollBack = async (journal, error, template, details = {}) => {
+  const count = journal.size;
+  const rollback = await journal.rollback();
+  const leftovers = rollback.failed.map(entry => entry.endpoint.replace('{id}', entry.id)).join(', ');
+  const failed = new Error(template
+    .replace('{reason}', error.message)
+    .replace('{deleted}', rollback.deleted)
+    .replace('{created}', count) +
+    (leftovers ? ERRORS.ROLLBACK_INCOMPLETE.replace('{objects}', leftovers) : ''));
+  failed.cause = error;
+  failed.rollback = rollback;
+  failed.report = { ...details, reason: error.message, created: count, rollback };
+  return failed;
+};
+
+/**
+ * Recreates the days, sets and settings of a canonical workout representation
+ * below a new workout, recording each created object in the journal. With
+ * `exerciseIds`, exercise ids are replaced by the ids it maps them to.
+ * @private
+ */
+const copyWorkoutTree = async (target, canonical, workoutId, journal, exerciseIds) => {
+  const created = { days: 0, sets: 0, settings: 0 };
+
+  for (const day of canonical.day_list || []) {
+    const newDay = journal.track(target, API.ENDPOINTS.DAY_BY_ID, await target.post(API.ENDPOINTS.DAYS, {
+      ...pick(day.obj || {}, WORKOUT_CLONE.DAY_FIELDS),
+      workout: workoutId
+    }));
+    created.days++;
+
+    for (const set of day.set_list || []) {
+      const newSet = journal.track(target, API.ENDPOINTS.SET_BY_ID, await target.post(API.ENDPOINTS.SETS, {
+        ...pick(set.obj || {}, WORKOUT_CLONE.SET_FIELDS),
+        exerciseday: newDay.id
+      }));
+      created.sets++;
+
+      for (const exercise of set.exercise_list || []) {
+        for (const setting of exercise.setting_obj_list || []) {
+          const data = { exercise_base: exercise.obj && exercise.obj.id, ...pick(setting, WORKOUT_CLONE.SETTING_FIELDS), set: newSet.id };
+          if (exerciseIds) {
+            data.exercise_base = exerciseIds.get(data.exercise_base);
+          }
+          journal.track(target, API.ENDPOINTS.SETTING_BY_ID, await target.post(API.ENDPOINTS.SETTINGS, data));
+          created.settings++;
+        }
+      }
+    }
+  }
+  return created;
+};
+
+/**
+ * Creates a workout with the days, sets and settings of a canonical
+ * representation. If a step fails, the objects created so far are deleted
+ * again and the error is reported with the given message template.
+ * @private
+ */
+const createFromCanonical = async (target, canonical, workoutData, failure, exerciseIds) => {
+  const journal = new RollbackJournal();
+  try {
+    const workout = journal.track(target, API.ENDPOINTS.WORKOUT_BY_ID, await target.post(API.ENDPOINTS.WORKOUTS, workoutData));
+    const created = await copyWorkoutTree(target, canonical, workout.id, journal, exerciseIds);
+    return { workout, created };
+  } catch (error) {
+    throw await rollBack(journal, error, failure);
+  }
+};
+
+/**
+ * Finds the id of a plan's exercise reference on the server: by UUID, then by
+ * exact name among the search suggestions.
+ * @private
+ */
+const resolveExercise = async (client, reference, language) => {
+  if (reference.uuid) {
+    // Servers that ignore the uuid filter return other exercises, hence the comparison
+    const found = await client.get(API.ENDPOINTS.EXERCISES, { uuid: reference.uuid });
+    const match = (found.results || []).find(exercise => exercise.uuid === reference.uuid);
+    if (match) {
+      return { id: match.id };
+    }
+  }
+  if (!reference.name) {
+    return { candidates: [] };
+  }
+
+  const search = await exerciseOperations.searchExercises(client, { term: reference.name, language });
+  const suggestions = search.suggestions || [];
+  const name = reference.name.trim().toLowerCase();
+  const match = suggestions.find(suggestion => String(suggestion.value || (suggestion.data && suggestion.data.name)).trim().toLowerCase() === name);
+  if (match && match.data) {
+    return { id: match.data.base_id || match.data.id };
+  }
+  return { candidates: suggestions.slice(0, WORKOUT_PLAN.MAX_CANDIDATES).map(suggestion => suggestion.value) };
+};
+
+/**
+ * Maps the exercise ids of a workout to the ids of the same exercises on
+ * another server. Ids are assigned per instance, so exercises are matched by
+ * UUID; nothing is written when one of them is missing on the target.
+ * @private
+ */
+const mapExercisesToServer = async (source, target, canonical, workoutId) => {
+  const exerciseIds = new Map();
+  const unresolved = [];
+  for (const id of WorkoutPlan.getExerciseIds(canonical)) {
+    const reference = WorkoutPlan.toReference(await source.get(API.ENDPOINTS.EXERCISE_BY_ID.replace('{id}', id)));
+    const resolved = reference.uuid ? await resolveExercise(target, { uuid: reference.uuid }) : {};
+    if (resolved.id === undefined) {
+      unresolved.push(reference.name ? `${id} (${reference.name})` : String(id));
+    } else {
+      exerciseIds.set(id, resolved.id);
+    }
+  }
+
+  if (unresolved.length > 0) {
+    throw new Error(ERRORS.CLONE_EXERCISES_NOT_FOUND
+      .replace('{workoutId}', workoutId)
+      .replace('{exercises}', unresolved.join(', ')));
+  }
+  return exerciseIds;
+};
+
+/**
+ * Reads the logs of an exercise newest first until they hold one session
+ * more than progression looks back on, so the oldest session needed is
+ * complete, and groups them into sessions.
+ * @private
+ */
+const loadRecentSessions = async (client, exerciseId, unit) => {
+  const logs = [];
+  const response = await OperationBuilders.fetchAllPages(client, API.ENDPOINTS.WORKOUT_LOGS, {
+    exercise_base: exerciseId,
+    ordering: '-date'
+  }, {
+    maxPages: PAGINATION.MAX_PAGES,
+    onPage: async (results) => {
+      logs.push(...results);
+      return ProgressionEngine.toSessions(logs, unit).length <= PROGRESSION.LOOKBACK_SESSIONS;
+    }
+  });
+  // Endpoints without pagination answer with the logs themselves
+  return ProgressionEngine.toSessions(Array.isArray(response) ? response : logs, unit);
+};
+
+/**
+ * Collects the workout logs nested in the log data of a workout, once each.
+ * @private
+ */
+const collectLogs = (data, logs = new Map()) => {
+  if (Array.isArray(data)) {
+    data.forEach(item => collectLogs(item, logs));
+  } else if (data && typeof data === 'object') {
+    if (data.reps !== undefined && data.weight !== undefined && data.exercise_base !== undefined) {
+      logs.set(data.id !== undefined ? data.id : logs.size, data);
+    } else {
+      Object.values(data).forEach(value => collectLogs(value, logs));
+    }
+  }
+  return logs;
+};
+
+/**
+ * Validates a session header and its logs against the createWorkoutSession
+ * and createWorkoutLog schemas, collecting every problem instead of stopping
+ * at the first. Logs take over the session's workout and date.
+ * @private
+ */
+const validateSession = (payload, accountUnit) => {
+  const errors = [];
+  const attempt = (path, validate) => {
+    try {
+      return validate();
+    } catch (error) {
+      errors.push({ path, error: error.message });
+      return null;
+    }
+  };
+
+  const session = attempt('session', () => InputValidator.validatePayload(payload.session, validationSchemas.workout.createWorkoutSession));
+  const shared = pick(payload.session, SESSION_LOG.SHARED_FIELDS);
+  const logs = payload.logs.map((log, index) => attempt(`logs[${index}]`, () => {
+    // Weights may be given as { value, unit }, as for createWorkoutLog
+    const converted = UnitConverter.convertPayload({ ...shared, ...log }, { weight: UNITS.TARGETS.WORKOUT_LOG }, accountUnit);
+    return InputValidator.validatePayload(converted, validationSchemas.workout.createWorkoutLog);
+  }));
+
+  if (errors.length > 0) {
+    const failed = new Error(ERRORS.SESSION_INVALID
+      .replace('{errors}', errors.map(({ path, error }) => `${path}: ${error}`).join('; ')));
+    failed.errors = errors;
+    failed.report = { errors, created: 0 };
+    throw failed;
+  }
+  return { session, logs };
+};
+
 /**
  * Workout-specific operations
  */
@@ -51,6 +283,100 @@ const workoutOperations = {
     validationSchemas.workout.getWorkoutLogData
   ),
   
+  // Copy a workout with its days, sets and settings, optionally to another server config
+  cloneWorkout: OperationBuilders.customOperation(
+    null,
+    async (client, payload, context) => {
+      let target = client;
+      if (payload.targetServer) {
+        if (typeof context.getServerClient !== 'function') {
+          throw new Error(ERRORS.SERVER_NOT_FOUND.replace('{server}', payload.targetServer));
+        }
+        target = context.getServerClient(payload.targetServer);
+      }
+
+      const canonical = await client.get(API.ENDPOINTS.WORKOUT_CANONICAL.replace('{id}', payload.workoutId));
+      const source = canonical.obj || {};
+      const exerciseIds = target !== client
+        ? await mapExercisesToServer(client, target, canonical, payload.workoutId)
+        : undefined;
+      const { workout, created } = await createFromCanonical(target, canonical, {
+        name: payload.name || `${source.name || ''}${WORKOUT_CLONE.NAME_SUFFIX}`.trim(),
+        description: source.description || ''
+      }, ERRORS.CLONE_FAILED.replace('{workoutId}', payload.workoutId), exerciseIds);
+
+      return {
+        workout,
+        sourceWorkoutId: payload.workoutId,
+        targetServer: payload.targetServer || null,
+        created
+      };
+    },
+    validationSchemas.workout.cloneWorkout
+  ),
+  
+  // Export a workout as a portable plan that references exercises by UUID and name
+  exportWorkout: OperationBuilders.customOperation(
+    null,
+    async (client, payload) => {
+      const canonical = await client.get(API.ENDPOINTS.WORKOUT_CANONICAL.replace('{id}', payload.workoutId));
+
+      // The canonical representation does not always carry the UUID and name of an exercise
+      const exercises = new Map();
+      for (const id of WorkoutPlan.getExerciseIds(canonical)) {
+        const info = await client.get(API.ENDPOINTS.EXERCISE_BY_ID.replace('{id}', id));
+        exercises.set(id, WorkoutPlan.toReference(info));
+      }
+
+      return WorkoutPlan.serialize(WorkoutPlan.fromCanonical(canonical, exercises), payload.format);
+    },
+    validationSchemas.workout.exportWorkout
+  ),
+  
+  // Create a workout from a portable plan after resolving all its exercises
+  importWorkout: OperationBuilders.customOperation(
+    null,
+    async (client, payload) => {
+      const plan = WorkoutPlan.parse(payload.plan);
+      const references = WorkoutPlan.getExerciseReferences(plan);
+
+      // Resolve every exercise once, before anything is written
+      const exerciseIds = new Map();
+      const unresolved = new Map();
+      for (const { path, exercise } of references) {
+        const key = WorkoutPlan.getReferenceKey(exercise);
+        if (!exerciseIds.has(key)) {
+          const resolved = await resolveExercise(client, exercise, payload.language);
+          exerciseIds.set(key, resolved.id);
+          if (resolved.id === undefined) {
+            unresolved.set(key, { exercise, paths: [], candidates: resolved.candidates });
+          }
+        }
+        if (unresolved.has(key)) {
+          unresolved.get(key).paths.push(path);
+        }
+      }
+
+      const name = payload.name || plan.name;
+      const report = {
+        imported: false,
+        name,
+        exercises: { total: exerciseIds.size, resolved: exerciseIds.size - unresolved.size },
+        unresolved: Array.from(unresolved.values())
+      };
+      if (unresolved.size > 0 || payload.dryRun) {
+        return report;
+      }
+
+      const { workout, created } = await createFromCanonical(client, WorkoutPlan.toCanonical(plan, exerciseIds), {
+        name,
+        description: plan.description || ''
+      }, ERRORS.WORKOUT_IMPORT_FAILED.replace('{name}', name));
+      return { ...report, imported: true, workout, created };
+    },
+    validationSchemas.workout.importWorkout
+  ),
+  
   // Day operations
   listDays: OperationBuilders.listOperation(
     API.ENDPOINTS.DAYS,
@@ -167,6 +493,9 @@ const workoutOperations = {
     API.ENDPOINTS.WORKOUT_LOGS,
     {
       workout: 'workout',
+      exercise_base: 'exercise_base',
+      date__gte: 'startDate',
+      date__lte: 'endDate',
       limit: 'limit',
       offset: 'offset'
     },
@@ -192,6 +521,181 @@ const workoutOperations = {
     validationSchemas.workout.deleteWorkoutLog
   ),
   
+  // Session header and set results in one step: all validated first, all deleted again if a write fails
+  logSession: OperationBuilders.customOperation(
+    null,
+    async (client, payload, context) => {
+      const { session, logs } = validateSession(payload, context.weightUnit || WEIGHT_UNITS.KG);
+      const journal = new RollbackJournal();
+      const created = { session: null, logs: [] };
+      let step = 'session';
+
+      try {
+        created.session = journal.track(client, API.ENDPOINTS.WORKOUT_SESSION_BY_ID,
+          await client.post(API.ENDPOINTS.WORKOUT_SESSIONS, session));
+        for (const [index, log] of logs.entries()) {
+          step = `logs[${index}] (exercise ${log.exercise_base})`;
+          created.logs.push(journal.track(client, API.ENDPOINTS.WORKOUT_LOG_BY_ID,
+            await client.post(API.ENDPOINTS.WORKOUT_LOGS, log)));
+        }
+      } catch (error) {
+        throw await rollBack(journal, error, ERRORS.SESSION_LOG_FAILED.replace('{step}', step), {
+          step,
+          written: { session: created.session ? 1 : 0, logs: created.logs.length }
+        });
+      }
+
+      return { session: created.session, logs: created.logs, created: { session: 1, logs: created.logs.length } };
+    },
+    validationSchemas.workout.logSession
+  ),
+  
+  // Best weight, most repetitions per weight and estimated one-rep max per exercise
+  getPersonalRecords: OperationBuilders.customOperation(
+    null,
+    async (client, payload, context) => {
+      let logs;
+      if (payload.workoutId) {
+        // The log data of a workout groups its logs by exercise
+        const data = await workoutOperations.getWorkoutLogData(client, { workoutId: payload.workoutId });
+        logs = Array.from(collectLogs(data).values())
+          .filter(log => !payload.exercise_base || Number(log.exercise_base) === Number(payload.exercise_base));
+      } else {
+        const list = await workoutOperations.listWorkoutLogs(client, {
+          exercise_base: payload.exercise_base,
+          fetchAll: true,
+          maxPages: PAGINATION.MAX_PAGES,
+          pageSize: PAGINATION.MAX_PAGE_SIZE
+        });
+        logs = list.results || [];
+      }
+
+      const unit = payload.unit || context.weightUnit || WEIGHT_UNITS.KG;
+      return {
+        unit,
+        formula: payload.formula,
+        exercises: PersonalRecords.calculate(logs, { unit, formula: payload.formula })
+      };
+    },
+    validationSchemas.workout.getPersonalRecords
+  ),
+  
+  // Compare a new workout log (e.g. the output of createWorkoutLog) with the exercise's history
+  detectNewRecords: OperationBuilders.customOperation(
+    null,
+    async (client, payload, context) => {
+      const history = await workoutOperations.listWorkoutLogs(client, {
+        exercise_base: payload.exercise_base,
+        fetchAll: true,
+        maxPages: PAGINATION.MAX_PAGES,
+        pageSize: PAGINATION.MAX_PAGE_SIZE
+      });
+
+      const unit = payload.unit || context.weightUnit || WEIGHT_UNITS.KG;
+      return {
+        exercise: payload.exercise_base,
+        unit,
+        formula: payload.formula,
+        ...PersonalRecords.detect(payload, history.results || [], { unit, formula: payload.formula })
+      };
+    },
+    validationSchemas.workout.detectNewRecords
+  ),
+  
+  // Weekly tonnage, hard sets and repetitions per muscle group and exercise category
+  getTrainingVolume: OperationBuilders.customOperation(
+    null,
+    async (client, payload, context) => {
+      const list = await workoutOperations.listWorkoutLogs(client, {
+        workout: payload.workoutId,
+        startDate: payload.startDate,
+        endDate: payload.endDate,
+        fetchAll: true,
+        maxPages: PAGINATION.MAX_PAGES,
+        pageSize: PAGINATION.MAX_PAGE_SIZE
+      });
+      const logs = list.results || [];
+
+      // Muscles and categories are looked up once per exercise and cached across reports
+      const cache = getSharedExerciseCache();
+      const exercises = new Map();
+      const unknownExercises = [];
+      for (const id of new Set(logs.map(log => Number(log.exercise_base)))) {
+        try {
+          exercises.set(id, await cache.get(client, id, async exerciseId =>
+            TrainingVolumeCalculator.toMetadata(await exerciseOperations.getExercise(client, { exerciseId }))));
+        } catch (error) {
+          unknownExercises.push({ exercise: id, error: error.message });
+        }
+      }
+
+      const unit = payload.unit || context.weightUnit || WEIGHT_UNITS.KG;
+      const volume = TrainingVolumeCalculator.calculate(logs, exercises, {
+        unit,
+        hardSetMaxRir: payload.hardSetMaxRir,
+        timeZone: context.timeZone,
+        weekStart: context.weekStart
+      });
+      return {
+        startDate: payload.startDate || null,
+        endDate: payload.endDate || null,
+        unit,
+        ...volume,
+        unknownExercises
+      };
+    },
+    validationSchemas.workout.getTrainingVolume
+  ),
+  
+  // Next-session weight and repetitions for each exercise of a workout day
+  suggestNextSession: OperationBuilders.customOperation(
+    null,
+    async (client, payload, context) => {
+      const day = await workoutOperations.getDay(client, { dayId: payload.dayId });
+      // wger calls the workout of a day its training
+      const workoutId = day.training !== undefined ? day.training : day.workout;
+      const canonical = await workoutOperations.getWorkoutCanonical(client, { workoutId });
+      const dayData = (canonical.day_list || []).find(entry => entry.obj && Number(entry.obj.id) === Number(payload.dayId)) || { set_list: [] };
+
+      const unit = payload.unit || context.weightUnit || WEIGHT_UNITS.KG;
+      const sessions = new Map();
+      const exercises = [];
+      for (const set of dayData.set_list || []) {
+        for (const exercise of set.exercise_list || []) {
+          const settings = exercise.setting_obj_list || [];
+          const id = exercise.obj && exercise.obj.id !== undefined ? exercise.obj.id : (settings[0] || {}).exercise_base;
+          if (!sessions.has(id)) {
+            sessions.set(id, await loadRecentSessions(client, id, unit));
+          }
+
+          const targets = ProgressionEngine.toTargets(set.obj, settings, unit);
+          exercises.push({
+            exercise: id,
+            name: WorkoutPlan.toReference(exercise.obj).name || null,
+            set: set.obj ? set.obj.id : null,
+            ...ProgressionEngine.suggest(targets, sessions.get(id), {
+              scheme: payload.scheme,
+              unit,
+              increment: payload.increment,
+              repRangeWidth: payload.repRangeWidth,
+              targetRir: payload.targetRir
+            })
+          });
+        }
+      }
+
+      return {
+        day: payload.dayId,
+        workout: workoutId,
+        scheme: payload.scheme,
+        unit,
+        deload: exercises.some(exercise => exercise.stall !== null),
+        exercises
+      };
+    },
+    validationSchemas.workout.suggestNextSession
+  ),
+  
   // Schedule operations
   getSchedule: OperationBuilders.customOperation(
     null,
@@ -210,6 +714,104 @@ const workoutOperations = {
     API.ENDPOINTS.SCHEDULE_STEP_BY_ID,
     'scheduleId',
     validationSchemas.workout.getScheduleStep
+  ),
+  
+  // iCalendar feed of the workout days a schedule plans, with UIDs that stay the same across exports
+  exportScheduleIcs: OperationBuilders.customOperation(
+    null,
+    async (client, payload) => {
+      const schedule = await client.get(API.ENDPOINTS.SCHEDULE_BY_ID.replace('{id}', payload.scheduleId));
+      const steps = await OperationBuilders.fetchAllPages(client, API.ENDPOINTS.SCHEDULE_STEPS, { schedule: payload.scheduleId });
+
+      const workouts = new Map();
+      for (const workoutId of new Set((steps.results || []).map(step => step.workout))) {
+        workouts.set(workoutId, await workoutOperations.getWorkoutCanonical(client, { workoutId }));
+      }
+
+      const { events } = WorkoutSchedule.toEvents(schedule, steps.results || [], workouts, {
+        startDate: payload.startDate,
+        endDate: payload.endDate
+      });
+      return IcsCalendar.render({ name: schedule.name, events });
+    },
+    validationSchemas.workout.exportScheduleIcs
+  ),
+  
+  // Schedule steps from the events of an iCalendar document, created only when every event names a known workout
+  importScheduleIcs: OperationBuilders.customOperation(
+    null,
+    async (client, payload, context) => {
+      const calendar = IcsCalendar.parse(payload.ics, { timeZone: context.timeZone });
+      const workouts = await workoutOperations.listWorkouts(client, {
+        fetchAll: true,
+        maxPages: PAGINATION.MAX_PAGES,
+        pageSize: PAGINATION.MAX_PAGE_SIZE
+      });
+      const ids = new Set((workouts.results || []).map(workout => workout.id));
+      const names = new Map((workouts.results || []).map(workout => [String(workout.name).trim().toLowerCase(), workout.id]));
+
+      // By the workout id of exported feeds, else by the workout name the summary starts with
+      const resolve = (event) => {
+        const id = Number(event.properties[ICS.WORKOUT_PROPERTY]);
+        if (ids.has(id)) {
+          return id;
+        }
+        const summary = event.summary.trim().toLowerCase();
+        return names.has(summary) ? names.get(summary) : names.get(summary.split(':')[0].trim());
+      };
+
+      const unresolved = new Map();
+      calendar.events.filter(event => resolve(event) === undefined).forEach(event => {
+        if (!unresolved.has(event.summary)) {
+          unresolved.set(event.summary, { summary: event.summary, events: [] });
+        }
+        unresolved.get(event.summary).events.push(event.uid);
+      });
+
+      const steps = WorkoutSchedule.toSteps(calendar.events, resolve);
+      const name = payload.name || calendar.name || ICS.DEFAULT_SCHEDULE_NAME;
+      const resolved = steps.reduce((sum, step) => sum + step.events.length, 0);
+      const report = {
+        imported: false,
+        schedule: payload.scheduleId || null,
+        name: payload.scheduleId ? null : name,
+        events: { total: calendar.events.length, resolved },
+        steps: steps.map(step => ({ workout: step.workout, start: step.start, duration: step.duration, events: step.events.length })),
+        unresolved: Array.from(unresolved.values())
+      };
+      if (unresolved.size > 0 || steps.length === 0 || payload.dryRun) {
+        return report;
+      }
+
+      const journal = new RollbackJournal();
+      try {
+        let schedule = payload.scheduleId;
+        let order = 0;
+        if (schedule) {
+          // New steps go after the steps the schedule already has
+          const existing = await OperationBuilders.fetchAllPages(client, API.ENDPOINTS.SCHEDULE_STEPS, { schedule });
+          order = (existing.results || []).reduce((max, step) => Math.max(max, Number(step.order) || 0), 0);
+        } else {
+          const created = journal.track(client, API.ENDPOINTS.SCHEDULE_BY_ID,
+            await client.post(API.ENDPOINTS.SCHEDULE, { name, start_date: steps[0].start }));
+          schedule = created.id;
+        }
+
+        const createdSteps = [];
+        for (const step of steps) {
+          createdSteps.push(journal.track(client, API.ENDPOINTS.SCHEDULE_STEP_BY_ID, await client.post(API.ENDPOINTS.SCHEDULE_STEPS, {
+            schedule,
+            workout: step.workout,
+            duration: step.duration,
+            order: ++order
+          })));
+        }
+        return { ...report, imported: true, schedule, created: { schedule: payload.scheduleId ? 0 : 1, steps: createdSteps.length } };
+      } catch (error) {
+        throw await rollBack(journal, error, ERRORS.SCHEDULE_IMPORT_FAILED);
+      }
+    },
+    validationSchemas.workout.importScheduleIcs
   )
 };
 
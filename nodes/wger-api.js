@@ -1,5 +1,4 @@
 const BaseNodeHandler = require('../utils/base-node-handler');
-const WgerApiClient = require('../utils/api-client');
 const { STATUS } = require('../utils/constants');
 const InputValidator = require('../utils/input-validator');
 const validationSchemas = require('../utils/validation-schemas');
@@ -96,17 +95,23 @@ module.exports = function (RED) {
       node.status({ fill: STATUS.COLORS.BLUE, shape: STATUS.SHAPES.DOT, text: STATUS.MESSAGES.REQUESTING });
 
       try {
-        // Initialize Wger client
-        const client = new WgerApiClient(node.server.apiUrl, node.server.getAuthHeader(), node.server.getResilienceConfig());
+        // Use the config node's shared client
+        const client = BaseNodeHandler.getClient(node.server);
+        const stopTracking = BaseNodeHandler.trackQueueDepth(node, client);
         
         // Pass the entire message for processing
-        const result = await handleApiOperation(client, null, {
-          method: msg.method,
-          endpoint: msg.endpoint, 
-          payload: msg.payload,
-          query: msg.query,
-          params: msg.params
-        });
+        let result;
+        try {
+          result = await handleApiOperation(client, null, {
+            method: msg.method,
+            endpoint: msg.endpoint, 
+            payload: msg.payload,
+            query: msg.query,
+            params: msg.params
+          });
+        } finally {
+          stopTracking();
+        }
 
         // Update status and send response
         node.status({ fill: STATUS.COLORS.GREEN, shape: STATUS.SHAPES.DOT, text: STATUS.MESSAGES.SUCCESS });
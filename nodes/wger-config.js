@@ -1,5 +1,14 @@
-const { API, AUTH, DEFAULTS, NODE_RED } = require('../utils/constants');
+const path = require('path');
+const { createHmac } = require('crypto');
+const { API, AUTH, CALENDAR, DEFAULTS, NODE_RED, OUTBOX, STATS_CACHE, WEIGHT_UNITS } = require('../utils/constants');
 const { validateUrl, validateUrlSync, isDevEnvironment } = require('../utils/url-validator');
+const JwtTokenManager = require('../utils/jwt-token-manager');
+const WgerApiClient = require('../utils/api-client');
+const ResponseCache = require('../utils/response-cache');
+const Calendar = require('../utils/calendar');
+const { WriteOutbox, ContextOutboxStorage, FileOutboxStorage } = require('../utils/write-outbox');
+const { getSharedCache, WeightStatsCachePersistence } = require('../utils/weight-stats-cache');
+const userOperations = require('./operations/user-operations');
 
 module.exports = function (RED) {
   function WgerConfigNode(n) {
@@ -38,10 +47,56 @@ module.exports = function (RED) {
     this.circuitBreakerFailureThreshold = parseInt(n.circuitBreakerFailureThreshold, 10) || 5;
     this.circuitBreakerResetTimeoutMs = parseInt(n.circuitBreakerResetTimeoutMs, 10) || 60000;
 
+    // Rate limiter configuration
+    this.enableRateLimit = n.enableRateLimit || false;
+    this.rateLimitRequestsPerSecond = parseFloat(n.rateLimitRequestsPerSecond) || 5;
+    this.rateLimitBurst = parseInt(n.rateLimitBurst, 10) || 10;
+
+    // Response cache configuration
+    this.enableResponseCache = n.enableResponseCache || false;
+
+    // Offline outbox configuration
+    this.outboxStorage = n.outboxStorage || OUTBOX.STORAGE.NONE;
+    this.outboxContextStore = n.outboxContextStore || '';
+    this.outboxFile = n.outboxFile ||
+      path.join((RED.settings && RED.settings.userDir) || '.', `wger-outbox-${this.id}.json`);
+
+    // Weight statistics cache persistence configuration
+    this.statsCacheStorage = n.statsCacheStorage || STATS_CACHE.STORAGE.NONE;
+    this.statsCacheContextStore = n.statsCacheContextStore || '';
+    this.statsCacheFile = n.statsCacheFile ||
+      path.join((RED.settings && RED.settings.userDir) || '.', `wger-stats-cache-${this.id}.json`);
+
+    // Weight unit of the account: a fixed override, or 'auto' to read it from the account
+    this.weightUnit = n.weightUnit || WEIGHT_UNITS.KG;
+
+    // Time zone and week start that dates, "today" and weekly averages are resolved in
+    this.timeZone = n.timeZone || '';
+    this.weekStart = n.weekStart !== undefined && n.weekStart !== '' ? Number(n.weekStart) : CALENDAR.DEFAULT_WEEK_START;
+    try {
+      Calendar.resolveTimeZone(this.timeZone);
+    } catch (error) {
+      this.error(error.message);
+    }
+
     // Automatically set test mode based on API URL
     this.isTestMode = DEFAULTS.TEST_MODE_PATTERNS.some(pattern => this.apiUrl.includes(pattern));
 
+    // JWT login: exchange username/password for access/refresh tokens held in memory
+    const credentials = this.credentials || {};
+    this.tokenManager = null;
+    if (this.authType === AUTH.TYPES.JWT && credentials.username && credentials.password) {
+      this.tokenManager = new JwtTokenManager({
+        apiUrl: this.apiUrl,
+        username: credentials.username,
+        password: credentials.password
+      });
+    }
+
     this.getAuthHeader = function () {
+      if (this.tokenManager) {
+        return this.tokenManager.getCachedAuthHeader();
+      }
       if (this.authType === AUTH.TYPES.TOKEN && this.credentials.token) {
         return { [AUTH.HEADER_NAME]: AUTH.PREFIXES.TOKEN + this.credentials.token };
       } else if (this.authType === AUTH.TYPES.JWT && this.credentials.token) {
@@ -50,6 +105,32 @@ module.exports = function (RED) {
       return {};
     };
 
+    // Stable identity of the account used: JWT access tokens rotate, so logins are
+    // identified by username, static tokens by a hash of the header
+    this.getUserIdentity = function () {
+      if (this.tokenManager) {
+        return `jwt:${this.credentials.username}`;
+      }
+      return ResponseCache.identityFromHeader(this.getAuthHeader());
+    };
+
+    // Token of the calendar feed of a schedule, derived from the feed secret so each feed has its own;
+    // null while no secret is set, which disables the feeds
+    this.getFeedToken = function (scheduleId) {
+      if (!this.credentials || !this.credentials.feedSecret) {
+        return null;
+      }
+      return createHmac('sha256', this.credentials.feedSecret).update(`${this.id}/${scheduleId}`).digest('base64url');
+    };
+
+    // Auth header for WgerApiClient: a refreshing function for JWT logins, a static object otherwise
+    this.getAuthProvider = function () {
+      if (this.tokenManager) {
+        return (options) => this.tokenManager.getAuthHeader(options);
+      }
+      return this.getAuthHeader();
+    };
+
     this.getResilienceConfig = function () {
       const config = {};
       
@@ -68,9 +149,51 @@ module.exports = function (RED) {
         };
       }
       
+      if (this.enableRateLimit) {
+        config.rateLimit = {
+          requestsPerSecond: this.rateLimitRequestsPerSecond,
+          burst: this.rateLimitBurst
+        };
+      }
+      
+      if (this.enableResponseCache) {
+        // JWT access tokens rotate, so key cached responses by the login instead of the header
+        config.cache = {
+          identity: this.tokenManager ? this.getUserIdentity() : undefined
+        };
+      }
+      
       return config;
     };
 
+    // One client per config node: all nodes using this server share its
+    // circuit breaker and retry state
+    this.client = null;
+    this.getClient = function () {
+      if (!this.client) {
+        this.client = new WgerApiClient(this.apiUrl, this.getAuthProvider(), this.getResilienceConfig());
+      }
+      return this.client;
+    };
+
+    // Resolves the account's weight unit. With 'auto' the preferences (or profile) are
+    // read once; a failed lookup is retried on the next call instead of being cached.
+    this.accountUnit = null;
+    this.getWeightUnit = function () {
+      if (this.weightUnit !== WEIGHT_UNITS.AUTO) {
+        return Promise.resolve(this.weightUnit);
+      }
+      if (!this.accountUnit) {
+        this.accountUnit = userOperations.getWeightUnit(this.getClient(), {})
+          .then(result => result.unit)
+          .catch(error => {
+            this.accountUnit = null;
+            throw error;
+          });
+      }
+      return this.accountUnit;
+    };
+
     // Test connection method with SSRF protection
     this.testConnection = async function () {
       // Perform comprehensive URL validation with DNS resolution
@@ -90,12 +213,17 @@ module.exports = function (RED) {
       // Proceed with connection test using validated URL
       const axios = require('axios');
       try {
+        const headers = this.tokenManager ? await this.tokenManager.getAuthHeader() : this.getAuthHeader();
         const response = await axios({
           method: 'GET',
           url: `${(validationResult.normalizedUrl || this.apiUrl).replace(/\/$/, '')}${API.ENDPOINTS.INFO}`,
-          headers: this.getAuthHeader(),
+          headers,
           timeout: API.CONNECTION_TIMEOUT
         });
+        // Back online - send the writes queued while the server was unreachable
+        if (this.outbox && this.outbox.entries.length > 0) {
+          this.outbox.replay();
+        }
         return { 
           success: true, 
           data: response.data,
@@ -104,27 +232,87 @@ module.exports = function (RED) {
       } catch (error) {
         return {
           success: false,
-          status: error.response ? error.response.status : 0,
+          status: error.response ? error.response.status : (error.status || 0),
           message: error.response ? error.response.statusText : error.message,
           warnings: validationResult.warnings
         };
       }
     };
+
+    // Durable outbox for writes made while the server is unreachable
+    this.outbox = null;
+    if (this.outboxStorage === OUTBOX.STORAGE.CONTEXT || this.outboxStorage === OUTBOX.STORAGE.FILE) {
+      this.outbox = new WriteOutbox({
+        storage: this.outboxStorage === OUTBOX.STORAGE.FILE
+          ? new FileOutboxStorage(this.outboxFile)
+          : new ContextOutboxStorage(this.context(), this.outboxContextStore),
+        getClient: () => this.getClient(),
+        probe: () => this.testConnection(),
+        onFailure: (entry, error) => this.warn(
+          `Outbox write ${entry.operation} (${entry.idempotencyKey}) failed: ${error.message}`
+        ),
+        onError: (error) => this.error(`Outbox storage failed: ${error.message}`)
+      });
+    }
+
+    // Keep this server's cached weight statistics across restarts
+    this.statsCachePersistence = null;
+    if (this.statsCacheStorage === STATS_CACHE.STORAGE.CONTEXT || this.statsCacheStorage === STATS_CACHE.STORAGE.FILE) {
+      this.statsCachePersistence = new WeightStatsCachePersistence({
+        cache: getSharedCache(),
+        prefix: `${this.id}/`,
+        storage: this.statsCacheStorage === STATS_CACHE.STORAGE.FILE
+          ? new FileOutboxStorage(this.statsCacheFile)
+          : new ContextOutboxStorage(this.context(), this.statsCacheContextStore, STATS_CACHE.CONTEXT_KEY),
+        onError: (error) => this.warn(`Weight statistics cache storage failed: ${error.message}`)
+      });
+      this.statsCacheReady = this.statsCachePersistence.warmUp();
+    }
+
+    this.on('close', function (done) {
+      const persistence = this.statsCachePersistence;
+      this.statsCachePersistence = null;
+      if (this.outbox) {
+        this.outbox.dispose();
+        this.outbox = null;
+      }
+      if (this.client) {
+        this.client.dispose();
+        this.client = null;
+      }
+      if (this.tokenManager) {
+        this.tokenManager.clear();
+      }
+      if (persistence) {
+        persistence.dispose().then(() => done(), () => done());
+      } else {
+        done();
+      }
+    });
   }
 
   RED.nodes.registerType(NODE_RED.NODE_TYPES.CONFIG, WgerConfigNode, {
     credentials: {
       token: { type: NODE_RED.CREDENTIAL_TYPES.PASSWORD },
       username: { type: NODE_RED.CREDENTIAL_TYPES.TEXT },
-      password: { type: NODE_RED.CREDENTIAL_TYPES.PASSWORD }
+      password: { type: NODE_RED.CREDENTIAL_TYPES.PASSWORD },
+      feedSecret: { type: NODE_RED.CREDENTIAL_TYPES.PASSWORD }
     }
   });
 
   // Helper function to get auth header for test connection
-  function getAuthHeaderForTest(config) {
+  async function getAuthHeaderForTest(config) {
     const { authType, credentials } = config;
     
-    if (authType === 'token' && credentials && credentials.token) {
+    if (authType === 'jwt' && credentials && credentials.username && credentials.password) {
+      // Log in once to verify the credentials; the tokens are discarded afterwards
+      const tokenManager = new JwtTokenManager({
+        apiUrl: config.apiUrl,
+        username: credentials.username,
+        password: credentials.password
+      });
+      return tokenManager.getAuthHeader();
+    } else if (authType === 'token' && credentials && credentials.token) {
       return { Authorization: `Token ${credentials.token}` };
     } else if (authType === 'jwt' && credentials && credentials.token) {
       return { Authorization: `Bearer ${credentials.token}` };
@@ -184,9 +372,11 @@ module.exports = function (RED) {
         
         // Perform the connection test with validated URL
         const axios = require('axios');
-        const authHeader = getAuthHeaderForTest(testConfig);
-        
         try {
+          const authHeader = await getAuthHeaderForTest({
+            ...testConfig,
+            apiUrl: validationResult.normalizedUrl || testConfig.apiUrl
+          });
           const baseUrl = (validationResult.normalizedUrl || testConfig.apiUrl).replace(/\/$/, '');
           const testUrl = `${baseUrl}${API.ENDPOINTS.INFO}`;
           const response = await axios({
@@ -209,7 +399,10 @@ module.exports = function (RED) {
           });
         } catch (error) {
           let errorMessage = 'Connection failed';
-          if (error.response) {
+          if (error.status) {
+            // JWT login was rejected before the test request was sent
+            errorMessage += `: ${error.message}`;
+          } else if (error.response) {
             errorMessage += `: ${error.response.status} ${error.response.statusText}`;
             if (error.response.status === 401) {
               errorMessage += ' (Authentication required - check your token)';
@@ -222,7 +415,7 @@ module.exports = function (RED) {
           
           res.json({
             success: false,
-            status: error.response ? error.response.status : 0,
+            status: error.response ? error.response.status : (error.status || 0),
             message: errorMessage,
             warnings: validationResult.warnings
           });
@@ -11,8 +11,8 @@ module.exports = function (RED) {
     const node = this;
 
     // Operation handler using the registry pattern
-    const handleExerciseOperation = async (client, operation, payload) => {
-      return await operationRegistry.execute(operation, client, payload);
+    const handleExerciseOperation = async (client, operation, payload, context) => {
+      return await operationRegistry.execute(operation, client, payload, context);
     };
 
     // Setup node using base handler
@@ -0,0 +1,23 @@
+const BaseNodeHandler = require('../utils/base-node-handler');
+const OperationRegistry = require('../utils/operation-registry');
+const measurementOperations = require('./operations/measurement-operations');
+
+module.exports = function (RED) {
+  // Create and configure the operation registry for measurement operations
+  const operationRegistry = new OperationRegistry();
+  operationRegistry.registerAll(measurementOperations);
+
+  function WgerMeasurementNode(config) {
+    const node = this;
+
+    // Operation handler using the registry pattern
+    const handleMeasurementOperation = async (client, operation, payload, context) => {
+      return await operationRegistry.execute(operation, client, payload, context);
+    };
+
+    // Setup node using base handler
+    BaseNodeHandler.setupNode(RED, node, config, handleMeasurementOperation);
+  }
+
+  RED.nodes.registerType('wger-measurement', WgerMeasurementNode);
+};
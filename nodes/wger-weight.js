@@ -2,8 +2,9 @@ const BaseNodeHandler = require('../utils/base-node-handler');
 const OperationRegistry = require('../utils/operation-registry');
 const weightOperations = require('./operations/weight-operations');
 const WeightStatsCalculator = require('../utils/weight-stats-calculator');
+const UnitConverter = require('../utils/unit-converter');
 const { getSharedCache } = require('../utils/weight-stats-cache');
-const { API } = require('../utils/constants');
+const { API, NODE_RED, WEIGHT_UNITS } = require('../utils/constants');
 const InputValidator = require('../utils/input-validator');
 const validationSchemas = require('../utils/validation-schemas');
 
@@ -14,8 +15,60 @@ module.exports = function (RED) {
   // Register standard weight operations
   operationRegistry.registerAll(weightOperations);
   
+  // Calculation options that incrementally updated statistics cannot keep correct
+  const FULL_RECALC_OPTIONS = ['includeAdvanced', 'includeWeekly', 'includeMonthly', 'includeTrend',
+    'includeTrendLine', 'targetWeight', 'excludeOutliers'];
+  
+  // Entries statistics are calculated from unless the payload sets a limit or asks for all entries
+  const DEFAULT_STATS_LIMIT = 1000;
+  
+  // Operations that read or write weights in the account's unit beyond the fields of UNITS.FIELDS
+  const UNIT_AWARE_OPERATIONS = ['getWeightStats', 'importWeightEntries', 'getBodyCompositionStats',
+    'exportWeightEntries'];
+  
+  // Write operations that update or invalidate cached statistics
+  const CACHE_WRITE_OPERATIONS = ['createWeightEntry', 'updateWeightEntry', 'deleteWeightEntry', 'importWeightEntries'];
+  
+  // Cached statistics are scoped to the config node and the account it logs in as,
+  // so servers and users never see each other's data
+  const getCacheScope = (server) => {
+    const identity = typeof server.getUserIdentity === 'function' ? server.getUserIdentity() : 'anonymous';
+    return `${server.id}/${identity}`;
+  };
+  
+  // Adds a created entry to the cached statistics it falls into. Entries older than the
+  // newest cached one, statistics that depend on the whole series, and statistics whose
+  // entries reached their limit (the new entry would push the oldest out) are recalculated instead.
+  const addToCachedStats = (cache, cacheScope, created) => {
+    const date = String(created.date).substring(0, 10);
+    const entry = { ...created, weight: parseFloat(created.weight) };
+    
+    cache.update(cacheScope, (data, { startDate, endDate, options }) => {
+      if ((startDate !== 'all' && date < startDate) || (endDate !== 'all' && date > endDate)) {
+        return data;
+      }
+      const newest = data.stats && data.entries && data.entries[0];
+      const limit = options.limit || (options.includeAllEntries ? Infinity : DEFAULT_STATS_LIMIT);
+      if (!newest || date < String(newest.date).substring(0, 10) || FULL_RECALC_OPTIONS.some(name => options[name])
+        || data.entries.length >= limit) {
+        return null;
+      }
+      
+      const entries = [entry, ...data.entries];
+      // With the entries at hand the trend is cheap, so nothing is left for a full recalculation
+      const stats = WeightStatsCalculator.incrementalUpdate(data.stats, entry);
+      delete stats._needsFullRecalc;
+      return {
+        ...data,
+        stats: { ...stats, trend: WeightStatsCalculator.calculateTrend(entries) },
+        entries,
+        performance: { ...data.performance, entryCount: entries.length }
+      };
+    });
+  };
+  
   // Register custom getWeightStats operation with validation
-  operationRegistry.register('getWeightStats', async (client, payload) => {
+  operationRegistry.register('getWeightStats', async (client, payload, context = {}) => {
     // Validate payload for stats operation
     const statsSchema = {
       startDate: validationSchemas.weight.listWeightEntries.startDate || { type: InputValidator.TYPES.DATE, required: false },
@@ -25,19 +78,30 @@ module.exports = function (RED) {
       includeWeekly: { type: InputValidator.TYPES.BOOLEAN, required: false, default: false },
       includeMonthly: { type: InputValidator.TYPES.BOOLEAN, required: false, default: false },
       includeEntries: { type: InputValidator.TYPES.BOOLEAN, required: false, default: true },
-      includeAllEntries: { type: InputValidator.TYPES.BOOLEAN, required: false, default: false }
+      includeAllEntries: { type: InputValidator.TYPES.BOOLEAN, required: false, default: false },
+      includeTrend: { type: InputValidator.TYPES.BOOLEAN, required: false, default: false },
+      includeTrendLine: { type: InputValidator.TYPES.BOOLEAN, required: false, default: false },
+      smoothing: { type: InputValidator.TYPES.NUMBER, required: false, min: 0.01, max: 1 },
+      targetWeight: { type: InputValidator.TYPES.NUMBER, required: false, min: 0, max: 1000 },
+      excludeOutliers: { type: InputValidator.TYPES.BOOLEAN, required: false, default: false },
+      unit: { type: InputValidator.TYPES.STRING, required: false, enum: [WEIGHT_UNITS.KG, WEIGHT_UNITS.LB] }
     };
     
-    const validatedPayload = InputValidator.validatePayload(payload, statsSchema);
+    // Entries are stored in the account's unit; statistics are calculated in it and converted on output
+    const accountUnit = context.weightUnit || WEIGHT_UNITS.KG;
+    const validatedPayload = InputValidator.validatePayload({
+      ...payload,
+      targetWeight: UnitConverter.readValue(payload.targetWeight, accountUnit, 'targetWeight')
+    }, statsSchema);
     
     const cache = getSharedCache();
-    const userId = 'default'; // This will be set by the node instance
+    const userId = context.cacheScope || 'default';
     
-    const fetchData = async (startDate, endDate, _options) => {
+    const fetchData = async () => {
       // Optimize: Only fetch minimal required fields
       const params = {
-        date__gte: startDate,
-        date__lte: endDate,
+        date__gte: validatedPayload.startDate,
+        date__lte: validatedPayload.endDate,
         ordering: '-date'
       };
       
@@ -46,7 +110,7 @@ module.exports = function (RED) {
         params.limit = validatedPayload.limit;
       } else if (!validatedPayload.includeAllEntries) {
         // Default to reasonable limit for statistics calculation
-        params.limit = 1000; // Enough for accurate statistics
+        params.limit = DEFAULT_STATS_LIMIT; // Enough for accurate statistics
       }
       
       return await client.get(API.ENDPOINTS.WEIGHT_ENTRIES, params);
@@ -69,7 +133,14 @@ module.exports = function (RED) {
       const calcOptions = {
         includeAdvanced: validatedPayload.includeAdvanced || false,
         includeWeekly: validatedPayload.includeWeekly || false,
-        includeMonthly: validatedPayload.includeMonthly || false
+        includeMonthly: validatedPayload.includeMonthly || false,
+        includeTrend: validatedPayload.includeTrend || false,
+        includeTrendLine: validatedPayload.includeTrendLine || false,
+        smoothing: validatedPayload.smoothing,
+        targetWeight: validatedPayload.targetWeight,
+        excludeOutliers: validatedPayload.excludeOutliers || false,
+        timeZone: context.timeZone,
+        weekStart: context.weekStart
       };
       
       // Use optimized calculator
@@ -92,12 +163,22 @@ module.exports = function (RED) {
         fetchData,
         calculateStats,
         userId,
-        validatedPayload.startDate || '',
-        validatedPayload.endDate || '',
+        validatedPayload.startDate || 'all',
+        validatedPayload.endDate || 'all',
         { 
+          limit: validatedPayload.limit,
+          includeAllEntries: validatedPayload.includeAllEntries,
+          includeEntries: validatedPayload.includeEntries,
           includeAdvanced: validatedPayload.includeAdvanced,
           includeWeekly: validatedPayload.includeWeekly,
-          includeMonthly: validatedPayload.includeMonthly
+          includeMonthly: validatedPayload.includeMonthly,
+          includeTrend: validatedPayload.includeTrend,
+          includeTrendLine: validatedPayload.includeTrendLine,
+          smoothing: validatedPayload.smoothing,
+          targetWeight: validatedPayload.targetWeight,
+          excludeOutliers: validatedPayload.excludeOutliers,
+          timeZone: context.timeZone,
+          weekStart: context.weekStart
         }
       );
       
@@ -116,23 +197,47 @@ module.exports = function (RED) {
       result = calculateStats(entries);
     }
     
-    return result;
+    const unit = validatedPayload.unit || accountUnit;
+    if (unit === accountUnit) {
+      return { ...result, unit };
+    }
+    return {
+      ...result,
+      stats: WeightStatsCalculator.convertUnits(result.stats, accountUnit, unit),
+      entries: result.entries.map(entry => ({
+        ...entry,
+        weight: UnitConverter.convert(parseFloat(entry.weight), accountUnit, unit)
+      })),
+      unit
+    };
   });
 
   function WgerWeightNode(config) {
     const node = this;
 
     // Create custom operation handler that wraps the registry
-    const handleWeightOperation = async (client, operation, payload) => {
-      const result = await operationRegistry.execute(operation, client, payload);
+    const handleWeightOperation = async (client, operation, payload, context) => {
+      const cacheScope = getCacheScope(node.server);
+      // Let persisted statistics load first, so they are neither fetched again nor overwrite newer changes
+      if (node.server.statsCacheReady && (operation === 'getWeightStats' || CACHE_WRITE_OPERATIONS.includes(operation))) {
+        await node.server.statsCacheReady;
+      }
+      const weightUnit = UNIT_AWARE_OPERATIONS.includes(operation)
+        ? await BaseNodeHandler.getWeightUnit(node.server)
+        : undefined;
+      const result = await operationRegistry.execute(operation, client, payload, { ...context, cacheScope, weightUnit });
       
-      // Handle cache invalidation for write operations
-      if (['createWeightEntry', 'updateWeightEntry', 'deleteWeightEntry'].includes(operation)) {
+      // Keep cached statistics of this server and user in step with write operations
+      if (CACHE_WRITE_OPERATIONS.includes(operation)) {
         try {
           const cache = getSharedCache();
-          cache.invalidate(config.server || 'default');
+          if (operation === 'createWeightEntry' && result && !result.batch && result.date !== undefined) {
+            addToCachedStats(cache, cacheScope, result);
+          } else {
+            cache.invalidate(cacheScope);
+          }
         } catch (cacheError) {
-          // Cache invalidation failed - continue silently
+          // Cache update failed - continue silently
         }
       }
       
@@ -144,4 +249,24 @@ module.exports = function (RED) {
   }
 
   RED.nodes.registerType('wger-weight', WgerWeightNode);
-};
\ No newline at end of file
+
+  // Admin route to inspect the weight statistics cache, optionally for one config node
+  RED.httpAdmin.get(NODE_RED.ADMIN_ROUTES.WEIGHT_STATS_CACHE, RED.auth.needsPermission('wger-weight.read'), function (req, res) {
+    const cache = getSharedCache();
+    const server = req.query.server;
+    res.json({ metrics: cache.getMetrics(), entries: cache.inspect(server ? `${server}/` : undefined) });
+  });
+
+  // Admin route to clear the weight statistics cache, optionally for one config node
+  RED.httpAdmin.delete(NODE_RED.ADMIN_ROUTES.WEIGHT_STATS_CACHE, RED.auth.needsPermission('wger-weight.write'), function (req, res) {
+    const cache = getSharedCache();
+    const server = req.query.server;
+    if (server) {
+      res.json({ cleared: cache.invalidatePrefix(`${server}/`) });
+      return;
+    }
+    const cleared = cache.getMetrics().currentSize;
+    cache.clear();
+    res.json({ cleared });
+  });
+};
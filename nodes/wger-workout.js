@@ -1,18 +1,71 @@
+const { timingSafeEqual } = require('crypto');
 const BaseNodeHandler = require('../utils/base-node-handler');
 const OperationRegistry = require('../utils/operation-registry');
+const Calendar = require('../utils/calendar');
+const InputValidator = require('../utils/input-validator');
+const validationSchemas = require('../utils/validation-schemas');
 const workoutOperations = require('./operations/workout-operations');
+const { NODE_RED, CALENDAR, ICS, ERRORS } = require('../utils/constants');
 
 module.exports = function (RED) {
   // Create and configure the operation registry for workout operations
   const operationRegistry = new OperationRegistry();
   operationRegistry.registerAll(workoutOperations);
 
+  // Operations that report weights in the account's unit unless the payload names one
+  const UNIT_AWARE_OPERATIONS = ['getPersonalRecords', 'detectNewRecords', 'getTrainingVolume', 'suggestNextSession', 'logSession'];
+
+  // Resolves the client of another wger-config node, e.g. the target account of cloneWorkout
+  const getServerClient = (serverId) => {
+    const server = RED.nodes.getNode(serverId);
+    if (!server || server.type !== NODE_RED.NODE_TYPES.CONFIG) {
+      throw new Error(ERRORS.SERVER_NOT_FOUND.replace('{server}', serverId));
+    }
+    return BaseNodeHandler.getClient(server);
+  };
+
+  // Schedule ids in feed paths are plain positive integers; anything else reads as 0
+  const parseScheduleId = value => (/^\d+$/.test(String(value)) ? Number(value) : 0);
+
+  // Path of the token-protected feed of a schedule on the flows' HTTP server, null without a feed secret
+  const getFeedPath = (server, scheduleId) => {
+    const token = server.getFeedToken(scheduleId);
+    if (!token) {
+      return null;
+    }
+    const root = typeof RED.settings.httpNodeRoot === 'string' ? RED.settings.httpNodeRoot.replace(/\/$/, '') : '';
+    const route = NODE_RED.NODE_ROUTES.SCHEDULE_FEED.replace(':server', server.id).replace(':scheduleId', scheduleId);
+    return `${root}${route}?token=${encodeURIComponent(token)}`;
+  };
+
+  // Address calendar apps can subscribe to a schedule with; the admin route needs an editor login they cannot give
+  operationRegistry.register('getScheduleFeedUrl', async (client, payload, context = {}) => {
+    const validated = InputValidator.validatePayload(payload, validationSchemas.workout.getScheduleFeedUrl);
+    const scheduleId = parseScheduleId(validated.scheduleId);
+    if (scheduleId < 1) {
+      throw new Error(ERRORS.INVALID_SCHEDULE_ID.replace('{scheduleId}', validated.scheduleId));
+    }
+    const path = context.getFeedPath(scheduleId);
+    if (!path) {
+      throw new Error(ERRORS.FEED_DISABLED);
+    }
+    return { scheduleId, path };
+  });
+
   function WgerWorkoutNode(config) {
     const node = this;
 
     // Operation handler using the registry pattern
-    const handleWorkoutOperation = async (client, operation, payload) => {
-      return await operationRegistry.execute(operation, client, payload);
+    const handleWorkoutOperation = async (client, operation, payload, context) => {
+      const weightUnit = UNIT_AWARE_OPERATIONS.includes(operation)
+        ? await BaseNodeHandler.getWeightUnit(node.server)
+        : undefined;
+      return await operationRegistry.execute(operation, client, payload, {
+        ...context,
+        getServerClient,
+        getFeedPath: scheduleId => getFeedPath(node.server, scheduleId),
+        weightUnit
+      });
     };
 
     // Setup node using base handler
@@ -20,4 +73,65 @@ module.exports = function (RED) {
   }
 
   RED.nodes.registerType('wger-workout', WgerWorkoutNode);
+
+  // Answers a feed request with the schedule's iCalendar document: 400 for an invalid id or
+  // dates, 404 for a schedule wger does not know
+  const sendScheduleFeed = async (server, req, res) => {
+    const scheduleId = parseScheduleId(req.params.scheduleId);
+    if (scheduleId < 1) {
+      res.status(400).json({ error: ERRORS.INVALID_SCHEDULE_ID.replace('{scheduleId}', req.params.scheduleId) });
+      return;
+    }
+
+    let payload;
+    try {
+      const query = Calendar.convertPayload({
+        scheduleId,
+        startDate: req.query.startDate,
+        endDate: req.query.endDate
+      }, CALENDAR.FIELDS['wger-workout'].exportScheduleIcs, Calendar.resolveTimeZone(server.timeZone));
+      payload = InputValidator.validatePayload(query, validationSchemas.workout.exportScheduleIcs);
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+      return;
+    }
+
+    try {
+      const ics = await workoutOperations.exportScheduleIcs(BaseNodeHandler.getClient(server), payload);
+      res.set('Content-Type', ICS.CONTENT_TYPE);
+      res.send(ics);
+    } catch (error) {
+      res.status(error.status === 404 ? 404 : 500).json({ error: error.message });
+    }
+  };
+
+  // Admin route serving a schedule to the editor and, without adminAuth, to calendar apps on this machine
+  RED.httpAdmin.get(NODE_RED.ADMIN_ROUTES.SCHEDULE_ICS, RED.auth.needsPermission('wger-workout.read'), async function (req, res) {
+    const server = RED.nodes.getNode(req.params.server);
+    if (!server || server.type !== NODE_RED.NODE_TYPES.CONFIG) {
+      res.status(404).json({ error: ERRORS.SERVER_NOT_FOUND.replace('{server}', req.params.server) });
+      return;
+    }
+    await sendScheduleFeed(server, req, res);
+  });
+
+  // Subscribable feed on the flows' HTTP server; the token in the address (see getScheduleFeedUrl) replaces the login
+  RED.httpNode.get(NODE_RED.NODE_ROUTES.SCHEDULE_FEED, async function (req, res) {
+    const server = RED.nodes.getNode(req.params.server);
+    if (!server || server.type !== NODE_RED.NODE_TYPES.CONFIG) {
+      res.status(404).json({ error: ERRORS.SERVER_NOT_FOUND.replace('{server}', req.params.server) });
+      return;
+    }
+    const expected = server.getFeedToken(parseScheduleId(req.params.scheduleId));
+    if (!expected) {
+      res.status(404).json({ error: ERRORS.FEED_DISABLED });
+      return;
+    }
+    const given = Buffer.from(String(req.query.token || ''));
+    if (given.length !== Buffer.byteLength(expected) || !timingSafeEqual(given, Buffer.from(expected))) {
+      res.status(403).json({ error: ERRORS.FEED_TOKEN_INVALID });
+      return;
+    }
+    await sendScheduleFeed(server, req, res);
+  });
 };
@@ -163,6 +163,148 @@ describe('WgerApiClient', function () {
     });
   });
 
+  describe('refreshable auth', function () {
+    const jsonResponse = (status, body) => ({
+      ok: status < 400,
+      status,
+      statusText: status === 401 ? 'Unauthorized' : 'OK',
+      text: () => Promise.resolve(JSON.stringify(body))
+    });
+
+    it('should resolve a function auth header before each request', async function () {
+      const authHeader = sinon.stub().resolves({ Authorization: 'Bearer access-1' });
+      client = new WgerApiClient('https://test.api', authHeader);
+      fetchStub.resolves(jsonResponse(200, { success: true }));
+
+      await client.get('/test');
+
+      sinon.assert.calledOnce(authHeader);
+      fetchStub.firstCall.args[1].headers.should.have.property('Authorization', 'Bearer access-1');
+    });
+
+    it('should refresh and retry once on 401', async function () {
+      const authHeader = sinon.stub();
+      authHeader.onFirstCall().resolves({ Authorization: 'Bearer expired' });
+      authHeader.onSecondCall().resolves({ Authorization: 'Bearer fresh' });
+      client = new WgerApiClient('https://test.api', authHeader);
+      fetchStub.onFirstCall().resolves(jsonResponse(401, { detail: 'Token is invalid or expired' }));
+      fetchStub.onSecondCall().resolves(jsonResponse(200, { success: true }));
+
+      const result = await client.get('/test');
+
+      result.should.have.property('success', true);
+      authHeader.secondCall.args[0].should.deepEqual({ forceRefresh: true });
+      fetchStub.secondCall.args[1].headers.should.have.property('Authorization', 'Bearer fresh');
+    });
+
+    it('should give up after one retry', async function () {
+      const authHeader = sinon.stub().resolves({ Authorization: 'Bearer rejected' });
+      client = new WgerApiClient('https://test.api', authHeader);
+      fetchStub.resolves(jsonResponse(401, { detail: 'Token is invalid or expired' }));
+
+      try {
+        await client.get('/test');
+        should.fail('Should have thrown error');
+      } catch (error) {
+        error.should.have.property('status', 401);
+        fetchStub.callCount.should.equal(2);
+      }
+    });
+
+    it('should not retry 401 responses for static auth headers', async function () {
+      fetchStub.resolves(jsonResponse(401, { detail: 'Invalid token.' }));
+
+      try {
+        await client.get('/test');
+        should.fail('Should have thrown error');
+      } catch (error) {
+        error.should.have.property('status', 401);
+        fetchStub.callCount.should.equal(1);
+      }
+    });
+  });
+
+  describe('response cache', function () {
+    const MUSCLES = '/api/v2/muscle/';
+    let timeProvider;
+
+    const cachedResponse = (status, body, etag) => ({
+      ok: status < 400,
+      status,
+      statusText: status === 304 ? 'Not Modified' : 'OK',
+      headers: { get: name => (name === 'etag' ? etag : null) },
+      text: () => Promise.resolve(status === 304 ? '' : JSON.stringify(body))
+    });
+
+    beforeEach(function () {
+      const { MockTimeProvider } = require('../utils/time-provider');
+      timeProvider = new MockTimeProvider();
+      client = new WgerApiClient('https://test.api', { Authorization: 'Token test-token' }, {
+        cache: { ttls: { [MUSCLES]: 1000 } },
+        timeProvider
+      });
+    });
+
+    it('should serve fresh GET responses from the cache', async function () {
+      fetchStub.resolves(cachedResponse(200, { results: ['biceps'] }, '"v1"'));
+
+      await client.get(MUSCLES, { limit: 20 });
+      const result = await client.get(MUSCLES, { limit: 20 });
+
+      result.should.deepEqual({ results: ['biceps'] });
+      fetchStub.callCount.should.equal(1);
+    });
+
+    it('should not cache endpoints without a TTL', async function () {
+      fetchStub.resolves(cachedResponse(200, { results: [] }));
+
+      await client.get('/api/v2/workout/');
+      await client.get('/api/v2/workout/');
+
+      fetchStub.callCount.should.equal(2);
+    });
+
+    it('should revalidate stale entries with If-None-Match', async function () {
+      fetchStub.onFirstCall().resolves(cachedResponse(200, { results: ['biceps'] }, '"v1"'));
+      fetchStub.onSecondCall().resolves(cachedResponse(304, null, '"v1"'));
+
+      await client.get(MUSCLES);
+      timeProvider.advanceTime(1000);
+      const result = await client.get(MUSCLES);
+
+      result.should.deepEqual({ results: ['biceps'] });
+      fetchStub.secondCall.args[1].headers.should.have.property('If-None-Match', '"v1"');
+
+      await client.get(MUSCLES);
+      fetchStub.callCount.should.equal(2);
+    });
+
+    it('should invalidate cached responses after a write to the same resource', async function () {
+      fetchStub.resolves(cachedResponse(200, { results: [] }, '"v1"'));
+
+      await client.get(MUSCLES);
+      await client.patch(`${MUSCLES}3/`, { name: 'Biceps' });
+      await client.get(MUSCLES);
+
+      fetchStub.callCount.should.equal(3);
+      fetchStub.thirdCall.args[1].headers.should.not.have.property('If-None-Match');
+    });
+  });
+
+  describe('dispose', function () {
+    it('should reject requests after dispose', async function () {
+      client.dispose();
+
+      try {
+        await client.get('/test');
+        should.fail('Should have thrown error');
+      } catch (error) {
+        error.message.should.equal('API client has been disposed (server config closed)');
+        fetchStub.should.not.have.been.called;
+      }
+    });
+  });
+
   describe('convenience methods', function () {
     let makeRequestStub;
 
@@ -1,6 +1,7 @@
 const should = require('should');
 const OperationBuilders = require('../utils/operation-builders');
 const sinon = require('sinon');
+const { PAGINATION } = require('../utils/constants');
 
 describe('OperationBuilders', function () {
   let client;
@@ -61,6 +62,145 @@ describe('OperationBuilders', function () {
     });
   });
 
+  describe('listOperation pagination', function () {
+    it('should follow next links and merge results when fetchAll is set', async function () {
+      const handler = OperationBuilders.listOperation('/api/test/', { workout: 'workout' });
+      client.get.onFirstCall().resolves({
+        count: 3,
+        next: 'https://wger.de/api/test/?limit=2&offset=2&workout=5',
+        previous: null,
+        results: [{ id: 1 }, { id: 2 }]
+      });
+      client.get.onSecondCall().resolves({
+        count: 3,
+        next: null,
+        previous: 'https://wger.de/api/test/?limit=2&workout=5',
+        results: [{ id: 3 }]
+      });
+
+      const result = await handler(client, { workout: 5, fetchAll: true, pageSize: 2 });
+
+      sinon.assert.calledTwice(client.get);
+      sinon.assert.calledWith(client.get.firstCall, '/api/test/', { workout: 5, limit: 2 });
+      sinon.assert.calledWith(client.get.secondCall, '/api/test/', { workout: '5', limit: '2', offset: '2' });
+      result.results.map(r => r.id).should.deepEqual([1, 2, 3]);
+      result.should.have.property('count', 3);
+      result.should.have.property('pages', 2);
+      result.should.have.property('truncated', false);
+      should(result.next).be.null();
+    });
+
+    it('should stop at maxPages and report truncation', async function () {
+      const handler = OperationBuilders.listOperation('/api/test/');
+      client.get.resolves({
+        count: 100,
+        next: 'https://wger.de/api/test/?limit=10&offset=10',
+        results: [{ id: 1 }]
+      });
+
+      const result = await handler(client, { maxPages: 3 });
+
+      sinon.assert.calledThrice(client.get);
+      result.should.have.property('pages', 3);
+      result.should.have.property('truncated', true);
+      result.next.should.equal('https://wger.de/api/test/?limit=10&offset=10');
+    });
+
+    it('should cap the page size', async function () {
+      client.get.resolves({ count: 0, next: null, results: [] });
+
+      await OperationBuilders.fetchAllPages(client, '/api/test/', {}, { pageSize: 10000 });
+
+      sinon.assert.calledWith(client.get, '/api/test/', { limit: 500 });
+    });
+
+    it('should return non-paginated responses unchanged', async function () {
+      const handler = OperationBuilders.listOperation('/api/test/');
+      client.get.resolves([{ id: 1 }]);
+
+      const result = await handler(client, { fetchAll: true });
+
+      sinon.assert.calledOnce(client.get);
+      result.should.deepEqual([{ id: 1 }]);
+    });
+
+    it('should not paginate without fetchAll or maxPages', async function () {
+      const handler = OperationBuilders.listOperation('/api/test/', {}, {
+        limit: { type: 'integer', required: false }
+      });
+      client.get.resolves({ next: 'https://wger.de/api/test/?offset=20', results: [] });
+
+      await handler(client, { fetchAll: false });
+
+      sinon.assert.calledOnce(client.get);
+      sinon.assert.calledWith(client.get, '/api/test/', {});
+    });
+
+    it('should hand each page to onPage without accumulating when streaming', async function () {
+      const handler = OperationBuilders.listOperation('/api/test/');
+      const onPage = sinon.stub().resolves();
+      client.get.onFirstCall().resolves({
+        count: 3,
+        next: 'https://wger.de/api/test/?limit=2&offset=2',
+        results: [{ id: 1 }, { id: 2 }]
+      });
+      client.get.onSecondCall().resolves({ count: 3, next: null, results: [{ id: 3 }] });
+
+      const result = await handler(client, { pageSize: 2 }, { onPage });
+
+      sinon.assert.calledTwice(onPage);
+      sinon.assert.calledWith(onPage.firstCall, [{ id: 1 }, { id: 2 }], { index: 0, count: 3, pageSize: 2 });
+      sinon.assert.calledWith(onPage.secondCall, [{ id: 3 }], { index: 1, count: 3, pageSize: 2 });
+      result.results.should.deepEqual([]);
+      result.should.have.property('records', 3);
+      result.should.have.property('pages', 2);
+      result.should.have.property('streamed', true);
+    });
+
+    it('should stream past the default page limit unless maxPages is given', async function () {
+      const handler = OperationBuilders.listOperation('/api/test/');
+      const onPage = sinon.stub().resolves();
+      const pages = PAGINATION.DEFAULT_MAX_PAGES + 10;
+      for (let index = 0; index < pages; index++) {
+        client.get.onCall(index).resolves({
+          count: pages,
+          next: index < pages - 1 ? `https://wger.de/api/test/?limit=1&offset=${index + 1}` : null,
+          results: [{ id: index + 1 }]
+        });
+      }
+
+      const result = await handler(client, { pageSize: 1 }, { onPage });
+
+      onPage.callCount.should.equal(pages);
+      result.should.have.properties({ records: pages, pages, truncated: false });
+
+      client.get.resetHistory();
+      const limited = await handler(client, { pageSize: 1, maxPages: 5 }, { onPage });
+      sinon.assert.callCount(client.get, 5);
+      limited.should.have.properties({ pages: 5, truncated: true });
+    });
+
+    it('should stop when onPage resolves to false', async function () {
+      client.get.resolves({ count: 100, next: 'https://wger.de/api/test/?limit=1&offset=1', results: [{ id: 1 }] });
+
+      const result = await OperationBuilders.fetchAllPages(client, '/api/test/', {}, { onPage: async () => false });
+
+      sinon.assert.calledOnce(client.get);
+      result.should.have.properties({ pages: 1, truncated: false });
+    });
+
+    it('should reject invalid pagination options', async function () {
+      const handler = OperationBuilders.listOperation('/api/test/');
+
+      try {
+        await handler(client, { maxPages: 0 });
+        should.fail('Should have thrown error');
+      } catch (error) {
+        error.message.should.match(/maxPages/);
+      }
+    });
+  });
+
   describe('getByIdOperation', function () {
     it('should create a get by ID operation handler', async function () {
       const handler = OperationBuilders.getByIdOperation('/api/test/{id}/', 'testId');
@@ -177,6 +317,78 @@ describe('OperationBuilders', function () {
     });
   });
 
+  describe('batch mode', function () {
+    const schema = { name: { type: 'string', required: true } };
+
+    it('should run create operations for every item and report each result', async function () {
+      const handler = OperationBuilders.createOperation('/api/test/', null, schema);
+      client.post.callsFake(async (endpoint, data) => ({ id: data.name.length }));
+
+      const result = await handler(client, [{ name: 'a' }, { name: 'bb' }]);
+
+      result.should.deepEqual({
+        batch: true,
+        total: 2,
+        succeeded: 2,
+        failed: 0,
+        results: [
+          { index: 0, success: true, result: { id: 1 } },
+          { index: 1, success: true, result: { id: 2 } }
+        ]
+      });
+    });
+
+    it('should validate items separately and continue after failures', async function () {
+      const handler = OperationBuilders.createOperation('/api/test/', null, schema);
+      client.post.onFirstCall().rejects(Object.assign(new Error('Bad Request'), { status: 400 }));
+      client.post.onSecondCall().resolves({ id: 3 });
+
+      const result = await handler(client, [{ name: 'a' }, {}, { name: 'c' }], { concurrency: 1 });
+
+      result.should.have.properties({ total: 3, succeeded: 1, failed: 2 });
+      result.results[0].should.deepEqual({ index: 0, success: false, error: 'Bad Request', status: 400 });
+      result.results[1].success.should.be.false();
+      result.results[1].error.should.match(/name/);
+      result.results[2].should.deepEqual({ index: 2, success: true, result: { id: 3 } });
+      sinon.assert.calledTwice(client.post);
+    });
+
+    it('should batch update and delete operations', async function () {
+      client.patch.resolves({});
+      client.delete.resolves({});
+      const update = OperationBuilders.updateOperation('/api/test/{id}/', 'itemId');
+      const remove = OperationBuilders.deleteOperation('/api/test/{id}/', 'itemId');
+
+      (await update(client, [{ itemId: 1, name: 'x' }, { itemId: 2, name: 'y' }])).succeeded.should.equal(2);
+      (await remove(client, [{ itemId: 1 }, { itemId: 2 }])).succeeded.should.equal(2);
+
+      sinon.assert.calledWith(client.patch, '/api/test/2/', { name: 'y' });
+      sinon.assert.calledWith(client.delete, '/api/test/1/');
+    });
+
+    it('should limit the number of items in flight', async function () {
+      let inFlight = 0;
+      let maxInFlight = 0;
+      const items = Array.from({ length: 6 }, (_, index) => ({ index }));
+
+      await OperationBuilders.runBatch(items, async () => {
+        inFlight++;
+        maxInFlight = Math.max(maxInFlight, inFlight);
+        await new Promise(resolve => setImmediate(resolve));
+        inFlight--;
+      }, { concurrency: 2 });
+
+      maxInFlight.should.equal(2);
+    });
+
+    it('should reject oversized batches and invalid concurrency', async function () {
+      await OperationBuilders.runBatch(new Array(1001).fill({}), async () => {})
+        .should.be.rejectedWith('Batch payload has 1001 items (maximum 1000)');
+      await OperationBuilders.runBatch([{}], async () => {}, { concurrency: 0 })
+        .should.be.rejectedWith(/concurrency/);
+    });
+  });
+
   describe('customOperation', function () {
     it('should create a custom operation with validation', async function () {
       const customHandler = async (client, payload) => {
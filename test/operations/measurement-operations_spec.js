@@ -0,0 +1,206 @@
+const should = require('should');
+const measurementOperations = require('../../nodes/operations/measurement-operations');
+const sinon = require('sinon');
+
+describe('Measurement Operations', function () {
+  let client;
+
+  beforeEach(function () {
+    client = {
+      get: sinon.stub(),
+      post: sinon.stub(),
+      patch: sinon.stub(),
+      delete: sinon.stub()
+    };
+  });
+
+  describe('measurement categories', function () {
+    it('should list measurement categories', async function () {
+      client.get.resolves({ results: [] });
+
+      await measurementOperations.listMeasurementCategories(client, {});
+
+      sinon.assert.calledOnce(client.get);
+      sinon.assert.calledWith(client.get, '/api/v2/measurement-category/', {});
+    });
+
+    it('should create a measurement category', async function () {
+      client.post.resolves({ id: 3, name: 'Body fat', unit: '%' });
+
+      const result = await measurementOperations.createMeasurementCategory(client, {
+        name: 'Body fat',
+        unit: '%'
+      });
+
+      sinon.assert.calledWith(client.post, '/api/v2/measurement-category/', {
+        name: 'Body fat',
+        unit: '%'
+      });
+      result.should.have.property('id', 3);
+    });
+
+    it('should require a unit when creating a category', async function () {
+      try {
+        await measurementOperations.createMeasurementCategory(client, { name: 'Waist' });
+        should.fail('Should have thrown error');
+      } catch (error) {
+        error.message.should.match(/unit/);
+      }
+    });
+
+    it('should update a measurement category without sending the id', async function () {
+      client.patch.resolves({ id: 3 });
+
+      await measurementOperations.updateMeasurementCategory(client, { categoryId: 3, unit: 'in' });
+
+      sinon.assert.calledOnce(client.patch);
+      client.patch.firstCall.args[0].should.equal('/api/v2/measurement-category/3/');
+      client.patch.firstCall.args[1].should.not.have.property('categoryId');
+      client.patch.firstCall.args[1].should.have.property('unit', 'in');
+    });
+
+    it('should delete a measurement category', async function () {
+      client.delete.resolves({});
+
+      await measurementOperations.deleteMeasurementCategory(client, { categoryId: 3 });
+
+      sinon.assert.calledWith(client.delete, '/api/v2/measurement-category/3/');
+    });
+  });
+
+  describe('measurements', function () {
+    it('should list measurements ordered by date by default', async function () {
+      client.get.resolves({ results: [] });
+
+      await measurementOperations.listMeasurements(client, {});
+
+      sinon.assert.calledWith(client.get, '/api/v2/measurement/', { ordering: '-date' });
+    });
+
+    it('should map category and date range filters', async function () {
+      client.get.resolves({ results: [] });
+
+      await measurementOperations.listMeasurements(client, {
+        category: 2,
+        startDate: '2025-01-01',
+        endDate: '2025-03-31',
+        limit: 50
+      });
+
+      sinon.assert.calledWith(client.get, '/api/v2/measurement/', {
+        category: 2,
+        date__gte: '2025-01-01',
+        date__lte: '2025-03-31',
+        ordering: '-date',
+        limit: 50
+      });
+    });
+
+    it('should reject an invalid ordering', async function () {
+      try {
+        await measurementOperations.listMeasurements(client, { ordering: 'notes' });
+        should.fail('Should have thrown error');
+      } catch (error) {
+        error.message.should.match(/ordering/);
+      }
+    });
+
+    it('should create a measurement', async function () {
+      client.post.resolves({ id: 10 });
+
+      await measurementOperations.createMeasurement(client, {
+        category: 3,
+        value: 18.4,
+        date: '2025-04-25'
+      });
+
+      sinon.assert.calledOnce(client.post);
+      client.post.firstCall.args[0].should.equal('/api/v2/measurement/');
+      client.post.firstCall.args[1].should.have.property('value', 18.4);
+    });
+
+    it('should require a value when creating a measurement', async function () {
+      try {
+        await measurementOperations.createMeasurement(client, { category: 3, date: '2025-04-25' });
+        should.fail('Should have thrown error');
+      } catch (error) {
+        error.message.should.match(/value/);
+      }
+    });
+
+    it('should get, update and delete a measurement by id', async function () {
+      client.get.resolves({ id: 10 });
+      client.patch.resolves({ id: 10 });
+      client.delete.resolves({});
+
+      await measurementOperations.getMeasurement(client, { measurementId: 10 });
+      await measurementOperations.updateMeasurement(client, { measurementId: 10, value: 82 });
+      await measurementOperations.deleteMeasurement(client, { measurementId: 10 });
+
+      sinon.assert.calledWith(client.get, '/api/v2/measurement/10/');
+      sinon.assert.calledWith(client.patch, '/api/v2/measurement/10/');
+      sinon.assert.calledWith(client.delete, '/api/v2/measurement/10/');
+    });
+  });
+
+  describe('latest values', function () {
+    it('should return the latest measurement of a category', async function () {
+      client.get.resolves({ results: [{ id: 7, value: 81.5 }] });
+
+      const result = await measurementOperations.getLatestMeasurement(client, { categoryId: 2 });
+
+      sinon.assert.calledWith(client.get, '/api/v2/measurement/', {
+        category: 2,
+        ordering: '-date',
+        limit: 1
+      });
+      result.should.deepEqual({ id: 7, value: 81.5 });
+    });
+
+    it('should return null when a category has no measurements', async function () {
+      client.get.resolves({ results: [] });
+
+      const result = await measurementOperations.getLatestMeasurement(client, { categoryId: 2 });
+
+      should(result).be.null();
+    });
+
+    it('should return the latest measurement of every category', async function () {
+      client.get.withArgs('/api/v2/measurement-category/').resolves({
+        results: [{ id: 1, name: 'Waist' }, { id: 2, name: 'Body fat' }]
+      });
+      client.get.withArgs('/api/v2/measurement/', sinon.match({ category: 1 })).resolves({
+        results: [{ id: 11, value: 84 }]
+      });
+      client.get.withArgs('/api/v2/measurement/', sinon.match({ category: 2 })).resolves({
+        results: []
+      });
+
+      const result = await measurementOperations.getLatestMeasurements(client, {});
+
+      result.should.have.length(2);
+      result[0].category.should.have.property('name', 'Waist');
+      result[0].latest.should.have.property('value', 84);
+      should(result[1].latest).be.null();
+    });
+
+    it('should read the categories of every page', async function () {
+      client.get.withArgs('/api/v2/measurement-category/', sinon.match({ offset: '1' })).resolves({
+        count: 2,
+        next: null,
+        results: [{ id: 2, name: 'Body fat' }]
+      });
+      client.get.withArgs('/api/v2/measurement-category/', sinon.match(params => params.offset === undefined)).resolves({
+        count: 2,
+        next: 'https://wger.de/api/v2/measurement-category/?limit=1&offset=1',
+        results: [{ id: 1, name: 'Waist' }]
+      });
+      client.get.withArgs('/api/v2/measurement/').resolves({ results: [{ id: 11, value: 84 }] });
+
+      const result = await measurementOperations.getLatestMeasurements(client, {});
+
+      result.map(entry => entry.category.id).should.deepEqual([1, 2]);
+      sinon.assert.calledWith(client.get, '/api/v2/measurement/', sinon.match({ category: 2 }));
+    });
+  });
+});
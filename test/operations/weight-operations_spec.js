@@ -0,0 +1,206 @@
+const should = require('should');
+const weightOperations = require('../../nodes/operations/weight-operations');
+const sinon = require('sinon');
+
+describe('Weight Operations', function () {
+  let client;
+
+  beforeEach(function () {
+    client = {
+      get: sinon.stub(),
+      post: sinon.stub(),
+      patch: sinon.stub(),
+      delete: sinon.stub()
+    };
+  });
+
+  describe('listWeightEntries', function () {
+    it('should map the date range to API filters', async function () {
+      client.get.resolves({ results: [] });
+
+      await weightOperations.listWeightEntries(client, { startDate: '2024-03-01', endDate: '2024-03-31' });
+
+      sinon.assert.calledWith(client.get, '/api/v2/weightentry/', sinon.match({
+        date__gte: '2024-03-01',
+        date__lte: '2024-03-31'
+      }));
+    });
+  });
+
+  describe('importWeightEntries', function () {
+    const csv = 'Date,Weight\n2024-03-01,80.0\n2024-03-02,81.0\n2024-03-03,82.0\nnot-a-date,80\n';
+
+    beforeEach(function () {
+      client.get.resolves({
+        count: 2,
+        next: null,
+        results: [
+          { id: 7, date: '2024-03-02', weight: '81.00' },
+          { id: 8, date: '2024-03-03T07:00:00Z', weight: '79.50' }
+        ]
+      });
+      client.post.resolves({ id: 9 });
+      client.patch.resolves({ id: 8 });
+    });
+
+    it('should query existing entries for the imported date range', async function () {
+      await weightOperations.importWeightEntries(client, { csv });
+
+      sinon.assert.calledWith(client.get, '/api/v2/weightentry/', sinon.match({
+        date__gte: '2024-03-01',
+        date__lte: '2024-03-04'
+      }));
+    });
+
+    it('should insert new dates and skip existing ones by default', async function () {
+      const report = await weightOperations.importWeightEntries(client, { csv });
+
+      sinon.assert.calledOnce(client.post);
+      sinon.assert.calledWith(client.post, '/api/v2/weightentry/', { date: '2024-03-01', weight: 80 });
+      sinon.assert.notCalled(client.patch);
+      report.should.have.properties({ total: 4, inserted: 1, updated: 0, skipped: 2, failed: 1 });
+      report.errors[0].should.have.properties({ row: 4 });
+    });
+
+    it('should update changed entries when duplicates are set to update', async function () {
+      const report = await weightOperations.importWeightEntries(client, { csv, duplicates: 'update' });
+
+      sinon.assert.calledOnce(client.patch);
+      client.patch.firstCall.args[0].should.equal('/api/v2/weightentry/8/');
+      client.patch.firstCall.args[1].should.have.property('weight', 82);
+      report.should.have.properties({ inserted: 1, updated: 1, skipped: 1 });
+    });
+
+    it('should report failed writes per row', async function () {
+      client.post.rejects(new Error('Bad Request'));
+
+      const report = await weightOperations.importWeightEntries(client, { csv });
+
+      report.should.have.properties({ inserted: 0, failed: 2 });
+      report.errors[0].should.deepEqual({ row: 1, date: '2024-03-01', error: 'Bad Request' });
+    });
+
+    it('should not query the API when no row can be parsed', async function () {
+      const report = await weightOperations.importWeightEntries(client, {
+        rows: [{ date: 'yesterday', weight: 80 }]
+      });
+
+      sinon.assert.notCalled(client.get);
+      report.should.have.properties({ total: 1, inserted: 0, failed: 1 });
+      should(report.errors).have.length(1);
+    });
+  });
+
+  describe('findSuspectWeightEntries', function () {
+    it('should fetch all entries in the range and list outliers', async function () {
+      client.get.resolves({
+        count: 5,
+        next: null,
+        results: [
+          { id: 5, date: '2024-03-05', weight: '80.20' },
+          { id: 4, date: '2024-03-04', weight: '8.10' },
+          { id: 3, date: '2024-03-03', weight: '80.60' },
+          { id: 2, date: '2024-03-02', weight: '80.90' },
+          { id: 1, date: '2024-03-01', weight: '81.00' }
+        ]
+      });
+
+      const result = await weightOperations.findSuspectWeightEntries(client, { startDate: '2024-03-01' });
+
+      sinon.assert.calledWith(client.get, '/api/v2/weightentry/', sinon.match({ date__gte: '2024-03-01' }));
+      result.checked.should.equal(5);
+      result.suspects.should.have.length(1);
+      result.suspects[0].should.have.properties({ id: 4, weight: 8.1, expected: 80.6 });
+    });
+
+    it('should validate detection options', async function () {
+      await weightOperations.findSuspectWeightEntries(client, { window: 2 }).should.be.rejectedWith(/window/);
+    });
+  });
+
+  describe('getBodyCompositionStats', function () {
+    const page = results => ({ count: results.length, next: null, results });
+
+    beforeEach(function () {
+      client.get.withArgs('/api/v2/userprofile/').resolves(page([{ id: 1, height: 180, age: 35, gender: '1' }]));
+      client.get.withArgs('/api/v2/weightentry/').resolves(page([
+        { id: 2, date: '2024-03-08', weight: '80.50' },
+        { id: 1, date: '2024-03-01', weight: '81.50' }
+      ]));
+      client.get.withArgs('/api/v2/measurement-category/').resolves(page([
+        { id: 3, name: 'Waist', unit: 'cm' },
+        { id: 4, name: 'Body fat', unit: '%' }
+      ]));
+      client.get.withArgs('/api/v2/measurement/').resolves(page([{ id: 9, category: 4, date: '2024-03-07', value: '20.0' }]));
+    });
+
+    it('should join profile, weight history and body-fat measurements', async function () {
+      const result = await weightOperations.getBodyCompositionStats(client, { startDate: '2024-03-01' });
+
+      sinon.assert.calledWith(client.get, '/api/v2/measurement/', sinon.match({ category: 4, date__gte: '2024-03-01' }));
+      result.bmi.should.have.properties({ current: 24.8, category: 'normal' });
+      result.bmi.categoryChanges.should.deepEqual([{ date: '2024-03-08', from: 'overweight', to: 'normal', bmi: 24.8 }]);
+      result.energy.should.have.properties({ bmr: 1760, activitySource: 'default', tdee: 2112 });
+      result.bodyComposition.latest.should.have.properties({ weightDate: '2024-03-08', leanMass: 64.4, fatMass: 16.1 });
+    });
+
+    it('should use the given body-fat category and the account unit', async function () {
+      client.get.withArgs('/api/v2/measurement-category/4/').resolves({ id: 4, name: 'BF' });
+
+      const result = await weightOperations.getBodyCompositionStats(client, { bodyFatCategory: 4 }, { weightUnit: 'lb' });
+
+      sinon.assert.neverCalledWith(client.get, '/api/v2/measurement-category/');
+      result.unit.should.equal('lb');
+      result.bmi.current.should.equal(11.3);
+      result.bodyComposition.category.should.deepEqual({ id: 4, name: 'BF' });
+    });
+
+    it('should leave out sections the data does not allow', async function () {
+      client.get.withArgs('/api/v2/userprofile/').resolves({ id: 1, height: null, age: null, gender: null });
+      client.get.withArgs('/api/v2/measurement-category/').resolves(page([{ id: 3, name: 'Waist' }]));
+
+      const result = await weightOperations.getBodyCompositionStats(client, {});
+
+      result.should.have.properties({ bmi: null, energy: null, bodyComposition: null });
+      result.missing.should.deepEqual(['height', 'age', 'gender']);
+    });
+  });
+
+  describe('exportWeightEntries', function () {
+    beforeEach(function () {
+      client.get.resolves({
+        count: 2,
+        next: null,
+        results: [
+          { id: 2, date: '2024-03-08', weight: '80.00' },
+          { id: 1, date: '2024-03-01', weight: '82.00' }
+        ]
+      });
+    });
+
+    it('should fetch all entries in the range and export them as CSV', async function () {
+      const csv = await weightOperations.exportWeightEntries(client, { startDate: '2024-03-01', endDate: '2024-03-31' });
+
+      sinon.assert.calledWith(client.get, '/api/v2/weightentry/', sinon.match({ date__gte: '2024-03-01', date__lte: '2024-03-31', limit: 500 }));
+      csv.should.equal('date,weight,unit\n2024-03-01,82,kg\n2024-03-08,80,kg');
+    });
+
+    it('should convert from the account unit and add the requested columns', async function () {
+      const lines = await weightOperations.exportWeightEntries(
+        client,
+        { format: 'jsonl', unit: 'kg', includeTrend: true, includeWeeklyAverage: true },
+        { weightUnit: 'lb' }
+      );
+
+      lines.split('\n').map(line => JSON.parse(line)).should.deepEqual([
+        { date: '2024-03-01', weight: 37.19, unit: 'kg', trend: 37.19, weeklyAverage: 37.19 },
+        { date: '2024-03-08', weight: 36.29, unit: 'kg', trend: 36.72, weeklyAverage: 36.29 }
+      ]);
+    });
+
+    it('should reject unknown formats', async function () {
+      await weightOperations.exportWeightEntries(client, { format: 'xlsx' }).should.be.rejected();
+      sinon.assert.notCalled(client.get);
+    });
+  });
+});
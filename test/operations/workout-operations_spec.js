@@ -0,0 +1,446 @@
+const should = require('should');
+const workoutOperations = require('../../nodes/operations/workout-operations');
+const sinon = require('sinon');
+
+describe('Workout Operations', function () {
+  let client;
+
+  beforeEach(function () {
+    client = {
+      get: sinon.stub(),
+      post: sinon.stub(),
+      patch: sinon.stub(),
+      delete: sinon.stub()
+    };
+  });
+
+  describe('cloneWorkout', function () {
+    const canonical = {
+      id: 5,
+      obj: { id: 5, name: 'Push Pull', description: 'Template' },
+      day_list: [{
+        obj: { id: 11, training: 5, description: 'Push', day: [1, 4] },
+        set_list: [{
+          obj: { id: 21, exerciseday: 11, sets: 3, order: 1, comment: '' },
+          exercise_list: [{
+            obj: { id: 192 },
+            setting_obj_list: [
+              { id: 31, set: 21, exercise_base: 192, repetition_unit: 1, reps: 8, weight: '60.00', weight_unit: 1, rir: '2', order: 1, comment: '' },
+              { id: 32, set: 21, exercise_base: 192, repetition_unit: 1, reps: 6, weight: '65.00', weight_unit: 1, rir: '1', order: 2, comment: '' }
+            ]
+          }]
+        }]
+      }]
+    };
+
+    beforeEach(function () {
+      let id = 100;
+      client.get.resolves(canonical);
+      client.post.callsFake(async (endpoint, data) => ({ id: ++id, ...data }));
+      client.delete.resolves(null);
+    });
+
+    it('should recreate the workout with its days, sets and settings', async function () {
+      const result = await workoutOperations.cloneWorkout(client, { workoutId: 5 });
+
+      sinon.assert.calledWith(client.get, '/api/v2/workout/5/canonical_representation/');
+      sinon.assert.calledWith(client.post, '/api/v2/workout/', { name: 'Push Pull (copy)', description: 'Template' });
+      sinon.assert.calledWith(client.post, '/api/v2/day/', { description: 'Push', day: [1, 4], workout: 101 });
+      sinon.assert.calledWith(client.post, '/api/v2/set/', { sets: 3, order: 1, comment: '', exerciseday: 102 });
+      sinon.assert.calledWith(client.post, '/api/v2/setting/', sinon.match({ set: 103, exercise_base: 192, reps: 6, weight: '65.00', order: 2 }));
+      result.should.have.properties({ sourceWorkoutId: 5, targetServer: null, created: { days: 1, sets: 1, settings: 2 } });
+      result.workout.should.have.properties({ id: 101, name: 'Push Pull (copy)' });
+    });
+
+    it('should create the copy on the target server with its exercise ids', async function () {
+      client.get.withArgs('/api/v2/exercisebaseinfo/192/').resolves({ id: 192, uuid: 'uuid-bench', exercises: [{ name: 'Bench Press', language: 2 }] });
+      const target = {
+        get: sinon.stub().withArgs('/api/v2/exercisebaseinfo/', { uuid: 'uuid-bench' }).resolves({ results: [{ id: 7, uuid: 'uuid-bench' }] }),
+        post: sinon.stub().callsFake(async (endpoint, data) => ({ id: 1, ...data })),
+        delete: sinon.stub()
+      };
+      const getServerClient = sinon.stub().withArgs('cfg2').returns(target);
+
+      const result = await workoutOperations.cloneWorkout(client, { workoutId: 5, name: 'Block 2', targetServer: 'cfg2' }, { getServerClient });
+
+      client.post.called.should.be.false();
+      sinon.assert.calledWith(target.post, '/api/v2/workout/', sinon.match({ name: 'Block 2' }));
+      target.post.withArgs('/api/v2/setting/').args.map(args => args[1].exercise_base).should.deepEqual([7, 7]);
+      result.targetServer.should.equal('cfg2');
+    });
+
+    it('should not write to the target server when an exercise is missing there', async function () {
+      client.get.withArgs('/api/v2/exercisebaseinfo/192/').resolves({ id: 192, uuid: 'uuid-bench', exercises: [{ name: 'Bench Press', language: 2 }] });
+      // A server ignoring the uuid filter returns unrelated exercises
+      const target = { get: sinon.stub().resolves({ results: [{ id: 192, uuid: 'uuid-squat' }] }), post: sinon.stub(), delete: sinon.stub() };
+
+      await workoutOperations.cloneWorkout(client, { workoutId: 5, targetServer: 'cfg2' }, { getServerClient: () => target })
+        .should.be.rejectedWith('Cloning workout 5 failed, nothing was created: exercises not found by UUID on the target server: 192 (Bench Press)');
+      target.post.called.should.be.false();
+    });
+
+    it('should delete created objects newest first when a step fails', async function () {
+      client.post.withArgs('/api/v2/setting/').rejects(new Error('Exercise not found'));
+
+      const error = await workoutOperations.cloneWorkout(client, { workoutId: 5 }).should.be.rejected();
+
+      error.message.should.equal('Cloning workout 5 failed: Exercise not found (3 of 3 created objects rolled back)');
+      error.cause.message.should.equal('Exercise not found');
+      client.delete.args.map(args => args[0]).should.deepEqual(['/api/v2/set/103/', '/api/v2/day/102/', '/api/v2/workout/101/']);
+      error.rollback.should.deepEqual({ deleted: 3, failed: [] });
+      error.report.should.deepEqual({ reason: 'Exercise not found', created: 3, rollback: { deleted: 3, failed: [] } });
+    });
+
+    it('should reject a target server without a resolver', async function () {
+      await workoutOperations.cloneWorkout(client, { workoutId: 5, targetServer: 'cfg2' })
+        .should.be.rejectedWith('Server config not found: cfg2');
+      should(client.get.called).be.false();
+    });
+  });
+
+  describe('exportWorkout and importWorkout', function () {
+    const canonical = {
+      obj: { id: 5, name: 'Push Pull', description: 'Template' },
+      day_list: [{
+        obj: { id: 11, description: 'Push', day: [1] },
+        set_list: [{
+          obj: { id: 21, sets: 3, order: 1, comment: '' },
+          exercise_list: [
+            { obj: { id: 192 }, setting_obj_list: [{ id: 31, exercise_base: 192, reps: 8, weight: '60.00', weight_unit: 1, order: 1 }] },
+            { obj: { id: 73 }, setting_obj_list: [{ id: 32, exercise_base: 73, reps: 12, order: 2 }] }
+          ]
+        }]
+      }]
+    };
+    const exerciseInfo = {
+      '/api/v2/exercisebaseinfo/192/': { id: 192, uuid: 'uuid-bench', exercises: [{ name: 'Bench Press', language: 2 }] },
+      '/api/v2/exercisebaseinfo/73/': { id: 73, uuid: 'uuid-fly', exercises: [{ name: 'Fliegende', language: 1 }] }
+    };
+
+    beforeEach(function () {
+      client.get.callsFake(async endpoint => endpoint === '/api/v2/workout/5/canonical_representation/' ? canonical : exerciseInfo[endpoint]);
+    });
+
+    it('should export exercises by UUID and name', async function () {
+      const plan = await workoutOperations.exportWorkout(client, { workoutId: 5, format: 'object' });
+
+      plan.should.have.properties({ format: 'wger-workout-plan', version: 1, name: 'Push Pull' });
+      plan.days[0].sets[0].exercises.map(exercise => exercise.exercise).should.deepEqual([
+        { uuid: 'uuid-bench', name: 'Bench Press' },
+        { uuid: 'uuid-fly', name: 'Fliegende' }
+      ]);
+      plan.days[0].sets[0].exercises[0].settings.should.deepEqual([{ reps: 8, weight: '60.00', weight_unit: 1, order: 1 }]);
+      (await workoutOperations.exportWorkout(client, { workoutId: 5 })).should.startWith('{\n  "format": "wger-workout-plan"');
+    });
+
+    it('should import a plan with the exercise ids of the server', async function () {
+      const text = await workoutOperations.exportWorkout(client, { workoutId: 5, format: 'yaml' });
+      let id = 100;
+      client.get.reset();
+      client.get.withArgs('/api/v2/exercisebaseinfo/', { uuid: 'uuid-bench' }).resolves({ results: [{ id: 9, uuid: 'uuid-bench' }] });
+      client.get.withArgs('/api/v2/exercisebaseinfo/', { uuid: 'uuid-fly' }).resolves({ results: [{ id: 1, uuid: 'other' }] });
+      client.get.withArgs('/api/v2/exercise/search/').resolves({ suggestions: [{ value: 'Fliegende', data: { id: 400, base_id: 40 } }] });
+      client.post.callsFake(async (endpoint, data) => ({ id: ++id, ...data }));
+
+      const result = await workoutOperations.importWorkout(client, { plan: text, name: 'Block 2' });
+
+      sinon.assert.calledWith(client.get, '/api/v2/exercise/search/', { term: 'Fliegende', language: 'en' });
+      sinon.assert.calledWith(client.post, '/api/v2/workout/', { name: 'Block 2', description: 'Template' });
+      sinon.assert.calledWith(client.post, '/api/v2/setting/', sinon.match({ exercise_base: 9, reps: 8, set: 103 }));
+      sinon.assert.calledWith(client.post, '/api/v2/setting/', sinon.match({ exercise_base: 40, reps: 12, set: 103 }));
+      result.should.have.properties({ imported: true, exercises: { total: 2, resolved: 2 }, created: { days: 1, sets: 1, settings: 2 } });
+    });
+
+    it('should report unresolved exercises without writing', async function () {
+      const plan = {
+        format: 'wger-workout-plan',
+        version: 1,
+        name: 'Legs',
+        days: [{ day: [2], sets: [{ exercises: [{ exercise: { name: 'Squat' } }] }, { exercises: [{ exercise: { name: 'squat' } }] }] }]
+      };
+      client.get.withArgs('/api/v2/exercise/search/').resolves({ suggestions: [{ value: 'Front Squat', data: { base_id: 3 } }] });
+
+      const result = await workoutOperations.importWorkout(client, { plan });
+
+      client.post.called.should.be.false();
+      result.should.deepEqual({
+        imported: false,
+        name: 'Legs',
+        exercises: { total: 1, resolved: 0 },
+        unresolved: [{
+          exercise: { name: 'Squat' },
+          paths: ['days[0].sets[0].exercises[0]', 'days[0].sets[1].exercises[0]'],
+          candidates: ['Front Squat']
+        }]
+      });
+    });
+
+    it('should reject documents that are not workout plans', async function () {
+      await workoutOperations.importWorkout(client, { plan: '{"format": "other"}' })
+        .should.be.rejectedWith('Invalid workout plan: format must be "wger-workout-plan"');
+    });
+  });
+
+  describe('personal records', function () {
+    const logs = [
+      { id: 1, exercise_base: 192, date: '2024-03-01', reps: 5, weight: '100.00', weight_unit: 1 },
+      { id: 2, exercise_base: 192, date: '2024-03-04', reps: 3, weight: '110.00', weight_unit: 1 },
+      { id: 3, exercise_base: 73, date: '2024-03-04', reps: 12, weight: '20.00', weight_unit: 1 }
+    ];
+
+    it('should calculate records from all workout logs in the account unit', async function () {
+      client.get.resolves({ count: 3, next: null, results: logs });
+
+      const result = await workoutOperations.getPersonalRecords(client, {}, { weightUnit: 'lb' });
+
+      sinon.assert.calledWith(client.get, '/api/v2/workoutlog/', sinon.match({ limit: 500 }));
+      result.should.have.properties({ unit: 'lb', formula: 'epley' });
+      result.exercises.map(records => records.exercise).should.deepEqual([73, 192]);
+      result.exercises[1].bestWeight.weight.should.equal(242.51);
+    });
+
+    it('should read the logs of a workout from its log data', async function () {
+      client.get.withArgs('/api/v2/workout/5/log_data/').resolves({
+        192: { logs: { '2024-03-01': [logs[0]], '2024-03-04': [logs[1]] } },
+        73: { logs: { '2024-03-04': [logs[2]] } }
+      });
+
+      const result = await workoutOperations.getPersonalRecords(client, { workoutId: 5, exercise_base: 192, formula: 'brzycki' });
+
+      result.exercises.should.have.length(1);
+      result.exercises[0].oneRepMax.should.have.properties({ value: 116.47, logId: 2 });
+    });
+
+    it('should flag a created log that sets a record', async function () {
+      const created = { id: 4, exercise_base: 192, workout: 5, date: '2024-03-08', reps: 6, weight: '100.00', weight_unit: 1 };
+      client.get.resolves({ count: 3, next: null, results: [...logs, created] });
+
+      const result = await workoutOperations.detectNewRecords(client, created);
+
+      sinon.assert.calledWith(client.get, '/api/v2/workoutlog/', sinon.match({ exercise_base: 192 }));
+      result.should.have.properties({ exercise: 192, unit: 'kg', isRecord: true, previousSets: 2 });
+      result.records.should.deepEqual([{ type: 'reps', value: 6, weight: 100, previous: 5 }]);
+    });
+  });
+
+  describe('getTrainingVolume', function () {
+    const bench = {
+      id: 192,
+      category: { id: 11, name: 'Chest' },
+      muscles: [{ id: 4, name: 'Pectoralis major' }],
+      muscles_secondary: [{ id: 5, name: 'Triceps brachii' }]
+    };
+
+    beforeEach(function () {
+      client.get.withArgs('/api/v2/workoutlog/').resolves({
+        count: 3,
+        next: null,
+        results: [
+          { id: 1, exercise_base: 192, date: '2024-03-04', reps: 8, weight: '80.00', weight_unit: 1 },
+          { id: 2, exercise_base: 192, date: '2024-03-05', reps: 8, weight: '80.00', weight_unit: 1 },
+          { id: 3, exercise_base: 404, date: '2024-03-05', reps: 10, weight: '20.00', weight_unit: 1 }
+        ]
+      });
+      client.get.withArgs('/api/v2/exercisebaseinfo/192/').resolves(bench);
+      client.get.withArgs('/api/v2/exercisebaseinfo/404/').rejects(new Error('Not found'));
+    });
+
+    it('should combine workout logs with exercise muscles and categories', async function () {
+      const result = await workoutOperations.getTrainingVolume(client, { startDate: '2024-03-01', endDate: '2024-03-31' }, { timeZone: 'UTC', weekStart: 1 });
+
+      sinon.assert.calledWith(client.get, '/api/v2/workoutlog/', sinon.match({ date__gte: '2024-03-01', date__lte: '2024-03-31' }));
+      result.should.have.properties({ startDate: '2024-03-01', unit: 'kg', totals: { sets: 3, hardSets: 3, reps: 26, tonnage: 1480 } });
+      result.weeks[0].muscles.primary.should.deepEqual([{ muscle: 'Pectoralis major', sets: 2, hardSets: 2, reps: 16, tonnage: 1280 }]);
+      result.unknownExercises.should.deepEqual([{ exercise: 404, error: 'Not found' }]);
+    });
+
+    it('should look up each exercise once across reports', async function () {
+      await workoutOperations.getTrainingVolume(client, {});
+      await workoutOperations.getTrainingVolume(client, {});
+
+      client.get.withArgs('/api/v2/exercisebaseinfo/192/').callCount.should.equal(1);
+    });
+  });
+
+  describe('logSession', function () {
+    const payload = {
+      session: { workout: 5, date: '2024-03-04', impression: 3 },
+      logs: [
+        { exercise_base: 192, reps: 8, weight: 60, rir: 2 },
+        { exercise_base: 192, reps: 8, weight: { value: 135, unit: 'lb' } },
+        { exercise_base: 73, reps: 10, weight: 20 }
+      ]
+    };
+
+    beforeEach(function () {
+      let id = 100;
+      client.post.callsFake(async (endpoint, data) => ({ id: ++id, ...data }));
+      client.delete.resolves(null);
+    });
+
+    it('should create the session and its logs', async function () {
+      const result = await workoutOperations.logSession(client, payload);
+
+      sinon.assert.calledWith(client.post, '/api/v2/workoutsession/', sinon.match({ workout: 5, date: '2024-03-04', impression: 3 }));
+      sinon.assert.calledWith(client.post, '/api/v2/workoutlog/', sinon.match({ workout: 5, date: '2024-03-04', exercise_base: 192, weight: 61.23, weight_unit: 1 }));
+      result.created.should.deepEqual({ session: 1, logs: 3 });
+      result.session.id.should.equal(101);
+      result.logs.map(log => log.id).should.deepEqual([102, 103, 104]);
+    });
+
+    it('should report every invalid part without writing', async function () {
+      const invalid = { session: { workout: 5, date: '2024-03-04', impression: 9 }, logs: [{ exercise_base: 192, reps: 8, weight: 60 }, { reps: 8, weight: 60 }] };
+
+      const error = await workoutOperations.logSession(client, invalid).should.be.rejectedWith(/^Session not logged, nothing was written: session: .*impression.*; logs\[1\]: .*exercise_base/);
+
+      error.errors.map(entry => entry.path).should.deepEqual(['session', 'logs[1]']);
+      error.report.should.have.properties({ errors: error.errors, created: 0 });
+      sinon.assert.notCalled(client.post);
+    });
+
+    it('should delete what was created when a log cannot be written', async function () {
+      client.post.withArgs('/api/v2/workoutlog/', sinon.match({ exercise_base: 73 })).rejects(new Error('HTTP 500'));
+      client.delete.withArgs('/api/v2/workoutsession/101/').rejects(new Error('HTTP 503'));
+
+      const error = await workoutOperations.logSession(client, payload).should.be.rejectedWith(
+        'Logging session failed at logs[2] (exercise 73): HTTP 500 (2 of 3 created objects rolled back); not deleted: /api/v2/workoutsession/101/'
+      );
+
+      client.delete.args.map(args => args[0]).should.deepEqual(['/api/v2/workoutlog/103/', '/api/v2/workoutlog/102/', '/api/v2/workoutsession/101/']);
+      error.report.should.have.properties({ step: 'logs[2] (exercise 73)', reason: 'HTTP 500', written: { session: 1, logs: 2 } });
+    });
+  });
+
+  describe('suggestNextSession', function () {
+    const canonical = {
+      id: 5,
+      obj: { id: 5, name: 'Push Pull' },
+      day_list: [{
+        obj: { id: 11, training: 5, description: 'Push', day: [1] },
+        set_list: [{
+          obj: { id: 21, exerciseday: 11, sets: 2, order: 1 },
+          exercise_list: [{
+            obj: { id: 192, name: 'Bench Press' },
+            setting_obj_list: [{ id: 31, set: 21, exercise_base: 192, reps: 8, weight: '60.00', weight_unit: 1, rir: '2' }]
+          }]
+        }]
+      }]
+    };
+
+    beforeEach(function () {
+      client.get.withArgs('/api/v2/day/11/').resolves({ id: 11, training: 5 });
+      client.get.withArgs('/api/v2/workout/5/canonical_representation/').resolves(canonical);
+      client.get.withArgs('/api/v2/workoutlog/').resolves({
+        count: 2,
+        next: null,
+        results: [
+          { id: 1, exercise_base: 192, date: '2024-03-04', reps: 12, weight: '60.00', weight_unit: 1, rir: '3' },
+          { id: 2, exercise_base: 192, date: '2024-03-04', reps: 11, weight: '60.00', weight_unit: 1, rir: '2' }
+        ]
+      });
+    });
+
+    it('should suggest the sets of each exercise of the day from its logs', async function () {
+      const result = await workoutOperations.suggestNextSession(client, { dayId: 11 });
+
+      sinon.assert.calledWith(client.get, '/api/v2/workoutlog/', sinon.match({ exercise_base: 192 }));
+      result.should.have.properties({ day: 11, workout: 5, scheme: 'double', unit: 'kg', deload: false });
+      result.exercises[0].should.have.properties({ exercise: 192, name: 'Bench Press', set: 21, status: 'hold' });
+      result.exercises[0].sets.map(set => [set.weight, set.reps]).should.deepEqual([[60, 12], [60, 12]]);
+    });
+
+    it('should read logs newest first only until enough sessions are known', async function () {
+      const page = (offset) => ({
+        count: 40,
+        next: `https://wger.de/api/v2/workoutlog/?exercise_base=192&ordering=-date&limit=100&offset=${offset + 4}`,
+        results: [0, 1, 2, 3].map(index => ({
+          id: 100 - offset - index, exercise_base: 192, date: `2024-03-${String(28 - offset - index).padStart(2, '0')}`, reps: 8, weight: '60.00', weight_unit: 1
+        }))
+      });
+      client.get.withArgs('/api/v2/workoutlog/').callsFake(async (endpoint, params) => page(Number(params.offset || 0)));
+
+      const result = await workoutOperations.suggestNextSession(client, { dayId: 11 });
+
+      const logRequests = client.get.withArgs('/api/v2/workoutlog/').args;
+      logRequests.should.have.length(2);
+      logRequests[0][1].should.have.properties({ exercise_base: 192, ordering: '-date' });
+      result.exercises[0].lastSession.date.should.equal('2024-03-28');
+    });
+
+    it('should use the selected scheme and the node unit', async function () {
+      const result = await workoutOperations.suggestNextSession(client, { dayId: 11, scheme: 'rir' }, { weightUnit: 'lb' });
+
+      result.unit.should.equal('lb');
+      result.exercises[0].sets.map(set => set.change).should.deepEqual(['increase', 'hold']);
+      result.exercises[0].sets[0].weight.should.equal(137.28);
+    });
+  });
+
+  describe('exportScheduleIcs and importScheduleIcs', function () {
+    const canonical = {
+      obj: { id: 5, name: 'Push Pull' },
+      day_list: [{ obj: { id: 11, description: 'Push', day: [1, 4] }, set_list: [] }]
+    };
+
+    it('should render the planned days of a schedule', async function () {
+      client.get.withArgs('/api/v2/schedule/1/').resolves({ id: 1, name: 'Block', start_date: '2024-03-04', is_loop: false });
+      client.get.withArgs('/api/v2/schedulestep/').resolves({ count: 1, next: null, results: [{ id: 2, schedule: 1, workout: 5, duration: 2, order: 1 }] });
+      client.get.withArgs('/api/v2/workout/5/canonical_representation/').resolves(canonical);
+
+      const ics = await workoutOperations.exportScheduleIcs(client, { scheduleId: 1, startDate: '2024-03-05' });
+
+      sinon.assert.calledWith(client.get, '/api/v2/schedulestep/', sinon.match({ schedule: 1 }));
+      ics.should.containEql('X-WR-CALNAME:Block\r\n');
+      ics.match(/^DTSTART;VALUE=DATE:\d+/gm).should.deepEqual(['DTSTART;VALUE=DATE:20240307', 'DTSTART;VALUE=DATE:20240311', 'DTSTART;VALUE=DATE:20240314']);
+      ics.should.containEql('UID:wger-schedule-1-step-2-day-11-20240307@node-red-contrib-wger\r\n');
+    });
+
+    describe('import', function () {
+      const event = (uid, start, summary, workout) => [
+        'BEGIN:VEVENT', `UID:${uid}`, `DTSTART;VALUE=DATE:${start}`, `SUMMARY:${summary}`,
+        ...(workout ? [`X-WGER-WORKOUT:${workout}`] : []), 'END:VEVENT'
+      ];
+      const ics = (...events) => ['BEGIN:VCALENDAR', 'X-WR-CALNAME:Spring', ...[].concat(...events), 'END:VCALENDAR'].join('\r\n');
+
+      beforeEach(function () {
+        let id = 100;
+        client.get.withArgs('/api/v2/workout/').resolves({ count: 2, next: null, results: [{ id: 5, name: 'Push Pull' }, { id: 6, name: 'Legs' }] });
+        client.post.callsFake(async (endpoint, data) => ({ id: ++id, ...data }));
+        client.delete.resolves(null);
+      });
+
+      it('should create a schedule with one step per run of a workout', async function () {
+        const result = await workoutOperations.importScheduleIcs(client, {
+          ics: ics(event('a', '20240304', 'Push Pull: Push', 99), event('b', '20240314', 'Push Pull: Push', 99), event('c', '20240318', 'legs'))
+        });
+
+        sinon.assert.calledWith(client.post, '/api/v2/schedule/', { name: 'Spring', start_date: '2024-03-04' });
+        sinon.assert.calledWith(client.post, '/api/v2/schedulestep/', { schedule: 101, workout: 5, duration: 2, order: 1 });
+        sinon.assert.calledWith(client.post, '/api/v2/schedulestep/', { schedule: 101, workout: 6, duration: 1, order: 2 });
+        result.should.have.properties({ imported: true, schedule: 101, events: { total: 3, resolved: 3 }, created: { schedule: 1, steps: 2 } });
+      });
+
+      it('should report unknown workouts without writing', async function () {
+        const result = await workoutOperations.importScheduleIcs(client, {
+          ics: ics(event('a', '20240304', 'Push Pull'), event('b', '20240305', 'Yoga'), event('c', '20240306', 'Yoga')),
+          scheduleId: 1
+        });
+
+        result.should.have.properties({ imported: false, schedule: 1, events: { total: 3, resolved: 1 } });
+        result.unresolved.should.deepEqual([{ summary: 'Yoga', events: ['b', 'c'] }]);
+        sinon.assert.notCalled(client.post);
+      });
+
+      it('should append to an existing schedule and roll back on failure', async function () {
+        client.get.withArgs('/api/v2/schedulestep/').resolves({ count: 1, next: null, results: [{ id: 7, order: 3 }] });
+        client.post.withArgs('/api/v2/schedulestep/', sinon.match({ workout: 6 })).rejects(new Error('HTTP 400'));
+
+        await workoutOperations.importScheduleIcs(client, { ics: ics(event('a', '20240304', 'Push Pull'), event('b', '20240311', 'Legs')), scheduleId: 1 })
+          .should.be.rejectedWith('Importing schedule failed: HTTP 400 (1 of 1 created objects rolled back)');
+
+        sinon.assert.calledWith(client.post, '/api/v2/schedulestep/', { schedule: 1, workout: 5, duration: 1, order: 4 });
+        sinon.assert.calledOnceWithExactly(client.delete, '/api/v2/schedulestep/101/');
+      });
+    });
+  });
+});
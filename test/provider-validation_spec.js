@@ -113,6 +113,13 @@ describe('Provider Validation and Factory Pattern Tests', function() {
   });
 
   describe('InputValidator Provider Validation', function() {
+    const originalProvider = InputValidator.getSanitizationProvider();
+
+    // Later specs validate real payloads, so the default sanitizer must come back
+    after(function() {
+      InputValidator.configureSanitizationProvider(originalProvider);
+    });
+
     it('should reject null sanitizationProvider', function() {
       should(() => {
         InputValidator.configureSanitizationProvider(null);
@@ -232,6 +232,85 @@ describe('WgerApiClient - Retry Functionality', function() {
     });
   });
 
+  describe('Rate Limiting and Retry-After', function() {
+    const tooManyRequests = retryAfter => ({
+      ok: false,
+      status: 429,
+      statusText: 'Too Many Requests',
+      headers: { get: name => (name === 'retry-after' ? retryAfter : null) },
+      text: sinon.stub().resolves('{"detail": "Request was throttled."}')
+    });
+
+    it('should create a rate limiter from configuration', function() {
+      const client = new WgerApiClient('https://wger.de', {}, {
+        rateLimit: { requestsPerSecond: 2, burst: 4 }
+      });
+
+      should.exist(client.rateLimiter);
+      client.rateLimiter.requestsPerSecond.should.equal(2);
+      client.rateLimiter.burst.should.equal(4);
+    });
+
+    it('should wait for a rate limiter token before each request', async function() {
+      const limiter = { acquire: sinon.stub().resolves(), pause: sinon.stub() };
+      const client = new WgerApiClient('https://wger.de', {}, { rateLimit: limiter });
+      fetchStub.resolves({ ok: true, status: 200, statusText: 'OK', text: sinon.stub().resolves('{}') });
+
+      await client.get('/api/v2/test');
+
+      sinon.assert.calledOnce(limiter.acquire);
+      sinon.assert.callOrder(limiter.acquire, fetchStub);
+    });
+
+    it('should expose Retry-After on the error and pause the rate limiter', async function() {
+      const limiter = { acquire: sinon.stub().resolves(), pause: sinon.stub() };
+      const client = new WgerApiClient('https://wger.de', {}, { rateLimit: limiter });
+      fetchStub.resolves(tooManyRequests('30'));
+
+      try {
+        await client.get('/api/v2/test');
+        should.fail('Should have thrown error');
+      } catch (error) {
+        error.status.should.equal(429);
+        error.retryAfterMs.should.equal(30000);
+        sinon.assert.calledWith(limiter.pause, 30000);
+      }
+    });
+
+    it('should read Retry-After dates against the injected clock', async function() {
+      const { MockTimeProvider } = require('../../utils/time-provider');
+      const timeProvider = new MockTimeProvider();
+      timeProvider.setTime(Date.parse('2024-03-04T10:00:00Z'));
+      const limiter = { acquire: sinon.stub().resolves(), pause: sinon.stub() };
+      const client = new WgerApiClient('https://wger.de', {}, { rateLimit: limiter, timeProvider });
+      fetchStub.resolves(tooManyRequests('Mon, 04 Mar 2024 10:00:45 GMT'));
+
+      try {
+        await client.get('/api/v2/test');
+        should.fail('Should have thrown error');
+      } catch (error) {
+        error.retryAfterMs.should.equal(45000);
+        sinon.assert.calledWith(limiter.pause, 45000);
+      }
+    });
+
+    it('should retry after the Retry-After delay instead of backing off', async function() {
+      this.timeout(2000);
+
+      // A 10s exponential backoff would time the test out
+      const client = new WgerApiClient('https://wger.de', {}, {
+        retry: { maxAttempts: 2, baseDelayMs: 10000, maxDelayMs: 20000 }
+      });
+      fetchStub.onFirstCall().resolves(tooManyRequests('0'));
+      fetchStub.onSecondCall().resolves({ ok: true, status: 200, statusText: 'OK', text: sinon.stub().resolves('{"ok": true}') });
+
+      const result = await client.get('/api/v2/test');
+
+      result.should.deepEqual({ ok: true });
+      fetchStub.calledTwice.should.be.true();
+    });
+  });
+
   describe('Circuit Breaker Integration', function() {
     it('should open circuit after consecutive failures', async function() {
       const client = new WgerApiClient('https://wger.de', {}, {
@@ -0,0 +1,404 @@
+const should = require('should');
+const sinon = require('sinon');
+const BaseNodeHandler = require('../../utils/base-node-handler');
+const Calendar = require('../../utils/calendar');
+const { WriteOutbox } = require('../../utils/write-outbox');
+const WgerApiClient = require('../../utils/api-client');
+const JwtTokenManager = require('../../utils/jwt-token-manager');
+
+describe('BaseNodeHandler', function() {
+  let node;
+  let send;
+  let done;
+
+  beforeEach(function() {
+    node = {
+      operation: 'listThings',
+      server: {
+        apiUrl: 'https://wger.de',
+        getAuthHeader: () => ({}),
+        getResilienceConfig: () => ({})
+      },
+      status: sinon.stub(),
+      error: sinon.stub()
+    };
+    send = sinon.stub();
+    done = sinon.stub();
+  });
+
+  // Simulates a list operation delivering two pages through onPage
+  const pagedHandler = async (client, operation, payload, context) => {
+    await context.onPage([{ id: 1 }, { id: 2 }], { index: 0, count: 3, pageSize: 2 });
+    await context.onPage([{ id: 3 }], { index: 1, count: 3, pageSize: 2 });
+    return { count: 3, next: null, previous: null, results: [], pages: 2, truncated: false, records: 3, streamed: true };
+  };
+
+  describe('getClient', function() {
+    it('should reuse the client owned by the config node', async function() {
+      const client = { get: sinon.stub() };
+      node.server.getClient = sinon.stub().returns(client);
+      const handler = sinon.stub().resolves({});
+
+      await BaseNodeHandler.handleNodeOperation(node, { payload: {} }, send, done, handler);
+      await BaseNodeHandler.handleNodeOperation(node, { payload: {} }, send, done, handler);
+
+      sinon.assert.calledTwice(node.server.getClient);
+      handler.firstCall.args[0].should.equal(client);
+      handler.secondCall.args[0].should.equal(client);
+    });
+  });
+
+  describe('trackQueueDepth', function() {
+    it('should show the rate limiter queue depth while the operation runs', async function() {
+      let listener;
+      const stop = sinon.stub();
+      const client = { rateLimiter: { onQueueChange: fn => { listener = fn; return stop; } } };
+      node.server.getClient = () => client;
+
+      await BaseNodeHandler.handleNodeOperation(node, { payload: {} }, send, done, async () => {
+        listener(3);
+        return {};
+      });
+
+      sinon.assert.calledWith(node.status, { fill: 'yellow', shape: 'ring', text: 'rate limited: 3 queued' });
+      sinon.assert.calledOnce(stop);
+    });
+  });
+
+  describe('offline outbox', function() {
+    let outbox;
+    const offline = () => Object.assign(new Error('No response received from server'), { name: 'NetworkError' });
+
+    beforeEach(function() {
+      outbox = new WriteOutbox({ getClient: () => ({}) });
+      node.type = 'wger-weight';
+      node.server.getClient = () => ({});
+      node.server.outbox = outbox;
+    });
+
+    afterEach(function() {
+      outbox.dispose();
+    });
+
+    it('should queue a write when the server is unreachable', async function() {
+      const msg = { operation: 'createWeightEntry', payload: { weight: 80 } };
+
+      await BaseNodeHandler.handleNodeOperation(node, msg, send, done, sinon.stub().rejects(offline()));
+
+      const out = send.firstCall.args[0];
+      out.payload.should.have.properties({ queued: true, position: 1, idempotencyKey: out.idempotencyKey });
+      outbox.entries[0].should.have.properties({ type: 'wger-weight', operation: 'createWeightEntry' });
+      sinon.assert.calledWith(node.status, { fill: 'yellow', shape: 'ring', text: 'outbox: 1 queued, 0 replayed, 0 failed' });
+      sinon.assert.calledWithExactly(done);
+    });
+
+    it('should report a write that timed out instead of queueing it', async function() {
+      const timeout = Object.assign(new Error('Request timed out'), { code: 'ETIMEDOUT' });
+      const msg = { operation: 'createWeightEntry', payload: { weight: 80 } };
+
+      await BaseNodeHandler.handleNodeOperation(node, msg, send, done, sinon.stub().rejects(timeout));
+
+      outbox.entries.should.be.empty();
+      sinon.assert.notCalled(send);
+      done.firstCall.args[0].should.have.properties({ code: 'WRITE_OUTCOME_UNKNOWN', cause: timeout });
+    });
+
+    it('should pass the context to the handler when queueing and replaying', async function() {
+      const handler = sinon.stub();
+      handler.onFirstCall().rejects(offline());
+      handler.onSecondCall().resolves({ id: 1 });
+      outbox.registerHandler('wger-weight', handler);
+      const msg = { operation: 'createWeightEntry', timeZone: 'America/New_York', concurrency: 2, payload: { weight: 80 } };
+
+      await BaseNodeHandler.handleNodeOperation(node, msg, send, done, handler);
+      await outbox.replay();
+
+      const context = { timeZone: 'America/New_York', weekStart: 1, concurrency: 2 };
+      handler.firstCall.args[3].should.deepEqual(context);
+      handler.secondCall.args.slice(2).should.deepEqual([{ weight: 80 }, context]);
+    });
+
+    it('should queue a write when the JWT access token cannot be refreshed offline', async function() {
+      const originalFetch = global.fetch;
+      global.fetch = sinon.stub().rejects(new TypeError('fetch failed', { cause: { code: 'ENETUNREACH' } }));
+      const tokenManager = new JwtTokenManager({ apiUrl: 'https://wger.de', username: 'alice', password: 'secret' });
+      const client = new WgerApiClient('https://wger.de', options => tokenManager.getAuthHeader(options));
+      node.server.getClient = () => client;
+
+      try {
+        await BaseNodeHandler.handleNodeOperation(node, { operation: 'createWeightEntry', payload: { weight: 80 } }, send, done,
+          (apiClient, operation, payload) => apiClient.post('/api/v2/weightentry/', payload));
+      } finally {
+        global.fetch = originalFetch;
+      }
+
+      sinon.assert.calledWithExactly(done);
+      send.firstCall.args[0].payload.should.have.properties({ queued: true, position: 1 });
+      outbox.entries[0].payload.should.deepEqual({ weight: 80 });
+    });
+
+    it('should queue behind pending writes without calling the API', async function() {
+      await outbox.enqueue({ idempotencyKey: 'first', type: 'wger-weight', operation: 'createWeightEntry', payload: {} });
+      const handler = sinon.stub().resolves({ id: 1 });
+
+      await BaseNodeHandler.handleNodeOperation(node, { operation: 'createWeightEntry', payload: {} }, send, done, handler);
+
+      sinon.assert.notCalled(handler);
+      send.firstCall.args[0].payload.position.should.equal(2);
+    });
+
+    it('should not write a known idempotency key twice', async function() {
+      const handler = sinon.stub().resolves({ id: 1 });
+      const msg = () => ({ operation: 'createWeightEntry', idempotencyKey: 'scale-42', payload: {} });
+
+      await BaseNodeHandler.handleNodeOperation(node, msg(), send, done, handler);
+      await BaseNodeHandler.handleNodeOperation(node, msg(), send, done, handler);
+
+      sinon.assert.calledOnce(handler);
+      send.firstCall.args[0].payload.should.deepEqual({ id: 1 });
+      send.secondCall.args[0].payload.should.have.properties({ duplicate: true, queued: false });
+    });
+
+    it('should report errors that are not connectivity problems', async function() {
+      const rejected = Object.assign(new Error('Bad Request'), { status: 400 });
+
+      await BaseNodeHandler.handleNodeOperation(
+        node, { operation: 'createWeightEntry', payload: {} }, send, done, sinon.stub().rejects(rejected)
+      );
+
+      sinon.assert.calledWith(done, rejected);
+      outbox.entries.should.have.length(0);
+    });
+
+    it('should not queue operations outside the outbox list', async function() {
+      await BaseNodeHandler.handleNodeOperation(
+        node, { operation: 'deleteWeightEntry', payload: {} }, send, done, sinon.stub().rejects(offline())
+      );
+
+      sinon.assert.calledOnce(done);
+      done.firstCall.args[0].should.be.an.Error();
+      outbox.entries.should.have.length(0);
+    });
+  });
+
+  describe('units', function() {
+    beforeEach(function() {
+      node.server.getClient = () => ({});
+    });
+
+    it('should convert weights to the account unit and annotate the output', async function() {
+      node.type = 'wger-weight';
+      node.server.getWeightUnit = sinon.stub().resolves('lb');
+      const handler = sinon.stub().resolves({ id: 1 });
+      const msg = { operation: 'createWeightEntry', payload: { date: '2024-03-01', weight: { value: 80, unit: 'kg' } } };
+
+      await BaseNodeHandler.handleNodeOperation(node, msg, send, done, handler);
+
+      handler.firstCall.args[2].should.deepEqual({ date: '2024-03-01', weight: 176.37 });
+      send.firstCall.args[0].units.should.deepEqual({ weight: 'lb' });
+    });
+
+    it('should convert each item of a batch', async function() {
+      node.type = 'wger-workout';
+      const handler = sinon.stub().resolves({ batch: true, total: 2, succeeded: 2, failed: 0, results: [] });
+      const payload = [{ weight: { value: 225, unit: 'lbs' } }, { weight: 100, weight_unit: 2 }];
+
+      await BaseNodeHandler.handleNodeOperation(node, { operation: 'createWorkoutLog', payload }, send, done, handler);
+
+      handler.firstCall.args[2].should.deepEqual([{ weight: 102.06, weight_unit: 1 }, { weight: 100, weight_unit: 2 }]);
+      send.firstCall.args[0].units.should.deepEqual([{ weight: 'kg' }, { weight: 'lb' }]);
+    });
+
+    it('should not resolve the account unit for fixed-unit fields', async function() {
+      node.type = 'wger-nutrition';
+      node.server.getWeightUnit = sinon.stub().resolves('lb');
+      const handler = sinon.stub().resolves({ id: 1 });
+
+      await BaseNodeHandler.handleNodeOperation(
+        node, { operation: 'createMealItem', payload: { amount: { value: 4, unit: 'oz' } } }, send, done, handler
+      );
+
+      sinon.assert.notCalled(node.server.getWeightUnit);
+      handler.firstCall.args[2].amount.should.equal(113.4);
+      send.firstCall.args[0].units.should.deepEqual({ amount: 'g' });
+    });
+
+    it('should leave operations without unit fields alone', async function() {
+      node.type = 'wger-weight';
+      const handler = sinon.stub().resolves({});
+
+      await BaseNodeHandler.handleNodeOperation(node, { operation: 'deleteWeightEntry', payload: { entryId: 1 } }, send, done, handler);
+
+      send.firstCall.args[0].should.not.have.property('units');
+    });
+
+    it('should report unknown units', async function() {
+      node.type = 'wger-weight';
+      const handler = sinon.stub().resolves({});
+
+      await BaseNodeHandler.handleNodeOperation(
+        node, { operation: 'createWeightEntry', payload: { weight: { value: 12, unit: 'stone' } } }, send, done, handler
+      );
+
+      sinon.assert.notCalled(handler);
+      done.firstCall.args[0].message.should.equal('Unknown weight unit: stone');
+    });
+  });
+
+  describe('calendar', function() {
+    beforeEach(function() {
+      node.server.getClient = () => ({});
+    });
+
+    it('should resolve dates in the config time zone and pass the calendar on', async function() {
+      node.type = 'wger-nutrition';
+      node.server.timeZone = 'America/New_York';
+      node.server.weekStart = 0;
+      const handler = sinon.stub().resolves({ id: 1 });
+      const msg = { operation: 'createNutritionDiary', payload: { plan: 1, ingredient: 2, amount: 100, datetime: '2024-03-01T08:00' } };
+
+      await BaseNodeHandler.handleNodeOperation(node, msg, send, done, handler);
+
+      handler.firstCall.args[2].datetime.should.equal('2024-03-01T08:00:00-05:00');
+      handler.firstCall.args[3].should.deepEqual({ timeZone: 'America/New_York', weekStart: 0 });
+    });
+
+    it('should let the message override the time zone and week start', async function() {
+      node.type = 'wger-workout';
+      node.server.timeZone = 'America/New_York';
+      const handler = sinon.stub().resolves({});
+      const msg = {
+        operation: 'getSchedule',
+        timeZone: 'Asia/Tokyo',
+        weekStart: '6',
+        payload: { workoutId: 1, start_date: '2024-03-01T20:00:00Z', end_date: 'today' }
+      };
+
+      await BaseNodeHandler.handleNodeOperation(node, msg, send, done, handler);
+
+      handler.firstCall.args[2].start_date.should.equal('2024-03-02');
+      handler.firstCall.args[2].end_date.should.equal(Calendar.today('Asia/Tokyo'));
+      handler.firstCall.args[3].should.deepEqual({ timeZone: 'Asia/Tokyo', weekStart: 6 });
+    });
+
+    it('should resolve the session and log dates of logSession', async function() {
+      node.type = 'wger-workout';
+      const handler = sinon.stub().resolves({});
+      const msg = {
+        operation: 'logSession',
+        timeZone: 'America/Los_Angeles',
+        payload: {
+          session: { workout: 5, date: 'today' },
+          logs: [{ exercise_base: 192, reps: 8, date: '2024-03-02T04:00:00Z' }, { exercise_base: 192, reps: 8 }]
+        }
+      };
+
+      await BaseNodeHandler.handleNodeOperation(node, msg, send, done, handler);
+
+      const payload = handler.firstCall.args[2];
+      payload.session.date.should.equal(Calendar.today('America/Los_Angeles'));
+      payload.logs.map(log => log.date).should.deepEqual(['2024-03-01', undefined]);
+    });
+
+    it('should report unknown time zones', async function() {
+      const handler = sinon.stub().resolves({});
+
+      await BaseNodeHandler.handleNodeOperation(node, { timeZone: 'Mars/Olympus', payload: {} }, send, done, handler);
+
+      sinon.assert.notCalled(handler);
+      done.firstCall.args[0].message.should.equal('Unknown time zone: Mars/Olympus');
+    });
+  });
+
+  describe('batch payloads', function() {
+    it('should pass msg.concurrency to the handler and show the batch result', async function() {
+      const report = { batch: true, total: 3, succeeded: 2, failed: 1, results: [] };
+      const handler = sinon.stub().resolves(report);
+      node.server.getClient = () => ({});
+
+      await BaseNodeHandler.handleNodeOperation(node, { payload: [{}, {}, {}], concurrency: 2 }, send, done, handler);
+
+      handler.firstCall.args[3].should.deepEqual({ timeZone: Calendar.resolveTimeZone(), weekStart: 1, concurrency: 2 });
+      send.firstCall.args[0].payload.should.equal(report);
+      sinon.assert.calledWith(node.status, { fill: 'yellow', shape: 'dot', text: 'batch: 2 succeeded, 1 failed' });
+    });
+  });
+
+  describe('streaming', function() {
+    it('should send one message per page followed by a completion message', async function() {
+      const msg = { _msgid: 'abc', topic: 'logs', stream: 'page', payload: {} };
+
+      await BaseNodeHandler.handleNodeOperation(node, msg, send, done, pagedHandler);
+
+      sinon.assert.calledThrice(send);
+      const [first, second, last] = send.getCalls().map(call => call.args[0]);
+
+      first.payload.should.deepEqual([{ id: 1 }, { id: 2 }]);
+      first.parts.should.deepEqual({ id: 'abc', index: 0, type: 'array', len: 2 });
+      first.topic.should.equal('logs');
+      first.should.not.have.property('stream');
+      second.parts.should.deepEqual({ id: 'abc', index: 1, type: 'array', len: 2 });
+
+      should(last.payload).be.undefined();
+      last.complete.should.be.true();
+      last.parts.should.deepEqual({ id: 'abc', type: 'array', count: 2 });
+      last.streamInfo.should.deepEqual({ mode: 'page', messages: 2, records: 3, pages: 2, count: 3, truncated: false });
+      sinon.assert.calledOnce(done);
+    });
+
+    it('should send one message per record in record mode', async function() {
+      const msg = { _msgid: 'abc', stream: 'record', payload: {} };
+
+      await BaseNodeHandler.handleNodeOperation(node, msg, send, done, pagedHandler);
+
+      send.callCount.should.equal(4);
+      send.getCalls().slice(0, 3).map(call => call.args[0].payload.id).should.deepEqual([1, 2, 3]);
+      send.getCalls().slice(0, 3).map(call => call.args[0].parts.index).should.deepEqual([0, 1, 2]);
+      send.getCall(0).args[0].parts.len.should.equal(1);
+      send.getCall(3).args[0].parts.count.should.equal(3);
+    });
+
+    it('should keep incoming parts nested for upstream joins', async function() {
+      const upstream = { id: 'outer', index: 4, count: 5, type: 'array' };
+      const msg = { _msgid: 'abc', stream: 'page', parts: upstream, payload: {} };
+
+      await BaseNodeHandler.handleNodeOperation(node, msg, send, done, pagedHandler);
+
+      send.getCall(0).args[0].parts.parts.should.deepEqual(upstream);
+      send.getCall(2).args[0].parts.parts.should.deepEqual(upstream);
+    });
+
+    it('should report a stream that stopped at maxPages in the status', async function() {
+      const msg = { _msgid: 'abc', stream: 'page', payload: {} };
+      const truncatedHandler = async (client, operation, payload, context) => {
+        const result = await pagedHandler(client, operation, payload, context);
+        return { ...result, next: 'https://wger.de/api/v2/workoutlog/?offset=3', truncated: true };
+      };
+
+      await BaseNodeHandler.handleNodeOperation(node, msg, send, done, truncatedHandler);
+
+      send.lastCall.args[0].streamInfo.truncated.should.be.true();
+      sinon.assert.calledWith(node.status, { fill: 'yellow', shape: 'dot', text: 'streamed: 2 sent, stopped after 2 pages' });
+    });
+
+    it('should send a single message for operations that do not stream', async function() {
+      const msg = { _msgid: 'abc', stream: 'page', payload: {} };
+
+      await BaseNodeHandler.handleNodeOperation(node, msg, send, done, async () => ({ id: 7 }));
+
+      sinon.assert.calledOnce(send);
+      send.firstCall.args[0].payload.should.deepEqual({ id: 7 });
+      should(send.firstCall.args[0].parts).be.undefined();
+    });
+
+    it('should reject an unknown stream mode', async function() {
+      const msg = { stream: 'chunk', payload: {} };
+
+      await BaseNodeHandler.handleNodeOperation(node, msg, send, done, pagedHandler);
+
+      sinon.assert.notCalled(send);
+      sinon.assert.calledOnce(done);
+      done.firstCall.args[0].message.should.match(/Invalid stream mode: chunk/);
+    });
+  });
+});
@@ -0,0 +1,100 @@
+/**
+ * Test cases for BodyCompositionCalculator
+ */
+
+const should = require('should');
+const BodyCompositionCalculator = require('../../utils/body-composition-calculator');
+
+describe('BodyCompositionCalculator', function() {
+  const profile = { height: 175, age: 40, gender: '2' };
+
+  it('should categorize BMI values at the WHO bounds', function() {
+    BodyCompositionCalculator.calculateBmi(70, 175).should.equal(22.9);
+    BodyCompositionCalculator.categorizeBmi(18.4).should.equal('underweight');
+    BodyCompositionCalculator.categorizeBmi(18.5).should.equal('normal');
+    BodyCompositionCalculator.categorizeBmi(25).should.equal('overweight');
+    BodyCompositionCalculator.categorizeBmi(30).should.equal('obese');
+  });
+
+  it('should build the BMI series oldest first with category changes', function() {
+    const { bmi } = BodyCompositionCalculator.calculate({
+      profile,
+      entries: [
+        { date: '2024-03-15', weight: 75 },
+        { date: '2024-03-08', weight: 77 },
+        { date: '2024-03-01', weight: 76 }
+      ]
+    });
+
+    bmi.series.map(point => point.bmi).should.deepEqual([24.8, 25.1, 24.5]);
+    bmi.categoryChanges.should.deepEqual([
+      { date: '2024-03-08', from: 'normal', to: 'overweight', bmi: 25.1 },
+      { date: '2024-03-15', from: 'overweight', to: 'normal', bmi: 24.5 }
+    ]);
+    bmi.should.have.properties({ current: 24.5, category: 'normal' });
+  });
+
+  describe('energy', function() {
+    const entries = [{ date: '2024-03-01', weight: 70 }];
+
+    it('should estimate BMR and TDEE from the profile activity hours', function() {
+      const active = { ...profile, sleep_hours: 8, work_hours: 8, work_intensity: 1, freetime_hours: 8, freetime_intensity: 2, sport_hours: 7, sport_intensity: 3 };
+
+      const { energy } = BodyCompositionCalculator.calculate({ profile: active, entries });
+
+      // 10 * 70 + 6.25 * 175 - 5 * 40 - 161
+      energy.bmr.should.equal(1433);
+      // (8 * 0.95 + 8 * 1.5 + 7 / 7 * 10 + 8 * 1.9) / 24
+      energy.should.have.properties({ activityFactor: 1.87, activitySource: 'profile', tdee: 2674 });
+    });
+
+    it('should prefer a given activity factor and fall back to sedentary', function() {
+      BodyCompositionCalculator.calculate({ profile, entries, activityFactor: 1.5 }).energy
+        .should.have.properties({ activityFactor: 1.5, activitySource: 'payload', tdee: 2149 });
+      BodyCompositionCalculator.calculate({ profile, entries }).energy
+        .should.have.properties({ activityFactor: 1.2, activitySource: 'default' });
+    });
+
+    it('should derive the age from a birth date as of the latest entry', function() {
+      const { profile: used } = BodyCompositionCalculator.calculate({
+        profile: { height: 175, gender: '1', birthdate: '1990-03-02' },
+        entries
+      });
+
+      used.age.should.equal(33);
+    });
+  });
+
+  describe('lean mass', function() {
+    const entries = [
+      { date: '2024-03-20', weight: 78 },
+      { date: '2024-03-01', weight: 80 }
+    ];
+    const bodyFat = entries => ({ category: { id: 4, name: 'Body fat', unit: '%' }, entries });
+
+    it('should pair measurements with the closest weight entry', function() {
+      const { bodyComposition } = BodyCompositionCalculator.calculate({
+        profile,
+        entries,
+        bodyFat: bodyFat([
+          { date: '2024-03-18', value: '22.5' },
+          { date: '2024-03-02', value: '25' },
+          { date: '2024-03-10', value: '24' }
+        ])
+      });
+
+      bodyComposition.series.map(point => point.weightDate).should.deepEqual(['2024-03-01', '2024-03-20']);
+      bodyComposition.latest.should.have.properties({ bodyFat: 22.5, weight: 78, leanMass: 60.45, fatMass: 17.55 });
+      bodyComposition.should.have.properties({ leanMassChange: 0.45, fatMassChange: -2.45, unpaired: 1 });
+      bodyComposition.category.should.deepEqual({ id: 4, name: 'Body fat' });
+    });
+
+    it('should report no series without measurements', function() {
+      const { bodyComposition } = BodyCompositionCalculator.calculate({ profile, entries, bodyFat: bodyFat([]) });
+
+      bodyComposition.series.should.be.empty();
+      should(bodyComposition.latest).be.null();
+      should(bodyComposition.leanMassChange).be.null();
+    });
+  });
+});
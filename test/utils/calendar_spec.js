@@ -0,0 +1,95 @@
+/**
+ * Test cases for Calendar
+ */
+
+const should = require('should');
+const Calendar = require('../../utils/calendar');
+
+describe('Calendar', function() {
+  const now = Date.parse('2024-03-01T23:30:00Z');
+
+  it('should validate time zones and week starts', function() {
+    Calendar.resolveTimeZone('europe/berlin').should.equal('Europe/Berlin');
+    Calendar.resolveTimeZone().should.be.a.String();
+    (() => Calendar.resolveTimeZone('Mars/Olympus')).should.throw('Unknown time zone: Mars/Olympus');
+
+    Calendar.resolveWeekStart().should.equal(1);
+    Calendar.resolveWeekStart('0').should.equal(0);
+    (() => Calendar.resolveWeekStart(7)).should.throw(/Week start must be a day number/);
+  });
+
+  describe('toLocalDate', function() {
+    it('should resolve instants to the date in the time zone', function() {
+      Calendar.toLocalDate('2024-03-01T23:30:00Z', 'Europe/Berlin').should.equal('2024-03-02');
+      Calendar.toLocalDate('2024-03-01T23:30:00Z', 'America/Los_Angeles').should.equal('2024-03-01');
+      Calendar.toLocalDate(new Date(now), 'Asia/Tokyo').should.equal('2024-03-02');
+    });
+
+    it('should keep dates and local times without an offset', function() {
+      Calendar.toLocalDate('2024-03-01', 'Pacific/Auckland').should.equal('2024-03-01');
+      Calendar.toLocalDate('2024-03-01T23:30', 'Pacific/Auckland').should.equal('2024-03-01');
+    });
+
+    it('should resolve relative keywords in the time zone', function() {
+      Calendar.toLocalDate('today', 'Europe/Berlin', now).should.equal('2024-03-02');
+      Calendar.toLocalDate('Yesterday', 'America/New_York', now).should.equal('2024-02-29');
+      Calendar.toLocalDate('tomorrow', 'UTC', now).should.equal('2024-03-02');
+      Calendar.today('Asia/Kolkata', now).should.equal('2024-03-02');
+    });
+
+    it('should pass through values that are not dates', function() {
+      Calendar.toLocalDate('soon', 'UTC').should.equal('soon');
+      should(Calendar.toLocalDate(null, 'UTC')).be.null();
+    });
+  });
+
+  describe('toTimestamp', function() {
+    it('should attach the offset of the time zone to local times', function() {
+      Calendar.toTimestamp('2024-03-01T08:00', 'America/New_York').should.equal('2024-03-01T08:00:00-05:00');
+      Calendar.toTimestamp('2024-07-01 08:00:00', 'America/New_York').should.equal('2024-07-01T08:00:00-04:00');
+      Calendar.toTimestamp('2024-03-01', 'Asia/Kathmandu').should.equal('2024-03-01T00:00:00+05:45');
+    });
+
+    it('should express instants and now in the time zone', function() {
+      Calendar.toTimestamp('2024-03-01T23:30:00Z', 'Europe/Berlin').should.equal('2024-03-02T00:30:00+01:00');
+      Calendar.toTimestamp('now', 'UTC', now).should.equal('2024-03-01T23:30:00+00:00');
+    });
+
+    it('should move times skipped by daylight saving past the gap', function() {
+      Calendar.toTimestamp('2024-03-31T02:30', 'Europe/Berlin').should.equal('2024-03-31T03:30:00+02:00');
+    });
+  });
+
+  describe('getWeek', function() {
+    it('should number weeks as in ISO 8601', function() {
+      Calendar.getWeek('2024-12-30').should.deepEqual({ key: '2025-W01', year: 2025, week: 1, start: '2024-12-30' });
+      Calendar.getWeek('2021-01-03').key.should.equal('2020-W53');
+      Calendar.getWeek('2024-03-04').key.should.equal('2024-W10');
+    });
+
+    it('should support other week starts', function() {
+      // Saturday 2024-03-02 starts a new week when weeks start on Saturday
+      Calendar.getWeek('2024-03-02', 6).start.should.equal('2024-03-02');
+      Calendar.getWeek('2024-03-02', 0).should.have.properties({ key: '2024-W09', start: '2024-02-25' });
+    });
+  });
+
+  it('should resolve the date fields of a payload', function() {
+    const payload = [{ date: 'today', datetime: '2024-03-01T08:00', comment: 'x' }, { date: null }];
+
+    Calendar.convertPayload(payload, { date: 'date', datetime: 'datetime' }, 'Europe/Berlin', now).should.deepEqual([
+      { date: '2024-03-02', datetime: '2024-03-01T08:00:00+01:00', comment: 'x' },
+      { date: null }
+    ]);
+    payload[0].date.should.equal('today');
+  });
+
+  it('should resolve the date fields of nested objects and arrays', function() {
+    const payload = { session: { date: 'today', impression: 3 }, logs: [{ date: '2024-03-01T23:30:00Z' }, { reps: 8 }] };
+
+    Calendar.convertPayload(payload, { session: { date: 'date' }, logs: { date: 'date' } }, 'Europe/Berlin', now).should.deepEqual({
+      session: { date: '2024-03-02', impression: 3 },
+      logs: [{ date: '2024-03-02' }, { reps: 8 }]
+    });
+  });
+});
@@ -0,0 +1,56 @@
+/**
+ * Test cases for ExerciseMetadataCache
+ */
+
+require('should');
+const sinon = require('sinon');
+const { ExerciseMetadataCache } = require('../../utils/exercise-metadata-cache');
+
+describe('ExerciseMetadataCache', function() {
+  let now;
+  let cache;
+
+  beforeEach(function() {
+    now = 0;
+    cache = new ExerciseMetadataCache({ ttlMs: 1000, maxEntries: 2, timeProvider: { now: () => now } });
+  });
+
+  it('should load each exercise once per client until it expires', async function() {
+    const client = {};
+    const load = sinon.stub().callsFake(async id => ({ id }));
+
+    await Promise.all([cache.get(client, 1, load), cache.get(client, 1, load)]);
+    (await cache.get(client, '1', load)).should.deepEqual({ id: 1 });
+    await cache.get({}, 1, load);
+    load.callCount.should.equal(2);
+
+    now = 1000;
+    await cache.get(client, 1, load);
+    load.callCount.should.equal(3);
+    cache.getStats().should.deepEqual({ hits: 2, misses: 3 });
+  });
+
+  it('should evict the least recently used exercise', async function() {
+    const client = {};
+    const load = sinon.stub().callsFake(async id => ({ id }));
+
+    await cache.get(client, 1, load);
+    await cache.get(client, 2, load);
+    await cache.get(client, 1, load);
+    await cache.get(client, 3, load);
+    await cache.get(client, 1, load);
+    load.callCount.should.equal(3);
+    await cache.get(client, 2, load);
+    load.callCount.should.equal(4);
+  });
+
+  it('should not cache failed lookups', async function() {
+    const client = {};
+    const load = sinon.stub();
+    load.onFirstCall().rejects(new Error('Not found'));
+    load.onSecondCall().resolves({ id: 1 });
+
+    await cache.get(client, 1, load).should.be.rejectedWith('Not found');
+    (await cache.get(client, 1, load)).should.deepEqual({ id: 1 });
+  });
+});
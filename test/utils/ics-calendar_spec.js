@@ -0,0 +1,74 @@
+/**
+ * Test cases for IcsCalendar
+ */
+
+const should = require('should');
+const IcsCalendar = require('../../utils/ics-calendar');
+
+describe('IcsCalendar', function() {
+  const events = [{
+    uid: 'wger-schedule-1-step-2-day-11-20240304@node-red-contrib-wger',
+    start: '2024-03-04',
+    end: '2024-03-05',
+    summary: 'Push Pull: Push; heavy, fast',
+    description: 'Bench Press (3 sets)\nDips',
+    properties: { 'X-WGER-WORKOUT': '5' }
+  }];
+
+  it('should render all-day events with escaped text and CRLF line breaks', function() {
+    const text = IcsCalendar.render({ name: 'Strength', events }, { now: Date.UTC(2024, 2, 1, 8, 30) });
+
+    text.should.startWith('BEGIN:VCALENDAR\r\nVERSION:2.0\r\nPRODID:-//node-red-contrib-wger//Workout Schedule//EN\r\n');
+    text.should.endWith('END:VEVENT\r\nEND:VCALENDAR\r\n');
+    text.should.containEql('X-WR-CALNAME:Strength\r\n');
+    text.should.containEql('DTSTAMP:20240301T083000Z\r\nDTSTART;VALUE=DATE:20240304\r\nDTEND;VALUE=DATE:20240305\r\n');
+    text.should.containEql('SUMMARY:Push Pull: Push\\; heavy\\, fast\r\n');
+    text.should.containEql('DESCRIPTION:Bench Press (3 sets)\\nDips\r\n');
+    text.should.containEql('X-WGER-WORKOUT:5\r\n');
+  });
+
+  it('should fold long lines without splitting characters', function() {
+    const line = `SUMMARY:${'Übung '.repeat(30)}`;
+
+    const folded = IcsCalendar.foldLine(line);
+
+    folded.split('\r\n').forEach(part => Buffer.byteLength(part).should.be.belowOrEqual(75));
+    folded.replace(/\r\n /g, '').should.equal(line);
+  });
+
+  it('should parse what it renders', function() {
+    const text = IcsCalendar.render({ name: 'Strength, 2024', events: [{ ...events[0], uid: 'x'.repeat(100) }] });
+
+    const calendar = IcsCalendar.parse(text);
+
+    calendar.name.should.equal('Strength, 2024');
+    calendar.events.should.deepEqual([{ ...events[0], uid: 'x'.repeat(100) }]);
+  });
+
+  it('should read date-times and skip nested components', function() {
+    const text = [
+      'BEGIN:VCALENDAR',
+      'BEGIN:VEVENT',
+      'UID:a',
+      'DTSTART:20240303T233000Z',
+      'DTEND;TZID=Europe/Berlin:20240305T010000',
+      'SUMMARY:Legs',
+      'BEGIN:VALARM',
+      'DESCRIPTION:Reminder',
+      'END:VALARM',
+      'END:VEVENT',
+      'BEGIN:VEVENT',
+      'DTSTART;VALUE=DATE:20240306',
+      'SUMMARY:Rest',
+      'END:VEVENT',
+      'END:VCALENDAR'
+    ].join('\n');
+
+    const { events: parsed } = IcsCalendar.parse(text, { timeZone: 'Europe/Berlin' });
+
+    parsed[0].should.have.properties({ uid: 'a', start: '2024-03-04', end: '2024-03-06', summary: 'Legs', description: '' });
+    parsed[1].should.have.properties({ uid: 'event-2', start: '2024-03-06', end: '2024-03-07' });
+    should.throws(() => IcsCalendar.parse('{"events": []}'), /^Error: Invalid iCalendar data: expected a VCALENDAR$/);
+    should.throws(() => IcsCalendar.parse('BEGIN:VCALENDAR\nBEGIN:VEVENT\nUID:b\nEND:VEVENT\nEND:VCALENDAR'), /event b has no valid DTSTART/);
+  });
+});
@@ -0,0 +1,138 @@
+const should = require('should');
+const sinon = require('sinon');
+const JwtTokenManager = require('../../utils/jwt-token-manager');
+const { WriteOutbox } = require('../../utils/write-outbox');
+const { MockTimeProvider } = require('../../utils/time-provider');
+
+// Builds an unsigned JWT expiring at the given epoch second
+function makeToken(exp, name) {
+  const encode = obj => Buffer.from(JSON.stringify(obj)).toString('base64url');
+  return `${encode({ alg: 'HS256' })}.${encode({ exp, name })}.signature`;
+}
+
+function jsonResponse(status, body) {
+  return {
+    ok: status < 400,
+    status,
+    text: () => Promise.resolve(JSON.stringify(body))
+  };
+}
+
+describe('JwtTokenManager', function() {
+  let fetchStub;
+  let timeProvider;
+  let manager;
+
+  beforeEach(function() {
+    fetchStub = sinon.stub();
+    global.fetch = fetchStub;
+    timeProvider = new MockTimeProvider();
+    timeProvider.setTime(1000 * 1000);
+    manager = new JwtTokenManager({
+      apiUrl: 'https://wger.de/',
+      username: 'alice',
+      password: 'secret',
+      timeProvider
+    });
+  });
+
+  afterEach(function() {
+    delete global.fetch;
+  });
+
+  it('should require username and password', function() {
+    (() => new JwtTokenManager({ apiUrl: 'https://wger.de', username: 'alice' }))
+      .should.throw('JWT login requires a username and password');
+  });
+
+  it('should log in on first use and reuse the access token', async function() {
+    const access = makeToken(1000 + 300, 'access');
+    fetchStub.resolves(jsonResponse(200, { access, refresh: makeToken(1000 + 86400, 'refresh') }));
+
+    const header = await manager.getAuthHeader();
+    await manager.getAuthHeader();
+
+    header.should.deepEqual({ Authorization: `Bearer ${access}` });
+    sinon.assert.calledOnce(fetchStub);
+    const [url, options] = fetchStub.firstCall.args;
+    url.should.equal('https://wger.de/api/v2/token');
+    JSON.parse(options.body).should.deepEqual({ username: 'alice', password: 'secret' });
+  });
+
+  it('should share one login between concurrent callers', async function() {
+    fetchStub.resolves(jsonResponse(200, { access: makeToken(1300, 'a'), refresh: makeToken(90000, 'r') }));
+
+    await Promise.all([manager.getAccessToken(), manager.getAccessToken(), manager.getAccessToken()]);
+
+    sinon.assert.calledOnce(fetchStub);
+  });
+
+  it('should refresh the access token before it expires', async function() {
+    const refresh = makeToken(90000, 'refresh');
+    const fresh = makeToken(1600, 'fresh');
+    fetchStub.onFirstCall().resolves(jsonResponse(200, { access: makeToken(1300, 'old'), refresh }));
+    fetchStub.onSecondCall().resolves(jsonResponse(200, { access: fresh }));
+
+    await manager.getAccessToken();
+    timeProvider.advanceTime(280 * 1000); // within the refresh margin
+    const token = await manager.getAccessToken();
+
+    token.should.equal(fresh);
+    fetchStub.secondCall.args[0].should.equal('https://wger.de/api/v2/token/refresh');
+    JSON.parse(fetchStub.secondCall.args[1].body).should.deepEqual({ refresh });
+  });
+
+  it('should log in again when the refresh is rejected', async function() {
+    fetchStub.onFirstCall().resolves(jsonResponse(200, { access: makeToken(1300, 'a'), refresh: makeToken(90000, 'r') }));
+    fetchStub.onSecondCall().resolves(jsonResponse(401, { detail: 'Token is blacklisted' }));
+    fetchStub.onThirdCall().resolves(jsonResponse(200, { access: makeToken(1900, 'b'), refresh: makeToken(95000, 'r2') }));
+
+    await manager.getAccessToken();
+    await manager.getAccessToken({ forceRefresh: true });
+
+    fetchStub.thirdCall.args[0].should.equal('https://wger.de/api/v2/token');
+    manager.getCachedAuthHeader().Authorization.should.equal(`Bearer ${makeToken(1900, 'b')}`);
+  });
+
+  it('should surface rejected credentials with the status code', async function() {
+    fetchStub.resolves(jsonResponse(401, { detail: 'No active account found with the given credentials' }));
+
+    try {
+      await manager.getAuthHeader();
+      should.fail('Should have thrown error');
+    } catch (error) {
+      error.message.should.equal('JWT login failed: No active account found with the given credentials');
+      error.should.have.property('status', 401);
+    }
+  });
+
+  it('should report an unreachable server as a network error', async function() {
+    const cause = Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' });
+    fetchStub.rejects(new TypeError('fetch failed', { cause }));
+
+    try {
+      await manager.getAuthHeader();
+      should.fail('Should have thrown error');
+    } catch (error) {
+      error.message.should.equal('JWT login failed: fetch failed');
+      error.should.have.properties({ name: 'NetworkError', code: 'ECONNREFUSED' });
+      error.cause.cause.should.equal(cause);
+      WriteOutbox.isOfflineError(error).should.be.true();
+    }
+  });
+
+  it('should fall back to the default lifetime for tokens without exp', function() {
+    JwtTokenManager.getExpiry('not-a-jwt', 42).should.equal(42);
+    JwtTokenManager.getExpiry(makeToken(2000), 42).should.equal(2000 * 1000);
+  });
+
+  it('should drop all tokens on clear', async function() {
+    fetchStub.resolves(jsonResponse(200, { access: makeToken(1300, 'a'), refresh: makeToken(90000, 'r') }));
+    await manager.getAccessToken();
+
+    manager.clear();
+
+    manager.getCachedAuthHeader().should.deepEqual({});
+    should(manager.refreshToken).be.null();
+  });
+});
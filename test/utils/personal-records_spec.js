@@ -0,0 +1,64 @@
+/**
+ * Test cases for PersonalRecords
+ */
+
+const should = require('should');
+const PersonalRecords = require('../../utils/personal-records');
+
+describe('PersonalRecords', function() {
+  const logs = [
+    { id: 1, exercise_base: 192, date: '2024-03-01', reps: 5, weight: '100.00', weight_unit: 1, repetition_unit: 1 },
+    { id: 2, exercise_base: 192, date: '2024-03-04', reps: 8, weight: '90.00', weight_unit: 1, repetition_unit: 1 },
+    { id: 3, exercise_base: 192, date: '2024-03-08', reps: 6, weight: '220.00', weight_unit: 2, repetition_unit: 1 },
+    { id: 4, exercise_base: 192, date: '2024-03-09', reps: 10, weight: '90.00', weight_unit: 1, repetition_unit: 1 },
+    { id: 5, exercise_base: 192, date: '2024-03-10', reps: 30, weight: '0.00', weight_unit: 3, repetition_unit: 1 },
+    { id: 6, exercise_base: 73, date: '2024-03-01', reps: 60, weight: '0', weight_unit: 1, repetition_unit: 3 }
+  ];
+
+  it('should estimate the one-rep max with Epley and Brzycki', function() {
+    PersonalRecords.estimateOneRepMax(100, 5).should.equal(116.67);
+    PersonalRecords.estimateOneRepMax(100, 5, 'brzycki').should.equal(112.5);
+    PersonalRecords.estimateOneRepMax(100, 1, 'brzycki').should.equal(100);
+    should(PersonalRecords.estimateOneRepMax(100, 13)).be.null();
+  });
+
+  it('should calculate records per exercise in one unit', function() {
+    const [bench] = PersonalRecords.calculate(logs, { unit: 'kg' });
+
+    // Logs in plates and seconds are left out
+    bench.should.have.properties({ exercise: 192, sets: 4 });
+    bench.bestWeight.should.deepEqual({ weight: 100, reps: 5, date: '2024-03-01', logId: 1 });
+    bench.oneRepMax.should.deepEqual({ value: 120, weight: 90, reps: 10, date: '2024-03-09', logId: 4 });
+    bench.repsByWeight.map(set => [set.weight, set.reps]).should.deepEqual([[100, 5], [99.79, 6], [90, 10]]);
+    PersonalRecords.calculate(logs, { unit: 'lb', formula: 'brzycki' })[0].oneRepMax.value.should.equal(264.56);
+  });
+
+  it('should detect weight, repetition and one-rep max records', function() {
+    const log = { id: 7, exercise_base: 192, date: '2024-03-11', reps: 6, weight: '102.5', weight_unit: 1 };
+
+    const result = PersonalRecords.detect(log, [...logs, log], { unit: 'kg' });
+
+    result.should.have.properties({ isRecord: true, previousSets: 4 });
+    result.records.should.deepEqual([
+      { type: 'weight', value: 102.5, previous: 100 },
+      { type: 'oneRepMax', value: 123, previous: 120 }
+    ]);
+  });
+
+  it('should count more repetitions at a weight as a record only if no heavier set had as many', function() {
+    const reps = PersonalRecords.detect({ exercise_base: 192, reps: 6, weight: 100 }, logs);
+    reps.records.should.deepEqual([{ type: 'reps', value: 6, weight: 100, previous: 5 }]);
+
+    PersonalRecords.detect({ exercise_base: 192, reps: 6, weight: 95 }, logs).isRecord.should.be.false();
+  });
+
+  it('should not flag the first log of an exercise', function() {
+    PersonalRecords.detect({ id: 1, exercise_base: 5, reps: 5, weight: 50 }, [{ id: 1, exercise_base: 5, reps: 5, weight: 50 }])
+      .should.deepEqual({
+        isRecord: false,
+        records: [],
+        set: { logId: 1, exercise: 5, date: undefined, reps: 5, weight: 50 },
+        previousSets: 0
+      });
+  });
+});
@@ -0,0 +1,76 @@
+/**
+ * Test cases for ProgressionEngine
+ */
+
+const should = require('should');
+const ProgressionEngine = require('../../utils/progression-engine');
+
+describe('ProgressionEngine', function() {
+  const targets = ProgressionEngine.toTargets({ sets: 3 }, [{ reps: 8, weight: '60.00', weight_unit: 1, rir: '2' }]);
+  const session = (date, sets) => ({ date, sets: sets.map(([weight, reps, rir = null]) => ({ weight, reps, rir })) });
+
+  it('should read set definitions and group logs into sessions', function() {
+    targets.should.deepEqual([
+      { reps: 8, weight: 60, rir: 2 },
+      { reps: 8, weight: 60, rir: 2 },
+      { reps: 8, weight: 60, rir: 2 }
+    ]);
+    ProgressionEngine.toTargets({ sets: 3 }, [
+      { reps: 6, weight: '135', weight_unit: 2, order: 2 },
+      { reps: 8, weight: '60', weight_unit: 1, order: 1 }
+    ]).map(target => [target.weight, target.reps]).should.deepEqual([[60, 8], [61.23, 6]]);
+
+    const sessions = ProgressionEngine.toSessions([
+      { id: 3, exercise_base: 192, date: '2024-03-08', reps: 8, weight: '62.5', weight_unit: 1, rir: '1' },
+      { id: 1, exercise_base: 192, date: '2024-03-04', reps: 10, weight: '60', weight_unit: 1, rir: null },
+      { id: 2, exercise_base: 192, date: '2024-03-04', reps: 9, weight: '60', weight_unit: 1, rir: '2' }
+    ]);
+    sessions.should.deepEqual([
+      session('2024-03-08', [[62.5, 8, 1]]),
+      session('2024-03-04', [[60, 10], [60, 9, 2]])
+    ]);
+  });
+
+  it('should progress with the linear and double progression schemes', function() {
+    const missed = [session('2024-03-04', [[60, 8], [60, 8], [60, 7]])];
+    const completed = [session('2024-03-04', [[60, 8], [60, 8], [60, 8]])];
+
+    ProgressionEngine.suggest(targets, missed, { scheme: 'linear' }).should.have.properties({ status: 'hold', stall: null });
+    ProgressionEngine.suggest(targets, completed, { scheme: 'linear', increment: 1.25 }).sets
+      .map(set => set.weight).should.deepEqual([61.25, 61.25, 61.25]);
+
+    const double = ProgressionEngine.suggest(targets, [session('2024-03-04', [[60, 10], [60, 9], [60, 8]])], { scheme: 'double' });
+    double.status.should.equal('hold');
+    double.sets.map(set => [set.weight, set.reps]).should.deepEqual([[60, 11], [60, 10], [60, 9]]);
+
+    const top = ProgressionEngine.suggest(targets, [session('2024-03-04', [[60, 12], [60, 12], [60, 12]])], { scheme: 'double' });
+    top.status.should.equal('increase');
+    top.sets.map(set => [set.weight, set.reps]).should.deepEqual([[62.5, 8], [62.5, 8], [62.5, 8]]);
+  });
+
+  it('should adjust each set by its repetitions in reserve', function() {
+    const result = ProgressionEngine.suggest(targets, [session('2024-03-04', [[100, 8, 4], [100, 8, 1], [100, 8]])], { scheme: 'rir', unit: 'kg' });
+
+    result.sets.map(set => [set.weight, set.change]).should.deepEqual([[105, 'increase'], [97.5, 'decrease'], [100, 'hold']]);
+    result.status.should.equal('increase');
+    ProgressionEngine.suggest(targets, [session('2024-03-04', [[100, 8, 2.5]])], { scheme: 'rir', targetRir: 2 })
+      .sets[0].weight.should.equal(102.5);
+  });
+
+  it('should suggest a deload after sessions without a better one-rep max', function() {
+    const sessions = [
+      session('2024-03-15', [[100, 4], [100, 3]]),
+      session('2024-03-11', [[100, 4]]),
+      session('2024-03-08', [[100, 5]]),
+      session('2024-03-04', [[100, 5]])
+    ];
+
+    const result = ProgressionEngine.suggest(targets, sessions, { scheme: 'double' });
+
+    result.status.should.equal('deload');
+    result.stall.should.deepEqual({ sessions: 3, best: 116.67, recentBest: 116.67, since: '2024-03-04' });
+    result.sets.map(set => [set.weight, set.reps]).should.deepEqual([[90, 8], [90, 8], [90, 8]]);
+    should(ProgressionEngine.detectStall(sessions.slice(0, 3))).be.null();
+    ProgressionEngine.suggest(targets, []).should.have.properties({ status: 'noHistory', lastSession: null });
+  });
+});
@@ -0,0 +1,111 @@
+/**
+ * Test cases for RateLimiter and Retry-After parsing
+ */
+
+const should = require('should');
+const { RateLimiter, parseRetryAfter } = require('../../utils/rate-limiter');
+const { MockTimeProvider } = require('../../utils/time-provider');
+
+describe('RateLimiter', function() {
+  let timeProvider;
+  let limiter;
+
+  beforeEach(function() {
+    timeProvider = new MockTimeProvider();
+    limiter = new RateLimiter({ requestsPerSecond: 2, burst: 2, timeProvider });
+  });
+
+  afterEach(function() {
+    limiter.dispose();
+  });
+
+  // Lets resolved acquire() promises run their callbacks
+  const flush = () => new Promise(resolve => setImmediate(resolve));
+
+  it('should use defaults for invalid configuration', function() {
+    const defaults = new RateLimiter({ requestsPerSecond: 0, burst: 0, timeProvider });
+    defaults.requestsPerSecond.should.equal(5);
+    defaults.burst.should.equal(10);
+  });
+
+  it('should allow a burst without waiting', async function() {
+    await limiter.acquire();
+    await limiter.acquire();
+    limiter.getQueueDepth().should.equal(0);
+  });
+
+  it('should queue requests once the bucket is empty and release them in order', async function() {
+    const released = [];
+    [1, 2, 3, 4].forEach(n => limiter.acquire().then(() => released.push(n)));
+    await flush();
+
+    released.should.deepEqual([1, 2]);
+    limiter.getQueueDepth().should.equal(2);
+
+    timeProvider.advanceTime(500);
+    await flush();
+    released.should.deepEqual([1, 2, 3]);
+
+    timeProvider.advanceTime(500);
+    await flush();
+    released.should.deepEqual([1, 2, 3, 4]);
+    limiter.getQueueDepth().should.equal(0);
+  });
+
+  it('should report queue depth changes', async function() {
+    const depths = [];
+    limiter.onQueueChange(depth => depths.push(depth));
+
+    limiter.acquire();
+    limiter.acquire();
+    limiter.acquire();
+    timeProvider.advanceTime(500);
+    await flush();
+
+    depths.should.deepEqual([1, 0]);
+  });
+
+  it('should hold all requests while paused', async function() {
+    let released = false;
+    limiter.pause(3000);
+    limiter.acquire().then(() => { released = true; });
+
+    timeProvider.advanceTime(2999);
+    await flush();
+    released.should.be.false();
+
+    timeProvider.advanceTime(1);
+    await flush();
+    released.should.be.true();
+  });
+
+  it('should reject queued requests on dispose', async function() {
+    await limiter.acquire();
+    await limiter.acquire();
+    const pending = limiter.acquire();
+
+    limiter.dispose(new Error('closed'));
+
+    await pending.should.be.rejectedWith('closed');
+    limiter.getQueueDepth().should.equal(0);
+  });
+});
+
+describe('parseRetryAfter', function() {
+  it('should parse delays in seconds', function() {
+    parseRetryAfter('120', 0).should.equal(120000);
+    parseRetryAfter('0', 0).should.equal(0);
+  });
+
+  it('should parse HTTP dates relative to now', function() {
+    const now = Date.parse('Mon, 19 Oct 2026 10:00:00 GMT');
+    parseRetryAfter('Mon, 19 Oct 2026 10:00:30 GMT', now).should.equal(30000);
+    parseRetryAfter('Mon, 19 Oct 2026 09:00:00 GMT', now).should.equal(0);
+  });
+
+  it('should return null for missing or invalid values', function() {
+    should(parseRetryAfter(null, 0)).be.null();
+    should(parseRetryAfter('', 0)).be.null();
+    should(parseRetryAfter('soon', 0)).be.null();
+  });
+});
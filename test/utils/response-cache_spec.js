@@ -0,0 +1,100 @@
+/**
+ * Test cases for ResponseCache
+ */
+
+const should = require('should');
+const ResponseCache = require('../../utils/response-cache');
+const { MockTimeProvider } = require('../../utils/time-provider');
+
+describe('ResponseCache', function() {
+  const MUSCLES = '/api/v2/muscle/';
+  let timeProvider;
+  let cache;
+
+  beforeEach(function() {
+    timeProvider = new MockTimeProvider();
+    cache = new ResponseCache({
+      maxEntries: 3,
+      ttls: { [MUSCLES]: 1000, '/api/v2/equipment/': 5000 },
+      timeProvider
+    });
+  });
+
+  it('should only cache paths with a configured TTL', function() {
+    cache.getTtl('/api/v2/muscle/3/').should.equal(1000);
+    cache.getTtl('/api/v2/workout/').should.equal(0);
+
+    cache.set('k', '/api/v2/workout/', { id: 1 });
+    should(cache.get('k')).be.null();
+  });
+
+  it('should build the same key regardless of query parameter order', function() {
+    cache.buildKey('user', MUSCLES, { b: 2, a: 1 })
+      .should.equal(cache.buildKey('user', MUSCLES, { a: 1, b: 2, c: null }));
+    cache.buildKey('alice', MUSCLES, {}).should.not.equal(cache.buildKey('bob', MUSCLES, {}));
+  });
+
+  it('should return fresh entries as copies', function() {
+    cache.set('k', MUSCLES, { results: [1] }, '"v1"');
+
+    const entry = cache.get('k');
+    entry.should.deepEqual({ data: { results: [1] }, etag: '"v1"', fresh: true });
+
+    entry.data.results.push(2);
+    cache.get('k').data.should.deepEqual({ results: [1] });
+  });
+
+  it('should keep expired entries with an ETag for revalidation', function() {
+    cache.set('k', MUSCLES, { results: [] }, '"v1"');
+    timeProvider.advanceTime(1000);
+
+    cache.get('k').should.have.property('fresh', false);
+
+    cache.revalidate('k').should.deepEqual({ results: [] });
+    cache.get('k').should.have.property('fresh', true);
+    cache.getStats().revalidations.should.equal(1);
+  });
+
+  it('should drop expired entries without an ETag', function() {
+    cache.set('k', MUSCLES, { results: [] });
+    timeProvider.advanceTime(1000);
+
+    should(cache.get('k')).be.null();
+    cache.getStats().size.should.equal(0);
+  });
+
+  it('should evict the least recently used entry when full', function() {
+    cache.set('a', MUSCLES, 1);
+    cache.set('b', MUSCLES, 2);
+    cache.set('c', MUSCLES, 3);
+    cache.get('a');
+    cache.set('d', MUSCLES, 4);
+
+    should(cache.get('b')).be.null();
+    cache.get('a').data.should.equal(1);
+    cache.getStats().size.should.equal(3);
+  });
+
+  it('should invalidate the collection of a written resource', function() {
+    cache.set('list', MUSCLES, []);
+    cache.set('detail', '/api/v2/muscle/3/', {});
+    cache.set('other', '/api/v2/equipment/', []);
+
+    cache.invalidatePath('/api/v2/muscle/3/').should.equal(2);
+
+    should(cache.get('list')).be.null();
+    should(cache.get('detail')).be.null();
+    cache.get('other').should.be.ok();
+  });
+
+  it('should derive collection paths and identities', function() {
+    ResponseCache.getCollectionPath('/api/v2/muscle/3/').should.equal(MUSCLES);
+    ResponseCache.getCollectionPath('/api/v2/workout/7/day/').should.equal('/api/v2/workout/');
+    ResponseCache.getCollectionPath(MUSCLES).should.equal(MUSCLES);
+
+    ResponseCache.identityFromHeader({}).should.equal('anonymous');
+    const identity = ResponseCache.identityFromHeader({ Authorization: 'Token secret' });
+    identity.should.have.length(16);
+    identity.should.not.containEql('secret');
+  });
+});
@@ -62,6 +62,17 @@ describe('RetryPolicy', function() {
       });
     });
 
+    it('should not retry when Retry-After exceeds the maximum delay', function() {
+      const error = new Error('Too Many Requests');
+      error.status = 429;
+      error.retryAfterMs = 120000;
+
+      policy.shouldRetry(error, 1).should.be.false();
+
+      error.retryAfterMs = 5000;
+      policy.shouldRetry(error, 1).should.be.true();
+    });
+
     it('should not retry when max attempts reached', function() {
       const error = new Error('Server error');
       error.status = 503;
@@ -141,6 +152,14 @@ describe('RetryPolicy', function() {
       });
     });
 
+    it('should use Retry-After instead of exponential backoff', function() {
+      const error = new Error('Too Many Requests');
+      error.retryAfterMs = 7000;
+
+      policy.getRetryDelay(1, error).should.equal(7000);
+      policy.getRetryDelay(3, error).should.equal(7000);
+    });
+
     it('should calculate exponential backoff delays', function() {
       policy.getRetryDelay(1).should.be.approximately(1000, 100);   // 1000 * 2^0 ± jitter
       policy.getRetryDelay(2).should.be.approximately(2000, 200);   // 1000 * 2^1 ± jitter  
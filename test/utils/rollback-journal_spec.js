@@ -0,0 +1,37 @@
+/**
+ * Test cases for RollbackJournal
+ */
+
+require('should');
+const sinon = require('sinon');
+const RollbackJournal = require('../../utils/rollback-journal');
+
+describe('RollbackJournal', function() {
+  it('should delete tracked objects newest first', async function() {
+    const client = { delete: sinon.stub().resolves(null) };
+    const journal = new RollbackJournal();
+
+    journal.track(client, '/api/v2/workout/{id}/', { id: 1 }).should.deepEqual({ id: 1 });
+    journal.track(client, '/api/v2/day/{id}/', { id: 2 });
+    journal.track(client, '/api/v2/day/{id}/', null);
+    journal.size.should.equal(2);
+
+    (await journal.rollback()).should.deepEqual({ deleted: 2, failed: [] });
+    client.delete.args.should.deepEqual([['/api/v2/day/2/'], ['/api/v2/workout/1/']]);
+    journal.size.should.equal(0);
+  });
+
+  it('should report objects that cannot be deleted and continue', async function() {
+    const client = { delete: sinon.stub() };
+    client.delete.withArgs('/api/v2/set/3/').rejects(new Error('Gone'));
+    client.delete.resolves(null);
+    const journal = new RollbackJournal();
+    journal.track(client, '/api/v2/day/{id}/', { id: 2 });
+    journal.track(client, '/api/v2/set/{id}/', { id: 3 });
+
+    (await journal.rollback()).should.deepEqual({
+      deleted: 1,
+      failed: [{ endpoint: '/api/v2/set/{id}/', id: 3, error: 'Gone' }]
+    });
+  });
+});
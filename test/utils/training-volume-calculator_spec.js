@@ -0,0 +1,57 @@
+/**
+ * Test cases for TrainingVolumeCalculator
+ */
+
+require('should');
+const TrainingVolumeCalculator = require('../../utils/training-volume-calculator');
+
+describe('TrainingVolumeCalculator', function() {
+  const exercises = new Map([
+    [192, { id: 192, name: 'Bench Press', category: 'Chest', muscles: ['Pectoralis major'], musclesSecondary: ['Triceps brachii', 'Anterior deltoid'] }],
+    [91, { id: 91, name: 'Dips', category: 'Chest', muscles: ['Triceps brachii'], musclesSecondary: [] }]
+  ]);
+  const logs = [
+    { exercise_base: 192, date: '2024-03-04', reps: 8, weight: '80.00', weight_unit: 1, rir: '2' },
+    { exercise_base: 192, date: '2024-03-04', reps: 10, weight: '80.00', weight_unit: 1, rir: '4' },
+    { exercise_base: 91, date: '2024-03-06', reps: 12, weight: '0.00', weight_unit: 3 },
+    { exercise_base: 192, date: '2024-03-11', reps: 5, weight: '200.00', weight_unit: 2, rir: null },
+    { exercise_base: 7, date: '2024-03-11', reps: 60, weight: '0', repetition_unit: 3 }
+  ];
+
+  it('should reduce exercise base info to muscles and category', function() {
+    TrainingVolumeCalculator.toMetadata({
+      id: 192,
+      category: { id: 11, name: 'Chest' },
+      muscles: [{ id: 4, name: 'Pectoralis major', name_en: 'Chest' }],
+      muscles_secondary: [{ id: 5, name: 'Triceps brachii', name_en: '' }],
+      exercises: [{ name: 'Bankdrücken', language: 1 }, { name: 'Bench Press', language: 2 }]
+    }).should.deepEqual({ id: 192, name: 'Bench Press', category: 'Chest', muscles: ['Chest'], musclesSecondary: ['Triceps brachii'] });
+  });
+
+  it('should sum weekly volume per muscle and category', function() {
+    const report = TrainingVolumeCalculator.calculate(logs, exercises, { unit: 'kg', timeZone: 'UTC' });
+
+    report.totals.should.deepEqual({ sets: 5, hardSets: 4, reps: 35, tonnage: 1893.59 });
+    report.weeks.map(week => week.week).should.deepEqual(['2024-W10', '2024-W11']);
+
+    const [first, second] = report.weeks;
+    first.should.have.properties({ startDate: '2024-03-04', totals: { sets: 3, hardSets: 2, reps: 30, tonnage: 1440 } });
+    first.muscles.primary.should.deepEqual([
+      { muscle: 'Pectoralis major', sets: 2, hardSets: 1, reps: 18, tonnage: 1440 },
+      { muscle: 'Triceps brachii', sets: 1, hardSets: 1, reps: 12, tonnage: 0 }
+    ]);
+    first.muscles.secondary.map(muscle => [muscle.muscle, muscle.sets]).should.deepEqual([['Anterior deltoid', 2], ['Triceps brachii', 2]]);
+    first.categories.should.deepEqual([{ category: 'Chest', sets: 3, hardSets: 2, reps: 30, tonnage: 1440 }]);
+
+    // Seconds are no repetitions, and exercises without metadata only count in totals and categories
+    second.categories.map(category => [category.category, category.reps]).should.deepEqual([['Chest', 5], ['Unknown', 0]]);
+    second.muscles.primary.should.deepEqual([{ muscle: 'Pectoralis major', sets: 1, hardSets: 1, reps: 5, tonnage: 453.59 }]);
+  });
+
+  it('should honour the hard set threshold, unit and week start', function() {
+    const report = TrainingVolumeCalculator.calculate(logs, exercises, { unit: 'lb', hardSetMaxRir: 1, weekStart: 0, timeZone: 'UTC' });
+
+    report.totals.should.have.properties({ hardSets: 3, tonnage: 4174.66 });
+    report.weeks.map(week => week.startDate).should.deepEqual(['2024-03-03', '2024-03-10']);
+  });
+});
@@ -0,0 +1,80 @@
+/**
+ * Test cases for UnitConverter
+ */
+
+const should = require('should');
+const UnitConverter = require('../../utils/unit-converter');
+
+describe('UnitConverter', function() {
+  it('should normalize unit spellings', function() {
+    UnitConverter.parseUnit(' Lbs ').should.equal('lb');
+    UnitConverter.parseUnit('kilograms').should.equal('kg');
+    UnitConverter.parseUnit('ounce').should.equal('oz');
+    (() => UnitConverter.parseUnit('stone')).should.throw('Unknown weight unit: stone');
+  });
+
+  it('should convert between mass units', function() {
+    UnitConverter.convert(180, 'lb', 'kg').should.equal(81.65);
+    UnitConverter.convert(80, 'kg', 'lbs').should.equal(176.37);
+    UnitConverter.convert(1.5, 'kg', 'g').should.equal(1500);
+    UnitConverter.convert(100, 'g', 'oz').should.equal(3.53);
+    UnitConverter.convert(80.123, 'kg', 'kg').should.equal(80.123);
+  });
+
+  it('should read unit values and pass everything else through', function() {
+    UnitConverter.readValue({ value: '176,4', unit: 'lb' }, 'kg').should.equal(80.01);
+    UnitConverter.readValue(80, 'lb').should.equal(80);
+    should(UnitConverter.readValue(undefined, 'kg')).be.undefined();
+    UnitConverter.readValue('heavy', 'kg').should.equal('heavy');
+    (() => UnitConverter.readValue({ value: 'heavy', unit: 'kg' }, 'kg', 'weight')).should.throw('Invalid weight: heavy');
+  });
+
+  describe('convertPayload', function() {
+    it('should convert account fields without modifying the payload', function() {
+      const payload = { date: '2024-03-01', weight: { value: 180, unit: 'lb' } };
+
+      UnitConverter.convertPayload(payload, { weight: 'account' }, 'kg')
+        .should.deepEqual({ date: '2024-03-01', weight: 81.65 });
+      payload.weight.should.deepEqual({ value: 180, unit: 'lb' });
+    });
+
+    it('should convert workout log weights to the unit of the log', function() {
+      const fields = { weight: 'workoutLog' };
+
+      UnitConverter.convertPayload({ weight: { value: 100, unit: 'kg' }, weight_unit: 2 }, fields, 'kg')
+        .should.deepEqual({ weight: 220.46, weight_unit: 2 });
+      UnitConverter.convertPayload({ weight: { value: 100, unit: 'kg' } }, fields, 'lb')
+        .should.deepEqual({ weight: 220.46, weight_unit: 2 });
+      UnitConverter.convertPayload({ weight: 60 }, fields, 'kg')
+        .should.deepEqual({ weight: 60, weight_unit: 1 });
+      UnitConverter.convertPayload({ logId: 3, reps: 8 }, fields, 'lb')
+        .should.deepEqual({ logId: 3, reps: 8 });
+    });
+
+    it('should convert food amounts to grams unless a portion is given', function() {
+      UnitConverter.convertPayload({ amount: { value: 0.5, unit: 'kg' } }, { amount: 'g' })
+        .should.deepEqual({ amount: 500 });
+      UnitConverter.convertPayload({ amount: 2, weight_unit: 7 }, { amount: 'g' })
+        .should.deepEqual({ amount: 2, weight_unit: 7 });
+      (() => UnitConverter.convertPayload({ amount: { value: 4, unit: 'oz' }, weight_unit: 7 }, { amount: 'g' }))
+        .should.throw(/cannot be combined with weight_unit/);
+    });
+  });
+
+  it('should describe the units of unit fields', function() {
+    UnitConverter.describeUnits({ weight: 'workoutLog' }, 'lb').should.deepEqual({ weight: 'lb' });
+    UnitConverter.describeUnits({ amount: 'g' }, 'lb').should.deepEqual({ amount: 'g' });
+    UnitConverter.describeUnits({ weight: 'workoutLog' }, 'lb', { weight: 100, weight_unit: 1 }).should.deepEqual({ weight: 'kg' });
+    UnitConverter.describeUnits({ weight: 'workoutLog' }, 'kg', [{ weight_unit: 2 }, { weight_unit: 1 }])
+      .should.deepEqual([{ weight: 'lb' }, { weight: 'kg' }]);
+    UnitConverter.describeUnits({ weight: 'account' }, 'lb', [{ weight: 180 }]).should.deepEqual({ weight: 'lb' });
+  });
+
+  it('should read the account unit from settings and profiles', function() {
+    UnitConverter.accountUnitFrom({ weight_unit: 'lb' }).should.equal('lb');
+    UnitConverter.accountUnitFrom({ units: 'imperial' }).should.equal('lb');
+    UnitConverter.accountUnitFrom({ units: 'metric' }).should.equal('kg');
+    should(UnitConverter.accountUnitFrom({ theme: 'dark' })).be.null();
+    should(UnitConverter.accountUnitFrom(undefined)).be.null();
+  });
+});
@@ -0,0 +1,58 @@
+/**
+ * Test cases for WeightExporter
+ */
+
+require('should');
+const WeightExporter = require('../../utils/weight-exporter');
+
+describe('WeightExporter', function() {
+  const entries = [
+    { id: 3, date: '2024-03-06', weight: '79.00' },
+    { id: 2, date: '2024-03-05', weight: '80.00' },
+    { id: 4, date: 'not a date', weight: '80.00' },
+    { id: 1, date: '2024-03-04', weight: '81.00' }
+  ];
+
+  it('should build rows oldest first and skip invalid entries', function() {
+    WeightExporter.buildRows(entries).should.deepEqual([
+      { date: '2024-03-04', weight: 81, unit: 'kg' },
+      { date: '2024-03-05', weight: 80, unit: 'kg' },
+      { date: '2024-03-06', weight: 79, unit: 'kg' }
+    ]);
+    WeightExporter.buildRows([]).should.be.empty();
+  });
+
+  it('should add trend and ISO week averages in the export unit', function() {
+    const rows = WeightExporter.buildRows(entries, { from: 'kg', unit: 'lb', includeTrend: true, includeWeeklyAverage: true, smoothing: 0.5 });
+
+    // 2024-03-04 is a Monday, so all three entries share one week
+    rows.map(row => row.weeklyAverage).should.deepEqual([176.37, 176.37, 176.37]);
+    rows.map(row => row.trend).should.deepEqual([178.57, 177.47, 175.82]);
+    rows[0].should.have.properties({ weight: 178.57, unit: 'lb' });
+  });
+
+  it('should format CSV with the delimiter and quoting', function() {
+    const rows = [{ date: '2024-03-04', weight: 81.5, unit: 'kg', trend: 81.5 }];
+
+    WeightExporter.format(rows, 'csv', { delimiter: ';' }).should.equal('date;weight;unit;trend\n2024-03-04;81.5;kg;81.5');
+    WeightExporter.toCsv(rows, '.').should.equal('date.weight.unit.trend\n2024-03-04."81.5".kg."81.5"');
+  });
+
+  it('should format JSON Lines', function() {
+    WeightExporter.format(WeightExporter.buildRows(entries), 'jsonl').split('\n')[0]
+      .should.equal('{"date":"2024-03-04","weight":81,"unit":"kg"}');
+  });
+
+  it('should format node-red-dashboard chart series', function() {
+    const chart = WeightExporter.format(WeightExporter.buildRows(entries, { includeWeeklyAverage: true }), 'chart');
+
+    chart.should.deepEqual([{
+      series: ['Weight', 'Weekly average'],
+      data: [
+        [{ x: Date.parse('2024-03-04'), y: 81 }, { x: Date.parse('2024-03-05'), y: 80 }, { x: Date.parse('2024-03-06'), y: 79 }],
+        [{ x: Date.parse('2024-03-04'), y: 80 }, { x: Date.parse('2024-03-05'), y: 80 }, { x: Date.parse('2024-03-06'), y: 80 }]
+      ],
+      labels: ['']
+    }]);
+  });
+});
@@ -0,0 +1,116 @@
+/**
+ * Test cases for WeightImporter
+ */
+
+const should = require('should');
+const WeightImporter = require('../../utils/weight-importer');
+
+describe('WeightImporter', function() {
+  describe('readRows', function() {
+    it('should resolve mapped CSV header columns case-insensitively', function() {
+      const input = WeightImporter.readRows({
+        csv: 'Date;Weight (kg)\r\n2024-03-01;80,4\r\n\r\n2024-03-02;80.1\r\n',
+        delimiter: ';',
+        columns: { date: 'date', weight: 'Weight (kg)' }
+      });
+
+      input.columns.should.deepEqual({ date: 0, weight: 1 });
+      input.rows.should.deepEqual([['2024-03-01', '80,4'], ['2024-03-02', '80.1']]);
+    });
+
+    it('should use column indexes without a header row', function() {
+      const input = WeightImporter.readRows({ csv: '80.4,2024-03-01', hasHeader: false, columns: { date: 1, weight: 0 } });
+
+      input.rows.should.deepEqual([['80.4', '2024-03-01']]);
+      input.columns.should.deepEqual({ date: 1, weight: 0 });
+    });
+
+    it('should reject unknown columns and missing input', function() {
+      (() => WeightImporter.readRows({ csv: 'day,kg\n2024-03-01,80' })).should.throw('Column "date" not found in CSV header');
+      (() => WeightImporter.readRows({})).should.throw('Import requires either csv or rows');
+    });
+  });
+
+  describe('parseCsv', function() {
+    it('should handle quoted cells with delimiters, quotes and line breaks', function() {
+      WeightImporter.parseCsv('a,"b, ""c""\nd",e').should.deepEqual([['a', 'b, "c"\nd', 'e']]);
+    });
+  });
+
+  describe('normalize', function() {
+    it('should convert JSON rows and report invalid rows', function() {
+      const { entries, errors } = WeightImporter.normalize(
+        { rows: [{ day: '01/03/2024', lbs: 176.4 }, { day: '31/02/2024', lbs: 170 }, { lbs: 170 }], columns: { date: 'day', weight: 'lbs' } },
+        { dateFormat: 'DD/MM/YYYY', unit: 'lb' }
+      );
+
+      entries.should.deepEqual([{ row: 1, date: '2024-03-01', weight: 80.01 }]);
+      errors.should.deepEqual([
+        { row: 2, error: 'Invalid date: 31/02/2024' },
+        { row: 3, error: 'Missing date' }
+      ]);
+    });
+
+    it('should read the unit from a unit column or a weight suffix', function() {
+      const { entries } = WeightImporter.normalize({
+        rows: [
+          { date: '2024-03-01', weight: '180', unit: 'LBS' },
+          { date: '2024-03-02', weight: '81.5 kg', unit: '' }
+        ],
+        columns: { date: 'date', weight: 'weight', unit: 'unit' }
+      }, { unit: 'lb' });
+
+      entries.map(entry => entry.weight).should.deepEqual([81.65, 81.5]);
+    });
+
+    it('should convert weights to the target unit', function() {
+      const { entries, errors } = WeightImporter.normalize({
+        rows: [{ date: '2024-03-01', weight: '80 kg' }, { date: '2024-03-02', weight: '176.4' }, { date: '2024-03-03', weight: '500 g' }],
+        columns: { date: 'date', weight: 'weight' }
+      }, { unit: 'lb', targetUnit: 'lb' });
+
+      entries.map(entry => entry.weight).should.deepEqual([176.37, 176.4]);
+      errors.should.deepEqual([{ row: 3, error: 'Unknown weight unit: g' }]);
+    });
+  });
+
+  describe('parseDate', function() {
+    it('should support all configured formats', function() {
+      WeightImporter.parseDate('2024-03-01T07:30:00Z', 'YYYY-MM-DD').should.equal('2024-03-01');
+      WeightImporter.parseDate('1.3.2024', 'DD.MM.YYYY').should.equal('2024-03-01');
+      WeightImporter.parseDate('03/01/2024', 'MM/DD/YYYY').should.equal('2024-03-01');
+      WeightImporter.parseDate(1709251200, 'unix').should.equal('2024-03-01');
+      WeightImporter.parseDate('1709251200000', 'unix_ms').should.equal('2024-03-01');
+      (() => WeightImporter.parseDate('2024-03-01', 'DD.MM.YYYY')).should.throw(/does not match format/);
+    });
+  });
+
+  describe('plan', function() {
+    const entries = [
+      { row: 1, date: '2024-03-01', weight: 80 },
+      { row: 2, date: '2024-03-02', weight: 81 },
+      { row: 3, date: '2024-03-03', weight: 82 },
+      { row: 4, date: '2024-03-03', weight: 83 }
+    ];
+    const existing = [
+      { id: 7, date: '2024-03-02T08:00:00Z', weight: '81.00' },
+      { id: 8, date: '2024-03-03', weight: '79.50' }
+    ];
+
+    it('should skip existing dates by default', function() {
+      const plan = WeightImporter.plan(entries, existing);
+
+      plan.create.map(entry => entry.row).should.deepEqual([1]);
+      plan.update.should.have.length(0);
+      plan.skipped.map(entry => entry.reason).should.deepEqual(['entry exists', 'entry exists', 'duplicate date in import']);
+    });
+
+    it('should update changed entries when requested', function() {
+      const plan = WeightImporter.plan(entries, existing, 'update');
+
+      plan.update.should.deepEqual([{ row: 3, date: '2024-03-03', weight: 82, entryId: 8 }]);
+      plan.skipped.map(entry => entry.reason).should.deepEqual(['unchanged', 'duplicate date in import']);
+      should(plan.create[0].date).equal('2024-03-01');
+    });
+  });
+});
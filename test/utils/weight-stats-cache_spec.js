@@ -1,5 +1,7 @@
 const should = require('should');
-const { WeightStatsCache, getSharedCache, resetSharedCache } = require('../../utils/weight-stats-cache');
+const sinon = require('sinon');
+const { WeightStatsCache, WeightStatsCachePersistence, getSharedCache, resetSharedCache } = require('../../utils/weight-stats-cache');
+const { MockTimeProvider } = require('../../utils/time-provider');
 
 describe('WeightStatsCache', function() {
   let cache;
@@ -26,15 +28,20 @@ describe('WeightStatsCache', function() {
       should(result).be.null();
     });
 
-    it('should handle cache expiration', function() {
+    it('should handle cache expiration', function(done) {
       const cache = new WeightStatsCache(0.001 / 60); // 1ms TTL
       const data = { value: 'test' };
       cache.set('user123', '2024-01-01', '2024-01-31', data);
       
       // Wait for TTL to expire
       setTimeout(() => {
-        const result = cache.get('user123', '2024-01-01', '2024-01-31');
-        should(result).be.null();
+        try {
+          const result = cache.get('user123', '2024-01-01', '2024-01-31');
+          should(result).be.null();
+          done();
+        } catch (err) {
+          done(err);
+        }
       }, 10);
     });
   });
@@ -115,6 +122,15 @@ describe('WeightStatsCache', function() {
       retrieved.should.deepEqual(data);
     });
 
+    it('should keep separate entries per calculation options', function() {
+      cache.set('user123', '2024-01-01', '2024-01-31', { target: 80 }, { includeTrend: true, targetWeight: 80 });
+      cache.set('user123', '2024-01-01', '2024-01-31', { target: 75 }, { includeTrend: true, targetWeight: 75 });
+      
+      cache.get('user123', '2024-01-01', '2024-01-31', { targetWeight: 80, includeTrend: true }).should.deepEqual({ target: 80 });
+      cache.get('user123', '2024-01-01', '2024-01-31', { includeTrend: true, targetWeight: 75 }).should.deepEqual({ target: 75 });
+      should(cache.get('user123', '2024-01-01', '2024-01-31', { includeTrend: false })).be.null();
+    });
+
     it('should generate consistent sanitized keys', function() {
       const data1 = { value: 1 };
       const data2 = { value: 2 };
@@ -170,6 +186,43 @@ describe('WeightStatsCache', function() {
       cache.get('user456', '2024-01-01', '2024-01-31').should.deepEqual({ data: 2 });
     });
 
+    it('should not invalidate users whose identifier only contains the userId', function() {
+      cache.set('c1/alice', '2024-01-01', '2024-01-31', { data: 1 });
+      cache.set('c12/alice', '2024-01-01', '2024-01-31', { data: 2 });
+      
+      cache.invalidate('c1/alice');
+      
+      should(cache.get('c1/alice', '2024-01-01', '2024-01-31')).be.null();
+      cache.get('c12/alice', '2024-01-01', '2024-01-31').should.deepEqual({ data: 2 });
+    });
+
+    it('should invalidate and inspect entries by userId prefix', function() {
+      cache.set('c1/alice', '2024-01-01', '2024-01-31', { data: 1 }, {}, 10);
+      cache.set('c1/bob', '2024-01-01', '2024-01-31', { data: 2 });
+      cache.set('c2/alice', '2024-01-01', '2024-01-31', { data: 3 });
+      
+      const entries = cache.inspect('c1/');
+      entries.map(entry => entry.userId).should.deepEqual(['c1_alice', 'c1_bob']);
+      entries[0].should.have.properties({ startDate: '2024-01-01', endDate: '2024-01-31', entryCount: 10, valid: true });
+      entries[0].should.not.have.property('data');
+      
+      cache.invalidatePrefix('c1/').should.equal(2);
+      cache.inspect().should.have.length(1);
+    });
+
+    it('should update or drop the entries of a user', function() {
+      cache.set('c1/alice', '2024-01-01', '2024-01-31', { count: 1 }, { includeTrend: true });
+      cache.set('c1/alice', '2024-02-01', '2024-02-29', { count: 2 });
+      cache.set('c1/bob', '2024-01-01', '2024-01-31', { count: 3 });
+      const updater = (data, { options }) => (options.includeTrend ? null : { count: data.count + 1 });
+      
+      cache.update('c1/alice', updater).should.deepEqual({ updated: 1, removed: 1 });
+      
+      should(cache.get('c1/alice', '2024-01-01', '2024-01-31', { includeTrend: true })).be.null();
+      cache.get('c1/alice', '2024-02-01', '2024-02-29').should.deepEqual({ count: 3 });
+      cache.get('c1/bob', '2024-01-01', '2024-01-31').should.deepEqual({ count: 3 });
+    });
+
     it('should clear all cache entries', function() {
       cache.set('user123', '2024-01-01', '2024-01-31', { data: 1 });
       cache.set('user456', '2024-01-01', '2024-01-31', { data: 2 });
@@ -262,4 +315,97 @@ describe('WeightStatsCache', function() {
       result2.should.deepEqual({ average: 2, sum: 6 });
     });
   });
-});
\ No newline at end of file
+
+  describe('Persistence', function() {
+    let clock;
+
+    beforeEach(function() {
+      clock = sinon.useFakeTimers({ now: Date.parse('2024-03-01T08:00:00Z'), toFake: ['Date'] });
+    });
+
+    afterEach(function() {
+      clock.restore();
+    });
+
+    // In-memory storage that records every saved state
+    const memoryStorage = (initial = null) => {
+      const storage = { state: initial, saves: 0 };
+      storage.load = async () => storage.state;
+      storage.save = async (state) => {
+        storage.state = JSON.parse(JSON.stringify(state));
+        storage.saves++;
+      };
+      return storage;
+    };
+
+    it('should export and import entries with their age', function() {
+      cache.set('c1/alice', '2024-01-01', '2024-01-31', { data: 1 }, { includeTrend: true });
+      cache.set('c2/bob', '2024-01-01', '2024-01-31', { data: 2 });
+      clock.tick(10 * 60 * 1000);
+
+      const exported = cache.exportEntries('c1/');
+      exported.should.have.length(1);
+
+      const restored = new WeightStatsCache(15, 100);
+      restored.importEntries(JSON.parse(JSON.stringify(exported))).should.equal(1);
+      restored.get('c1/alice', '2024-01-01', '2024-01-31', { includeTrend: true }).should.deepEqual({ data: 1 });
+
+      // Expires 15 minutes after it was calculated, not after the import
+      clock.tick(5 * 60 * 1000);
+      should(restored.get('c1/alice', '2024-01-01', '2024-01-31', { includeTrend: true })).be.null();
+    });
+
+    it('should skip expired entries and keep newer cached ones', function() {
+      cache.set('c1/alice', '2024-01-01', '2024-01-31', { data: 'old' });
+      const [old] = cache.exportEntries();
+      clock.tick(1000);
+      cache.set('c1/alice', '2024-01-01', '2024-01-31', { data: 'new' });
+
+      cache.importEntries([old, { ...old, cacheKey: 'expired', timestamp: Date.now() - 16 * 60 * 1000 }]).should.equal(0);
+      cache.get('c1/alice', '2024-01-01', '2024-01-31').should.deepEqual({ data: 'new' });
+    });
+
+    it('should warm up from storage and save changes after a delay', async function() {
+      const previous = new WeightStatsCache(15, 100);
+      previous.set('c1/alice', '2024-01-01', '2024-01-31', { data: 1 });
+      const storage = memoryStorage({ entries: previous.exportEntries() });
+      const timeProvider = new MockTimeProvider();
+      const persistence = new WeightStatsCachePersistence({ cache, prefix: 'c1/', storage, saveDelayMs: 1000, timeProvider });
+
+      (await persistence.warmUp()).should.equal(1);
+      cache.get('c1/alice', '2024-01-01', '2024-01-31').should.deepEqual({ data: 1 });
+
+      cache.set('c1/bob', '2024-01-01', '2024-01-31', { data: 2 });
+      cache.set('c2/carol', '2024-01-01', '2024-01-31', { data: 3 });
+      timeProvider.advanceTime(1000);
+      await new Promise(resolve => setImmediate(resolve));
+
+      storage.saves.should.equal(1);
+      storage.state.entries.map(entry => entry.userId).should.deepEqual(['c1_alice', 'c1_bob']);
+    });
+
+    it('should write pending changes when disposed', async function() {
+      const storage = memoryStorage();
+      const persistence = new WeightStatsCachePersistence({ cache, prefix: 'c1/', storage, timeProvider: new MockTimeProvider() });
+
+      cache.set('c1/alice', '2024-01-01', '2024-01-31', { data: 1 });
+      await persistence.dispose();
+      cache.set('c1/bob', '2024-01-01', '2024-01-31', { data: 2 });
+
+      storage.saves.should.equal(1);
+      storage.state.entries.should.have.length(1);
+    });
+
+    it('should report storage errors without failing', async function() {
+      const onError = sinon.stub();
+      const storage = { load: sinon.stub().rejects(new Error('corrupt')), save: sinon.stub().rejects(new Error('disk full')) };
+      const persistence = new WeightStatsCachePersistence({ cache, prefix: 'c1/', storage, onError, timeProvider: new MockTimeProvider() });
+
+      (await persistence.warmUp()).should.equal(0);
+      await persistence.flush();
+
+      onError.callCount.should.equal(2);
+      onError.secondCall.args[0].message.should.equal('disk full');
+    });
+  });
+});
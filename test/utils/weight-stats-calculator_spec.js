@@ -0,0 +1,177 @@
+/**
+ * Test cases for WeightStatsCalculator
+ */
+
+const should = require('should');
+const WeightStatsCalculator = require('../../utils/weight-stats-calculator');
+
+describe('WeightStatsCalculator', function() {
+  // Daily entries, newest first as returned by the API, losing `perDay` kg a day
+  const dailyEntries = (start, days, perDay, noise = () => 0) => Array.from({ length: days }, (_, day) => {
+    const date = new Date(Date.parse(start) + day * 86400000).toISOString().substring(0, 10);
+    return { date, weight: Math.round((90 - perDay * day + noise(day)) * 100) / 100 };
+  }).reverse();
+
+  describe('calculate', function() {
+    it('should only add the trend analysis when requested', function() {
+      const entries = dailyEntries('2024-01-01', 10, 0.1);
+
+      should(WeightStatsCalculator.calculate(entries)).not.have.property('trendAnalysis');
+      WeightStatsCalculator.calculate(entries, { includeTrend: true }).should.have.property('trendAnalysis');
+      WeightStatsCalculator.calculate(entries, { targetWeight: 80 }).trendAnalysis.should.have.property('goal');
+    });
+  });
+
+  describe('weekly and monthly averages', function() {
+    const entries = [
+      { date: '2025-01-01T02:00:00Z', weight: 81 },
+      { date: '2024-12-31T12:00:00Z', weight: 82 },
+      { date: '2024-12-28', weight: 84 }
+    ];
+
+    it('should group by ISO week with the week-numbering year', function() {
+      const stats = WeightStatsCalculator.calculate(entries, { includeWeekly: true, timeZone: 'UTC' });
+
+      stats.weeklyAverages.should.deepEqual([
+        { week: '2025-W01', average: 81.5, count: 2, startDate: '2024-12-30' },
+        { week: '2024-W52', average: 84, count: 1, startDate: '2024-12-23' }
+      ]);
+    });
+
+    it('should group by the dates in the time zone', function() {
+      const stats = WeightStatsCalculator.calculate(entries, { includeMonthly: true, includeWeekly: true, timeZone: 'America/Chicago', weekStart: 6 });
+
+      // 2025-01-01T02:00Z is still New Year's Eve in Chicago
+      stats.monthlyAverages.should.deepEqual([{ month: '2024-12', average: 82.33, count: 3 }]);
+      stats.weeklyAverages.should.deepEqual([{ week: '2024-W53', average: 82.33, count: 3, startDate: '2024-12-28' }]);
+    });
+  });
+
+  describe('analyzeTrend', function() {
+    it('should fit the slope in kg per week', function() {
+      const analysis = WeightStatsCalculator.analyzeTrend(dailyEntries('2024-01-01', 28, 0.1));
+
+      analysis.slopePerWeek.should.equal(-0.7);
+      analysis.rSquared.should.equal(1);
+      analysis.direction.should.equal(-1);
+    });
+
+    it('should smooth out day-to-day fluctuations', function() {
+      const noise = day => (day % 2 === 0 ? 1 : -1);
+      const analysis = WeightStatsCalculator.analyzeTrend(dailyEntries('2024-01-01', 30, 0, noise), { includeTrendLine: true });
+
+      analysis.series.should.have.length(30);
+      analysis.series[0].should.deepEqual({ date: '2024-01-01', weight: 91, trend: 91 });
+      analysis.series.slice(10).forEach(point => point.trend.should.be.within(89.5, 90.5));
+      analysis.direction.should.equal(0);
+    });
+
+    it('should weigh gaps between weigh-ins as several days', function() {
+      const entries = [{ date: '2024-01-01', weight: 80 }, { date: '2024-01-11', weight: 90 }];
+
+      const analysis = WeightStatsCalculator.analyzeTrend(entries, { smoothing: 0.1 });
+
+      // 1 - 0.9^10 of the difference
+      analysis.trendWeight.should.equal(86.51);
+    });
+
+    it('should ignore entries without a valid date or weight', function() {
+      const analysis = WeightStatsCalculator.analyzeTrend([
+        { date: '2024-01-02', weight: '80.5' },
+        { date: 'invalid', weight: 70 },
+        { date: '2024-01-01', weight: null }
+      ]);
+
+      analysis.trendWeight.should.equal(80.5);
+      should(analysis.slopePerWeek).be.null();
+      should(WeightStatsCalculator.analyzeTrend([])).be.null();
+    });
+  });
+
+  describe('detectOutliers', function() {
+    const noise = day => [0.4, -0.6, 0.9, -0.3, 0.2, -0.8, 0.5][day % 7];
+
+    it('should flag typos and scale glitches but not normal fluctuation', function() {
+      const entries = dailyEntries('2024-01-01', 21, 0.05, noise).map((entry, index) => ({ id: index + 1, ...entry }));
+      entries[5] = { ...entries[5], weight: 8.9 };
+      entries[12] = { ...entries[12], weight: entries[12].weight + 6 };
+
+      const outliers = WeightStatsCalculator.detectOutliers(entries);
+
+      outliers.map(outlier => outlier.id).should.deepEqual([6, 13]);
+      outliers[0].should.have.properties({ date: entries[5].date, weight: 8.9 });
+      outliers[0].expected.should.be.within(88, 90);
+      outliers[0].deviation.should.be.below(-79);
+    });
+
+    it('should apply the minimum deviation to flat series', function() {
+      const entries = [80, 80, 80, 81.5, 80, 80].map((weight, day) => ({ date: `2024-01-0${day + 1}`, weight }));
+
+      WeightStatsCalculator.detectOutliers(entries).should.have.length(0);
+      WeightStatsCalculator.detectOutliers(entries, { minDeviation: 1 }).should.have.length(1);
+    });
+
+    it('should not flag anything with fewer than three entries', function() {
+      WeightStatsCalculator.detectOutliers([{ date: '2024-01-01', weight: 80 }, { date: '2024-01-02', weight: 8 }])
+        .should.have.length(0);
+    });
+
+    it('should exclude outliers from statistics when requested', function() {
+      const entries = dailyEntries('2024-01-01', 10, 0, noise);
+      entries[3] = { ...entries[3], weight: 9 };
+
+      WeightStatsCalculator.calculate(entries).min.should.equal(9);
+
+      const stats = WeightStatsCalculator.calculate(entries, { excludeOutliers: true });
+      stats.count.should.equal(9);
+      stats.min.should.be.above(89);
+      stats.outliers.should.have.length(1);
+      stats.outliers[0].weight.should.equal(9);
+    });
+  });
+
+  describe('goal projection', function() {
+    it('should project the date the target weight is reached', function() {
+      const goal = WeightStatsCalculator.analyzeTrend(dailyEntries('2024-01-01', 28, 0.1), { targetWeight: 80, smoothing: 1 }).goal;
+
+      goal.should.have.properties({ targetWeight: 80, remaining: -7.3, reached: false, onTrack: true });
+      goal.weeksToGoal.should.equal(10.4);
+      goal.projectedDate.should.equal('2024-04-10');
+    });
+
+    it('should not project a date when the trend moves away from the target', function() {
+      const goal = WeightStatsCalculator.analyzeTrend(dailyEntries('2024-01-01', 28, 0.1), { targetWeight: 95 }).goal;
+
+      goal.should.have.properties({ reached: false, onTrack: false, weeksToGoal: null, projectedDate: null });
+    });
+
+    it('should report a reached target', function() {
+      const goal = WeightStatsCalculator.analyzeTrend([{ date: '2024-01-01', weight: 80.05 }], { targetWeight: 80 }).goal;
+
+      goal.should.have.properties({ reached: true, weeksToGoal: 0, projectedDate: '2024-01-01' });
+    });
+  });
+
+  describe('convertUnits', function() {
+    it('should convert weights, differences and slopes but keep unit-free values', function() {
+      const entries = dailyEntries('2024-01-01', 28, 0.1);
+      const stats = WeightStatsCalculator.calculate(entries, { includeAdvanced: true, includeWeekly: true, targetWeight: 80 });
+
+      const converted = WeightStatsCalculator.convertUnits(stats, 'kg', 'lb');
+
+      converted.unit.should.equal('lb');
+      converted.latest.should.equal(Math.round(stats.latest / 0.45359237 * 100) / 100);
+      converted.change.should.equal(Math.round(stats.change / 0.45359237 * 100) / 100);
+      converted.weeklyAverages[0].average.should.equal(Math.round(stats.weeklyAverages[0].average / 0.45359237 * 100) / 100);
+      converted.trendAnalysis.goal.targetWeight.should.equal(176.37);
+      converted.trendAnalysis.slopePerWeek.should.be.below(stats.trendAnalysis.slopePerWeek);
+      converted.should.have.properties({ changePercent: stats.changePercent, count: stats.count, trend: stats.trend });
+      converted.trendAnalysis.goal.weeksToGoal.should.equal(stats.trendAnalysis.goal.weeksToGoal);
+      stats.should.not.have.property('unit');
+    });
+
+    it('should keep missing statistics', function() {
+      should(WeightStatsCalculator.convertUnits(null, 'kg', 'lb')).be.null();
+    });
+  });
+});
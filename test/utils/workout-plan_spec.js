@@ -0,0 +1,56 @@
+/**
+ * Test cases for WorkoutPlan
+ */
+
+require('should');
+const WorkoutPlan = require('../../utils/workout-plan');
+
+describe('WorkoutPlan', function() {
+  const plan = {
+    format: 'wger-workout-plan',
+    version: 1,
+    name: 'Push',
+    days: [{
+      description: 'Push',
+      day: [1],
+      sets: [{ sets: 3, exercises: [{ exercise: { uuid: 'u1', name: 'Bench Press' }, settings: [{ reps: 8, id: 4 }] }] }]
+    }]
+  };
+
+  it('should read plans from YAML and JSON text', function() {
+    const yaml = WorkoutPlan.serialize(plan, 'yaml');
+
+    yaml.should.startWith('format: wger-workout-plan\nversion: 1\nname: Push\n');
+    WorkoutPlan.parse(yaml).should.deepEqual(plan);
+    WorkoutPlan.parse(WorkoutPlan.serialize(plan)).should.deepEqual(plan);
+  });
+
+  it('should reject documents that do not follow the format', function() {
+    (() => WorkoutPlan.parse('name: [')).should.throw(/^Invalid workout plan: /);
+    (() => WorkoutPlan.parse({ ...plan, version: 2 })).should.throw('Invalid workout plan: unsupported version 2 (supported: 1)');
+    (() => WorkoutPlan.parse({ ...plan, days: {} })).should.throw('Invalid workout plan: plan.days must be a list');
+    (() => WorkoutPlan.parse({ ...plan, days: [{ sets: [{ exercises: [{ exercise: {} }] }] }] }))
+      .should.throw('Invalid workout plan: days[0].sets[0].exercises[0].exercise needs a uuid or a name');
+  });
+
+  it('should build exercise references from exercise info', function() {
+    WorkoutPlan.toReference({ uuid: 'u1', exercises: [{ name: 'Kniebeuge', language: 1 }, { name: 'Squat', language: 2 }] })
+      .should.deepEqual({ uuid: 'u1', name: 'Squat' });
+    WorkoutPlan.toReference({ name: 'Plank' }).should.deepEqual({ name: 'Plank' });
+    WorkoutPlan.getReferenceKey({ name: ' Plank ' }).should.equal('name:plank');
+    WorkoutPlan.getReferenceKey({ uuid: 'u1', name: 'Plank' }).should.equal('uuid:u1');
+  });
+
+  it('should turn a plan into a canonical representation with the given exercise ids', function() {
+    WorkoutPlan.toCanonical(plan, new Map([['uuid:u1', 12]])).should.deepEqual({
+      obj: { name: 'Push', description: '' },
+      day_list: [{
+        obj: { description: 'Push', day: [1] },
+        set_list: [{
+          obj: { sets: 3 },
+          exercise_list: [{ obj: { id: 12 }, setting_obj_list: [{ reps: 8, exercise_base: 12 }] }]
+        }]
+      }]
+    });
+  });
+});
@@ -0,0 +1,65 @@
+/**
+ * Test cases for WorkoutSchedule
+ */
+
+const should = require('should');
+const WorkoutSchedule = require('../../utils/workout-schedule');
+
+describe('WorkoutSchedule', function() {
+  const schedule = { id: 1, name: 'Block', start_date: '2024-03-04', is_loop: false };
+  const steps = [
+    { id: 3, schedule: 1, workout: 6, duration: 1, order: 2 },
+    { id: 2, schedule: 1, workout: 5, duration: 1, order: 1 }
+  ];
+  const workouts = new Map([
+    [5, {
+      obj: { id: 5, name: 'Push Pull' },
+      day_list: [{
+        obj: { id: 11, description: 'Push', day: [1, 4] },
+        set_list: [{ obj: { id: 21, sets: 3 }, exercise_list: [{ obj: { id: 192, name: 'Bench Press' } }] }]
+      }]
+    }],
+    [6, { obj: { id: 6, name: 'Legs' }, day_list: [{ obj: { id: 12, description: '', day: [2] }, set_list: [] }] }]
+  ]);
+
+  it('should plan the workout days of each step in order', function() {
+    const { events, truncated } = WorkoutSchedule.toEvents(schedule, steps, workouts);
+
+    truncated.should.be.false();
+    events.map(event => [event.start, event.summary]).should.deepEqual([
+      ['2024-03-04', 'Push Pull: Push'],
+      ['2024-03-07', 'Push Pull: Push'],
+      ['2024-03-12', 'Legs']
+    ]);
+    events[0].should.have.properties({
+      uid: 'wger-schedule-1-step-2-day-11-20240304@node-red-contrib-wger',
+      end: '2024-03-05',
+      description: 'Bench Press (3 sets)',
+      properties: { 'X-WGER-WORKOUT': '5' }
+    });
+  });
+
+  it('should repeat looping schedules and limit the dates', function() {
+    const { events } = WorkoutSchedule.toEvents({ ...schedule, is_loop: true }, steps, workouts, { startDate: '2024-03-05', endDate: '2024-03-24' });
+
+    events.map(event => event.start).should.deepEqual(['2024-03-07', '2024-03-12', '2024-03-18', '2024-03-21']);
+    // The same planned day keeps its UID in every export
+    WorkoutSchedule.toEvents({ ...schedule, is_loop: true }, steps, workouts).events[3].uid.should.equal(events[2].uid);
+    WorkoutSchedule.toEvents({ ...schedule, is_loop: true }, [], workouts).events.should.be.empty();
+  });
+
+  it('should group consecutive events of a workout into steps', function() {
+    const { events } = WorkoutSchedule.toEvents(schedule, steps, workouts);
+    const blocks = [{ uid: 'b', start: '2024-04-01', end: '2024-04-29', properties: { 'X-WGER-WORKOUT': '5' } }];
+
+    const result = WorkoutSchedule.toSteps([...events, ...blocks, { uid: 'c', start: '2024-05-01', end: '2024-05-02', properties: {} }],
+      event => (event.properties['X-WGER-WORKOUT'] ? Number(event.properties['X-WGER-WORKOUT']) : undefined));
+
+    result.map(step => [step.workout, step.start, step.duration, step.events.length]).should.deepEqual([
+      [5, '2024-03-04', 1, 2],
+      [6, '2024-03-12', 1, 1],
+      [5, '2024-04-01', 4, 1]
+    ]);
+    should(result[2].end).equal('2024-04-29');
+  });
+});
@@ -0,0 +1,241 @@
+/**
+ * Test cases for WriteOutbox and its storage backends
+ */
+
+const should = require('should');
+const sinon = require('sinon');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { WriteOutbox, ContextOutboxStorage, FileOutboxStorage } = require('../../utils/write-outbox');
+const { MockTimeProvider } = require('../../utils/time-provider');
+
+describe('WriteOutbox', function() {
+  let timeProvider;
+  let client;
+  let outbox;
+
+  // In-memory storage that records every saved state
+  const memoryStorage = (initial = null) => {
+    const storage = { state: initial, saves: 0 };
+    storage.load = async () => storage.state;
+    storage.save = async (state) => {
+      storage.state = JSON.parse(JSON.stringify(state));
+      storage.saves++;
+    };
+    return storage;
+  };
+
+  const write = (key, payload = {}) => ({ idempotencyKey: key, type: 'wger-weight', operation: 'createWeightEntry', payload });
+  const offline = () => Object.assign(new Error('No response received from server'), { name: 'NetworkError' });
+  const flush = () => new Promise(resolve => setImmediate(resolve));
+
+  beforeEach(function() {
+    timeProvider = new MockTimeProvider();
+    client = {};
+  });
+
+  afterEach(function() {
+    if (outbox) {
+      outbox.dispose();
+    }
+  });
+
+  it('should only accept configured operations of a node type', function() {
+    outbox = new WriteOutbox({ getClient: () => client });
+
+    outbox.accepts('wger-weight', 'createWeightEntry').should.be.true();
+    outbox.accepts('wger-workout', 'createWorkoutLog').should.be.true();
+    outbox.accepts('wger-weight', 'deleteWeightEntry').should.be.false();
+    outbox.accepts('wger-workout', 'createWeightEntry').should.be.false();
+  });
+
+  it('should persist queued writes and reload them', async function() {
+    const storage = memoryStorage();
+    outbox = new WriteOutbox({ storage, getClient: () => client, timeProvider });
+
+    const receipt = await outbox.enqueue(write('a', { weight: 80 }));
+
+    receipt.should.deepEqual({ queued: true, idempotencyKey: 'a', position: 1, outbox: { queued: 1, replayed: 0, failed: 0 } });
+    storage.state.entries[0].should.have.properties({ idempotencyKey: 'a', payload: { weight: 80 } });
+
+    const reloaded = new WriteOutbox({ storage, getClient: () => client, timeProvider });
+    (await reloaded.hasPending()).should.be.true();
+    reloaded.dispose();
+  });
+
+  it('should replay writes in order and remember their keys', async function() {
+    outbox = new WriteOutbox({ storage: memoryStorage(), getClient: () => client, timeProvider });
+    const handler = sinon.stub().resolves({});
+    outbox.registerHandler('wger-weight', handler);
+    await outbox.enqueue(write('a', { weight: 80 }));
+    await outbox.enqueue(write('b', { weight: 81 }));
+
+    const stats = await outbox.replay();
+
+    stats.should.deepEqual({ queued: 0, replayed: 2, failed: 0 });
+    handler.firstCall.args.should.deepEqual([client, 'createWeightEntry', { weight: 80 }, {}]);
+    handler.secondCall.args[2].should.deepEqual({ weight: 81 });
+    (await outbox.findDuplicate('a')).should.have.properties({ duplicate: true, queued: false });
+  });
+
+  it('should store the context of a write and pass it on replay', async function() {
+    const storage = memoryStorage();
+    outbox = new WriteOutbox({ storage, getClient: () => client, timeProvider });
+    await outbox.enqueue({ ...write('a', { weight: 80 }), context: { timeZone: 'Europe/Berlin', weekStart: 1, onPage: () => {} } });
+    outbox.dispose();
+
+    const reloaded = new WriteOutbox({ storage, getClient: () => client, timeProvider });
+    const handler = sinon.stub().resolves({});
+    reloaded.registerHandler('wger-weight', handler);
+    await reloaded.replay();
+    reloaded.dispose();
+
+    storage.state.should.have.property('completedKeys', ['a']);
+    handler.firstCall.args[3].should.deepEqual({ timeZone: 'Europe/Berlin', weekStart: 1 });
+  });
+
+  it('should stop replaying when the server is unreachable again', async function() {
+    outbox = new WriteOutbox({ getClient: () => client, timeProvider });
+    const handler = sinon.stub();
+    handler.onFirstCall().resolves({});
+    handler.onSecondCall().rejects(offline());
+    outbox.registerHandler('wger-weight', handler);
+    await outbox.enqueue(write('a'));
+    await outbox.enqueue(write('b'));
+    await outbox.enqueue(write('c'));
+
+    const stats = await outbox.replay();
+
+    stats.should.deepEqual({ queued: 2, replayed: 1, failed: 0 });
+    outbox.entries.map(entry => entry.idempotencyKey).should.deepEqual(['b', 'c']);
+  });
+
+  it('should drop and report writes the server rejects', async function() {
+    const onFailure = sinon.stub();
+    outbox = new WriteOutbox({ getClient: () => client, onFailure, timeProvider });
+    const rejected = Object.assign(new Error('Bad Request'), { status: 400 });
+    outbox.registerHandler('wger-weight', sinon.stub().rejects(rejected));
+    await outbox.enqueue(write('a'));
+
+    const stats = await outbox.replay();
+
+    stats.should.deepEqual({ queued: 0, replayed: 0, failed: 1 });
+    sinon.assert.calledWith(onFailure, sinon.match({ idempotencyKey: 'a' }), rejected);
+  });
+
+  it('should not replay a write that timed out again', async function() {
+    const onFailure = sinon.stub();
+    outbox = new WriteOutbox({ getClient: () => client, onFailure, timeProvider });
+    const timeout = Object.assign(new Error('Request timed out'), { code: 'ETIMEDOUT' });
+    const handler = sinon.stub().rejects(timeout);
+    outbox.registerHandler('wger-weight', handler);
+    await outbox.enqueue(write('a'));
+
+    const stats = await outbox.replay();
+    await outbox.replay();
+
+    stats.should.deepEqual({ queued: 0, replayed: 0, failed: 1 });
+    sinon.assert.calledOnce(handler);
+    const error = onFailure.firstCall.args[1];
+    error.should.have.properties({ code: 'WRITE_OUTCOME_UNKNOWN', cause: timeout });
+    error.message.should.startWith('createWeightEntry got no answer in time and may have been saved');
+  });
+
+  it('should wait for a handler of the node type before replaying', async function() {
+    outbox = new WriteOutbox({ getClient: () => client, timeProvider });
+    await outbox.enqueue(write('a'));
+
+    (await outbox.replay()).queued.should.equal(1);
+  });
+
+  it('should ignore writes with a known idempotency key', async function() {
+    outbox = new WriteOutbox({ getClient: () => client, timeProvider });
+    await outbox.enqueue(write('a'));
+
+    const receipt = await outbox.enqueue(write('a'));
+
+    receipt.should.have.properties({ duplicate: true, queued: true });
+    outbox.entries.should.have.length(1);
+  });
+
+  it('should reject writes once the outbox is full', async function() {
+    outbox = new WriteOutbox({ getClient: () => client, maxEntries: 1, timeProvider });
+    await outbox.enqueue(write('a'));
+
+    await outbox.enqueue(write('b')).should.be.rejectedWith('Offline outbox is full (1 writes queued)');
+  });
+
+  it('should probe the connection and replay once it succeeds', async function() {
+    const probe = sinon.stub();
+    probe.onFirstCall().resolves({ success: false });
+    probe.onSecondCall().resolves({ success: true });
+    outbox = new WriteOutbox({ getClient: () => client, probe, probeIntervalMs: 1000, timeProvider });
+    const handler = sinon.stub().resolves({});
+    outbox.registerHandler('wger-weight', handler);
+    const listener = sinon.stub();
+    outbox.onChange(listener);
+    await outbox.enqueue(write('a'));
+
+    timeProvider.advanceTime(1000);
+    await flush();
+    sinon.assert.notCalled(handler);
+
+    timeProvider.advanceTime(1000);
+    await flush();
+    sinon.assert.calledOnce(handler);
+    sinon.assert.calledWith(listener, { queued: 0, replayed: 1, failed: 0 });
+  });
+
+  it('should classify connectivity errors', function() {
+    WriteOutbox.isOfflineError(offline()).should.be.true();
+    WriteOutbox.isOfflineError(Object.assign(new Error('Login failed'), { name: 'NetworkError', code: 'ETIMEDOUT' })).should.be.true();
+    WriteOutbox.isOfflineError(Object.assign(new Error('open'), { name: 'CircuitBreakerOpenError' })).should.be.true();
+    WriteOutbox.isOfflineError(Object.assign(new Error('Bad Gateway'), { status: 502 })).should.be.true();
+    WriteOutbox.isOfflineError(Object.assign(new Error('Bad Request'), { status: 400 })).should.be.false();
+    WriteOutbox.isOfflineError(new Error('weight is required')).should.be.false();
+  });
+
+  it('should classify timed out writes as unknown outcome instead of offline', function() {
+    const timeout = Object.assign(new Error('Request timed out'), { code: 'ETIMEDOUT' });
+    const gatewayTimeout = Object.assign(new Error('Gateway Timeout'), { status: 504 });
+
+    WriteOutbox.isUnknownOutcome(timeout).should.be.true();
+    WriteOutbox.isUnknownOutcome(gatewayTimeout).should.be.true();
+    WriteOutbox.isOfflineError(timeout).should.be.false();
+    WriteOutbox.isOfflineError(gatewayTimeout).should.be.false();
+    WriteOutbox.isUnknownOutcome(offline()).should.be.false();
+  });
+
+  describe('storage', function() {
+    it('should read and write Node-RED context storage', async function() {
+      const values = {};
+      const context = {
+        get: (key, store, callback) => callback(null, values[`${store}:${key}`]),
+        set: (key, value, store, callback) => { values[`${store}:${key}`] = value; callback(null); }
+      };
+      const storage = new ContextOutboxStorage(context, 'file');
+
+      should(await storage.load()).be.null();
+      await storage.save({ entries: [] });
+      values.should.have.property('file:wgerOutbox');
+      (await storage.load()).should.deepEqual({ entries: [] });
+
+      await new ContextOutboxStorage(context, 'file', 'wgerStatsCache').save({ entries: [1] });
+      values.should.have.property('file:wgerStatsCache', { entries: [1] });
+    });
+
+    it('should read and write a local file', async function() {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'wger-outbox-'));
+      const storage = new FileOutboxStorage(path.join(dir, 'nested', 'outbox.json'));
+
+      try {
+        should(await storage.load()).be.null();
+        await storage.save({ entries: [{ idempotencyKey: 'a' }] });
+        (await storage.load()).should.deepEqual({ entries: [{ idempotencyKey: 'a' }] });
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+  });
+});
@@ -450,7 +450,7 @@ describe('wger-config Node', function () {
               res.status.should.be.greaterThan(399);
             }
           })
-          .end(function(err, res) {
+          .end(function(err) {
             if (err) {
               return done(err);
             }
@@ -470,7 +470,7 @@ describe('wger-config Node', function () {
             // Should handle auth failure appropriately
             res.status.should.be.greaterThan(199); // Some response expected
           })
-          .end(function(err, res) {
+          .end(function(err) {
             if (err) {
               return done(err);
             }
@@ -687,6 +687,215 @@ describe('wger-config Node', function () {
     });
   });
 
+  describe('Rate Limiter Configuration', function() {
+    it('should not configure a rate limiter by default', function (done) {
+      const flow = [{ id: 'n1', type: 'wger-config' }];
+      helper.load(wgerConfigNode, flow, function () {
+        const n1 = helper.getNode('n1');
+        n1.getResilienceConfig().should.not.have.property('rateLimit');
+        done();
+      });
+    });
+
+    it('should provide rate limiter settings when enabled', function (done) {
+      const flow = [{
+        id: 'n1',
+        type: 'wger-config',
+        enableRateLimit: true,
+        rateLimitRequestsPerSecond: '2.5',
+        rateLimitBurst: '4'
+      }];
+      helper.load(wgerConfigNode, flow, function () {
+        const n1 = helper.getNode('n1');
+        n1.getResilienceConfig().rateLimit.should.deepEqual({ requestsPerSecond: 2.5, burst: 4 });
+        n1.getClient().rateLimiter.burst.should.equal(4);
+        done();
+      });
+    });
+  });
+
+  describe('Response Cache Configuration', function() {
+    it('should not configure a response cache by default', function (done) {
+      const flow = [{ id: 'n1', type: 'wger-config' }];
+      helper.load(wgerConfigNode, flow, function () {
+        const n1 = helper.getNode('n1');
+        n1.getResilienceConfig().should.not.have.property('cache');
+        done();
+      });
+    });
+
+    it('should key cached responses by the JWT login', function (done) {
+      const flow = [{ id: 'n1', type: 'wger-config', authType: 'jwt', enableResponseCache: true }];
+      const credentials = { n1: { username: 'alice', password: 'secret' } };
+      helper.load(wgerConfigNode, flow, credentials, function () {
+        const n1 = helper.getNode('n1');
+        n1.getResilienceConfig().cache.should.deepEqual({ identity: 'jwt:alice' });
+        n1.getClient().cacheIdentity.should.equal('jwt:alice');
+        done();
+      });
+    });
+  });
+
+  describe('Offline Outbox Configuration', function() {
+    it('should not create an outbox by default', function (done) {
+      const flow = [{ id: 'n1', type: 'wger-config' }];
+      helper.load(wgerConfigNode, flow, function () {
+        const n1 = helper.getNode('n1');
+        should(n1.outbox).be.null();
+        done();
+      });
+    });
+
+    it('should keep the outbox in context storage and release it on close', function (done) {
+      const flow = [{ id: 'n1', type: 'wger-config', outboxStorage: 'context' }];
+      helper.load(wgerConfigNode, flow, function () {
+        const n1 = helper.getNode('n1');
+        const outbox = n1.outbox;
+
+        outbox.enqueue({ idempotencyKey: 'a', type: 'wger-weight', operation: 'createWeightEntry', payload: {} })
+          .then(() => {
+            n1.context().get('wgerOutbox').entries.should.have.length(1);
+            return n1.close();
+          })
+          .then(() => {
+            outbox.disposed.should.be.true();
+            should(n1.outbox).be.null();
+            done();
+          })
+          .catch(done);
+      });
+    });
+  });
+
+  describe('Weight Statistics Cache Persistence', function() {
+    const fs = require('fs');
+    const os = require('os');
+    const path = require('path');
+    const { WeightStatsCache, getSharedCache, resetSharedCache } = require('../utils/weight-stats-cache');
+
+    afterEach(function() {
+      resetSharedCache();
+    });
+
+    it('should keep statistics in memory only by default', function (done) {
+      const flow = [{ id: 'n1', type: 'wger-config' }];
+      helper.load(wgerConfigNode, flow, function () {
+        should(helper.getNode('n1').statsCachePersistence).be.null();
+        done();
+      });
+    });
+
+    it('should warm up from a file and save the server\'s entries on close', function (done) {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'wger-stats-'));
+      const file = path.join(dir, 'stats.json');
+      const previous = new WeightStatsCache();
+      previous.set('n1/anonymous', 'all', 'all', { stats: { count: 3 } });
+      fs.writeFileSync(file, JSON.stringify({ entries: previous.exportEntries() }));
+      const cleanup = (err) => {
+        fs.rmSync(dir, { recursive: true, force: true });
+        done(err);
+      };
+
+      const flow = [{ id: 'n1', type: 'wger-config', statsCacheStorage: 'file', statsCacheFile: file }];
+      helper.load(wgerConfigNode, flow, function () {
+        const n1 = helper.getNode('n1');
+        n1.statsCacheReady
+          .then((restored) => {
+            restored.should.equal(1);
+            getSharedCache().get('n1/anonymous', 'all', 'all').should.deepEqual({ stats: { count: 3 } });
+            getSharedCache().set('n2/anonymous', 'all', 'all', { stats: { count: 1 } });
+            getSharedCache().set('n1/anonymous', '2024-01-01', 'all', { stats: { count: 2 } });
+            return n1.close();
+          })
+          .then(() => {
+            const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+            saved.entries.map(entry => entry.startDate).sort().should.deepEqual(['2024-01-01', 'all']);
+            cleanup();
+          })
+          .catch(cleanup);
+      });
+    });
+  });
+
+  describe('Weight Unit', function() {
+    it('should use kilograms without asking the server by default', function (done) {
+      const flow = [{ id: 'n1', type: 'wger-config' }];
+      helper.load(wgerConfigNode, flow, function () {
+        const n1 = helper.getNode('n1');
+        const getClient = sinon.spy(n1, 'getClient');
+
+        n1.getWeightUnit().then((unit) => {
+          unit.should.equal('kg');
+          sinon.assert.notCalled(getClient);
+          done();
+        }).catch(done);
+      });
+    });
+
+    it('should read the unit from the account once in auto mode', function (done) {
+      const flow = [{ id: 'n1', type: 'wger-config', weightUnit: 'auto' }];
+      helper.load(wgerConfigNode, flow, function () {
+        const n1 = helper.getNode('n1');
+        const get = sinon.stub().resolves({ results: [{ id: 1, weight_unit: 'lb' }] });
+        get.onFirstCall().rejects(new Error('No response received from server'));
+        sinon.stub(n1, 'getClient').returns({ get });
+
+        n1.getWeightUnit().should.be.rejectedWith('No response received from server')
+          .then(() => Promise.all([n1.getWeightUnit(), n1.getWeightUnit()]))
+          .then((units) => {
+            units.should.deepEqual(['lb', 'lb']);
+            sinon.assert.calledTwice(get);
+            sinon.assert.calledWith(get, '/api/v2/setting/');
+            done();
+          })
+          .catch(done);
+      });
+    });
+  });
+
+  describe('Calendar Settings', function() {
+    it('should read the time zone and week start with defaults', function (done) {
+      const flow = [
+        { id: 'n1', type: 'wger-config', timeZone: 'Europe/Berlin', weekStart: '0' },
+        { id: 'n2', type: 'wger-config' }
+      ];
+      helper.load(wgerConfigNode, flow, function () {
+        helper.getNode('n1').should.have.properties({ timeZone: 'Europe/Berlin', weekStart: 0 });
+        helper.getNode('n2').should.have.properties({ timeZone: '', weekStart: 1 });
+        done();
+      });
+    });
+  });
+
+  describe('Shared API Client', function() {
+    it('should hand out one client with a shared circuit breaker', function (done) {
+      const flow = [{ id: 'n1', type: 'wger-config', enableCircuitBreaker: true }];
+      helper.load(wgerConfigNode, flow, function () {
+        const n1 = helper.getNode('n1');
+        const client = n1.getClient();
+
+        n1.getClient().should.equal(client);
+        client.circuitBreaker.should.be.ok();
+        client.apiUrl.should.equal(n1.apiUrl);
+        done();
+      });
+    });
+
+    it('should dispose the client when the config node closes', function (done) {
+      const flow = [{ id: 'n1', type: 'wger-config' }];
+      helper.load(wgerConfigNode, flow, function () {
+        const n1 = helper.getNode('n1');
+        const client = n1.getClient();
+
+        n1.close().then(() => {
+          client.disposed.should.be.true();
+          should(n1.client).be.null();
+          done();
+        }).catch(done);
+      });
+    });
+  });
+
   describe('Edge Cases and Error Handling', function() {
     it('should handle node creation with null properties', function (done) {
       const flow = [{ 
@@ -0,0 +1,80 @@
+const should = require('should');
+const helper = require('node-red-node-test-helper');
+const wgerMeasurementNode = require('../nodes/wger-measurement');
+const wgerConfigNode = require('../nodes/wger-config');
+const sinon = require('sinon');
+
+helper.init(require.resolve('node-red'));
+
+describe('wger-measurement Node', function () {
+  beforeEach(function (done) {
+    helper.startServer(done);
+  });
+
+  afterEach(function (done) {
+    helper.unload();
+    helper.stopServer(done);
+    sinon.restore();
+  });
+
+  it('should be loaded', function (done) {
+    const flow = [
+      { id: 'n1', type: 'wger-measurement', name: 'test measurement', server: 'c1' },
+      { id: 'c1', type: 'wger-config' }
+    ];
+    helper.load([wgerMeasurementNode, wgerConfigNode], flow, function () {
+      const n1 = helper.getNode('n1');
+      n1.should.have.property('name', 'test measurement');
+      done();
+    });
+  });
+
+  it('should handle invalid operation', function (done) {
+    const flow = [
+      { id: 'n1', type: 'wger-measurement', server: 'c1', wires: [[]] },
+      { id: 'c1', type: 'wger-config' }
+    ];
+    helper.load([wgerMeasurementNode, wgerConfigNode], flow, function () {
+      const n1 = helper.getNode('n1');
+
+      n1.on('call:error', (call) => {
+        call.firstArg.message.should.equal('Invalid operation: invalidOp');
+        done();
+      });
+
+      n1.receive({ operation: 'invalidOp' });
+    });
+  });
+
+  it('should list measurements for a category', function (done) {
+    const flow = [
+      { id: 'n1', type: 'wger-measurement', server: 'c1', operation: 'listMeasurements', wires: [['n2']] },
+      { id: 'n2', type: 'helper' },
+      { id: 'c1', type: 'wger-config' }
+    ];
+
+    const WgerApiClient = require('../utils/api-client');
+    const mockGet = sinon.stub().resolves({ results: [{ id: 1, category: 2, value: 84 }] });
+    sinon.stub(WgerApiClient.prototype, 'get').callsFake(mockGet);
+
+    helper.load([wgerMeasurementNode, wgerConfigNode], flow, function () {
+      const n1 = helper.getNode('n1');
+      const n2 = helper.getNode('n2');
+
+      n2.on('input', function (msg) {
+        try {
+          msg.payload.results[0].should.have.property('value', 84);
+          sinon.assert.calledWith(mockGet, '/api/v2/measurement/', {
+            category: 2,
+            ordering: '-date'
+          });
+          done();
+        } catch (err) {
+          done(err);
+        }
+      });
+
+      n1.receive({ payload: { category: 2 } });
+    });
+  });
+});
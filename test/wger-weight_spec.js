@@ -3,7 +3,7 @@ const helper = require('node-red-node-test-helper');
 const wgerWeightNode = require('../nodes/wger-weight');
 const wgerConfigNode = require('../nodes/wger-config');
 const sinon = require('sinon');
-const { resetSharedCache } = require('../utils/weight-stats-cache');
+const { getSharedCache, resetSharedCache } = require('../utils/weight-stats-cache');
 
 helper.init(require.resolve('node-red'));
 
@@ -406,7 +406,7 @@ describe('wger-weight Node', function () {
     // Pre-populate cache
     const { getSharedCache } = require('../utils/weight-stats-cache');
     const cache = getSharedCache();
-    cache.set('c1', '', '', { stats: { avg: 75 } }, {}, 1);
+    cache.set('c1/anonymous', 'all', 'all', { stats: { avg: 75 } }, {}, 1);
     
     helper.load([wgerWeightNode, wgerConfigNode], flow, function () {
       const n1 = helper.getNode('n1');
@@ -414,7 +414,7 @@ describe('wger-weight Node', function () {
       
       n2.on('input', function (_msg) {
         // After create operation, cache should be invalidated
-        const cacheResult = cache.get('c1', '', '', {});
+        const cacheResult = cache.get('c1/anonymous', 'all', 'all', {});
         should.not.exist(cacheResult);
         done();
       });
@@ -461,4 +461,259 @@ describe('wger-weight Node', function () {
       });
     });
   });
+
+  it('should convert statistics to the requested unit', function (done) {
+    const flow = [
+      { id: 'n1', type: 'wger-weight', server: 'c1', operation: 'getWeightStats', wires: [['n2']] },
+      { id: 'n2', type: 'helper' },
+      { id: 'c1', type: 'wger-config', weightUnit: 'kg' }
+    ];
+    
+    const WgerApiClient = require('../utils/api-client');
+    sinon.stub(WgerApiClient.prototype, 'get').resolves({
+      results: [
+        { id: 2, weight: 80, date: '2025-09-04' },
+        { id: 1, weight: 81, date: '2025-08-28' }
+      ]
+    });
+    
+    helper.load([wgerWeightNode, wgerConfigNode], flow, function () {
+      const n1 = helper.getNode('n1');
+      const n2 = helper.getNode('n2');
+      
+      n2.on('input', function (msg) {
+        try {
+          msg.payload.unit.should.equal('lb');
+          msg.payload.stats.should.have.properties({ unit: 'lb', latest: 176.37, change: -2.2 });
+          msg.payload.stats.trendAnalysis.goal.targetWeight.should.equal(170);
+          msg.payload.entries[0].weight.should.equal(176.37);
+          done();
+        } catch (err) {
+          done(err);
+        }
+      });
+
+      n1.receive({ payload: { unit: 'lb', targetWeight: { value: 170, unit: 'lb' } } });
+    });
+  });
+
+  describe('statistics cache scope', function () {
+    const WgerApiClient = require('../utils/api-client');
+    const entries = [
+      { id: 3, weight: 75, date: '2025-09-04' },
+      { id: 2, weight: 74.5, date: '2025-09-03' },
+      { id: 1, weight: 74, date: '2025-09-02' }
+    ];
+
+    it('should keep statistics of different servers and users apart', function (done) {
+      const flow = [
+        { id: 'n1', type: 'wger-weight', server: 'c1', operation: 'getWeightStats', wires: [['n2']] },
+        { id: 'n3', type: 'wger-weight', server: 'c2', operation: 'getWeightStats', wires: [['n2']] },
+        { id: 'n2', type: 'helper' },
+        { id: 'c1', type: 'wger-config', authType: 'token' },
+        { id: 'c2', type: 'wger-config', authType: 'token' }
+      ];
+      const credentials = { c1: { token: 'alice-token' }, c2: { token: 'bob-token' } };
+      const mockGet = sinon.stub().resolves({ results: entries });
+      sinon.stub(WgerApiClient.prototype, 'get').callsFake(mockGet);
+
+      helper.load([wgerWeightNode, wgerConfigNode], flow, credentials, function () {
+        const n1 = helper.getNode('n1');
+        const n2 = helper.getNode('n2');
+        const n3 = helper.getNode('n3');
+        const fromCache = [];
+
+        n2.on('input', function (msg) {
+          fromCache.push(msg.payload.performance.fromCache);
+          if (fromCache.length === 1) {
+            n3.receive({ payload: {} });
+          } else if (fromCache.length === 2) {
+            n1.receive({ payload: {} });
+          } else {
+            try {
+              fromCache.should.deepEqual([false, false, true]);
+              mockGet.callCount.should.equal(2);
+              done();
+            } catch (err) {
+              done(err);
+            }
+          }
+        });
+
+        n1.receive({ payload: {} });
+      });
+    });
+
+    it('should add created entries to cached statistics', function (done) {
+      const flow = [
+        { id: 'n1', type: 'wger-weight', server: 'c1', operation: 'getWeightStats', wires: [['n2']] },
+        { id: 'n3', type: 'wger-weight', server: 'c1', operation: 'createWeightEntry', wires: [['n2']] },
+        { id: 'n2', type: 'helper' },
+        { id: 'c1', type: 'wger-config' }
+      ];
+      const mockGet = sinon.stub().resolves({ results: entries });
+      sinon.stub(WgerApiClient.prototype, 'get').callsFake(mockGet);
+      sinon.stub(WgerApiClient.prototype, 'post').resolves({ id: 4, weight: '76.00', date: '2025-09-05' });
+
+      helper.load([wgerWeightNode, wgerConfigNode], flow, function () {
+        const n1 = helper.getNode('n1');
+        const n2 = helper.getNode('n2');
+        const n3 = helper.getNode('n3');
+        let count = 0;
+
+        n2.on('input', function (msg) {
+          count++;
+          if (count === 1) {
+            n3.receive({ payload: { weight: 76, date: '2025-09-05' } });
+          } else if (count === 2) {
+            n1.receive({ payload: {} });
+          } else {
+            try {
+              msg.payload.performance.fromCache.should.be.true();
+              msg.payload.stats.should.have.properties({ count: 4, latest: 76, max: 76, change: 2 });
+              msg.payload.stats.should.not.have.property('_needsFullRecalc');
+              msg.payload.entries[0].should.have.property('id', 4);
+              mockGet.callCount.should.equal(1);
+              done();
+            } catch (err) {
+              done(err);
+            }
+          }
+        });
+
+        n1.receive({ payload: {} });
+      });
+    });
+
+    it('should match a fresh calculation after adding to limited statistics', function (done) {
+      const flow = [
+        { id: 'n1', type: 'wger-weight', server: 'c1', operation: 'getWeightStats', wires: [['n2']] },
+        { id: 'n3', type: 'wger-weight', server: 'c1', operation: 'createWeightEntry', wires: [['n2']] },
+        { id: 'n2', type: 'helper' },
+        { id: 'c1', type: 'wger-config' }
+      ];
+      const stored = entries.slice();
+      const mockGet = sinon.stub().callsFake((endpoint, params) => Promise.resolve({ results: stored.slice(0, params.limit) }));
+      sinon.stub(WgerApiClient.prototype, 'get').callsFake(mockGet);
+      sinon.stub(WgerApiClient.prototype, 'post').callsFake(() => {
+        const created = { id: 4, weight: '76.00', date: '2025-09-05' };
+        stored.unshift(created);
+        return Promise.resolve(created);
+      });
+
+      helper.load([wgerWeightNode, wgerConfigNode], flow, function () {
+        const n1 = helper.getNode('n1');
+        const n2 = helper.getNode('n2');
+        const n3 = helper.getNode('n3');
+        const results = [];
+
+        n2.on('input', function (msg) {
+          results.push(msg.payload);
+          if (results.length === 1) {
+            n3.receive({ payload: { weight: 76, date: '2025-09-05' } });
+          } else if (results.length === 2) {
+            n1.receive({ payload: { limit: 3 } });
+          } else if (results.length === 3) {
+            getSharedCache().clear();
+            n1.receive({ payload: { limit: 3 } });
+          } else {
+            try {
+              const [updated, fresh] = results.slice(2);
+              updated.entries.map(entry => entry.id).should.deepEqual([4, 3, 2]);
+              updated.stats.should.deepEqual(fresh.stats);
+              done();
+            } catch (err) {
+              done(err);
+            }
+          }
+        });
+
+        n1.receive({ payload: { limit: 3 } });
+      });
+    });
+
+    it('should wait for persisted statistics before looking up the cache', function (done) {
+      const flow = [
+        { id: 'n1', type: 'wger-weight', server: 'c1', operation: 'getWeightStats', wires: [['n2']] },
+        { id: 'n2', type: 'helper' },
+        { id: 'c1', type: 'wger-config' }
+      ];
+      const mockGet = sinon.stub().resolves({ results: entries });
+      sinon.stub(WgerApiClient.prototype, 'get').callsFake(mockGet);
+
+      helper.load([wgerWeightNode, wgerConfigNode], flow, function () {
+        const n1 = helper.getNode('n1');
+        const n2 = helper.getNode('n2');
+        const c1 = helper.getNode('c1');
+        let persisted;
+        let release;
+        let count = 0;
+
+        n2.on('input', function (msg) {
+          count++;
+          if (count === 1) {
+            // Restart with the statistics still being loaded from storage
+            persisted = getSharedCache().exportEntries('c1/');
+            resetSharedCache();
+            c1.statsCacheReady = new Promise(resolve => { release = resolve; });
+            n1.receive({ payload: {} });
+            setImmediate(() => {
+              getSharedCache().importEntries(persisted);
+              release(persisted.length);
+            });
+            return;
+          }
+          try {
+            msg.payload.performance.fromCache.should.be.true();
+            mockGet.callCount.should.equal(1);
+            done();
+          } catch (err) {
+            done(err);
+          }
+        });
+
+        n1.receive({ payload: {} });
+      });
+    });
+
+    it('should inspect and clear the cache through the admin route', function (done) {
+      const flow = [
+        { id: 'n1', type: 'wger-weight', server: 'c1', operation: 'getWeightStats', wires: [['n2']] },
+        { id: 'n2', type: 'helper' },
+        { id: 'c1', type: 'wger-config' }
+      ];
+      sinon.stub(WgerApiClient.prototype, 'get').resolves({ results: entries });
+
+      helper.load([wgerWeightNode, wgerConfigNode], flow, function () {
+        const n1 = helper.getNode('n1');
+        const n2 = helper.getNode('n2');
+
+        n2.on('input', function () {
+          helper.request()
+            .get('/wger-weight/stats-cache?server=c1')
+            .expect(200)
+            .end(function (err, res) {
+              if (err) return done(err);
+              try {
+                res.body.entries.should.have.length(1);
+                res.body.entries[0].should.have.properties({ userId: 'c1_anonymous', startDate: 'all', valid: true });
+                res.body.metrics.should.have.property('currentSize', 1);
+              } catch (error) {
+                return done(error);
+              }
+              helper.request()
+                .delete('/wger-weight/stats-cache?server=c1')
+                .expect(200)
+                .end(function (deleteErr, deleteRes) {
+                  if (deleteErr) return done(deleteErr);
+                  deleteRes.body.should.deepEqual({ cleared: 1 });
+                  done();
+                });
+            });
+        });
+
+        n1.receive({ payload: {} });
+      });
+    });
+  });
 });
@@ -2,6 +2,7 @@ const should = require('should');
 const helper = require('node-red-node-test-helper');
 const wgerWorkoutNode = require('../nodes/wger-workout');
 const wgerConfigNode = require('../nodes/wger-config');
+const catchNode = require('@node-red/nodes/core/common/25-catch');
 const sinon = require('sinon');
 
 helper.init(require.resolve('node-red'));
@@ -330,4 +331,229 @@ describe('wger-workout Node', function () {
       n1.receive({ payload: {} });
     });
   });
+
+  it('should only clone to wger-config nodes', function (done) {
+    const flow = [
+      { id: 'n1', type: 'wger-workout', server: 'c1', operation: 'cloneWorkout', wires: [[]] },
+      { id: 'c1', type: 'wger-config' }
+    ];
+
+    const WgerApiClient = require('../utils/api-client');
+    const mockGet = sinon.stub(WgerApiClient.prototype, 'get');
+
+    helper.load([wgerWorkoutNode, wgerConfigNode], flow, function () {
+      const n1 = helper.getNode('n1');
+
+      n1.on('call:error', (call) => {
+        try {
+          call.firstArg.message.should.equal('Server config not found: n1');
+          mockGet.called.should.be.false();
+          done();
+        } catch (err) {
+          done(err);
+        }
+      });
+
+      n1.receive({ payload: { workoutId: 5, targetServer: 'n1' } });
+    });
+  });
+
+  it('should send the failure report of logSession to catch nodes', function (done) {
+    const flow = [
+      { id: 'f1', type: 'tab' },
+      { id: 'n1', z: 'f1', type: 'wger-workout', server: 'c1', operation: 'logSession' },
+      { id: 'n3', z: 'f1', type: 'catch', scope: null, uncaught: false, wires: [['n2']] },
+      { id: 'n2', z: 'f1', type: 'helper' },
+      { id: 'c1', type: 'wger-config' }
+    ];
+
+    const WgerApiClient = require('../utils/api-client');
+    sinon.stub(WgerApiClient.prototype, 'post')
+      .onFirstCall().resolves({ id: 101 })
+      .onSecondCall().rejects(new Error('HTTP 500'));
+    sinon.stub(WgerApiClient.prototype, 'delete').resolves(null);
+
+    helper.load([wgerWorkoutNode, wgerConfigNode, catchNode], flow, function () {
+      const n1 = helper.getNode('n1');
+      const n2 = helper.getNode('n2');
+
+      n2.on('input', function (msg) {
+        try {
+          msg.error.message.should.containEql('Logging session failed at logs[0] (exercise 192): HTTP 500');
+          msg.payload.should.deepEqual({
+            step: 'logs[0] (exercise 192)',
+            written: { session: 1, logs: 0 },
+            reason: 'HTTP 500',
+            created: 1,
+            rollback: { deleted: 1, failed: [] }
+          });
+          done();
+        } catch (err) {
+          done(err);
+        }
+      });
+
+      n1.receive({ payload: { session: { workout: 5, date: '2024-03-04' }, logs: [{ exercise_base: 192, reps: 8, weight: 60 }] } });
+    });
+  });
+
+  it('should serve a schedule as iCalendar feed through the admin route', function (done) {
+    const flow = [
+      { id: 'n1', type: 'wger-workout', server: 'c1' },
+      { id: 'c1', type: 'wger-config' }
+    ];
+
+    const WgerApiClient = require('../utils/api-client');
+    const mockGet = sinon.stub();
+    mockGet.withArgs('/api/v2/schedule/1/').resolves({ id: 1, name: 'Block', start_date: '2024-03-04', is_loop: false });
+    mockGet.withArgs('/api/v2/schedulestep/').resolves({ count: 1, next: null, results: [{ id: 2, workout: 5, duration: 1, order: 1 }] });
+    mockGet.withArgs('/api/v2/workout/5/canonical_representation/').resolves({
+      obj: { id: 5, name: 'Push Pull' },
+      day_list: [{ obj: { id: 11, description: 'Push', day: [1] }, set_list: [] }]
+    });
+    sinon.stub(WgerApiClient.prototype, 'get').callsFake(mockGet);
+
+    helper.load([wgerWorkoutNode, wgerConfigNode], flow, function () {
+      helper.request()
+        .get('/wger-workout/c1/schedule/1.ics')
+        .expect(200)
+        .expect('Content-Type', /^text\/calendar/)
+        .end(function (err, res) {
+          if (err) return done(err);
+          try {
+            res.text.should.containEql('UID:wger-schedule-1-step-2-day-11-20240304@node-red-contrib-wger\r\n');
+            res.text.should.containEql('SUMMARY:Push Pull: Push\r\n');
+          } catch (error) {
+            return done(error);
+          }
+          helper.request()
+            .get('/wger-workout/missing/schedule/1.ics')
+            .expect(404, done);
+        });
+    });
+  });
+
+  describe('schedule feeds', function () {
+    const request = require('supertest');
+    const flow = [
+      { id: 'n1', type: 'wger-workout', server: 'c1', operation: 'getScheduleFeedUrl', wires: [['n2']] },
+      { id: 'n2', type: 'helper' },
+      { id: 'c1', type: 'wger-config' }
+    ];
+    let httpNode;
+    // The test helper keeps the flows' HTTP server to itself, so it is taken from the node API
+    const workoutNode = (RED) => {
+      httpNode = RED.httpNode;
+      return wgerWorkoutNode(RED);
+    };
+
+    beforeEach(function () {
+      const WgerApiClient = require('../utils/api-client');
+      const mockGet = sinon.stub();
+      mockGet.withArgs('/api/v2/schedule/1/').resolves({ id: 1, name: 'Block', start_date: '2024-03-04', is_loop: false });
+      mockGet.withArgs('/api/v2/schedulestep/').resolves({ count: 0, next: null, results: [] });
+      sinon.stub(WgerApiClient.prototype, 'get').callsFake(mockGet);
+    });
+
+    it('should serve a schedule to the address of getScheduleFeedUrl only', function (done) {
+      helper.load([workoutNode, wgerConfigNode], flow, { c1: { feedSecret: 'calendar-secret' } }, function () {
+        const n1 = helper.getNode('n1');
+        const n2 = helper.getNode('n2');
+        const outputs = [];
+
+        n2.on('input', async function (msg) {
+          outputs.push(msg.payload);
+          if (outputs.length === 1) {
+            n1.receive({ payload: { scheduleId: 2 } });
+            return;
+          }
+          try {
+            const [feed, other] = outputs;
+            feed.should.have.properties({ scheduleId: 1 });
+            feed.path.should.match(/^\/wger-workout\/feed\/c1\/1\.ics\?token=[\w-]+$/);
+            const token = feed.path.split('token=')[1];
+            other.path.split('token=')[1].should.not.equal(token);
+
+            const res = await request(httpNode).get(feed.path).expect(200).expect('Content-Type', /^text\/calendar/);
+            res.text.should.containEql('X-WR-CALNAME:Block');
+            await request(httpNode).get('/wger-workout/feed/c1/1.ics').expect(403);
+            await request(httpNode).get(`/wger-workout/feed/c1/1.ics?token=${other.path.split('token=')[1]}`).expect(403);
+            await request(httpNode).get(`/wger-workout/feed/c1/1.ics?token=${token}&startDate=2024-13-40`).expect(400);
+            done();
+          } catch (err) {
+            done(err);
+          }
+        });
+
+        n1.receive({ payload: { scheduleId: 1 } });
+      });
+    });
+
+    it('should not serve feeds without a feed secret', function (done) {
+      helper.load([workoutNode, wgerConfigNode], flow, function () {
+        const n1 = helper.getNode('n1');
+
+        n1.on('call:error', async (call) => {
+          try {
+            call.firstArg.message.should.equal('Schedule feeds are disabled: the server configuration has no feed secret');
+            await request(httpNode).get('/wger-workout/feed/c1/1.ics?token=guess').expect(404);
+            done();
+          } catch (err) {
+            done(err);
+          }
+        });
+
+        n1.receive({ payload: { scheduleId: 1 } });
+      });
+    });
+  });
+
+  it('should answer invalid schedule feed requests with 400 and missing schedules with 404', function (done) {
+    const flow = [
+      { id: 'n1', type: 'wger-workout', server: 'c1' },
+      { id: 'c1', type: 'wger-config' }
+    ];
+
+    const WgerApiClient = require('../utils/api-client');
+    const notFound = Object.assign(new Error('Not found.'), { status: 404, name: 'HttpResponseError' });
+    const mockGet = sinon.stub(WgerApiClient.prototype, 'get').rejects(notFound);
+
+    helper.load([wgerWorkoutNode, wgerConfigNode], flow, function () {
+      helper.request()
+        .get('/wger-workout/c1/schedule/abc.ics')
+        .expect(400)
+        .end(function (err, res) {
+          if (err) return done(err);
+          try {
+            res.body.error.should.equal('Schedule id must be a positive integer, got abc');
+          } catch (error) {
+            return done(error);
+          }
+          helper.request()
+            .get('/wger-workout/c1/schedule/1.ics?startDate=2024-13-40')
+            .expect(400)
+            .end(function (err) {
+              if (err) return done(err);
+              try {
+                mockGet.called.should.be.false();
+              } catch (error) {
+                return done(error);
+              }
+              helper.request()
+                .get('/wger-workout/c1/schedule/99.ics')
+                .expect(404)
+                .end(function (err, res) {
+                  if (err) return done(err);
+                  try {
+                    mockGet.firstCall.args[0].should.equal('/api/v2/schedule/99/');
+                    res.body.error.should.equal('Not found.');
+                    done();
+                  } catch (error) {
+                    done(error);
+                  }
+                });
+            });
+        });
+    });
+  });
 });
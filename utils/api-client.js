@@ -8,16 +8,18 @@
 
 // Use native Node.js fetch (available in Node 18+, this project requires Node 20+)
 const { wrap } = require('cockatiel');
-const { API, STATUS } = require('./constants');
+const { API, STATUS, ERRORS } = require('./constants');
 const RetryPolicy = require('./retry-policy');
 const { CircuitBreaker } = require('./circuit-breaker');
+const { RateLimiter, parseRetryAfter } = require('./rate-limiter');
+const ResponseCache = require('./response-cache');
 const timeProviderFactory = require('./time-provider').default;
 
 /**
  * HTTP client for interacting with the wger fitness API.
  * Provides a unified interface for all API operations with automatic
  * path parameter replacement, error enhancement, authentication handling,
- * and configurable retry logic with circuit breaker pattern.
+ * configurable retry logic with circuit breaker pattern and client-side rate limiting.
  * 
  * @class WgerApiClient
  * @example
@@ -27,7 +29,9 @@ const timeProviderFactory = require('./time-provider').default;
  * // Initialize client with retry configuration
  * const client = new WgerApiClient('https://wger.de', { Authorization: 'Token abc123' }, {
  *   retry: { maxAttempts: 5, baseDelayMs: 500 },
- *   circuitBreaker: { failureThreshold: 10 }
+ *   circuitBreaker: { failureThreshold: 10 },
+ *   rateLimit: { requestsPerSecond: 2, burst: 5 },
+ *   cache: { identity: 'jwt:alice' }
  * });
  * 
  * // Make a GET request
@@ -41,15 +45,22 @@ class WgerApiClient {
    * Creates a new WgerApiClient instance
    * @constructor
    * @param {string} apiUrl - Base URL of the wger API (e.g., 'https://wger.de')
-   * @param {Object} authHeader - Authentication headers object (e.g., { Authorization: 'Token ...' })
+   * @param {Object|Function} authHeader - Authentication headers object (e.g., { Authorization: 'Token ...' }),
+   *   or an async function `({ forceRefresh }) => headers` for refreshable credentials such as JWT logins.
+   *   With a function, a request rejected with 401 is retried once after calling it with `forceRefresh: true`.
    * @param {Object} [resilience={}] - Resilience configuration for retry and circuit breaker
    * @param {Object} [resilience.retry] - Retry policy configuration
    * @param {Object} [resilience.circuitBreaker] - Circuit breaker configuration
+   * @param {Object} [resilience.rateLimit] - Token bucket rate limiter configuration (`requestsPerSecond`, `burst`)
+   * @param {Object} [resilience.cache] - GET response cache configuration (`maxEntries`, `ttls`, `identity`),
+   *   or a pre-instantiated ResponseCache. `identity` separates cached responses per user when the auth
+   *   header changes over time (JWT); it defaults to a hash of the static auth header.
    * @param {Object} [resilience.timeProvider] - Time provider for dependency injection
    */
   constructor(apiUrl, authHeader, resilience = {}) {
     this.apiUrl = apiUrl;
     this.authHeader = authHeader;
+    this.disposed = false;
     this.timeProvider = resilience.timeProvider || timeProviderFactory();
     
     // Validate time provider
@@ -89,6 +100,32 @@ class WgerApiClient {
       this.circuitBreaker = null;
     }
     
+    // Handle rate limiter - could be configuration or pre-instantiated object
+    if (resilience.rateLimit) {
+      if (typeof resilience.rateLimit.acquire === 'function') {
+        this.rateLimiter = resilience.rateLimit;
+      } else {
+        this.rateLimiter = new RateLimiter({
+          ...resilience.rateLimit,
+          timeProvider: this.timeProvider
+        });
+      }
+    } else {
+      this.rateLimiter = null;
+    }
+    
+    // Handle response cache - could be configuration or pre-instantiated object
+    if (resilience.cache) {
+      this.responseCache = resilience.cache instanceof ResponseCache
+        ? resilience.cache
+        : new ResponseCache({ ...resilience.cache, timeProvider: this.timeProvider });
+      this.cacheIdentity = resilience.cache.identity ||
+        (typeof authHeader === 'function' ? 'dynamic' : ResponseCache.identityFromHeader(authHeader));
+    } else {
+      this.responseCache = null;
+      this.cacheIdentity = null;
+    }
+    
     // Create combined Cockatiel policy for efficient execution
     this._createCombinedPolicy();
   }
@@ -181,6 +218,10 @@ class WgerApiClient {
    * Makes an HTTP request to the wger API with automatic path parameter replacement,
    * enhanced error handling, and configurable retry logic with circuit breaker pattern.
    * 
+   * With a response cache, GETs to endpoints listed in `CACHE.TTLS` are served from
+   * the cache while fresh and revalidated with `If-None-Match` once stale. Any other
+   * method invalidates cached responses under the written resource's collection.
+   * 
    * @async
    * @param {string} method - HTTP method (GET, POST, PUT, PATCH, DELETE)
    * @param {string} endpoint - API endpoint path (may contain {param} placeholders)
@@ -199,6 +240,10 @@ class WgerApiClient {
    * // The {workoutId} placeholder will be replaced with 123
    */
   async makeRequest(method, endpoint, data = null, params = null) {
+    if (this.disposed) {
+      throw new Error(ERRORS.CLIENT_DISPOSED);
+    }
+
     // Replace path parameters if present
     if (params && typeof endpoint === 'string') {
       Object.keys(params).forEach((param) => {
@@ -209,18 +254,80 @@ class WgerApiClient {
       });
     }
 
+    const cache = this.responseCache;
+    const cacheKey = method === 'GET' && cache && cache.getTtl(endpoint) > 0
+      ? cache.buildKey(this.cacheIdentity, endpoint, params)
+      : null;
+    const cached = cacheKey ? cache.get(cacheKey) : null;
+    if (cached && cached.fresh) {
+      return cached.data;
+    }
+
+    // Revalidate stale entries instead of downloading them again
+    const conditionalHeaders = cached && cached.etag ? { 'If-None-Match': cached.etag } : {};
     const config = {
       method,
       url: `${this.apiUrl}${endpoint}`,
-      headers: {
-        ...this.authHeader,
-        'Content-Type': API.HEADERS.CONTENT_TYPE
-      },
+      headers: { ...(await this._buildHeaders()), ...conditionalHeaders },
       params: method === 'GET' ? params : undefined,
       data: method !== 'GET' ? data : undefined,
       timeout: API.CONNECTION_TIMEOUT
     };
 
+    let response;
+    try {
+      response = await this._sendWithAuthRetry(config, conditionalHeaders);
+    } finally {
+      // Writes make cached reads of the same collection outdated, even when they fail midway
+      if (method !== 'GET' && cache) {
+        cache.invalidatePath(endpoint);
+      }
+    }
+
+    if (cacheKey) {
+      if (response.status === 304 && cached) {
+        const revalidated = cache.revalidate(cacheKey);
+        return revalidated !== undefined ? revalidated : cached.data;
+      }
+      cache.set(cacheKey, endpoint, response.data, response.etag);
+    }
+
+    return response.data;
+  }
+
+  /**
+   * Sends a prepared request, refreshing the credentials and retrying once when
+   * a function auth header is rejected with 401.
+   * 
+   * @private
+   * @param {Object} config - Request configuration (axios-compatible format)
+   * @param {Object} [extraHeaders={}] - Headers to keep when the auth headers are rebuilt
+   * @returns {Promise<Object>} Response object with { data, status, statusText, etag }
+   * @throws {Error} Enhanced error with status code and response data
+   */
+  async _sendWithAuthRetry(config, extraHeaders = {}) {
+    try {
+      return await this._executeRequest(config);
+    } catch (error) {
+      if (error.status !== 401 || typeof this.authHeader !== 'function') {
+        throw error;
+      }
+
+      // Access token rejected - refresh it and retry once
+      config.headers = { ...(await this._buildHeaders({ forceRefresh: true })), ...extraHeaders };
+      return this._executeRequest(config);
+    }
+  }
+
+  /**
+   * Executes a prepared request with or without the configured resilience policies.
+   * 
+   * @private
+   * @param {Object} config - Request configuration (axios-compatible format)
+   * @returns {Promise<Object>} Response object with { data, status, statusText, etag }
+   * @throws {Error} Enhanced error with status code and response data
+   */
+  async _executeRequest(config) {
     // If no resilience features configured, use original behavior
     if (!this._combinedPolicy) {
       return this._makeRequestWithoutRetry(config);
@@ -230,18 +337,36 @@ class WgerApiClient {
     return this._makeRequestWithCockatiel(config);
   }
 
+  /**
+   * Builds the request headers, resolving dynamic authentication headers.
+   * 
+   * @private
+   * @param {Object} [options={}] - Options passed to a function auth header
+   * @param {boolean} [options.forceRefresh] - Ask for a fresh token
+   * @returns {Promise<Object>} Request headers
+   */
+  async _buildHeaders(options = {}) {
+    const authHeader = typeof this.authHeader === 'function'
+      ? await this.authHeader(options)
+      : this.authHeader;
+
+    return {
+      ...authHeader,
+      'Content-Type': API.HEADERS.CONTENT_TYPE
+    };
+  }
+
   /**
    * Makes a request without retry logic (original behavior).
    * 
    * @private
    * @param {Object} config - Request configuration (axios-compatible format)
-   * @returns {Promise<*>} Response data from the API
+   * @returns {Promise<Object>} Response object with { data, status, statusText, etag }
    * @throws {Error} Enhanced error with status code and response data
    */
   async _makeRequestWithoutRetry(config) {
     try {
-      const response = await this._fetchWithConfig(config);
-      return response.data;
+      return await this._fetchWithConfig(config);
     } catch (error) {
       throw this._enhanceError(error);
     }
@@ -252,17 +377,15 @@ class WgerApiClient {
    * 
    * @private
    * @param {Object} config - Request configuration (axios-compatible format)
-   * @returns {Promise<*>} Response data from the API
+   * @returns {Promise<Object>} Response object with { data, status, statusText, etag }
    * @throws {Error} Enhanced error with status code and response data
    */
   async _makeRequestWithCockatiel(config) {
     try {
-      const response = await this._combinedPolicy.execute(async () => {
+      return await this._combinedPolicy.execute(async () => {
         const response = await this._fetchWithConfig(config);
         return response;
       });
-      
-      return response.data;
     } catch (error) {
       // Enhance error with our custom logic
       throw this._enhanceError(error);
@@ -274,12 +397,17 @@ class WgerApiClient {
    * 
    * @private
    * @param {Object} config - Request configuration in axios format
-   * @returns {Promise<Object>} Response object with { data, status, statusText }
+   * @returns {Promise<Object>} Response object with { data, status, statusText, etag }
    * @throws {Error} Fetch error in axios-compatible format
    */
   async _fetchWithConfig(config) {
     const { method, url, headers, params, data, timeout } = config;
     
+    // Wait for a rate limiter token; the timeout only starts once the request is sent
+    if (this.rateLimiter) {
+      await this.rateLimiter.acquire();
+    }
+    
     // Build final URL with query parameters
     const finalUrl = this._buildRequestUrl(url, method, params);
     
@@ -297,6 +425,15 @@ class WgerApiClient {
         this.timeProvider.clearTimeout(timeoutId);
       }
       
+      const etag = response.headers && typeof response.headers.get === 'function'
+        ? response.headers.get('etag')
+        : null;
+      
+      // Not Modified answers a conditional GET; the caller serves its cached copy
+      if (response.status === 304) {
+        return { data: null, status: 304, statusText: response.statusText, etag };
+      }
+      
       // Handle non-2xx responses
       if (!response.ok) {
         const httpError = await this._createHttpError(response);
@@ -309,7 +446,8 @@ class WgerApiClient {
       return {
         data: responseData,
         status: response.status,
-        statusText: response.statusText
+        statusText: response.statusText,
+        etag
       };
       
     } catch (error) {
@@ -412,6 +550,8 @@ class WgerApiClient {
 
   /**
    * Creates axios-compatible error object for HTTP errors.
+   * A `Retry-After` header is parsed into `error.retryAfterMs` and pauses the
+   * rate limiter, so queued requests wait until the server accepts them again.
    * 
    * @private
    * @param {Response} response - Failed response object
@@ -425,6 +565,17 @@ class WgerApiClient {
       data: {}
     };
     
+    const retryAfter = response.headers && typeof response.headers.get === 'function'
+      ? response.headers.get('retry-after')
+      : null;
+    const retryAfterMs = parseRetryAfter(retryAfter, this.timeProvider.now());
+    if (retryAfterMs !== null) {
+      error.retryAfterMs = retryAfterMs;
+      if (this.rateLimiter && typeof this.rateLimiter.pause === 'function') {
+        this.rateLimiter.pause(retryAfterMs);
+      }
+    }
+    
     // Try to parse error response body
     try {
       const text = await response.text();
@@ -486,6 +637,9 @@ class WgerApiClient {
       enhancedError.status = error.response.status;
       enhancedError.data = error.response.data;
       enhancedError.name = 'HttpResponseError';
+      if (error.retryAfterMs !== undefined) {
+        enhancedError.retryAfterMs = error.retryAfterMs;
+      }
       return enhancedError;
     } else if (error.request) {
       // Check if it's already a timeout error (has the right code and message)
@@ -515,6 +669,26 @@ class WgerApiClient {
     }
   }
 
+  /**
+   * Releases the client when its config node closes. Requests already in
+   * flight complete normally; requests waiting for the rate limiter and any
+   * later request are rejected.
+   */
+  dispose() {
+    this.disposed = true;
+    if (this.rateLimiter) {
+      this.rateLimiter.dispose(new Error(ERRORS.CLIENT_DISPOSED));
+      this.rateLimiter = null;
+    }
+    if (this.responseCache) {
+      this.responseCache.clear();
+      this.responseCache = null;
+    }
+    this._combinedPolicy = null;
+    this.retryPolicy = null;
+    this.circuitBreaker = null;
+  }
+
   /**
    * Performs a GET request to the wger API
    * @async
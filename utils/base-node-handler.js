@@ -2,13 +2,20 @@
  * @fileoverview Base handler utility for Node-RED wger nodes
  * @module utils/base-node-handler
  * @requires ./api-client
+ * @requires ./write-outbox
+ * @requires ./unit-converter
+ * @requires ./calendar
  * @requires ./constants
  * @version 1.0.0
  * @author Node-RED wger contrib team
  */
 
+const { randomUUID } = require('crypto');
 const WgerApiClient = require('./api-client');
-const { STATUS, ERRORS } = require('./constants');
+const { WriteOutbox } = require('./write-outbox');
+const UnitConverter = require('./unit-converter');
+const Calendar = require('./calendar');
+const { STATUS, ERRORS, STREAM_MODES, OUTBOX, UNITS, WEIGHT_UNITS, CALENDAR } = require('./constants');
 
 /**
  * Base handler for common Node-RED node patterns in wger contrib nodes.
@@ -35,10 +42,12 @@ class BaseNodeHandler {
   /**
    * Handles the common input processing pattern for all wger nodes.
    * This method manages the complete lifecycle of a node operation including:
-   * - Status updates (blue while processing, green on success, red on error)
-   * - API client initialization
-   * - Operation execution
-   * - Error handling and reporting
+   * - Status updates (blue while processing, yellow while rate limited or queued, green on success, red on error)
+   * - API client lookup (shared per config node)
+   * - Unit conversion of `{ value, unit }` inputs (see `UNITS.FIELDS`)
+   * - Date resolution in the time zone of the message or config node (see `CALENDAR.FIELDS`)
+   * - Operation execution, queueing offline writes in the config node's outbox
+   * - Error handling and reporting; an error's `report` replaces `msg.payload`, so catch nodes receive it
    * 
    * @static
    * @async
@@ -49,13 +58,21 @@ class BaseNodeHandler {
    * @param {Function} node.error - Node error reporting function
    * @param {Object} msg - The input message from Node-RED flow
    * @param {string} [msg.operation] - Operation to perform (overrides node.operation)
-   * @param {Object} [msg.payload] - Operation payload data
+   * @param {Object|Array<Object>} [msg.payload] - Operation payload data; an array runs create/update/delete operations as a batch
+   * @param {number} [msg.concurrency] - Number of batch items processed in parallel
+   * @param {string} [msg.stream] - Stream list results as one message per 'page' or per 'record'
+   * @param {string} [msg.idempotencyKey] - Key identifying a queueable write, so it is never written twice
+   * @param {string} [msg.timeZone] - IANA time zone for dates and week boundaries (overrides the config node)
+   * @param {number} [msg.weekStart] - First day of the week, 0 (Sunday) to 6 (Saturday) (overrides the config node)
+   * @param {Object<string, string>} [msg.units] - Set on output to the units of the operation's unit fields
    * @param {Function} send - The Node-RED send function for outputting messages
    * @param {Function} done - The Node-RED done callback for signaling completion
    * @param {Function} operationHandler - Async function that handles the specific operations
    * @param {WgerApiClient} operationHandler.client - Initialized API client
    * @param {string} operationHandler.operation - Operation to perform
    * @param {Object} operationHandler.payload - Operation payload
+   * @param {Object} [operationHandler.context] - Streaming context (`onPage`) when `msg.stream` is set,
+   *   otherwise the calendar (`timeZone`, `weekStart`) and batch context (`concurrency`)
    * @returns {Promise<void>}
    * 
    * @example
@@ -71,7 +88,7 @@ class BaseNodeHandler {
     node.status({ fill: STATUS.COLORS.BLUE, shape: STATUS.SHAPES.DOT, text: STATUS.MESSAGES.REQUESTING });
 
     const operation = msg.operation || node.operation;
-    const payload = msg.payload || {};
+    let payload = msg.payload || {};
 
     if (!operation) {
       node.status({ fill: STATUS.COLORS.RED, shape: STATUS.SHAPES.RING, text: STATUS.MESSAGES.NO_OPERATION });
@@ -87,22 +104,68 @@ class BaseNodeHandler {
     }
 
     try {
-      // Initialize Wger client with resilience configuration
-      const client = new WgerApiClient(node.server.apiUrl, node.server.getAuthHeader(), node.server.getResilienceConfig());
+      // Use the config node's shared client so circuit breaker state accumulates
+      const client = BaseNodeHandler.getClient(node.server);
+      const stopTracking = BaseNodeHandler.trackQueueDepth(node, client);
       
-      // Call the operation-specific handler
-      const result = await operationHandler(client, operation, payload);
+      try {
+        // Convert inputs given with a unit before they are validated, sent or queued
+        const converted = await BaseNodeHandler.convertUnits(node, operation, payload);
+        if (converted) {
+          payload = converted.payload;
+        }
 
-      // Update status and send response
-      node.status({ fill: STATUS.COLORS.GREEN, shape: STATUS.SHAPES.DOT, text: STATUS.MESSAGES.SUCCESS });
-      msg.payload = result;
-      send(msg);
+        // Resolve dates such as "today" or local times in the user's time zone
+        const calendar = BaseNodeHandler.getCalendar(node, msg);
+        payload = BaseNodeHandler.resolveDates(node, operation, payload, calendar);
+
+        if (msg.stream) {
+          // Stream list results page by page instead of sending one message
+          const streamInfo = await BaseNodeHandler.handleStreamOperation(node, msg, send, client, operation, payload, operationHandler);
+          if (streamInfo && streamInfo.truncated) {
+            node.status({
+              fill: STATUS.COLORS.YELLOW,
+              shape: STATUS.SHAPES.DOT,
+              text: STATUS.MESSAGES.STREAM_TRUNCATED.replace('{sent}', streamInfo.messages).replace('{pages}', streamInfo.pages)
+            });
+          } else {
+            node.status({ fill: STATUS.COLORS.GREEN, shape: STATUS.SHAPES.DOT, text: STATUS.MESSAGES.SUCCESS });
+          }
+        } else {
+          // Call the operation-specific handler, queueing writes while the server is unreachable
+          const result = await BaseNodeHandler.executeWithOutbox(node, msg, client, operation, payload, operationHandler, calendar);
+
+          // Update status and send response
+          if (msg.idempotencyKey && result && result.idempotencyKey === msg.idempotencyKey && result.outbox) {
+            BaseNodeHandler.showOutboxStatus(node, result.outbox);
+          } else if (Array.isArray(payload) && result && result.batch === true) {
+            node.status({
+              fill: result.failed > 0 ? STATUS.COLORS.YELLOW : STATUS.COLORS.GREEN,
+              shape: STATUS.SHAPES.DOT,
+              text: STATUS.MESSAGES.BATCH.replace('{succeeded}', result.succeeded).replace('{failed}', result.failed)
+            });
+          } else {
+            node.status({ fill: STATUS.COLORS.GREEN, shape: STATUS.SHAPES.DOT, text: STATUS.MESSAGES.SUCCESS });
+          }
+          msg.payload = result;
+          if (converted) {
+            msg.units = converted.units;
+          }
+          send(msg);
+        }
+      } finally {
+        stopTracking();
+      }
 
       if (done) {
         done();
       }
     } catch (error) {
       node.status({ fill: STATUS.COLORS.RED, shape: STATUS.SHAPES.DOT, text: error.message });
+      // Catch nodes only get the message, code and cause of the error, so a failure report travels in the message
+      if (error.report) {
+        msg.payload = error.report;
+      }
       // Always call done() if available (Node-RED 1.0+ best practice)
       // For backwards compatibility with pre-1.0, fallback to node.error()
       if (done) {
@@ -113,12 +176,334 @@ class BaseNodeHandler {
     }
   }
 
+  /**
+   * Returns the API client for a config node.
+   * 
+   * Config nodes own a single shared client (see `getClient()` on `wger-config`),
+   * so retry and circuit breaker state is kept across messages and across all
+   * nodes using the same server. Config objects without `getClient()` get a new
+   * client built from their settings.
+   * 
+   * @static
+   * @param {Object} server - The wger-config node
+   * @returns {WgerApiClient} API client for the server
+   */
+  static getClient(server) {
+    if (typeof server.getClient === 'function') {
+      return server.getClient();
+    }
+
+    // JWT logins hand over a refreshing auth function instead of a static header
+    const authHeader = server.getAuthProvider ? server.getAuthProvider() : server.getAuthHeader();
+    return new WgerApiClient(server.apiUrl, authHeader, server.getResilienceConfig());
+  }
+
+  /**
+   * Converts the unit fields of an operation payload (see `UNITS.FIELDS`).
+   * 
+   * Fields may be given as a number in the target unit or as `{ value, unit }`.
+   * Body and workout weights target the account's weight unit, which the config
+   * node provides through `getWeightUnit()` (kilograms without it); it is only
+   * resolved for operations that need it.
+   * 
+   * @static
+   * @async
+   * @param {Object} node - The Node-RED node instance
+   * @param {string} operation - Operation to perform
+   * @param {Object|Array<Object>} payload - Operation payload
+   * @returns {Promise<{payload: Object|Array<Object>, units: Object<string, string>|Array<Object<string, string>>}|null>}
+   *   Converted payload and the unit per field (per log for batches of workout logs),
+   *   null for operations without unit fields
+   * @throws {Error} If a unit is unknown or the account's unit cannot be read
+   */
+  static async convertUnits(node, operation, payload) {
+    const fields = (UNITS.FIELDS[node.type] || {})[operation];
+    if (!fields) {
+      return null;
+    }
+
+    const needsAccountUnit = Object.values(fields)
+      .some(target => target === UNITS.TARGETS.ACCOUNT || target === UNITS.TARGETS.WORKOUT_LOG);
+    const accountUnit = needsAccountUnit ? await BaseNodeHandler.getWeightUnit(node.server) : WEIGHT_UNITS.KG;
+
+    const converted = UnitConverter.convertPayload(payload, fields, accountUnit);
+    return {
+      payload: converted,
+      units: UnitConverter.describeUnits(fields, accountUnit, converted)
+    };
+  }
+
+  /**
+   * Returns the account's weight unit for a config node.
+   * 
+   * @static
+   * @async
+   * @param {Object} server - The wger-config node
+   * @returns {Promise<string>} `WEIGHT_UNITS.KG` or `WEIGHT_UNITS.LB`
+   */
+  static async getWeightUnit(server) {
+    if (server && typeof server.getWeightUnit === 'function') {
+      return server.getWeightUnit();
+    }
+    return WEIGHT_UNITS.KG;
+  }
+
+  /**
+   * Resolves the time zone and week start of a message: `msg.timeZone` and
+   * `msg.weekStart` override the config node's settings, which default to the
+   * time zone of the Node-RED process and Monday.
+   * 
+   * @static
+   * @param {Object} node - The Node-RED node instance
+   * @param {Object} msg - The input message
+   * @returns {{timeZone: string, weekStart: number}} Calendar settings
+   * @throws {Error} If the time zone or week start is invalid
+   */
+  static getCalendar(node, msg) {
+    const server = node.server || {};
+    return {
+      timeZone: Calendar.resolveTimeZone(msg.timeZone || server.timeZone),
+      weekStart: Calendar.resolveWeekStart(msg.weekStart !== undefined ? msg.weekStart : server.weekStart)
+    };
+  }
+
+  /**
+   * Resolves the date fields of an operation payload (see `CALENDAR.FIELDS`):
+   * dates become the calendar date in the time zone, diary datetimes a
+   * timestamp with the time zone's offset, and `today`, `yesterday`,
+   * `tomorrow` and `now` are resolved there.
+   * 
+   * @static
+   * @param {Object} node - The Node-RED node instance
+   * @param {string} operation - Operation to perform
+   * @param {Object|Array<Object>} payload - Operation payload
+   * @param {{timeZone: string}} calendar - Calendar settings from `getCalendar`
+   * @returns {Object|Array<Object>} Resolved payload, unchanged for operations without date fields
+   */
+  static resolveDates(node, operation, payload, calendar) {
+    const fields = (CALENDAR.FIELDS[node.type] || {})[operation];
+    return fields ? Calendar.convertPayload(payload, fields, calendar.timeZone) : payload;
+  }
+
+  /**
+   * Executes an operation, falling back to the config node's offline outbox.
+   * 
+   * Operations listed in `OUTBOX.OPERATIONS` for the node type are queued when the
+   * server is unreachable, or right away while earlier writes are still queued so
+   * the order is kept. Queued writes resolve to a receipt
+   * (`{ queued: true, idempotencyKey, position, outbox }`) instead of the API
+   * response, and `msg.idempotencyKey` is set so the write can be traced. A write
+   * whose key is already queued or replayed is not executed again and resolves to
+   * a receipt with `duplicate: true`. Batch (array) payloads bypass the outbox;
+   * items that fail while offline are reported as failed in the batch report.
+   * Queued writes keep their context, so a replay runs in the same time zone.
+   * A write that timed out may have been saved, so it is neither queued nor
+   * replayed but fails with the code `WRITE_OUTCOME_UNKNOWN`.
+   * 
+   * @static
+   * @async
+   * @param {Object} node - The Node-RED node instance
+   * @param {Object} msg - The input message
+   * @param {WgerApiClient} client - API client
+   * @param {string} operation - Operation to perform
+   * @param {Object} payload - Operation payload
+   * @param {Function} operationHandler - Operation handler `(client, operation, payload, context)`
+   * @param {{timeZone: string, weekStart: number}} [calendar] - Calendar settings passed on in the context
+   * @returns {Promise<*>} Operation result or outbox receipt
+   */
+  static async executeWithOutbox(node, msg, client, operation, payload, operationHandler, calendar) {
+    const outbox = node.server && node.server.outbox;
+    const context = { ...calendar };
+    if (msg.concurrency !== undefined) {
+      context.concurrency = msg.concurrency;
+    }
+    if (!outbox || !outbox.accepts(node.type, operation) || Array.isArray(payload)) {
+      return operationHandler(client, operation, payload, context);
+    }
+
+    const explicitKey = Boolean(msg.idempotencyKey);
+    msg.idempotencyKey = msg.idempotencyKey || randomUUID();
+
+    const duplicate = await outbox.findDuplicate(msg.idempotencyKey);
+    if (duplicate) {
+      return duplicate;
+    }
+
+    if (!(await outbox.hasPending())) {
+      try {
+        const result = await operationHandler(client, operation, payload, context);
+        if (explicitKey) {
+          await outbox.markCompleted(msg.idempotencyKey);
+        } else {
+          delete msg.idempotencyKey;
+        }
+        return result;
+      } catch (error) {
+        if (!WriteOutbox.isOfflineError(error)) {
+          if (!explicitKey) {
+            delete msg.idempotencyKey;
+          }
+          throw WriteOutbox.isUnknownOutcome(error) ? WriteOutbox.toUnknownOutcomeError(operation, error) : error;
+        }
+      }
+    }
+
+    return outbox.enqueue({ idempotencyKey: msg.idempotencyKey, type: node.type, operation, payload, context });
+  }
+
+  /**
+   * Shows the offline outbox counts in the node status: a yellow ring while
+   * writes are queued, a green ring once they have been replayed.
+   * 
+   * @static
+   * @param {Object} node - The Node-RED node instance
+   * @param {{queued: number, replayed: number, failed: number}} stats - Outbox statistics
+   */
+  static showOutboxStatus(node, stats) {
+    node.status({
+      fill: stats.queued > 0 ? STATUS.COLORS.YELLOW : (stats.failed > 0 ? STATUS.COLORS.RED : STATUS.COLORS.GREEN),
+      shape: STATUS.SHAPES.RING,
+      text: STATUS.MESSAGES.OUTBOX
+        .replace('{queued}', stats.queued)
+        .replace('{replayed}', stats.replayed)
+        .replace('{failed}', stats.failed)
+    });
+  }
+
+  /**
+   * Shows the rate limiter queue depth in the node status while an operation runs.
+   * The status turns yellow while requests wait for the shared rate limiter and
+   * back to blue once the queue has drained.
+   * 
+   * @static
+   * @param {Object} node - The Node-RED node instance
+   * @param {WgerApiClient} client - API client whose rate limiter is watched
+   * @returns {Function} Function that stops tracking
+   */
+  static trackQueueDepth(node, client) {
+    if (!client || !client.rateLimiter || typeof client.rateLimiter.onQueueChange !== 'function') {
+      return () => {};
+    }
+
+    return client.rateLimiter.onQueueChange(depth => {
+      if (depth > 0) {
+        node.status({
+          fill: STATUS.COLORS.YELLOW,
+          shape: STATUS.SHAPES.RING,
+          text: STATUS.MESSAGES.QUEUED.replace('{depth}', depth)
+        });
+      } else {
+        node.status({ fill: STATUS.COLORS.BLUE, shape: STATUS.SHAPES.DOT, text: STATUS.MESSAGES.REQUESTING });
+      }
+    });
+  }
+
+  /**
+   * Runs a list operation in streaming mode, sending each page (or each record)
+   * as its own message while the pages are fetched, so large lists never have to
+   * be held in memory at once.
+   * 
+   * Every data message carries `msg.parts` (`id`, `index`, `type: 'array'`) in the
+   * format produced by the core split node. Once all pages are fetched a final
+   * completion message follows with `msg.complete = true`, `msg.parts.count` and a
+   * `msg.streamInfo` summary but no payload, so a join node in automatic mode
+   * reassembles the records into one array. Page messages set `msg.parts.len` to the
+   * page size so the join node concatenates the pages instead of nesting them.
+   * 
+   * Every page is streamed unless `maxPages` is given; a stream that stopped
+   * there reports `truncated` in `msg.streamInfo` and the node status.
+   * 
+   * Operations that are not list operations ignore the stream request; their
+   * result is sent as a single message as usual.
+   * 
+   * @static
+   * @async
+   * @param {Object} node - The Node-RED node instance
+   * @param {Object} msg - The input message (with `msg.stream` set)
+   * @param {Function} send - The Node-RED send function
+   * @param {WgerApiClient} client - Initialized API client
+   * @param {string} operation - Operation to perform
+   * @param {Object} payload - Operation payload
+   * @param {Function} operationHandler - Operation handler receiving `(client, operation, payload, context)`
+   * @returns {Promise<Object|null>} The `msg.streamInfo` summary, null when nothing was streamed
+   * @throws {Error} If `msg.stream` is not a supported stream mode
+   * 
+   * @example
+   * // Input message: one message per workout log, then a completion message
+   * msg.operation = 'listWorkoutLogs';
+   * msg.stream = 'record';
+   * msg.payload = { workout: 5, pageSize: 200 };
+   */
+  static async handleStreamOperation(node, msg, send, client, operation, payload, operationHandler) {
+    const mode = msg.stream;
+    if (!Object.values(STREAM_MODES).includes(mode)) {
+      throw new Error(ERRORS.INVALID_STREAM_MODE.replace('{mode}', mode));
+    }
+
+    const baseMsg = { ...msg };
+    delete baseMsg.stream;
+    const partsId = msg._msgid || randomUUID();
+    // Keep upstream split information so nested joins still work
+    const parentParts = msg.parts ? { parts: msg.parts } : {};
+    let sent = 0;
+
+    const emit = (data, len) => {
+      send({
+        ...baseMsg,
+        payload: data,
+        parts: { id: partsId, index: sent, type: 'array', len, ...parentParts }
+      });
+      sent++;
+    };
+
+    const onPage = async (results, info) => {
+      if (mode === STREAM_MODES.PAGE) {
+        emit(results, info.pageSize);
+      } else {
+        results.forEach(record => emit(record, 1));
+      }
+      node.status({
+        fill: STATUS.COLORS.BLUE,
+        shape: STATUS.SHAPES.DOT,
+        text: STATUS.MESSAGES.STREAMING.replace('{sent}', sent)
+      });
+    };
+
+    const result = await operationHandler(client, operation, payload, { onPage });
+
+    if (!result || result.streamed !== true) {
+      // Not a list operation - nothing was streamed
+      msg.payload = result;
+      send(msg);
+      return null;
+    }
+
+    const streamInfo = {
+      mode,
+      messages: sent,
+      records: result.records,
+      pages: result.pages,
+      count: result.count,
+      truncated: result.truncated
+    };
+    const completionMsg = { ...baseMsg };
+    delete completionMsg.payload;
+    send({
+      ...completionMsg,
+      parts: { id: partsId, type: 'array', count: sent, ...parentParts },
+      complete: true,
+      streamInfo
+    });
+    return streamInfo;
+  }
+
   /**
    * Sets up the common node initialization pattern for wger nodes.
    * This method handles the standard setup flow including:
    * - Node creation via RED runtime
    * - Configuration node attachment
    * - Input/close event handler registration
+   * - Outbox replay registration for node types with queueable writes
    * - Initial status setting
    * 
    * @static
@@ -159,7 +544,16 @@ class BaseNodeHandler {
       await BaseNodeHandler.handleNodeOperation(node, msg, send, done, operationHandler);
     });
 
+    // Let the config node's outbox replay this node type's queued writes
+    const outbox = node.server.outbox;
+    const cleanups = [];
+    if (outbox && OUTBOX.OPERATIONS[node.type]) {
+      cleanups.push(outbox.registerHandler(node.type, operationHandler));
+      cleanups.push(outbox.onChange(stats => BaseNodeHandler.showOutboxStatus(node, stats)));
+    }
+
     node.on('close', function () {
+      cleanups.forEach(cleanup => cleanup());
       node.status({});
     });
   }
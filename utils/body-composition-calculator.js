@@ -0,0 +1,283 @@
+/**
+ * @fileoverview BMI, energy need and lean mass estimates from profile, weight and body-fat data
+ * @module utils/body-composition-calculator
+ * @requires ./constants
+ * @requires ./unit-converter
+ * @requires ./weight-stats-calculator
+ * @version 1.0.0
+ * @author Node-RED wger contrib team
+ */
+
+const { BODY_COMPOSITION, WEIGHT_UNITS } = require('./constants');
+const UnitConverter = require('./unit-converter');
+const WeightStatsCalculator = require('./weight-stats-calculator');
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Rounds to the given number of decimals
+ * @private
+ */
+const round = (value, decimals = 2) => Math.round(value * Math.pow(10, decimals)) / Math.pow(10, decimals);
+
+/**
+ * Body composition result
+ * @typedef {Object} BodyCompositionStats
+ * @property {string} unit - Unit of all weights and masses
+ * @property {{height: number|null, age: number|null, gender: string|null}} profile - Profile values used
+ * @property {Array<string>} missing - Profile values that were missing (`height`, `age`, `gender`)
+ * @property {Object|null} bmi - BMI section, null without height or weights
+ * @property {number} bmi.current - Latest BMI
+ * @property {string} bmi.category - Latest BMI category (see `BODY_COMPOSITION.BMI_CATEGORIES`)
+ * @property {Array<{date: string, weight: number, bmi: number, category: string}>} bmi.series - BMI per entry, oldest first
+ * @property {Array<{date: string, from: string, to: string, bmi: number}>} bmi.categoryChanges - Entries where the category changed
+ * @property {Object|null} energy - Energy estimate, null without weight, height, age or gender
+ * @property {number} energy.bmr - Basal metabolic rate in kcal/day (Mifflin-St Jeor)
+ * @property {number} energy.activityFactor - Physical activity level the TDEE is based on
+ * @property {string} energy.activitySource - Where the activity factor came from: `payload`, `profile` or `default`
+ * @property {number} energy.tdee - Total daily energy expenditure in kcal/day
+ * @property {Object|null} bodyComposition - Lean mass section, null without body-fat measurements
+ * @property {Array<Object>} bodyComposition.series - `{ date, bodyFat, weight, weightDate, leanMass, fatMass }`, oldest first
+ * @property {Object|null} bodyComposition.latest - Latest point of the series
+ * @property {number|null} bodyComposition.leanMassChange - Lean mass change from the first to the latest point
+ * @property {number|null} bodyComposition.fatMassChange - Fat mass change from the first to the latest point
+ * @property {number} bodyComposition.unpaired - Measurements without a weight entry close enough in time
+ */
+
+/**
+ * Combines the wger user profile, weight history and body-fat measurements
+ * into BMI, energy need and lean mass estimates.
+ *
+ * @class BodyCompositionCalculator
+ * @example
+ * const stats = BodyCompositionCalculator.calculate({
+ *   profile: { height: 180, age: 35, gender: '1' },
+ *   entries: [{ date: '2024-03-01', weight: 81 }],
+ *   bodyFat: { category: { id: 4, name: 'Body fat' }, entries: [{ date: '2024-03-01', value: 20 }] }
+ * });
+ * // stats.bmi.current -> 25, stats.energy.bmr -> 1765, stats.bodyComposition.latest.leanMass -> 64.8
+ */
+class BodyCompositionCalculator {
+  /**
+   * Calculates all estimates the given data allows.
+   *
+   * @static
+   * @param {Object} input - Input data
+   * @param {Object} [input.profile={}] - wger user profile (`height` in cm, `age` or `birthdate`, `gender`, activity hours)
+   * @param {Array<Object>} input.entries - Weight entries (`date`, `weight`) in `unit`
+   * @param {{category: Object, entries: Array<Object>}} [input.bodyFat] - Body-fat category and its measurements (`date`, `value` in %)
+   * @param {string} [input.unit='kg'] - Unit of the weights
+   * @param {number} [input.height] - Height in cm, overriding the profile
+   * @param {number} [input.activityFactor] - Activity factor, overriding the profile estimate
+   * @param {number} [input.maxPairingDays=7] - Days a body-fat measurement may be apart from its weight entry
+   * @returns {BodyCompositionStats} Estimates
+   */
+  static calculate({ profile = {}, entries, bodyFat, unit = WEIGHT_UNITS.KG, height, activityFactor, maxPairingDays }) {
+    const points = WeightStatsCalculator.toChronologicalPoints(entries || []);
+    const latest = points[points.length - 1];
+    const used = {
+      height: height || this.readNumber(profile.height),
+      age: this.readAge(profile, latest ? latest.date : undefined),
+      gender: BODY_COMPOSITION.BMR_GENDER_OFFSETS[profile.gender] !== undefined ? String(profile.gender) : null
+    };
+    const toKg = weight => UnitConverter.convert(weight, unit, WEIGHT_UNITS.KG);
+
+    let energy = null;
+    if (latest && used.height && used.age && used.gender) {
+      const profileFactor = this.estimateActivityFactor(profile);
+      const factor = activityFactor || profileFactor || BODY_COMPOSITION.DEFAULT_ACTIVITY_FACTOR;
+      const bmr = this.calculateBmr(toKg(latest.weight), used.height, used.age, used.gender);
+      energy = {
+        bmr: Math.round(bmr),
+        activityFactor: round(factor),
+        activitySource: activityFactor ? 'payload' : (profileFactor ? 'profile' : 'default'),
+        tdee: Math.round(bmr * factor)
+      };
+    }
+
+    return {
+      unit,
+      profile: used,
+      missing: Object.keys(used).filter(key => !used[key]),
+      bmi: used.height && points.length > 0 ? this.buildBmiSeries(points, used.height, toKg) : null,
+      energy,
+      bodyComposition: bodyFat ? this.estimateLeanMass(bodyFat, points, maxPairingDays) : null
+    };
+  }
+
+  /**
+   * Calculates the body mass index.
+   *
+   * @static
+   * @param {number} weightKg - Weight in kilograms
+   * @param {number} heightCm - Height in centimetres
+   * @returns {number} BMI, rounded to one decimal
+   */
+  static calculateBmi(weightKg, heightCm) {
+    const meters = heightCm / 100;
+    return round(weightKg / (meters * meters), 1);
+  }
+
+  /**
+   * Names the WHO category of a BMI.
+   *
+   * @static
+   * @param {number} bmi - Body mass index
+   * @returns {string} Category name
+   */
+  static categorizeBmi(bmi) {
+    return BODY_COMPOSITION.BMI_CATEGORIES.find(category => bmi < category.below).name;
+  }
+
+  /**
+   * Calculates the basal metabolic rate with the Mifflin-St Jeor equation.
+   *
+   * @static
+   * @param {number} weightKg - Weight in kilograms
+   * @param {number} heightCm - Height in centimetres
+   * @param {number} age - Age in years
+   * @param {string} gender - wger gender ('1' male, '2' female)
+   * @returns {number} BMR in kcal/day
+   */
+  static calculateBmr(weightKg, heightCm, age, gender) {
+    return 10 * weightKg + 6.25 * heightCm - 5 * age + BODY_COMPOSITION.BMR_GENDER_OFFSETS[gender];
+  }
+
+  /**
+   * Estimates the activity factor from the profile's daily hours the way wger does:
+   * sleep, work and free time hours per day and sport hours per week, each
+   * weighted by its intensity (1 low, 2 medium, 3 high), averaged over 24 hours.
+   *
+   * @static
+   * @param {Object} profile - wger user profile
+   * @returns {number|null} Activity factor, null if the profile has no activity hours
+   */
+  static estimateActivityFactor(profile) {
+    const hours = ['sleep_hours', 'work_hours', 'freetime_hours', 'sport_hours']
+      .map(field => this.readNumber(profile[field]) || 0);
+    const [sleep, work, freetime, sport] = hours;
+    if (sleep + work + freetime === 0) {
+      return null;
+    }
+
+    const { ACTIVITY } = BODY_COMPOSITION;
+    const level = (factors, intensity) => factors[Math.min(Math.max(Math.round(intensity) || 1, 1), 3) - 1];
+    const total = sleep * ACTIVITY.SLEEP +
+      work * level(ACTIVITY.WORK, profile.work_intensity) +
+      sport / 7 * level(ACTIVITY.SPORT, profile.sport_intensity) +
+      freetime * level(ACTIVITY.FREETIME, profile.freetime_intensity);
+    return total / 24;
+  }
+
+  /**
+   * Builds the BMI series and the entries at which the category changed.
+   * @private
+   * @static
+   * @param {Array<Object>} points - Weight points, oldest first
+   * @param {number} heightCm - Height in centimetres
+   * @param {Function} toKg - Converts a weight to kilograms
+   * @returns {Object} BMI section
+   */
+  static buildBmiSeries(points, heightCm, toKg) {
+    const series = points.map(point => {
+      const bmi = this.calculateBmi(toKg(point.weight), heightCm);
+      return { date: point.date, weight: round(point.weight), bmi, category: this.categorizeBmi(bmi) };
+    });
+
+    const categoryChanges = [];
+    series.forEach((point, index) => {
+      const previous = series[index - 1];
+      if (previous && previous.category !== point.category) {
+        categoryChanges.push({ date: point.date, from: previous.category, to: point.category, bmi: point.bmi });
+      }
+    });
+
+    const current = series[series.length - 1];
+    return { current: current.bmi, category: current.category, series, categoryChanges };
+  }
+
+  /**
+   * Pairs body-fat measurements with the closest weight entry and splits the
+   * weight into lean and fat mass.
+   * @private
+   * @static
+   * @param {{category: Object, entries: Array<Object>}} bodyFat - Body-fat category and measurements
+   * @param {Array<Object>} points - Weight points, oldest first
+   * @param {number} [maxPairingDays=7] - Days a measurement may be apart from its weight entry
+   * @returns {Object} Lean mass section
+   */
+  static estimateLeanMass(bodyFat, points, maxPairingDays = BODY_COMPOSITION.MAX_PAIRING_DAYS) {
+    const measurements = (bodyFat.entries || [])
+      .map(entry => ({ date: entry.date, time: Date.parse(entry.date), bodyFat: parseFloat(entry.value) }))
+      .filter(entry => !isNaN(entry.time) && entry.bodyFat > 0 && entry.bodyFat < 100)
+      .sort((a, b) => a.time - b.time);
+
+    const series = [];
+    measurements.forEach(measurement => {
+      const closest = points.reduce((best, point) => (
+        !best || Math.abs(point.time - measurement.time) < Math.abs(best.time - measurement.time) ? point : best
+      ), null);
+      if (!closest || Math.abs(closest.time - measurement.time) > maxPairingDays * MS_PER_DAY) {
+        return;
+      }
+      const fatMass = closest.weight * measurement.bodyFat / 100;
+      series.push({
+        date: measurement.date,
+        bodyFat: round(measurement.bodyFat, 1),
+        weight: round(closest.weight),
+        weightDate: closest.date,
+        leanMass: round(closest.weight - fatMass),
+        fatMass: round(fatMass)
+      });
+    });
+
+    const first = series[0];
+    const latest = series[series.length - 1] || null;
+    return {
+      category: { id: bodyFat.category.id, name: bodyFat.category.name },
+      series,
+      latest,
+      leanMassChange: latest ? round(latest.leanMass - first.leanMass) : null,
+      fatMassChange: latest ? round(latest.fatMass - first.fatMass) : null,
+      unpaired: measurements.length - series.length
+    };
+  }
+
+  /**
+   * Reads the age from the profile, or derives it from a birth date.
+   * @private
+   * @static
+   * @param {Object} profile - wger user profile
+   * @param {string} [asOf] - Date the age applies to (default: today)
+   * @returns {number|null} Age in years
+   */
+  static readAge(profile, asOf) {
+    const age = this.readNumber(profile.age);
+    if (age) {
+      return age;
+    }
+    const birth = profile.birthdate ? new Date(profile.birthdate) : null;
+    if (!birth || isNaN(birth.getTime())) {
+      return null;
+    }
+    const on = asOf ? new Date(asOf) : new Date();
+    const years = on.getUTCFullYear() - birth.getUTCFullYear();
+    const beforeBirthday = on.getUTCMonth() < birth.getUTCMonth() ||
+      (on.getUTCMonth() === birth.getUTCMonth() && on.getUTCDate() < birth.getUTCDate());
+    return years - (beforeBirthday ? 1 : 0);
+  }
+
+  /**
+   * Reads a positive number from a profile field that may be a string.
+   * @private
+   * @static
+   * @param {*} value - Field value
+   * @returns {number|null} Number, null if missing or not positive
+   */
+  static readNumber(value) {
+    const number = parseFloat(value);
+    return isFinite(number) && number > 0 ? number : null;
+  }
+}
+
+module.exports = BodyCompositionCalculator;
@@ -0,0 +1,348 @@
+/**
+ * @fileoverview Time zone aware calendar dates, timestamps and week numbering
+ * @module utils/calendar
+ * @requires ./constants
+ * @version 1.0.0
+ * @author Node-RED wger contrib team
+ */
+
+const { CALENDAR, ERRORS } = require('./constants');
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Date or date and time without a UTC offset, read as local time of the time zone
+ * @private
+ */
+const LOCAL_DATETIME = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?)?$/;
+
+/**
+ * Date formatters per time zone; creating them is costly
+ * @private
+ */
+const formatters = new Map();
+
+/**
+ * Returns the cached formatter of a time zone.
+ * @private
+ */
+const getFormatter = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatters.get(timeZone);
+};
+
+/**
+ * Pads a number to two digits.
+ * @private
+ */
+const pad = value => String(value).padStart(2, '0');
+
+/**
+ * Week of a calendar date
+ * @typedef {Object} CalendarWeek
+ * @property {string} key - Week key as `YYYY-Www`, with the week-numbering year
+ * @property {number} year - Week-numbering year (the year of the week's fourth day)
+ * @property {number} week - Week number (1-53)
+ * @property {string} start - First day of the week as YYYY-MM-DD
+ */
+
+/**
+ * Resolves dates, timestamps and weeks in an IANA time zone, so that entries
+ * land in the same day, week and month for every user regardless of the time
+ * zone the Node-RED process runs in.
+ *
+ * Weeks are numbered as in ISO 8601: the first week of a year is the one
+ * containing at least four days of it. With a week start other than Monday
+ * the same rule applies to weeks starting on that day.
+ *
+ * @class Calendar
+ * @example
+ * Calendar.toLocalDate('2024-03-01T23:30:00Z', 'Europe/Berlin'); // '2024-03-02'
+ * Calendar.toTimestamp('2024-03-01T08:00', 'America/New_York'); // '2024-03-01T08:00:00-05:00'
+ * Calendar.getWeek('2024-12-30').key; // '2025-W01'
+ */
+class Calendar {
+  /**
+   * Validates a time zone name, defaulting to the time zone of the Node-RED process.
+   *
+   * @static
+   * @param {string} [timeZone] - IANA time zone name (e.g. 'Europe/Berlin')
+   * @returns {string} Canonical time zone name
+   * @throws {Error} If the time zone is unknown
+   */
+  static resolveTimeZone(timeZone) {
+    if (!timeZone) {
+      return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+    }
+    try {
+      return getFormatter(String(timeZone).trim()).resolvedOptions().timeZone;
+    } catch (error) {
+      throw new Error(ERRORS.UNKNOWN_TIME_ZONE.replace('{timeZone}', timeZone));
+    }
+  }
+
+  /**
+   * Validates a week start, defaulting to Monday.
+   *
+   * @static
+   * @param {number|string} [weekStart] - Day number, 0 (Sunday) to 6 (Saturday)
+   * @returns {number} Day number
+   * @throws {Error} If the value is not a day number
+   */
+  static resolveWeekStart(weekStart) {
+    if (weekStart === undefined || weekStart === null || weekStart === '') {
+      return CALENDAR.DEFAULT_WEEK_START;
+    }
+    const day = Number(weekStart);
+    if (!Number.isInteger(day) || day < 0 || day > 6) {
+      throw new Error(ERRORS.INVALID_WEEK_START.replace('{weekStart}', weekStart));
+    }
+    return day;
+  }
+
+  /**
+   * Returns the current calendar date in a time zone.
+   *
+   * @static
+   * @param {string} [timeZone] - IANA time zone name (default: the process time zone)
+   * @param {number} [now=Date.now()] - Current time in milliseconds
+   * @returns {string} Date as YYYY-MM-DD
+   */
+  static today(timeZone, now = Date.now()) {
+    return this.toLocalDate(now, timeZone);
+  }
+
+  /**
+   * Resolves a value to the calendar date it falls on in a time zone. Dates and
+   * times without a UTC offset are taken as local already; `today`,
+   * `yesterday` and `tomorrow` are resolved relative to `now`. Values that are
+   * not dates are returned unchanged, so validation can report them.
+   *
+   * @static
+   * @param {string|number|Date} value - Date, timestamp, milliseconds or keyword
+   * @param {string} [timeZone] - IANA time zone name (default: the process time zone)
+   * @param {number} [now=Date.now()] - Current time in milliseconds
+   * @returns {string|*} Date as YYYY-MM-DD
+   */
+  static toLocalDate(value, timeZone, now = Date.now()) {
+    if (typeof value === 'string') {
+      const keyword = value.trim().toLowerCase();
+      if (CALENDAR.RELATIVE_DAYS[keyword] !== undefined) {
+        return this.addDays(this.today(timeZone, now), CALENDAR.RELATIVE_DAYS[keyword]);
+      }
+      const local = value.trim().match(LOCAL_DATETIME);
+      if (local) {
+        return `${local[1]}-${local[2]}-${local[3]}`;
+      }
+    }
+
+    const time = this.toTime(value);
+    if (isNaN(time)) {
+      return value;
+    }
+    const parts = this.getParts(time, this.resolveTimeZone(timeZone));
+    return `${parts.year}-${pad(parts.month)}-${pad(parts.day)}`;
+  }
+
+  /**
+   * Resolves a value to a timestamp with the UTC offset of a time zone. Dates
+   * and times without an offset are read as local time there; `now` is the
+   * current time. Values that are not dates are returned unchanged.
+   *
+   * @static
+   * @param {string|number|Date} value - Date, timestamp, milliseconds or `now`
+   * @param {string} [timeZone] - IANA time zone name (default: the process time zone)
+   * @param {number} [now=Date.now()] - Current time in milliseconds
+   * @returns {string|*} Timestamp as `YYYY-MM-DDTHH:mm:ss±HH:MM`
+   */
+  static toTimestamp(value, timeZone, now = Date.now()) {
+    const zone = this.resolveTimeZone(timeZone);
+    if (typeof value === 'string') {
+      if (value.trim().toLowerCase() === CALENDAR.NOW) {
+        return this.formatTimestamp(now, zone);
+      }
+      const local = value.trim().match(LOCAL_DATETIME);
+      if (local) {
+        const [, year, month, day, hour = 0, minute = 0, second = 0] = local;
+        return this.formatTimestamp(this.fromLocalTime(Date.UTC(year, month - 1, day, hour, minute, second), zone), zone);
+      }
+    }
+
+    const time = this.toTime(value);
+    return isNaN(time) ? value : this.formatTimestamp(time, zone);
+  }
+
+  /**
+   * Formats a point in time with the UTC offset it has in a time zone.
+   *
+   * @static
+   * @param {number} time - Milliseconds since the epoch
+   * @param {string} timeZone - IANA time zone name
+   * @returns {string} Timestamp as `YYYY-MM-DDTHH:mm:ss±HH:MM`
+   */
+  static formatTimestamp(time, timeZone) {
+    const offset = this.getOffsetMinutes(time, timeZone);
+    const local = new Date(Math.floor(time / 1000) * 1000 + offset * 60000).toISOString().substring(0, 19);
+    const sign = offset < 0 ? '-' : '+';
+    return `${local}${sign}${pad(Math.floor(Math.abs(offset) / 60))}:${pad(Math.abs(offset) % 60)}`;
+  }
+
+  /**
+   * Returns the week a calendar date belongs to.
+   *
+   * @static
+   * @param {string} date - Date as YYYY-MM-DD
+   * @param {number} [weekStart=1] - First day of the week, 0 (Sunday) to 6 (Saturday)
+   * @returns {CalendarWeek} Week
+   */
+  static getWeek(date, weekStart = CALENDAR.DEFAULT_WEEK_START) {
+    const time = Date.parse(`${date.substring(0, 10)}T00:00:00Z`);
+    const start = time - ((new Date(time).getUTCDay() - weekStart + 7) % 7) * MS_PER_DAY;
+    // The week belongs to the year that holds enough of its days
+    const anchor = new Date(start + (7 - CALENDAR.FIRST_WEEK_MIN_DAYS) * MS_PER_DAY);
+    const year = anchor.getUTCFullYear();
+    const week = Math.floor((anchor.getTime() - Date.UTC(year, 0, 1)) / MS_PER_DAY / 7) + 1;
+    return {
+      key: `${year}-W${pad(week)}`,
+      year,
+      week,
+      start: new Date(start).toISOString().substring(0, 10)
+    };
+  }
+
+  /**
+   * Returns the month key of a calendar date.
+   *
+   * @static
+   * @param {string} date - Date as YYYY-MM-DD
+   * @returns {string} Month as YYYY-MM
+   */
+  static getMonth(date) {
+    return date.substring(0, 7);
+  }
+
+  /**
+   * Adds days to a calendar date.
+   *
+   * @static
+   * @param {string} date - Date as YYYY-MM-DD
+   * @param {number} days - Days to add, negative to go back
+   * @returns {string} Date as YYYY-MM-DD
+   */
+  static addDays(date, days) {
+    return new Date(Date.parse(`${date}T00:00:00Z`) + days * MS_PER_DAY).toISOString().substring(0, 10);
+  }
+
+  /**
+   * Resolves the date fields of an operation payload in a time zone. Array
+   * payloads (batches) are resolved item by item, and a field whose target is
+   * a field map is resolved with that map. The payload is not modified.
+   *
+   * @static
+   * @param {Object|Array<Object>} payload - Operation payload
+   * @param {Object<string, string|Object>} fields - Target per field (see `CALENDAR.FIELDS`)
+   * @param {string} [timeZone] - IANA time zone name (default: the process time zone)
+   * @param {number} [now=Date.now()] - Current time in milliseconds
+   * @returns {Object|Array<Object>} Resolved payload
+   */
+  static convertPayload(payload, fields, timeZone, now = Date.now()) {
+    if (Array.isArray(payload)) {
+      return payload.map(item => this.convertPayload(item, fields, timeZone, now));
+    }
+    if (payload === null || typeof payload !== 'object') {
+      return payload;
+    }
+
+    const converted = { ...payload };
+    Object.entries(fields).forEach(([field, target]) => {
+      if (converted[field] === undefined || converted[field] === null || converted[field] === '') {
+        return;
+      }
+      if (typeof target === 'object') {
+        converted[field] = this.convertPayload(converted[field], target, timeZone, now);
+        return;
+      }
+      converted[field] = target === CALENDAR.TARGETS.DATETIME
+        ? this.toTimestamp(converted[field], timeZone, now)
+        : this.toLocalDate(converted[field], timeZone, now);
+    });
+    return converted;
+  }
+
+  /**
+   * Reads a date value as milliseconds since the epoch.
+   * @private
+   * @static
+   * @param {string|number|Date} value - Date value
+   * @returns {number} Milliseconds, NaN if the value is not a date
+   */
+  static toTime(value) {
+    if (value instanceof Date) {
+      return value.getTime();
+    }
+    if (typeof value === 'number') {
+      return value;
+    }
+    return typeof value === 'string' ? Date.parse(value) : NaN;
+  }
+
+  /**
+   * Splits a point in time into its local date and time fields.
+   * @private
+   * @static
+   * @param {number} time - Milliseconds since the epoch
+   * @param {string} timeZone - IANA time zone name
+   * @returns {{year: number, month: number, day: number, hour: number, minute: number, second: number}} Fields
+   */
+  static getParts(time, timeZone) {
+    const parts = {};
+    getFormatter(timeZone).formatToParts(new Date(time)).forEach(({ type, value }) => {
+      if (type !== 'literal') {
+        parts[type] = parseInt(value, 10);
+      }
+    });
+    return parts;
+  }
+
+  /**
+   * Returns the UTC offset of a time zone at a point in time.
+   * @private
+   * @static
+   * @param {number} time - Milliseconds since the epoch
+   * @param {string} timeZone - IANA time zone name
+   * @returns {number} Offset in minutes, positive east of UTC
+   */
+  static getOffsetMinutes(time, timeZone) {
+    const parts = this.getParts(time, timeZone);
+    const local = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return Math.round((local - Math.floor(time / 1000) * 1000) / 60000);
+  }
+
+  /**
+   * Finds the point in time a local wall-clock time stands for. Times skipped
+   * by a daylight saving change resolve to the offset before the change.
+   * @private
+   * @static
+   * @param {number} local - Wall-clock time as if it were UTC, in milliseconds
+   * @param {string} timeZone - IANA time zone name
+   * @returns {number} Milliseconds since the epoch
+   */
+  static fromLocalTime(local, timeZone) {
+    const guess = local - this.getOffsetMinutes(local, timeZone) * 60000;
+    const offset = this.getOffsetMinutes(guess, timeZone);
+    return local - offset * 60000;
+  }
+}
+
+module.exports = Calendar;
@@ -20,6 +20,8 @@ const API = {
   
   ENDPOINTS: {
     INFO: '/api/v2/language/',  // Using language endpoint for connection testing (more universally available)
+    TOKEN: '/api/v2/token',
+    TOKEN_REFRESH: '/api/v2/token/refresh',
     
     EXERCISES: '/api/v2/exercisebaseinfo/',
     EXERCISE_BY_ID: '/api/v2/exercisebaseinfo/{id}/',
@@ -38,11 +40,15 @@ const API = {
     DAY_BY_ID: '/api/v2/day/{id}/',
     SETS: '/api/v2/set/',
     SET_BY_ID: '/api/v2/set/{id}/',
+    SETTINGS: '/api/v2/setting/',
+    SETTING_BY_ID: '/api/v2/setting/{id}/',
     WORKOUT_SESSIONS: '/api/v2/workoutsession/',
     WORKOUT_SESSION_BY_ID: '/api/v2/workoutsession/{id}/',
     WORKOUT_LOGS: '/api/v2/workoutlog/',
     WORKOUT_LOG_BY_ID: '/api/v2/workoutlog/{id}/',
     SCHEDULE: '/api/v2/schedule/',
+    SCHEDULE_BY_ID: '/api/v2/schedule/{id}/',
+    SCHEDULE_STEPS: '/api/v2/schedulestep/',
     SCHEDULE_STEP_BY_ID: '/api/v2/schedulestep/{id}/',
     
     NUTRITION_PLANS: '/api/v2/nutritionplan/',
@@ -70,7 +76,9 @@ const API = {
     USER_INFO: '/api/v2/userinfo/',
     API_KEYS: '/api/v2/apikey/',
     MEASUREMENT_CATEGORIES: '/api/v2/measurement-category/',
-    MEASUREMENTS: '/api/v2/measurement/'
+    MEASUREMENT_CATEGORY_BY_ID: '/api/v2/measurement-category/{id}/',
+    MEASUREMENTS: '/api/v2/measurement/',
+    MEASUREMENT_BY_ID: '/api/v2/measurement/{id}/'
   },
   
   HEADERS: {
@@ -80,6 +88,500 @@ const API = {
   CONNECTION_TIMEOUT: 5000
 };
 
+/**
+ * Pagination limits for list operations that follow DRF `next` links.
+ * 
+ * @namespace PAGINATION
+ * @property {number} DEFAULT_PAGE_SIZE - Page size requested when fetching all pages
+ * @property {number} MAX_PAGE_SIZE - Upper bound for a caller-supplied page size
+ * @property {number} DEFAULT_MAX_PAGES - Pages fetched before stopping when no maxPages is given
+ * @property {number} MAX_PAGES - Safety limit for a caller-supplied maxPages
+ */
+const PAGINATION = {
+  DEFAULT_PAGE_SIZE: 100,
+  MAX_PAGE_SIZE: 500,
+  DEFAULT_MAX_PAGES: 50,
+  MAX_PAGES: 1000
+};
+
+/**
+ * Streaming modes for list operations, selected with `msg.stream`.
+ * 
+ * @namespace STREAM_MODES
+ * @property {string} PAGE - Emit one message per fetched page
+ * @property {string} RECORD - Emit one message per record
+ */
+const STREAM_MODES = {
+  PAGE: 'page',
+  RECORD: 'record'
+};
+
+/**
+ * Batch mode settings for create, update and delete operations with an array payload.
+ * 
+ * @namespace BATCH
+ * @property {number} DEFAULT_CONCURRENCY - Items processed in parallel unless `msg.concurrency` is set
+ * @property {number} MAX_ITEMS - Maximum number of items in one batch
+ */
+const BATCH = {
+  DEFAULT_CONCURRENCY: 4,
+  MAX_ITEMS: 1000
+};
+
+/**
+ * Weight units. wger stores body and workout weights as plain numbers in the
+ * unit of the account (see `UNITS.ACCOUNT_FIELDS`) and food amounts in grams.
+ * 
+ * @namespace WEIGHT_UNITS
+ * @property {string} KG - Kilograms
+ * @property {string} LB - Pounds
+ * @property {string} G - Grams
+ * @property {string} OZ - Ounces
+ * @property {string} AUTO - Config node setting: read the unit from the account's preferences
+ * @property {number} KG_PER_LB - Conversion factor from pounds to kilograms
+ * @property {number} G_PER_OZ - Conversion factor from ounces to grams
+ * @property {Object<string, number>} LOG_UNIT_IDS - wger workout log `weight_unit` ids per unit
+ */
+const WEIGHT_UNITS = {
+  KG: 'kg',
+  LB: 'lb',
+  G: 'g',
+  OZ: 'oz',
+  AUTO: 'auto',
+  KG_PER_LB: 0.45359237,
+  G_PER_OZ: 28.349523125,
+  LOG_UNIT_IDS: {
+    kg: 1,
+    lb: 2
+  }
+};
+
+/**
+ * Unit handling of node operations. Fields listed here accept a plain number in
+ * the target unit or a `{ value, unit }` object that is converted on write, and
+ * the target units are reported in `msg.units`.
+ * 
+ * @namespace UNITS
+ * @property {Object<string, Object<string, Object<string, string>>>} FIELDS - Target unit per payload field,
+ *   per operation and node type. `account` is the account's weight unit, `workoutLog` the unit of the log's
+ *   `weight_unit` id (the account's unit if none is given), anything else a fixed unit
+ * @property {Object} TARGETS - Special target names used in `FIELDS`
+ * @property {Array<string>} ACCOUNT_FIELDS - Fields of wger settings and profiles naming the account's weight unit
+ * @property {Object<string, string>} PREFERENCES - Account unit per value of the `units` preference
+ */
+const UNITS = {
+  FIELDS: {
+    'wger-weight': {
+      listWeightEntries: { weight: 'account' },
+      getWeightEntry: { weight: 'account' },
+      createWeightEntry: { weight: 'account' },
+      updateWeightEntry: { weight: 'account' }
+    },
+    'wger-workout': {
+      createWorkoutLog: { weight: 'workoutLog' },
+      updateWorkoutLog: { weight: 'workoutLog' }
+    },
+    'wger-nutrition': {
+      createMealItem: { amount: 'g' },
+      updateMealItem: { amount: 'g' },
+      createNutritionDiary: { amount: 'g' },
+      updateNutritionDiary: { amount: 'g' }
+    }
+  },
+  
+  TARGETS: {
+    ACCOUNT: 'account',
+    WORKOUT_LOG: 'workoutLog'
+  },
+  
+  ACCOUNT_FIELDS: ['weight_unit', 'units'],
+  
+  PREFERENCES: {
+    metric: 'kg',
+    imperial: 'lb'
+  }
+};
+
+/**
+ * Time zone and week settings shared by all nodes, so they agree on what "today" means.
+ * 
+ * @namespace CALENDAR
+ * @property {Object<string, number>} WEEK_DAYS - Day numbers as used by `Date#getUTCDay`
+ * @property {number} DEFAULT_WEEK_START - First day of the week (Monday, as in ISO 8601)
+ * @property {number} FIRST_WEEK_MIN_DAYS - Days of the new year the first week must contain (4 in ISO 8601)
+ * @property {Object<string, number>} RELATIVE_DAYS - Date keywords and their offset from today in days
+ * @property {string} NOW - Datetime keyword for the current time
+ * @property {Object<string, Object<string, Object<string, string>>>} FIELDS - Date handling per payload field,
+ *   per operation and node type. `date` fields are resolved to a calendar date in the time zone, `datetime`
+ *   fields to a timestamp with the time zone's UTC offset; a nested map applies to the object or array in its field
+ * @property {Object} TARGETS - Target names used in `FIELDS`
+ */
+const CALENDAR = {
+  WEEK_DAYS: {
+    SUNDAY: 0,
+    MONDAY: 1,
+    SATURDAY: 6
+  },
+  
+  DEFAULT_WEEK_START: 1,
+  FIRST_WEEK_MIN_DAYS: 4,
+  
+  RELATIVE_DAYS: {
+    yesterday: -1,
+    today: 0,
+    tomorrow: 1
+  },
+  
+  NOW: 'now',
+  
+  FIELDS: {
+    'wger-weight': {
+      listWeightEntries: { startDate: 'date', endDate: 'date' },
+      createWeightEntry: { date: 'date' },
+      updateWeightEntry: { date: 'date' },
+      getWeightStats: { startDate: 'date', endDate: 'date' },
+      findSuspectWeightEntries: { startDate: 'date', endDate: 'date' },
+      getBodyCompositionStats: { startDate: 'date', endDate: 'date' },
+      exportWeightEntries: { startDate: 'date', endDate: 'date' }
+    },
+    'wger-workout': {
+      createWorkoutSession: { date: 'date' },
+      updateWorkoutSession: { date: 'date' },
+      createWorkoutLog: { date: 'date' },
+      updateWorkoutLog: { date: 'date' },
+      logSession: { session: { date: 'date' }, logs: { date: 'date' } },
+      getSchedule: { start_date: 'date', end_date: 'date' },
+      listWorkoutLogs: { startDate: 'date', endDate: 'date' },
+      getTrainingVolume: { startDate: 'date', endDate: 'date' },
+      exportScheduleIcs: { startDate: 'date', endDate: 'date' }
+    },
+    'wger-nutrition': {
+      createNutritionDiary: { datetime: 'datetime' },
+      updateNutritionDiary: { datetime: 'datetime' },
+      getNutritionalValues: { date: 'date' }
+    },
+    'wger-measurement': {
+      listMeasurements: { startDate: 'date', endDate: 'date' },
+      createMeasurement: { date: 'date' },
+      updateMeasurement: { date: 'date' }
+    }
+  },
+  
+  TARGETS: {
+    DATE: 'date',
+    DATETIME: 'datetime'
+  }
+};
+
+/**
+ * Weight entry import settings.
+ * 
+ * @namespace IMPORT
+ * @property {Object} DATE_FORMATS - Supported date formats of imported rows
+ * @property {Object} DUPLICATES - Handling of rows whose date already has an entry
+ * @property {number} MAX_ROWS - Maximum number of rows in one import
+ */
+const IMPORT = {
+  DATE_FORMATS: {
+    ISO: 'YYYY-MM-DD',
+    DMY_DOT: 'DD.MM.YYYY',
+    DMY_SLASH: 'DD/MM/YYYY',
+    MDY_SLASH: 'MM/DD/YYYY',
+    UNIX: 'unix',
+    UNIX_MS: 'unix_ms'
+  },
+  
+  DUPLICATES: {
+    SKIP: 'skip',
+    UPDATE: 'update'
+  },
+  
+  MAX_ROWS: 10000
+};
+
+/**
+ * Weight entry export settings.
+ * 
+ * @namespace EXPORT
+ * @property {Object} FORMATS - Supported export formats
+ * @property {Object} CHART_SERIES - Series names of the chart format
+ */
+const EXPORT = {
+  FORMATS: {
+    CSV: 'csv',
+    JSONL: 'jsonl',
+    CHART: 'chart'
+  },
+  
+  CHART_SERIES: {
+    WEIGHT: 'Weight',
+    TREND: 'Trend',
+    WEEKLY_AVERAGE: 'Weekly average'
+  }
+};
+
+/**
+ * Workout cloning settings used by cloneWorkout.
+ * 
+ * @namespace WORKOUT_CLONE
+ * @property {string} NAME_SUFFIX - Appended to the source name when no new name is given
+ * @property {Array<string>} DAY_FIELDS - Day fields copied from the source workout
+ * @property {Array<string>} SET_FIELDS - Set fields copied from the source workout
+ * @property {Array<string>} SETTING_FIELDS - Setting (repetitions, weight) fields copied from the source workout
+ */
+const WORKOUT_CLONE = {
+  NAME_SUFFIX: ' (copy)',
+  DAY_FIELDS: ['description', 'day'],
+  SET_FIELDS: ['sets', 'order', 'comment'],
+  SETTING_FIELDS: ['exercise_base', 'repetition_unit', 'reps', 'weight', 'weight_unit', 'rir', 'order', 'comment']
+};
+
+/**
+ * Portable workout plan format of exportWorkout and importWorkout
+ * (see docs/WORKOUT-PLAN-FORMAT.md).
+ * 
+ * @namespace WORKOUT_PLAN
+ * @property {string} FORMAT - Value of the `format` field that identifies a plan document
+ * @property {number} VERSION - Current version of the format
+ * @property {Object} FORMATS - Output formats of exportWorkout
+ * @property {Array<string>} SETTING_FIELDS - Setting fields stored in a plan (the exercise is stored as a reference)
+ * @property {number} NAME_LANGUAGE - wger language id whose exercise name is preferred in exports (English)
+ * @property {number} MAX_CANDIDATES - Number of search suggestions reported for an unresolved exercise
+ */
+const WORKOUT_PLAN = {
+  FORMAT: 'wger-workout-plan',
+  VERSION: 1,
+  
+  FORMATS: {
+    JSON: 'json',
+    YAML: 'yaml',
+    OBJECT: 'object'
+  },
+  
+  SETTING_FIELDS: ['repetition_unit', 'reps', 'weight', 'weight_unit', 'rir', 'order', 'comment'],
+  NAME_LANGUAGE: 2,
+  MAX_CANDIDATES: 5
+};
+
+/**
+ * Settings of logSession, which writes a workout session and its logs as one unit.
+ * 
+ * @namespace SESSION_LOG
+ * @property {number} MAX_LOGS - Maximum number of set results per session
+ * @property {Array<string>} SHARED_FIELDS - Session fields each log takes over unless it sets them itself
+ */
+const SESSION_LOG = {
+  MAX_LOGS: 200,
+  SHARED_FIELDS: ['workout', 'date']
+};
+
+/**
+ * Personal record settings used by getPersonalRecords and detectNewRecords.
+ * 
+ * @namespace PERSONAL_RECORDS
+ * @property {Object} FORMULAS - Estimated one-rep max formulas
+ * @property {string} DEFAULT_FORMULA - Formula used when none is given
+ * @property {number} MAX_ESTIMATE_REPS - Sets with more repetitions are left out of the one-rep max estimate
+ * @property {number} REPETITION_UNIT_ID - wger repetition unit id of plain repetitions, the only unit records are kept for
+ * @property {Object} TYPES - Record types reported by detectNewRecords
+ */
+const PERSONAL_RECORDS = {
+  FORMULAS: {
+    EPLEY: 'epley',
+    BRZYCKI: 'brzycki'
+  },
+  
+  DEFAULT_FORMULA: 'epley',
+  MAX_ESTIMATE_REPS: 12,
+  REPETITION_UNIT_ID: 1,
+  
+  TYPES: {
+    WEIGHT: 'weight',
+    REPS: 'reps',
+    ONE_REP_MAX: 'oneRepMax'
+  }
+};
+
+/**
+ * Training volume settings used by getTrainingVolume.
+ * 
+ * @namespace TRAINING_VOLUME
+ * @property {number} HARD_SET_MAX_RIR - Sets logged with at most this many repetitions in reserve count as hard sets
+ * @property {number} EXERCISE_CACHE_TTL_MS - Lifetime of cached exercise muscles and categories
+ * @property {number} EXERCISE_CACHE_MAX_ENTRIES - Maximum number of cached exercises
+ * @property {string} UNKNOWN_CATEGORY - Category of exercises whose metadata could not be loaded
+ */
+const TRAINING_VOLUME = {
+  HARD_SET_MAX_RIR: 3,
+  EXERCISE_CACHE_TTL_MS: 24 * 60 * 60 * 1000,
+  EXERCISE_CACHE_MAX_ENTRIES: 2000,
+  UNKNOWN_CATEGORY: 'Unknown'
+};
+
+/**
+ * Progression settings used by suggestNextSession.
+ * 
+ * @namespace PROGRESSION
+ * @property {Object} SCHEMES - Progression schemes
+ * @property {string} DEFAULT_SCHEME - Scheme used when none is given
+ * @property {Object<string, number>} INCREMENTS - Default weight increment per weight unit
+ * @property {number} REP_RANGE_WIDTH - Repetitions above the set's target that close a double progression range
+ * @property {number} DEFAULT_TARGET_RIR - Repetitions in reserve aimed for by the RiR scheme when the set defines none
+ * @property {number} RIR_STEP_PERCENT - Weight change per repetition in reserve off target in the RiR scheme
+ * @property {number} LOOKBACK_SESSIONS - Sessions of each exercise read to detect stalls
+ * @property {number} STALL_SESSIONS - Sessions without a better estimated one-rep max that count as a stall
+ * @property {number} DELOAD_PERCENT - Weight reduction suggested after a stall
+ * @property {Object} STATUSES - Suggestion statuses
+ */
+const PROGRESSION = {
+  SCHEMES: {
+    LINEAR: 'linear',
+    DOUBLE: 'double',
+    RIR: 'rir'
+  },
+  
+  DEFAULT_SCHEME: 'double',
+  
+  INCREMENTS: {
+    kg: 2.5,
+    lb: 5
+  },
+  
+  REP_RANGE_WIDTH: 4,
+  DEFAULT_TARGET_RIR: 2,
+  RIR_STEP_PERCENT: 2.5,
+  LOOKBACK_SESSIONS: 6,
+  STALL_SESSIONS: 3,
+  DELOAD_PERCENT: 10,
+  
+  STATUSES: {
+    INCREASE: 'increase',
+    HOLD: 'hold',
+    DECREASE: 'decrease',
+    DELOAD: 'deload',
+    NO_HISTORY: 'noHistory'
+  }
+};
+
+/**
+ * iCalendar (RFC 5545) settings used by exportScheduleIcs and importScheduleIcs.
+ * 
+ * @namespace ICS
+ * @property {string} PRODUCT_ID - PRODID of exported calendars
+ * @property {string} UID_DOMAIN - Domain part of the UIDs of exported events
+ * @property {string} CONTENT_TYPE - Content type of the schedule feeds
+ * @property {number} LINE_LENGTH - Octets after which content lines are folded
+ * @property {string} WORKOUT_PROPERTY - Event property holding the wger workout id
+ * @property {number} LOOP_WEEKS - Weeks a looping schedule is exported for when no end date is given
+ * @property {number} MAX_EVENTS - Maximum number of events per export
+ * @property {string} DEFAULT_SCHEDULE_NAME - Name of imported schedules when neither payload nor calendar names one
+ */
+const ICS = {
+  PRODUCT_ID: '-//node-red-contrib-wger//Workout Schedule//EN',
+  UID_DOMAIN: 'node-red-contrib-wger',
+  CONTENT_TYPE: 'text/calendar; charset=utf-8',
+  LINE_LENGTH: 75,
+  WORKOUT_PROPERTY: 'X-WGER-WORKOUT',
+  LOOP_WEEKS: 52,
+  MAX_EVENTS: 2000,
+  DEFAULT_SCHEDULE_NAME: 'Imported schedule'
+};
+
+/**
+ * Weight trend analysis settings used by getWeightStats.
+ * 
+ * @namespace WEIGHT_TREND
+ * @property {number} DEFAULT_SMOOTHING - Weight of the newest weigh-in in the exponentially smoothed trend (0-1)
+ * @property {number} STABLE_SLOPE - Regression slope in kg/week below which the weight counts as stable
+ * @property {number} GOAL_TOLERANCE - Distance in kg at which the target weight counts as reached
+ * @property {number} MAX_PROJECTION_WEEKS - Projections further out than this are reported as unreachable
+ */
+const WEIGHT_TREND = {
+  DEFAULT_SMOOTHING: 0.1,
+  STABLE_SLOPE: 0.05,
+  GOAL_TOLERANCE: 0.1,
+  MAX_PROJECTION_WEEKS: 520
+};
+
+/**
+ * Weight outlier detection settings. An entry is flagged when it deviates from the
+ * median of its neighbours by more than THRESHOLD scaled median absolute deviations
+ * and by at least MIN_DEVIATION kg.
+ * 
+ * @namespace WEIGHT_OUTLIERS
+ * @property {number} WINDOW - Number of consecutive entries the rolling median is taken over
+ * @property {number} THRESHOLD - Allowed deviation in scaled median absolute deviations
+ * @property {number} MIN_DEVIATION - Deviation in kg that is never flagged, e.g. normal water fluctuation
+ * @property {number} MAD_SCALE - Scales the median absolute deviation to a standard deviation
+ */
+const WEIGHT_OUTLIERS = {
+  WINDOW: 7,
+  THRESHOLD: 3,
+  MIN_DEVIATION: 2,
+  MAD_SCALE: 1.4826
+};
+
+/**
+ * Body composition estimates from the user profile, weight history and body-fat
+ * measurements. Energy needs use the Mifflin-St Jeor equation; the activity
+ * factor follows wger's own estimate from the profile's daily hours.
+ * 
+ * @namespace BODY_COMPOSITION
+ * @property {Array<{name: string, below: number}>} BMI_CATEGORIES - WHO adult BMI categories by upper bound
+ * @property {Object<string, number>} BMR_GENDER_OFFSETS - Mifflin-St Jeor constant per wger gender (1=male, 2=female)
+ * @property {Object} ACTIVITY - Activity factors per hour: SLEEP, and WORK, SPORT, FREETIME for intensity 1-3
+ * @property {number} DEFAULT_ACTIVITY_FACTOR - Activity factor when neither payload nor profile provide one (sedentary)
+ * @property {RegExp} BODY_FAT_CATEGORY - Measurement category names recognized as body fat
+ * @property {number} MAX_PAIRING_DAYS - Days a body-fat measurement may be apart from the weight it is paired with
+ */
+const BODY_COMPOSITION = {
+  BMI_CATEGORIES: [
+    { name: 'underweight', below: 18.5 },
+    { name: 'normal', below: 25 },
+    { name: 'overweight', below: 30 },
+    { name: 'obese', below: Infinity }
+  ],
+  
+  BMR_GENDER_OFFSETS: {
+    1: 5,
+    2: -161
+  },
+  
+  ACTIVITY: {
+    SLEEP: 0.95,
+    WORK: [1.5, 1.8, 2.2],
+    SPORT: [4, 6, 10],
+    FREETIME: [1.3, 1.9, 2.4]
+  },
+  
+  DEFAULT_ACTIVITY_FACTOR: 1.2,
+  BODY_FAT_CATEGORY: /body\s*fat|fat\s*%|k(?:ö|oe)rperfett/i,
+  MAX_PAIRING_DAYS: 7
+};
+
+/**
+ * HTTP response cache settings for GET requests.
+ * Only endpoints listed in TTLS are cached; the key is a path prefix, so detail
+ * URLs below a listed collection use the same TTL.
+ * 
+ * @namespace CACHE
+ * @property {number} MAX_ENTRIES - Maximum number of cached responses per client
+ * @property {Object<string, number>} TTLS - Time-to-live in milliseconds per endpoint path prefix
+ */
+const CACHE = {
+  MAX_ENTRIES: 200,
+  
+  TTLS: {
+    [API.ENDPOINTS.MUSCLES]: 24 * 60 * 60 * 1000,
+    [API.ENDPOINTS.EQUIPMENT]: 24 * 60 * 60 * 1000,
+    [API.ENDPOINTS.EXERCISE_CATEGORIES]: 24 * 60 * 60 * 1000,
+    [API.ENDPOINTS.INGREDIENT_CATEGORIES]: 24 * 60 * 60 * 1000,
+    [API.ENDPOINTS.WEIGHT_UNITS]: 24 * 60 * 60 * 1000,
+    [API.ENDPOINTS.INFO]: 24 * 60 * 60 * 1000,
+    [API.ENDPOINTS.MEASUREMENT_CATEGORIES]: 60 * 60 * 1000
+  }
+};
+
 /**
  * Authentication configuration for different auth methods supported by wger.
  * 
@@ -92,6 +594,10 @@ const API = {
  * @property {string} PREFIXES.TOKEN - Prefix for token auth ('Token ')
  * @property {string} PREFIXES.BEARER - Prefix for JWT auth ('Bearer ')
  * @property {string} HEADER_NAME - HTTP header name for authentication
+ * @property {Object} JWT - Token lifetimes used by the JWT login flow
+ * @property {number} JWT.REFRESH_MARGIN_MS - Refresh the access token this long before it expires
+ * @property {number} JWT.ACCESS_TOKEN_TTL_MS - Assumed access token lifetime when the token has no `exp` claim
+ * @property {number} JWT.REFRESH_TOKEN_TTL_MS - Assumed refresh token lifetime when the token has no `exp` claim
  */
 const AUTH = {
   TYPES: {
@@ -105,7 +611,13 @@ const AUTH = {
     BEARER: 'Bearer '
   },
   
-  HEADER_NAME: 'Authorization'
+  HEADER_NAME: 'Authorization',
+  
+  JWT: {
+    REFRESH_MARGIN_MS: 30000,
+    ACCESS_TOKEN_TTL_MS: 5 * 60 * 1000,
+    REFRESH_TOKEN_TTL_MS: 24 * 60 * 60 * 1000
+  }
 };
 
 /**
@@ -144,10 +656,58 @@ const STATUS = {
     MISSING_SERVER_CONFIG: 'Missing server config',
     NODE_NOT_FOUND: 'Node not found',
     API_REQUEST_FAILED: 'API request failed',
-    NO_RESPONSE: 'No response received from server'
+    NO_RESPONSE: 'No response received from server',
+    STREAMING: 'streaming: {sent} sent',
+    STREAM_TRUNCATED: 'streamed: {sent} sent, stopped after {pages} pages',
+    QUEUED: 'rate limited: {depth} queued',
+    OUTBOX: 'outbox: {queued} queued, {replayed} replayed, {failed} failed',
+    BATCH: 'batch: {succeeded} succeeded, {failed} failed'
   }
 };
 
+/**
+ * Offline write outbox settings.
+ * 
+ * @namespace OUTBOX
+ * @property {Object<string, Array<string>>} OPERATIONS - Operations that may be queued while offline, per node type
+ * @property {Object} STORAGE - Storage backends (`none`, Node-RED `context` storage or a local `file`)
+ * @property {string} CONTEXT_KEY - Context key holding the outbox state
+ * @property {number} PROBE_INTERVAL_MS - Delay between connection tests while writes are queued
+ * @property {number} MAX_ENTRIES - Maximum number of queued writes
+ * @property {number} MAX_COMPLETED_KEYS - Number of completed idempotency keys remembered for duplicate detection
+ */
+const OUTBOX = {
+  OPERATIONS: {
+    'wger-workout': ['createWorkoutLog'],
+    'wger-weight': ['createWeightEntry']
+  },
+  
+  STORAGE: {
+    NONE: 'none',
+    CONTEXT: 'context',
+    FILE: 'file'
+  },
+  
+  CONTEXT_KEY: 'wgerOutbox',
+  PROBE_INTERVAL_MS: 30000,
+  MAX_ENTRIES: 1000,
+  MAX_COMPLETED_KEYS: 500
+};
+
+/**
+ * Persistence settings of the weight statistics cache.
+ * 
+ * @namespace STATS_CACHE
+ * @property {Object} STORAGE - Storage backends, the same as the outbox's
+ * @property {string} CONTEXT_KEY - Context key the cache is stored under
+ * @property {number} SAVE_DELAY_MS - Delay to collect cache changes into one write
+ */
+const STATS_CACHE = {
+  STORAGE: OUTBOX.STORAGE,
+  CONTEXT_KEY: 'wgerStatsCache',
+  SAVE_DELAY_MS: 5000
+};
+
 /**
  * Default configuration values used throughout the application.
  * 
@@ -174,14 +734,66 @@ const DEFAULTS = {
  * @namespace ERRORS
  * @property {string} MISSING_OPERATION - Error when no operation is specified
  * @property {string} INVALID_OPERATION - Error template for invalid operations
+ * @property {string} INVALID_STREAM_MODE - Error template for an unknown msg.stream value
  * @property {string} MISSING_CONFIG - Error when server config is missing
+ * @property {string} JWT_LOGIN_FAILED - Error template when obtaining a JWT fails
+ * @property {string} JWT_MISSING_CREDENTIALS - Error when JWT login is used without username/password
+ * @property {string} CLIENT_DISPOSED - Error when a request is made on a client whose config node has closed
+ * @property {string} OUTBOX_FULL - Error template when the offline outbox cannot take more writes
+ * @property {string} WRITE_OUTCOME_UNKNOWN - Error template for a write that timed out and may have been saved
+ * @property {string} BATCH_TOO_LARGE - Error template when a batch payload has too many items
+ * @property {string} IMPORT_NO_ROWS - Error when an import has neither CSV text nor rows
+ * @property {string} IMPORT_UNKNOWN_COLUMN - Error template when a mapped column is missing from the CSV header
+ * @property {string} UNKNOWN_UNIT - Error template for unit names that are not recognized
+ * @property {string} UNIT_WITH_PORTION - Error when a food amount with a unit is combined with a portion (`weight_unit`)
+ * @property {string} UNKNOWN_TIME_ZONE - Error template for time zones that are not IANA names
+ * @property {string} INVALID_WEEK_START - Error template for week starts that are not a day number
+ * @property {string} SERVER_NOT_FOUND - Error template for config node ids that are not a wger-config node
+ * @property {string} CLONE_FAILED - Error template for a failed cloneWorkout, including the rollback result
+ * @property {string} CLONE_EXERCISES_NOT_FOUND - Error template for exercises of a cross-server clone missing on the target
+ * @property {string} WORKOUT_PLAN_INVALID - Error template for plan documents that do not follow the workout plan format
+ * @property {string} WORKOUT_IMPORT_FAILED - Error template for a failed importWorkout, including the rollback result
+ * @property {string} SESSION_INVALID - Error template for a logSession payload that failed validation before any write
+ * @property {string} SESSION_LOG_FAILED - Error template for a failed logSession write, including the rollback result
+ * @property {string} ROLLBACK_INCOMPLETE - Suffix template listing the objects a rollback could not delete
+ * @property {string} ICS_INVALID - Error template for text that is not an iCalendar document
+ * @property {string} INVALID_SCHEDULE_ID - Error template for a schedule feed path whose id is not a positive integer
+ * @property {string} FEED_DISABLED - Error when a schedule feed is requested from a config node without feed secret
+ * @property {string} FEED_TOKEN_INVALID - Error for a schedule feed request with a missing or wrong token
+ * @property {string} SCHEDULE_IMPORT_FAILED - Error template for a failed importScheduleIcs, including the rollback result
  * @property {string} REQUIRED_FIELD - Error template for missing required fields
  * @property {Object} FIELD_NAMES - Standard field names used in error messages
  */
 const ERRORS = {
   MISSING_OPERATION: 'No operation specified',
   INVALID_OPERATION: 'Invalid operation: {operation}',
+  INVALID_STREAM_MODE: 'Invalid stream mode: {mode} (expected page or record)',
   MISSING_CONFIG: 'Missing server config',
+  JWT_LOGIN_FAILED: 'JWT login failed: {reason}',
+  JWT_MISSING_CREDENTIALS: 'JWT login requires a username and password',
+  CLIENT_DISPOSED: 'API client has been disposed (server config closed)',
+  OUTBOX_FULL: 'Offline outbox is full ({max} writes queued)',
+  WRITE_OUTCOME_UNKNOWN: '{operation} got no answer in time and may have been saved; it is not queued or replayed to avoid a duplicate: {reason}',
+  BATCH_TOO_LARGE: 'Batch payload has {count} items (maximum {max})',
+  IMPORT_NO_ROWS: 'Import requires either csv or rows',
+  IMPORT_UNKNOWN_COLUMN: 'Column "{column}" not found in CSV header',
+  UNKNOWN_UNIT: 'Unknown weight unit: {unit}',
+  UNIT_WITH_PORTION: 'An amount with a unit cannot be combined with weight_unit (amount is converted to grams)',
+  UNKNOWN_TIME_ZONE: 'Unknown time zone: {timeZone}',
+  INVALID_WEEK_START: 'Week start must be a day number from 0 (Sunday) to 6 (Saturday), got {weekStart}',
+  SERVER_NOT_FOUND: 'Server config not found: {server}',
+  CLONE_FAILED: 'Cloning workout {workoutId} failed: {reason} ({deleted} of {created} created objects rolled back)',
+  CLONE_EXERCISES_NOT_FOUND: 'Cloning workout {workoutId} failed, nothing was created: exercises not found by UUID on the target server: {exercises}',
+  WORKOUT_PLAN_INVALID: 'Invalid workout plan: {reason}',
+  WORKOUT_IMPORT_FAILED: 'Importing workout "{name}" failed: {reason} ({deleted} of {created} created objects rolled back)',
+  SESSION_INVALID: 'Session not logged, nothing was written: {errors}',
+  SESSION_LOG_FAILED: 'Logging session failed at {step}: {reason} ({deleted} of {created} created objects rolled back)',
+  ROLLBACK_INCOMPLETE: '; not deleted: {objects}',
+  ICS_INVALID: 'Invalid iCalendar data: {reason}',
+  INVALID_SCHEDULE_ID: 'Schedule id must be a positive integer, got {scheduleId}',
+  FEED_DISABLED: 'Schedule feeds are disabled: the server configuration has no feed secret',
+  FEED_TOKEN_INVALID: 'Missing or invalid feed token',
+  SCHEDULE_IMPORT_FAILED: 'Importing schedule failed: {reason} ({deleted} of {created} created objects rolled back)',
   
   REQUIRED_FIELD: '{field} is required',
   
@@ -196,6 +808,8 @@ const ERRORS = {
     INGREDIENT_ID: 'ingredientId',
     PROFILE_ID: 'profileId',
     SETTING_ID: 'settingId',
+    CATEGORY_ID: 'categoryId',
+    MEASUREMENT_ID: 'measurementId',
     CATEGORY: 'category',
     VALUE: 'value',
     DATE: 'date',
@@ -237,8 +851,10 @@ const HTTP_METHODS = {
  * @property {string} NODE_TYPES.NUTRITION - Nutrition operations node
  * @property {string} NODE_TYPES.WEIGHT - Weight tracking node
  * @property {string} NODE_TYPES.USER - User management node
+ * @property {string} NODE_TYPES.MEASUREMENT - Body measurement node
  * @property {string} NODE_TYPES.API - Generic API access node
  * @property {Object} ADMIN_ROUTES - Admin UI routes for configuration
+ * @property {Object} NODE_ROUTES - Routes served on the flows' HTTP server (`httpNodeRoot`)
  * @property {Object} CREDENTIAL_TYPES - Credential field type definitions
  */
 const NODE_RED = {
@@ -249,11 +865,18 @@ const NODE_RED = {
     NUTRITION: 'wger-nutrition',
     WEIGHT: 'wger-weight',
     USER: 'wger-user',
+    MEASUREMENT: 'wger-measurement',
     API: 'wger-api'
   },
   
   ADMIN_ROUTES: {
-    TEST_CONNECTION: '/wger-config/:id/test'
+    TEST_CONNECTION: '/wger-config/:id/test',
+    WEIGHT_STATS_CACHE: '/wger-weight/stats-cache',
+    SCHEDULE_ICS: '/wger-workout/:server/schedule/:scheduleId.ics'
+  },
+  
+  NODE_ROUTES: {
+    SCHEDULE_FEED: '/wger-workout/feed/:server/:scheduleId.ics'
   },
   
   CREDENTIAL_TYPES: {
@@ -269,8 +892,29 @@ const NODE_RED = {
  */
 module.exports = {
   API,
+  PAGINATION,
+  STREAM_MODES,
+  BATCH,
+  WEIGHT_UNITS,
+  UNITS,
+  CALENDAR,
+  IMPORT,
+  EXPORT,
+  WORKOUT_CLONE,
+  WORKOUT_PLAN,
+  SESSION_LOG,
+  PERSONAL_RECORDS,
+  TRAINING_VOLUME,
+  PROGRESSION,
+  ICS,
+  WEIGHT_TREND,
+  WEIGHT_OUTLIERS,
+  BODY_COMPOSITION,
+  CACHE,
   AUTH,
   STATUS,
+  OUTBOX,
+  STATS_CACHE,
   DEFAULTS,
   ERRORS,
   HTTP_METHODS,
@@ -0,0 +1,141 @@
+/**
+ * @fileoverview Cache of exercise muscles and categories shared by analytics operations
+ * @module utils/exercise-metadata-cache
+ * @requires ./constants
+ * @requires ./time-provider
+ * @version 1.0.0
+ * @author Node-RED wger contrib team
+ */
+
+const { TRAINING_VOLUME } = require('./constants');
+const timeProviderFactory = require('./time-provider').default;
+
+/**
+ * Exercise metadata as used by analytics
+ * @typedef {Object} ExerciseMetadata
+ * @property {number} id - Exercise base id
+ * @property {string|null} name - Exercise name
+ * @property {string|null} category - Category name
+ * @property {Array<string>} muscles - Primary muscle names
+ * @property {Array<string>} musclesSecondary - Secondary muscle names
+ */
+
+/**
+ * Caches exercise metadata per API client, so every server (and the client
+ * of every config node) has its own entries, dropped together with the
+ * client. Concurrent lookups of one exercise share a single request, and a
+ * failed lookup is not cached.
+ *
+ * @class ExerciseMetadataCache
+ * @example
+ * const cache = getSharedExerciseCache();
+ * const exercise = await cache.get(client, 192, id => loadExercise(client, id));
+ */
+class ExerciseMetadataCache {
+  /**
+   * Creates a new ExerciseMetadataCache instance
+   * @constructor
+   * @param {Object} [options={}] - Cache options
+   * @param {number} [options.ttlMs] - Lifetime of an entry in milliseconds
+   * @param {number} [options.maxEntries] - Maximum number of entries per client
+   * @param {Object} [options.timeProvider] - Time provider for dependency injection
+   */
+  constructor(options = {}) {
+    this.ttlMs = options.ttlMs || TRAINING_VOLUME.EXERCISE_CACHE_TTL_MS;
+    this.maxEntries = options.maxEntries || TRAINING_VOLUME.EXERCISE_CACHE_MAX_ENTRIES;
+    this.timeProvider = options.timeProvider || timeProviderFactory();
+    this.clients = new WeakMap();
+    this.stats = { hits: 0, misses: 0 };
+  }
+
+  /**
+   * Returns the metadata of an exercise, loading it on a miss.
+   *
+   * @async
+   * @param {WgerApiClient} client - Client the metadata belongs to
+   * @param {number} id - Exercise base id
+   * @param {Function} load - `async id => metadata`, called on a miss
+   * @returns {Promise<ExerciseMetadata>} Metadata
+   */
+  async get(client, id, load) {
+    if (!this.clients.has(client)) {
+      this.clients.set(client, new Map());
+    }
+    const entries = this.clients.get(client);
+    const key = String(id);
+    const entry = entries.get(key);
+
+    if (entry && entry.expiresAt > this.timeProvider.now()) {
+      this.stats.hits++;
+      // Re-insert so the least recently used entry is evicted first
+      entries.delete(key);
+      entries.set(key, entry);
+      return entry.value;
+    }
+
+    this.stats.misses++;
+    const value = Promise.resolve().then(() => load(id));
+    entries.delete(key);
+    entries.set(key, { value, expiresAt: this.timeProvider.now() + this.ttlMs });
+    if (entries.size > this.maxEntries) {
+      entries.delete(entries.keys().next().value);
+    }
+
+    try {
+      return await value;
+    } catch (error) {
+      if (entries.get(key) && entries.get(key).value === value) {
+        entries.delete(key);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Returns cache statistics.
+   *
+   * @returns {{hits: number, misses: number}} Hits and misses since creation or the last `clear`
+   */
+  getStats() {
+    return { ...this.stats };
+  }
+
+  /**
+   * Drops all entries.
+   */
+  clear() {
+    this.clients = new WeakMap();
+    this.stats = { hits: 0, misses: 0 };
+  }
+}
+
+/**
+ * Shared cache instance used by all nodes
+ * @private
+ */
+let sharedCache = null;
+
+/**
+ * Gets or creates the shared exercise metadata cache
+ * @param {Object} [options={}] - Options for a newly created cache
+ * @returns {ExerciseMetadataCache} Shared cache
+ */
+function getSharedExerciseCache(options = {}) {
+  if (!sharedCache) {
+    sharedCache = new ExerciseMetadataCache(options);
+  }
+  return sharedCache;
+}
+
+/**
+ * Resets the shared cache instance
+ */
+function resetSharedExerciseCache() {
+  sharedCache = null;
+}
+
+module.exports = {
+  ExerciseMetadataCache,
+  getSharedExerciseCache,
+  resetSharedExerciseCache
+};
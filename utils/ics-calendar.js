@@ -0,0 +1,281 @@
+/**
+ * @fileoverview Rendering and parsing of iCalendar (RFC 5545) documents with all-day events
+ * @module utils/ics-calendar
+ * @requires ./constants
+ * @requires ./calendar
+ * @version 1.0.0
+ * @author Node-RED wger contrib team
+ */
+
+const { ICS, ERRORS } = require('./constants');
+const Calendar = require('./calendar');
+
+/**
+ * All-day calendar event
+ * @typedef {Object} IcsEvent
+ * @property {string} uid - Unique and stable event id
+ * @property {string} start - First day as YYYY-MM-DD
+ * @property {string} end - Day after the last day as YYYY-MM-DD (exclusive, as DTEND)
+ * @property {string} [summary] - Title
+ * @property {string} [description] - Description
+ * @property {Object<string, string>} [properties] - Further properties, e.g. `X-WGER-WORKOUT`
+ */
+
+/**
+ * DATE (`20240304`) or DATE-TIME (`20240304T180000Z`) value
+ * @private
+ */
+const DATE_VALUE = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/;
+
+/**
+ * Throws an iCalendar format error.
+ * @private
+ */
+const invalid = (reason) => {
+  throw new Error(ERRORS.ICS_INVALID.replace('{reason}', reason));
+};
+
+/**
+ * Splits a content line into name, parameters and value. Colons and
+ * semicolons inside quoted parameter values do not count as separators.
+ * @private
+ */
+const parseLine = (line) => {
+  let quoted = false;
+  for (let index = 0; index < line.length; index++) {
+    const char = line[index];
+    if (char === '"') {
+      quoted = !quoted;
+    } else if (char === ':' && !quoted) {
+      const [name, ...params] = line.substring(0, index).split(';');
+      return { name: name.toUpperCase(), params, value: line.substring(index + 1) };
+    }
+  }
+  return null;
+};
+
+/**
+ * Reads and writes iCalendar documents of all-day events, as used for
+ * workout schedules. Only what calendar subscriptions need is supported:
+ * text escaping, line folding and DATE or DATE-TIME start and end values.
+ * Recurrence rules are not expanded.
+ *
+ * @class IcsCalendar
+ * @example
+ * const text = IcsCalendar.render({ name: 'Strength', events }, { now: Date.now() });
+ * IcsCalendar.parse(text).events[0].start; // '2024-03-04'
+ */
+class IcsCalendar {
+  /**
+   * Escapes a TEXT value.
+   *
+   * @static
+   * @param {*} value - Value
+   * @returns {string} Escaped text
+   */
+  static escapeText(value) {
+    return String(value)
+      .replace(/\\/g, '\\\\')
+      .replace(/;/g, '\\;')
+      .replace(/,/g, '\\,')
+      .replace(/\r?\n/g, '\\n');
+  }
+
+  /**
+   * Reverts the escaping of a TEXT value.
+   *
+   * @static
+   * @param {string} value - Escaped text
+   * @returns {string} Text
+   */
+  static unescapeText(value) {
+    return String(value).replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+  }
+
+  /**
+   * Folds a content line after `ICS.LINE_LENGTH` octets without splitting a
+   * character; continuation lines start with a space.
+   *
+   * @static
+   * @param {string} line - Content line
+   * @returns {string} Folded line, parts separated by CRLF
+   */
+  static foldLine(line) {
+    const parts = [];
+    let current = '';
+    let octets = 0;
+    for (const char of line) {
+      const size = Buffer.byteLength(char);
+      const limit = parts.length === 0 ? ICS.LINE_LENGTH : ICS.LINE_LENGTH - 1;
+      if (octets + size > limit) {
+        parts.push(current);
+        current = '';
+        octets = 0;
+      }
+      current += char;
+      octets += size;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+  }
+
+  /**
+   * Renders a calendar.
+   *
+   * @static
+   * @param {Object} calendar - Calendar
+   * @param {string} [calendar.name] - Calendar name shown by calendar apps (`X-WR-CALNAME`)
+   * @param {Array<IcsEvent>} calendar.events - Events
+   * @param {Object} [options={}] - Options
+   * @param {number} [options.now=Date.now()] - Time of the export, used as DTSTAMP
+   * @returns {string} iCalendar document with CRLF line breaks
+   */
+  static render(calendar, options = {}) {
+    const stamp = new Date(options.now === undefined ? Date.now() : options.now)
+      .toISOString().replace(/[-:]/g, '').replace(/\.\d+/, '');
+    const date = value => value.replace(/-/g, '');
+    const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', `PRODID:${ICS.PRODUCT_ID}`, 'CALSCALE:GREGORIAN', 'METHOD:PUBLISH'];
+    if (calendar.name) {
+      lines.push(`X-WR-CALNAME:${this.escapeText(calendar.name)}`);
+    }
+
+    (calendar.events || []).forEach(event => {
+      lines.push(
+        'BEGIN:VEVENT',
+        `UID:${event.uid}`,
+        `DTSTAMP:${stamp}`,
+        `DTSTART;VALUE=DATE:${date(event.start)}`,
+        `DTEND;VALUE=DATE:${date(event.end)}`,
+        `SUMMARY:${this.escapeText(event.summary || '')}`
+      );
+      if (event.description) {
+        lines.push(`DESCRIPTION:${this.escapeText(event.description)}`);
+      }
+      // Planned workouts do not block time in the calendar
+      lines.push('TRANSP:TRANSPARENT');
+      Object.entries(event.properties || {}).forEach(([name, value]) => lines.push(`${name}:${this.escapeText(value)}`));
+      lines.push('END:VEVENT');
+    });
+
+    lines.push('END:VCALENDAR');
+    return lines.map(line => this.foldLine(line)).join('\r\n') + '\r\n';
+  }
+
+  /**
+   * Parses the events of an iCalendar document. DATE-TIME values in UTC are
+   * read as the date they fall on in the time zone; local and floating times
+   * keep their date.
+   *
+   * @static
+   * @param {string} text - iCalendar document
+   * @param {Object} [options={}] - Options
+   * @param {string} [options.timeZone] - Time zone of UTC times
+   * @returns {{name: string|null, events: Array<IcsEvent>}} Calendar name and events in document order
+   * @throws {Error} When the text is not a calendar or an event has no valid start
+   */
+  static parse(text, options = {}) {
+    if (typeof text !== 'string' || !/^\s*BEGIN:VCALENDAR/i.test(text)) {
+      invalid('expected a VCALENDAR');
+    }
+    const lines = text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/).filter(line => line.trim() !== '');
+    const events = [];
+    let name = null;
+    let event = null;
+    let depth = 0;
+
+    lines.forEach(raw => {
+      const line = parseLine(raw);
+      if (!line) {
+        return;
+      }
+      const component = line.value.trim().toUpperCase();
+      if (line.name === 'BEGIN') {
+        if (component === 'VEVENT' && !event) {
+          event = { properties: {} };
+          depth = 0;
+        } else if (event) {
+          // Alarms and other components nested in an event
+          depth++;
+        }
+        return;
+      }
+      if (line.name === 'END') {
+        if (event && depth > 0) {
+          depth--;
+        } else if (event && component === 'VEVENT') {
+          events.push(this.toEvent(event, events.length, options.timeZone));
+          event = null;
+        }
+        return;
+      }
+      if (!event) {
+        if (line.name === 'X-WR-CALNAME') {
+          name = this.unescapeText(line.value);
+        }
+        return;
+      }
+      if (depth === 0 && event.properties[line.name] === undefined) {
+        event.properties[line.name] = line.value;
+      }
+    });
+
+    return { name, events };
+  }
+
+  /**
+   * Turns the properties of a parsed VEVENT into an event.
+   * @private
+   * @static
+   */
+  static toEvent(event, index, timeZone) {
+    const { properties } = event;
+    const uid = properties.UID || `event-${index + 1}`;
+    const start = this.parseDate(properties.DTSTART, timeZone);
+    if (!start) {
+      invalid(`event ${uid} has no valid DTSTART`);
+    }
+    const endValue = properties.DTEND && DATE_VALUE.exec(properties.DTEND.trim());
+    let end = this.parseDate(properties.DTEND, timeZone);
+    // A DATE-TIME end ends within its day, a DATE end is already exclusive
+    if (end && endValue && endValue[4] !== undefined && `${endValue[4]}${endValue[5]}${endValue[6]}` !== '000000') {
+      end = Calendar.addDays(end, 1);
+    }
+    if (!end || end <= start) {
+      end = Calendar.addDays(start, 1);
+    }
+
+    const extra = {};
+    Object.entries(properties)
+      .filter(([name]) => name.startsWith('X-'))
+      .forEach(([name, value]) => {
+        extra[name] = this.unescapeText(value);
+      });
+    return {
+      uid,
+      start,
+      end,
+      summary: properties.SUMMARY !== undefined ? this.unescapeText(properties.SUMMARY) : '',
+      description: properties.DESCRIPTION !== undefined ? this.unescapeText(properties.DESCRIPTION) : '',
+      properties: extra
+    };
+  }
+
+  /**
+   * Reads a DATE or DATE-TIME value as a calendar date.
+   * @private
+   * @static
+   */
+  static parseDate(value, timeZone) {
+    const match = value && DATE_VALUE.exec(value.trim());
+    if (!match) {
+      return null;
+    }
+    const [, year, month, day, hour, minute, second, utc] = match;
+    if (utc) {
+      return Calendar.toLocalDate(`${year}-${month}-${day}T${hour}:${minute}:${second}Z`, timeZone);
+    }
+    return `${year}-${month}-${day}`;
+  }
+}
+
+module.exports = IcsCalendar;
@@ -900,6 +900,9 @@ class InputValidator {
    * @property {Object} barcode - Product barcode schema
    * @property {Object} email - Email address schema
    * @property {Object} url - URL schema with protocol requirement
+   * @property {Object} fetchAll - Flag to follow pagination links of list operations
+   * @property {Object} maxPages - Maximum number of pages to fetch (1-1000)
+   * @property {Object} pageSize - Page size used while fetching all pages (1-500)
    * 
    * @example
    * // Reuse common schemas in your validation
@@ -1016,6 +1019,29 @@ class InputValidator {
     url: {
       type: this.TYPES.URL,
       required: false
+    },
+    fetchAll: {
+      type: this.TYPES.BOOLEAN,
+      required: false,
+      default: false
+    },
+    maxPages: {
+      type: this.TYPES.INTEGER,
+      required: false,
+      min: 1,
+      max: 1000
+    },
+    pageSize: {
+      type: this.TYPES.INTEGER,
+      required: false,
+      min: 1,
+      max: 500
+    },
+    concurrency: {
+      type: this.TYPES.INTEGER,
+      required: false,
+      min: 1,
+      max: 20
     }
   };
 }
@@ -0,0 +1,293 @@
+/**
+ * @fileoverview JWT login and refresh handling for wger config nodes
+ * @module utils/jwt-token-manager
+ * @requires ./constants
+ * @version 1.0.0
+ * @author Node-RED wger contrib team
+ */
+
+const { API, AUTH, ERRORS } = require('./constants');
+const timeProviderFactory = require('./time-provider').default;
+
+/**
+ * Obtains and refreshes wger JSON Web Tokens from a username and password.
+ *
+ * Access and refresh tokens are only ever held in memory. The access token is
+ * refreshed shortly before it expires; when the refresh token has expired too
+ * (or the refresh is rejected) the manager logs in again with the stored
+ * credentials. Concurrent callers share a single in-flight login/refresh request.
+ *
+ * @class JwtTokenManager
+ * @example
+ * const tokens = new JwtTokenManager({
+ *   apiUrl: 'https://wger.de',
+ *   username: 'alice',
+ *   password: 'secret'
+ * });
+ *
+ * const headers = await tokens.getAuthHeader();
+ * // { Authorization: 'Bearer eyJhbGciOi...' }
+ */
+class JwtTokenManager {
+  /**
+   * Creates a new JwtTokenManager instance
+   * @constructor
+   * @param {Object} options - Manager options
+   * @param {string} options.apiUrl - Base URL of the wger API
+   * @param {string} options.username - wger username
+   * @param {string} options.password - wger password
+   * @param {number} [options.refreshMarginMs] - Refresh this long before the access token expires
+   * @param {Object} [options.timeProvider] - Time provider for dependency injection
+   * @throws {Error} If username or password is missing
+   */
+  constructor(options = {}) {
+    if (!options.username || !options.password) {
+      throw new Error(ERRORS.JWT_MISSING_CREDENTIALS);
+    }
+
+    this.apiUrl = (options.apiUrl || '').replace(/\/$/, '');
+    this.username = options.username;
+    this.password = options.password;
+    this.refreshMarginMs = options.refreshMarginMs !== undefined
+      ? options.refreshMarginMs
+      : AUTH.JWT.REFRESH_MARGIN_MS;
+    this.timeProvider = options.timeProvider || timeProviderFactory();
+
+    this.accessToken = null;
+    this.accessExpiresAt = 0;
+    this.refreshToken = null;
+    this.refreshExpiresAt = 0;
+    this._pending = null;
+  }
+
+  /**
+   * Returns the Authorization header for the current access token without
+   * contacting the server. Empty when no token has been obtained yet.
+   *
+   * @returns {Object} Authorization header or an empty object
+   */
+  getCachedAuthHeader() {
+    return this.accessToken
+      ? { [AUTH.HEADER_NAME]: AUTH.PREFIXES.BEARER + this.accessToken }
+      : {};
+  }
+
+  /**
+   * Returns an Authorization header with a valid access token, logging in or
+   * refreshing first when needed.
+   *
+   * @async
+   * @param {Object} [options={}] - Options
+   * @param {boolean} [options.forceRefresh=false] - Discard the current access token first (e.g. after a 401)
+   * @returns {Promise<Object>} Authorization header
+   * @throws {Error} If login fails
+   */
+  async getAuthHeader(options = {}) {
+    await this.getAccessToken(options);
+    return this.getCachedAuthHeader();
+  }
+
+  /**
+   * Returns a valid access token, logging in or refreshing first when needed.
+   *
+   * @async
+   * @param {Object} [options={}] - Options
+   * @param {boolean} [options.forceRefresh=false] - Discard the current access token first
+   * @returns {Promise<string>} Access token
+   * @throws {Error} If login fails
+   */
+  async getAccessToken(options = {}) {
+    if (options.forceRefresh) {
+      this.invalidate();
+    }
+
+    if (this.accessToken && this.timeProvider.now() < this.accessExpiresAt - this.refreshMarginMs) {
+      return this.accessToken;
+    }
+
+    if (!this._pending) {
+      this._pending = this._renew().finally(() => {
+        this._pending = null;
+      });
+    }
+
+    return this._pending;
+  }
+
+  /**
+   * Drops the current access token so the next request refreshes it.
+   * The refresh token is kept.
+   */
+  invalidate() {
+    this.accessToken = null;
+    this.accessExpiresAt = 0;
+  }
+
+  /**
+   * Drops all tokens held in memory.
+   */
+  clear() {
+    this.invalidate();
+    this.refreshToken = null;
+    this.refreshExpiresAt = 0;
+  }
+
+  /**
+   * Refreshes the access token, falling back to a full login when there is no
+   * usable refresh token or the refresh is rejected.
+   *
+   * @private
+   * @async
+   * @returns {Promise<string>} New access token
+   */
+  async _renew() {
+    if (this.refreshToken && this.timeProvider.now() < this.refreshExpiresAt - this.refreshMarginMs) {
+      try {
+        return await this._refresh();
+      } catch {
+        // Refresh token revoked or expired server-side - log in again
+        this.refreshToken = null;
+        this.refreshExpiresAt = 0;
+      }
+    }
+
+    return this._login();
+  }
+
+  /**
+   * Obtains a new access/refresh token pair with the stored credentials.
+   *
+   * @private
+   * @async
+   * @returns {Promise<string>} New access token
+   * @throws {Error} If the server rejects the credentials
+   */
+  async _login() {
+    const data = await this._post(API.ENDPOINTS.TOKEN, {
+      username: this.username,
+      password: this.password
+    });
+
+    if (!data.access) {
+      throw new Error(ERRORS.JWT_LOGIN_FAILED.replace('{reason}', 'no access token in response'));
+    }
+
+    this._setAccessToken(data.access);
+    if (data.refresh) {
+      this.refreshToken = data.refresh;
+      this.refreshExpiresAt = JwtTokenManager.getExpiry(data.refresh, this.timeProvider.now() + AUTH.JWT.REFRESH_TOKEN_TTL_MS);
+    }
+
+    return this.accessToken;
+  }
+
+  /**
+   * Exchanges the refresh token for a new access token.
+   *
+   * @private
+   * @async
+   * @returns {Promise<string>} New access token
+   * @throws {Error} If the refresh is rejected
+   */
+  async _refresh() {
+    const data = await this._post(API.ENDPOINTS.TOKEN_REFRESH, { refresh: this.refreshToken });
+
+    if (!data.access) {
+      throw new Error(ERRORS.JWT_LOGIN_FAILED.replace('{reason}', 'no access token in refresh response'));
+    }
+
+    this._setAccessToken(data.access);
+    // Servers rotating refresh tokens send a new one along
+    if (data.refresh) {
+      this.refreshToken = data.refresh;
+      this.refreshExpiresAt = JwtTokenManager.getExpiry(data.refresh, this.timeProvider.now() + AUTH.JWT.REFRESH_TOKEN_TTL_MS);
+    }
+
+    return this.accessToken;
+  }
+
+  /**
+   * Stores an access token together with its expiry.
+   *
+   * @private
+   * @param {string} token - Access token
+   */
+  _setAccessToken(token) {
+    this.accessToken = token;
+    this.accessExpiresAt = JwtTokenManager.getExpiry(token, this.timeProvider.now() + AUTH.JWT.ACCESS_TOKEN_TTL_MS);
+  }
+
+  /**
+   * Posts JSON to a token endpoint.
+   *
+   * @private
+   * @async
+   * @param {string} endpoint - Token endpoint path
+   * @param {Object} body - Request body
+   * @returns {Promise<Object>} Parsed response body
+   * @throws {Error} With `status` set when the server answers with a non-2xx status, or a
+   *   `NetworkError` with the fetch error as `cause` when the server cannot be reached
+   */
+  async _post(endpoint, body) {
+    const controller = new AbortController();
+    const timeoutId = this.timeProvider.setTimeout(() => controller.abort(), API.CONNECTION_TIMEOUT);
+
+    let response;
+    try {
+      response = await fetch(`${this.apiUrl}${endpoint}`, {
+        method: 'POST',
+        headers: { 'Content-Type': API.HEADERS.CONTENT_TYPE },
+        body: JSON.stringify(body),
+        signal: controller.signal
+      });
+    } catch (error) {
+      // Unreachable server - named like API client network errors so offline writes are still queued
+      const timedOut = error.name === 'AbortError';
+      const networkError = new Error(
+        ERRORS.JWT_LOGIN_FAILED.replace('{reason}', timedOut ? 'request timed out' : error.message),
+        { cause: error }
+      );
+      networkError.name = 'NetworkError';
+      networkError.code = timedOut ? 'ETIMEDOUT' : (error.code || (error.cause && error.cause.code) || 'ECONNREFUSED');
+      throw networkError;
+    } finally {
+      this.timeProvider.clearTimeout(timeoutId);
+    }
+
+    let data = {};
+    try {
+      const text = await response.text();
+      data = text ? JSON.parse(text) : {};
+    } catch {
+      // Non-JSON body - keep the empty object
+    }
+
+    if (!response.ok) {
+      const error = new Error(ERRORS.JWT_LOGIN_FAILED.replace('{reason}', data.detail || `HTTP ${response.status}`));
+      error.status = response.status;
+      error.data = data;
+      throw error;
+    }
+
+    return data;
+  }
+
+  /**
+   * Reads the `exp` claim of a JWT without verifying its signature.
+   *
+   * @static
+   * @param {string} token - Encoded JWT
+   * @param {number} fallback - Timestamp to use when the token has no readable `exp` claim
+   * @returns {number} Expiry timestamp in milliseconds
+   */
+  static getExpiry(token, fallback) {
+    try {
+      const payload = JSON.parse(Buffer.from(token.split('.')[1], 'base64url').toString('utf8'));
+      return typeof payload.exp === 'number' ? payload.exp * 1000 : fallback;
+    } catch {
+      return fallback;
+    }
+  }
+}
+
+module.exports = JwtTokenManager;
@@ -3,12 +3,25 @@
  * @module utils/operation-builders
  * @requires ./base-node-handler
  * @requires ./input-validator
+ * @requires ./constants
  * @version 1.0.0
  * @author Node-RED wger contrib team
  */
 
 const BaseNodeHandler = require('./base-node-handler');
 const InputValidator = require('./input-validator');
+const { PAGINATION, BATCH, ERRORS } = require('./constants');
+
+/**
+ * Payload fields that control pagination rather than filter the list.
+ * They are validated separately so every list operation accepts them.
+ * @private
+ */
+const PAGINATION_SCHEMA = {
+  fetchAll: InputValidator.COMMON_SCHEMAS.fetchAll,
+  maxPages: InputValidator.COMMON_SCHEMAS.maxPages,
+  pageSize: InputValidator.COMMON_SCHEMAS.pageSize
+};
 
 /**
  * Factory class for creating common operation handlers.
@@ -38,6 +51,10 @@ class OperationBuilders {
    * Creates a list operation handler for fetching collections from the API.
    * Handles parameter mapping from payload to API query parameters and optional validation.
    * 
+   * Every list operation also accepts the pagination fields `fetchAll`, `maxPages`
+   * and `pageSize`. When `fetchAll` is true (or `maxPages` is given) the handler
+   * follows the DRF `next` links and returns all `results` merged into one response.
+   * 
    * @static
    * @param {string} endpoint - API endpoint for the list operation
    * @param {Object} [options={}] - Mapping of payload properties to API parameters
@@ -62,9 +79,19 @@ class OperationBuilders {
    *   },
    *   exerciseValidationSchema
    * );
+   * 
+   * @example
+   * // Fetch every page (at most 10) with 200 entries per request
+   * await listWorkouts(client, { fetchAll: true, maxPages: 10, pageSize: 200 });
+   * 
+   * @example
+   * // Stream pages to a callback instead of merging them (used by BaseNodeHandler)
+   * await listWorkouts(client, {}, { onPage: async (results, info) => send(results) });
    */
   static listOperation(endpoint, options = {}, validationSchema = null) {
-    return async (client, payload) => {
+    return async (client, payload, context = {}) => {
+      const { payload: listPayload, pagination } = this.extractPaginationOptions(payload);
+      payload = listPayload;
       const originalPayload = { ...payload };
       
       // Apply validation if schema provided
@@ -87,10 +114,140 @@ class OperationBuilders {
         }
       });
 
+      if (typeof context.onPage === 'function') {
+        return await this.fetchAllPages(client, endpoint, params, { ...pagination, onPage: context.onPage });
+      }
+
+      if (pagination.fetchAll || pagination.maxPages !== undefined) {
+        return await this.fetchAllPages(client, endpoint, params, pagination);
+      }
+
       return await client.get(endpoint, params);
     };
   }
 
+  /**
+   * Splits the pagination control fields off a list payload and validates them.
+   * 
+   * @static
+   * @param {*} payload - Operation payload
+   * @returns {{payload: *, pagination: Object}} Remaining payload and validated pagination options
+   * @throws {Error} If a pagination field is invalid
+   * 
+   * @example
+   * const { payload, pagination } = OperationBuilders.extractPaginationOptions({ fetchAll: true, workout: 5 });
+   * // payload -> { workout: 5 }, pagination -> { fetchAll: true, maxPages: undefined, pageSize: undefined }
+   */
+  static extractPaginationOptions(payload) {
+    if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+      return { payload, pagination: {} };
+    }
+
+    const { fetchAll, maxPages, pageSize, ...rest } = payload;
+    const pagination = InputValidator.validatePayload({ fetchAll, maxPages, pageSize }, PAGINATION_SCHEMA);
+    return { payload: rest, pagination };
+  }
+
+  /**
+   * Fetches every page of a DRF list endpoint by following its `next` links.
+   * Only the query string of a `next` link is used, so requests always go to the
+   * configured server and endpoint. Stops after `maxPages` pages; in that case the
+   * returned `next` link is kept and `truncated` is true.
+   * 
+   * With an `onPage` callback every page is handed over as soon as it arrives and
+   * nothing is accumulated, so the returned `results` array stays empty. As memory
+   * stays bounded, streaming follows every page unless `maxPages` is given. A
+   * callback resolving to `false` stops after its page without reporting truncation.
+   * 
+   * @static
+   * @async
+   * @param {WgerApiClient} client - API client instance
+   * @param {string} endpoint - API endpoint for the list operation
+   * @param {Object} [params={}] - Query parameters of the first request
+   * @param {Object} [options={}] - Pagination options
+   * @param {number} [options.pageSize] - Entries per request (capped at PAGINATION.MAX_PAGE_SIZE)
+   * @param {number} [options.maxPages] - Pages to fetch at most (capped at PAGINATION.MAX_PAGES);
+   *   defaults to PAGINATION.DEFAULT_MAX_PAGES, or no limit when streaming
+   * @param {Function} [options.onPage] - Async callback `(results, { index, count, pageSize })` called per page;
+   *   resolving to `false` stops fetching
+   * @returns {Promise<Object>} Merged response `{ count, next, previous, results, pages, truncated }`
+   *   (plus `records` and `streamed: true` when streaming), or the raw response if the endpoint is not paginated
+   * 
+   * @example
+   * const all = await OperationBuilders.fetchAllPages(client, '/api/v2/workoutlog/', { workout: 5 });
+   * console.log(all.results.length === all.count);
+   */
+  static async fetchAllPages(client, endpoint, params = {}, options = {}) {
+    const pageSize = Math.min(options.pageSize || PAGINATION.DEFAULT_PAGE_SIZE, PAGINATION.MAX_PAGE_SIZE);
+    const streaming = typeof options.onPage === 'function';
+    const maxPages = options.maxPages
+      ? Math.min(options.maxPages, PAGINATION.MAX_PAGES)
+      : (streaming ? Infinity : PAGINATION.DEFAULT_MAX_PAGES);
+    
+    const results = [];
+    let pageParams = { ...params, limit: pageSize };
+    let count;
+    let next = null;
+    let pages = 0;
+    let records = 0;
+
+    while (pages < maxPages) {
+      const page = await client.get(endpoint, pageParams);
+      pages++;
+
+      // Endpoint does not paginate - nothing to follow
+      if (!page || !Array.isArray(page.results)) {
+        return page;
+      }
+
+      records += page.results.length;
+      let stop = false;
+      if (streaming) {
+        stop = (await options.onPage(page.results, { index: pages - 1, count: page.count, pageSize })) === false;
+      } else {
+        for (const item of page.results) {
+          results.push(item);
+        }
+      }
+      count = page.count;
+      next = page.next || null;
+
+      if (!next || page.results.length === 0 || stop) {
+        next = null;
+        break;
+      }
+
+      pageParams = { ...params, ...this.parseNextParams(next) };
+    }
+
+    const merged = {
+      count: count !== undefined ? count : records,
+      next,
+      previous: null,
+      results,
+      pages,
+      truncated: next !== null
+    };
+
+    return streaming ? { ...merged, records, streamed: true } : merged;
+  }
+
+  /**
+   * Extracts the query parameters of a DRF `next` link.
+   * 
+   * @static
+   * @param {string} next - Absolute or relative URL of the next page
+   * @returns {Object} Query parameters of the link
+   * 
+   * @example
+   * OperationBuilders.parseNextParams('https://wger.de/api/v2/workout/?limit=20&offset=40');
+   * // -> { limit: '20', offset: '40' }
+   */
+  static parseNextParams(next) {
+    const url = new URL(next, 'http://localhost');
+    return Object.fromEntries(url.searchParams.entries());
+  }
+
   /**
    * Creates a get-by-ID operation handler for fetching single resources.
    * Automatically replaces the {id} placeholder in the endpoint with the actual ID value.
@@ -156,7 +313,7 @@ class OperationBuilders {
    * );
    */
   static createOperation(endpoint, payloadTransformer = null, validationSchema = null) {
-    return async (client, payload) => {
+    return this.batchable(async (client, payload) => {
       // Apply validation if schema provided
       if (validationSchema) {
         payload = InputValidator.validatePayload(payload, validationSchema);
@@ -164,7 +321,7 @@ class OperationBuilders {
       
       const data = payloadTransformer ? payloadTransformer(payload) : payload;
       return await client.post(endpoint, data);
-    };
+    });
   }
 
   /**
@@ -198,7 +355,7 @@ class OperationBuilders {
    * );
    */
   static updateOperation(endpointTemplate, idField, method = 'patch', validationSchema = null) {
-    return async (client, payload) => {
+    return this.batchable(async (client, payload) => {
       // Apply validation if schema provided
       if (validationSchema) {
         payload = InputValidator.validatePayload(payload, validationSchema);
@@ -211,7 +368,7 @@ class OperationBuilders {
       delete updateData[idField];
       const endpoint = endpointTemplate.replace('{id}', payload[idField]);
       return await client[method](endpoint, updateData);
-    };
+    });
   }
 
   /**
@@ -234,7 +391,7 @@ class OperationBuilders {
    * // Makes DELETE request to: /api/v2/workout/123/
    */
   static deleteOperation(endpointTemplate, idField, validationSchema = null) {
-    return async (client, payload) => {
+    return this.batchable(async (client, payload) => {
       // Apply validation if schema provided
       if (validationSchema) {
         payload = InputValidator.validatePayload(payload, validationSchema);
@@ -245,9 +402,79 @@ class OperationBuilders {
       
       const endpoint = endpointTemplate.replace('{id}', payload[idField]);
       return await client.delete(endpoint);
+    });
+  }
+
+  /**
+   * Wraps a single-item handler so it also accepts an array payload.
+   * An array runs the handler once per item (see `runBatch`); any other payload
+   * is passed to the handler unchanged.
+   * 
+   * @static
+   * @param {Function} handler - Async handler `(client, payload)` for one item
+   * @returns {Function} Async operation handler `(client, payload, context)`
+   * 
+   * @example
+   * // Create three weight entries, two at a time
+   * await createWeightEntry(client, [entry1, entry2, entry3], { concurrency: 2 });
+   * // -> { batch: true, total: 3, succeeded: 3, failed: 0, results: [...] }
+   */
+  static batchable(handler) {
+    return async (client, payload, context = {}) => {
+      if (Array.isArray(payload)) {
+        return await this.runBatch(payload, item => handler(client, item), context);
+      }
+      return await handler(client, payload);
     };
   }
 
+  /**
+   * Runs a handler for every item of a batch with limited concurrency.
+   * Each item is validated and sent on its own, so an invalid or rejected item
+   * is reported in its result entry without aborting the rest of the batch.
+   * 
+   * @static
+   * @async
+   * @param {Array<Object>} items - Batch items
+   * @param {Function} handleItem - Async function called with each item
+   * @param {Object} [options={}] - Batch options
+   * @param {number} [options.concurrency] - Items processed in parallel (1-20, default `BATCH.DEFAULT_CONCURRENCY`)
+   * @returns {Promise<Object>} Report `{ batch: true, total, succeeded, failed, results }`, where
+   *   `results[i]` is `{ index, success: true, result }` or `{ index, success: false, error, status }`
+   * @throws {Error} If the batch has more than `BATCH.MAX_ITEMS` items or the concurrency is invalid
+   */
+  static async runBatch(items, handleItem, options = {}) {
+    if (items.length > BATCH.MAX_ITEMS) {
+      throw new Error(ERRORS.BATCH_TOO_LARGE.replace('{count}', items.length).replace('{max}', BATCH.MAX_ITEMS));
+    }
+    const { concurrency = BATCH.DEFAULT_CONCURRENCY } = InputValidator.validatePayload(
+      { concurrency: options.concurrency },
+      { concurrency: InputValidator.COMMON_SCHEMAS.concurrency }
+    );
+
+    const results = new Array(items.length);
+    let next = 0;
+
+    const worker = async () => {
+      while (next < items.length) {
+        const index = next++;
+        try {
+          results[index] = { index, success: true, result: await handleItem(items[index]) };
+        } catch (error) {
+          results[index] = { index, success: false, error: error.message };
+          if (error.status) {
+            results[index].status = error.status;
+          }
+        }
+      }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, worker));
+
+    const failed = results.filter(result => !result.success).length;
+    return { batch: true, total: items.length, succeeded: items.length - failed, failed, results };
+  }
+
   /**
    * Creates a custom operation handler with automatic validation.
    * Provides a wrapper around custom logic with built-in validation support.
@@ -257,6 +484,7 @@ class OperationBuilders {
    * @param {Function} handler - Custom async handler function
    * @param {WgerApiClient} handler.client - API client instance
    * @param {Object} handler.payload - Validated payload
+   * @param {Object} handler.context - Execution context (e.g. batch `concurrency`)
    * @param {Object|null} [validationSchema=null] - Full validation schema (overrides requiredFields)
    * @returns {Function} Async operation handler with validation
    * 
@@ -290,7 +518,7 @@ class OperationBuilders {
    * );
    */
   static customOperation(requiredFields, handler, validationSchema = null) {
-    return async (client, payload) => {
+    return async (client, payload, context = {}) => {
       // Apply validation if schema provided
       if (validationSchema) {
         payload = InputValidator.validatePayload(payload, validationSchema);
@@ -299,7 +527,7 @@ class OperationBuilders {
         BaseNodeHandler.validateRequired(payload, requiredFields);
       }
       
-      return await handler(client, payload);
+      return await handler(client, payload, context);
     };
   }
 
@@ -107,6 +107,8 @@ class OperationRegistry {
    * @param {string} operationName - Name of the operation to execute
    * @param {WgerApiClient} client - Initialized API client instance
    * @param {Object} payload - Operation payload data
+   * @param {Object} [context] - Optional execution context passed through to the handler
+   *   (e.g. `onPage` for streaming list operations)
    * @returns {Promise<*>} Operation result from the handler
    * @throws {Error} If operation is not registered
    * 
@@ -119,14 +121,14 @@ class OperationRegistry {
    *   console.error('Operation failed:', error.message);
    * }
    */
-  async execute(operationName, client, payload) {
+  async execute(operationName, client, payload, context) {
     const handler = this.operations.get(operationName);
     
     if (!handler) {
       throw new Error(`Invalid operation: ${operationName}`);
     }
 
-    return await handler(client, payload);
+    return await handler(client, payload, context);
   }
 
   /**
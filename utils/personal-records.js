@@ -0,0 +1,232 @@
+/**
+ * @fileoverview Personal records and estimated one-rep max from wger workout logs
+ * @module utils/personal-records
+ * @requires ./constants
+ * @requires ./unit-converter
+ * @version 1.0.0
+ * @author Node-RED wger contrib team
+ */
+
+const { WEIGHT_UNITS, PERSONAL_RECORDS } = require('./constants');
+const UnitConverter = require('./unit-converter');
+
+/**
+ * Workout log reduced to what records are kept for
+ * @typedef {Object} LoggedSet
+ * @property {number} [logId] - wger workout log id
+ * @property {number} exercise - Exercise base id
+ * @property {string} date - Log date
+ * @property {number} reps - Repetitions
+ * @property {number} weight - Weight in the record unit
+ */
+
+/**
+ * Records of one exercise
+ * @typedef {Object} ExerciseRecords
+ * @property {number} exercise - Exercise base id
+ * @property {number} sets - Number of logged sets the records are based on
+ * @property {Object} bestWeight - Heaviest set `{ weight, reps, date, logId }`
+ * @property {Object|null} oneRepMax - Set with the highest estimated one-rep max `{ value, weight, reps, date, logId }`
+ * @property {Array<Object>} repsByWeight - Most repetitions at each weight `{ weight, reps, date, logId }`, heaviest first
+ */
+
+/**
+ * Largest value of a list, or null for an empty one.
+ * @private
+ */
+const maxOf = values => (values.length > 0 ? Math.max(...values) : null);
+
+/**
+ * Computes personal records from workout logs: heaviest weight, most
+ * repetitions at each weight and the best estimated one-rep max per
+ * exercise. Logs in kg and lb are compared in one unit; logs with other
+ * weight or repetition units (plates, seconds, ...) are left out.
+ *
+ * @class PersonalRecords
+ * @example
+ * const records = PersonalRecords.calculate(logs, { unit: 'kg', formula: 'brzycki' });
+ * records[0].oneRepMax.value; // 105.88
+ */
+class PersonalRecords {
+  /**
+   * Estimates the one-rep max of a set.
+   *
+   * @static
+   * @param {number} weight - Weight lifted
+   * @param {number} reps - Repetitions
+   * @param {string} [formula='epley'] - One of `PERSONAL_RECORDS.FORMULAS`
+   * @returns {number|null} Estimate rounded to two decimals, null for sets above `MAX_ESTIMATE_REPS`
+   */
+  static estimateOneRepMax(weight, reps, formula = PERSONAL_RECORDS.DEFAULT_FORMULA) {
+    if (!(reps >= 1) || reps > PERSONAL_RECORDS.MAX_ESTIMATE_REPS) {
+      return null;
+    }
+    if (reps === 1) {
+      return weight;
+    }
+    const estimate = formula === PERSONAL_RECORDS.FORMULAS.BRZYCKI
+      ? weight * 36 / (37 - reps)
+      : weight * (1 + reps / 30);
+    return Math.round(estimate * 100) / 100;
+  }
+
+  /**
+   * Reads a workout log as a set in the given unit.
+   *
+   * @static
+   * @param {Object} log - wger workout log
+   * @param {string} [unit='kg'] - Unit to compare weights in
+   * @returns {LoggedSet|null} Set, or null for logs records are not kept for
+   */
+  static toSet(log, unit = WEIGHT_UNITS.KG) {
+    if (!log) {
+      return null;
+    }
+    const repetitionUnit = log.repetition_unit === undefined || log.repetition_unit === null
+      ? PERSONAL_RECORDS.REPETITION_UNIT_ID
+      : Number(log.repetition_unit);
+    const weightUnitId = log.weight_unit === undefined || log.weight_unit === null
+      ? WEIGHT_UNITS.LOG_UNIT_IDS[WEIGHT_UNITS.KG]
+      : Number(log.weight_unit);
+    const from = Object.keys(WEIGHT_UNITS.LOG_UNIT_IDS).find(name => WEIGHT_UNITS.LOG_UNIT_IDS[name] === weightUnitId);
+    const reps = Number(log.reps);
+    const weight = parseFloat(log.weight);
+    if (repetitionUnit !== PERSONAL_RECORDS.REPETITION_UNIT_ID || !from || !(reps >= 1) || !(weight >= 0)) {
+      return null;
+    }
+
+    return {
+      logId: log.id,
+      exercise: Number(log.exercise_base),
+      date: log.date,
+      reps,
+      weight: UnitConverter.convert(weight, from, unit)
+    };
+  }
+
+  /**
+   * Reads workout logs as sets, oldest first, so the first set to reach a
+   * record keeps it on ties.
+   *
+   * @static
+   * @param {Array<Object>} logs - wger workout logs
+   * @param {string} [unit='kg'] - Unit to compare weights in
+   * @returns {Array<LoggedSet>} Sets
+   */
+  static toSets(logs, unit = WEIGHT_UNITS.KG) {
+    return (logs || [])
+      .map(log => this.toSet(log, unit))
+      .filter(set => set !== null)
+      .sort((a, b) => String(a.date).localeCompare(String(b.date)) || (a.logId || 0) - (b.logId || 0));
+  }
+
+  /**
+   * Calculates the records of every exercise in the logs.
+   *
+   * @static
+   * @param {Array<Object>} logs - wger workout logs
+   * @param {Object} [options={}] - Calculation options
+   * @param {string} [options.unit='kg'] - Unit of the reported weights
+   * @param {string} [options.formula='epley'] - One-rep max formula
+   * @returns {Array<ExerciseRecords>} Records per exercise, by exercise id
+   */
+  static calculate(logs, options = {}) {
+    const byExercise = new Map();
+    this.toSets(logs, options.unit).forEach(set => {
+      if (!byExercise.has(set.exercise)) {
+        byExercise.set(set.exercise, []);
+      }
+      byExercise.get(set.exercise).push(set);
+    });
+
+    return Array.from(byExercise.keys())
+      .sort((a, b) => a - b)
+      .map(exercise => this.calculateExercise(exercise, byExercise.get(exercise), options.formula));
+  }
+
+  /**
+   * Calculates the records of one exercise.
+   * @private
+   * @static
+   * @param {number} exercise - Exercise base id
+   * @param {Array<LoggedSet>} sets - Sets of the exercise, oldest first
+   * @param {string} [formula] - One-rep max formula
+   * @returns {ExerciseRecords} Records
+   */
+  static calculateExercise(exercise, sets, formula) {
+    const describe = set => ({ weight: set.weight, reps: set.reps, date: set.date, logId: set.logId });
+    let bestWeight = null;
+    let oneRepMax = null;
+    const repsByWeight = new Map();
+
+    sets.forEach(set => {
+      if (!bestWeight || set.weight > bestWeight.weight) {
+        bestWeight = describe(set);
+      }
+      const estimate = this.estimateOneRepMax(set.weight, set.reps, formula);
+      if (estimate !== null && (!oneRepMax || estimate > oneRepMax.value)) {
+        oneRepMax = { value: estimate, ...describe(set) };
+      }
+      const atWeight = repsByWeight.get(set.weight);
+      if (!atWeight || set.reps > atWeight.reps) {
+        repsByWeight.set(set.weight, describe(set));
+      }
+    });
+
+    return {
+      exercise,
+      sets: sets.length,
+      bestWeight,
+      oneRepMax,
+      repsByWeight: Array.from(repsByWeight.values()).sort((a, b) => b.weight - a.weight)
+    };
+  }
+
+  /**
+   * Checks whether a log sets a record compared to the earlier logs of its
+   * exercise. A log is a repetition record when no other set at the same or
+   * a heavier weight had as many repetitions. The first log of an exercise
+   * sets no records, as there is nothing to compare it to.
+   *
+   * @static
+   * @param {Object} log - New wger workout log
+   * @param {Array<Object>} history - Logs of the exercise; the new log itself is ignored
+   * @param {Object} [options={}] - Options
+   * @param {string} [options.unit='kg'] - Unit of the reported weights
+   * @param {string} [options.formula='epley'] - One-rep max formula
+   * @returns {{isRecord: boolean, records: Array<Object>, set: LoggedSet|null, previousSets: number}} Result
+   */
+  static detect(log, history, options = {}) {
+    const set = this.toSet(log, options.unit);
+    if (!set) {
+      return { isRecord: false, records: [], set: null, previousSets: 0 };
+    }
+    const previous = this.toSets(history, options.unit)
+      .filter(other => other.exercise === set.exercise && (set.logId === undefined || other.logId !== set.logId));
+    const records = [];
+
+    if (previous.length > 0) {
+      const heaviest = maxOf(previous.map(other => other.weight));
+      if (set.weight > heaviest) {
+        records.push({ type: PERSONAL_RECORDS.TYPES.WEIGHT, value: set.weight, previous: heaviest });
+      }
+
+      const mostReps = maxOf(previous.filter(other => other.weight >= set.weight).map(other => other.reps));
+      if (mostReps !== null && set.reps > mostReps) {
+        records.push({ type: PERSONAL_RECORDS.TYPES.REPS, value: set.reps, weight: set.weight, previous: mostReps });
+      }
+
+      const estimate = this.estimateOneRepMax(set.weight, set.reps, options.formula);
+      const bestEstimate = maxOf(previous
+        .map(other => this.estimateOneRepMax(other.weight, other.reps, options.formula))
+        .filter(value => value !== null));
+      if (estimate !== null && (bestEstimate === null || estimate > bestEstimate)) {
+        records.push({ type: PERSONAL_RECORDS.TYPES.ONE_REP_MAX, value: estimate, previous: bestEstimate });
+      }
+    }
+
+    return { isRecord: records.length > 0, records, set, previousSets: previous.length };
+  }
+}
+
+module.exports = PersonalRecords;
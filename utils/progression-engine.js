@@ -0,0 +1,304 @@
+/**
+ * @fileoverview Next-session targets from set definitions and workout logs using progression schemes
+ * @module utils/progression-engine
+ * @requires ./constants
+ * @requires ./unit-converter
+ * @requires ./personal-records
+ * @version 1.0.0
+ * @author Node-RED wger contrib team
+ */
+
+const { WEIGHT_UNITS, PROGRESSION } = require('./constants');
+const UnitConverter = require('./unit-converter');
+const PersonalRecords = require('./personal-records');
+
+/**
+ * Planned or performed set
+ * @typedef {Object} SetTarget
+ * @property {number|null} reps - Repetitions
+ * @property {number|null} weight - Weight in the suggestion unit
+ * @property {number|null} rir - Repetitions in reserve
+ */
+
+/**
+ * Logged sets of one exercise on one date
+ * @typedef {Object} ExerciseSession
+ * @property {string} date - Log date
+ * @property {Array<SetTarget>} sets - Sets in logging order
+ */
+
+/**
+ * Rounds a weight to a multiple of the increment.
+ * @private
+ */
+const roundTo = (weight, increment) => Math.round(Math.round(weight / increment) * increment * 100) / 100;
+
+/**
+ * Adds two weights without floating point residue.
+ * @private
+ */
+const addWeight = (weight, change) => Math.round((weight + change) * 100) / 100;
+
+/**
+ * Parses an optional number, null when missing.
+ * @private
+ */
+const optionalNumber = (value) => {
+  const number = parseFloat(value);
+  return isNaN(number) ? null : number;
+};
+
+/**
+ * Best estimated one-rep max of a session, null when no set allows an estimate.
+ * @private
+ */
+const sessionOneRepMax = session => session.sets.reduce((best, set) => {
+  const estimate = PersonalRecords.estimateOneRepMax(set.weight, set.reps);
+  return estimate !== null && (best === null || estimate > best) ? estimate : best;
+}, null);
+
+/**
+ * Suggests the weight and repetitions of each set of an exercise's next
+ * session from its last sessions:
+ *
+ * - `linear`: the weight goes up by one increment once every set reached its
+ *   target repetitions, otherwise the session is repeated.
+ * - `double`: repetitions go up by one per session until every set reaches
+ *   the top of the range (target + `repRangeWidth`); then the weight goes up
+ *   and repetitions start at the target again.
+ * - `rir`: the weight of each set moves by `RIR_STEP_PERCENT` per repetition
+ *   in reserve the set was logged above or below the target RiR.
+ *
+ * An exercise whose best estimated one-rep max of the last `STALL_SESSIONS`
+ * sessions is no better than before is reported as stalled, with a deload
+ * suggestion instead.
+ *
+ * @class ProgressionEngine
+ * @example
+ * const sessions = ProgressionEngine.toSessions(logs, 'kg');
+ * const targets = ProgressionEngine.toTargets(set.obj, exercise.setting_obj_list, 'kg');
+ * ProgressionEngine.suggest(targets, sessions, { scheme: 'double', unit: 'kg' }).sets;
+ * // [{ set: 1, reps: 9, weight: 60, rir: 2, change: 'hold' }, ...]
+ */
+class ProgressionEngine {
+  /**
+   * Groups the workout logs of one exercise into sessions, newest first.
+   * Logs that records are not kept for (other units, no repetitions) are
+   * left out.
+   *
+   * @static
+   * @param {Array<Object>} logs - wger workout logs of the exercise
+   * @param {string} [unit='kg'] - Unit to read weights in
+   * @returns {Array<ExerciseSession>} Sessions
+   */
+  static toSessions(logs, unit = WEIGHT_UNITS.KG) {
+    const sessions = new Map();
+    (logs || [])
+      .map(log => {
+        const set = PersonalRecords.toSet(log, unit);
+        return set && { ...set, rir: optionalNumber(log.rir) };
+      })
+      .filter(Boolean)
+      .sort((a, b) => (a.logId || 0) - (b.logId || 0))
+      .forEach(set => {
+        const date = String(set.date).slice(0, 10);
+        if (!sessions.has(date)) {
+          sessions.set(date, { date, sets: [] });
+        }
+        sessions.get(date).sets.push({ reps: set.reps, weight: set.weight, rir: set.rir });
+      });
+
+    return Array.from(sessions.values()).sort((a, b) => b.date.localeCompare(a.date));
+  }
+
+  /**
+   * Reads the planned sets of an exercise from its set definition. A single
+   * setting applies to every set; several settings define one set each.
+   *
+   * @static
+   * @param {Object} set - wger set (`sets` is the number of sets)
+   * @param {Array<Object>} settings - wger settings of the exercise in the set
+   * @param {string} [unit='kg'] - Unit to read weights in
+   * @returns {Array<SetTarget>} Planned sets
+   */
+  static toTargets(set, settings, unit = WEIGHT_UNITS.KG) {
+    const targets = (settings || [])
+      .slice()
+      .sort((a, b) => (a.order || 0) - (b.order || 0))
+      .map(setting => {
+        const weightUnitId = setting.weight_unit === undefined || setting.weight_unit === null
+          ? WEIGHT_UNITS.LOG_UNIT_IDS[WEIGHT_UNITS.KG]
+          : Number(setting.weight_unit);
+        const from = Object.keys(WEIGHT_UNITS.LOG_UNIT_IDS).find(name => WEIGHT_UNITS.LOG_UNIT_IDS[name] === weightUnitId);
+        const weight = optionalNumber(setting.weight);
+        return {
+          reps: optionalNumber(setting.reps),
+          weight: from && weight !== null ? UnitConverter.convert(weight, from, unit) : null,
+          rir: optionalNumber(setting.rir)
+        };
+      });
+
+    if (targets.length === 1) {
+      return Array.from({ length: Math.max(1, Number(set && set.sets) || 1) }, () => ({ ...targets[0] }));
+    }
+    return targets;
+  }
+
+  /**
+   * Suggests the next session of an exercise.
+   *
+   * @static
+   * @param {Array<SetTarget>} targets - Planned sets
+   * @param {Array<ExerciseSession>} sessions - Logged sessions, newest first
+   * @param {Object} [options={}] - Options
+   * @param {string} [options.scheme='double'] - One of `PROGRESSION.SCHEMES`
+   * @param {string} [options.unit='kg'] - Weight unit
+   * @param {number} [options.increment] - Weight step, by default `PROGRESSION.INCREMENTS` of the unit
+   * @param {number} [options.repRangeWidth=4] - Width of the double progression range
+   * @param {number} [options.targetRir] - Target RiR of the `rir` scheme, overriding the sets' own
+   * @returns {{status: string, sets: Array<Object>, lastSession: ExerciseSession|null, stall: Object|null}} Suggestion
+   */
+  static suggest(targets, sessions, options = {}) {
+    const increment = options.increment || PROGRESSION.INCREMENTS[options.unit || WEIGHT_UNITS.KG];
+    const recent = (sessions || []).slice(0, PROGRESSION.LOOKBACK_SESSIONS);
+    const last = recent[0] || null;
+
+    if (!last) {
+      return {
+        status: PROGRESSION.STATUSES.NO_HISTORY,
+        sets: targets.map((target, index) => ({ set: index + 1, ...target, change: PROGRESSION.STATUSES.HOLD })),
+        lastSession: null,
+        stall: null
+      };
+    }
+
+    const performed = targets.map((target, index) => last.sets[index] || null);
+    const stall = this.detectStall(recent);
+    if (stall) {
+      return {
+        status: PROGRESSION.STATUSES.DELOAD,
+        sets: targets.map((target, index) => ({
+          set: index + 1,
+          reps: target.reps,
+          weight: roundTo(this.getWeight(performed, index, target) * (1 - PROGRESSION.DELOAD_PERCENT / 100), increment),
+          rir: target.rir,
+          change: PROGRESSION.STATUSES.DECREASE
+        })),
+        lastSession: last,
+        stall
+      };
+    }
+
+    const sets = this.applyScheme(options.scheme || PROGRESSION.DEFAULT_SCHEME, targets, performed, { ...options, increment });
+    const changes = sets.map(set => set.change);
+    const status = [PROGRESSION.STATUSES.INCREASE, PROGRESSION.STATUSES.DECREASE]
+      .find(change => changes.includes(change)) || PROGRESSION.STATUSES.HOLD;
+    return { status, sets, lastSession: last, stall: null };
+  }
+
+  /**
+   * Computes the next sets with a progression scheme.
+   * @private
+   * @static
+   */
+  static applyScheme(scheme, targets, performed, options) {
+    const { increment } = options;
+    const reached = (reps) => targets.every((target, index) =>
+      performed[index] !== null && (target.reps === null || performed[index].reps >= reps(target)));
+
+    if (scheme === PROGRESSION.SCHEMES.LINEAR) {
+      const increase = reached(target => target.reps);
+      return targets.map((target, index) => ({
+        set: index + 1,
+        reps: target.reps,
+        weight: addWeight(this.getWeight(performed, index, target), increase ? increment : 0),
+        rir: target.rir,
+        change: increase ? PROGRESSION.STATUSES.INCREASE : PROGRESSION.STATUSES.HOLD
+      }));
+    }
+
+    if (scheme === PROGRESSION.SCHEMES.RIR) {
+      return targets.map((target, index) => {
+        const targetRir = options.targetRir !== undefined ? options.targetRir
+          : target.rir !== null ? target.rir : PROGRESSION.DEFAULT_TARGET_RIR;
+        const weight = this.getWeight(performed, index, target);
+        const rir = performed[index] && performed[index].rir;
+        const offset = rir === null || rir === undefined ? 0 : rir - targetRir;
+        const adjusted = roundTo(weight * (1 + offset * PROGRESSION.RIR_STEP_PERCENT / 100), increment);
+        // A set off target always moves by at least one increment
+        const next = offset > 0 ? Math.max(adjusted, addWeight(weight, increment))
+          : offset < 0 ? Math.max(0, Math.min(adjusted, addWeight(weight, -increment))) : weight;
+        return {
+          set: index + 1,
+          reps: target.reps,
+          weight: next,
+          rir: targetRir,
+          change: offset > 0 ? PROGRESSION.STATUSES.INCREASE
+            : offset < 0 ? PROGRESSION.STATUSES.DECREASE : PROGRESSION.STATUSES.HOLD
+        };
+      });
+    }
+
+    const width = options.repRangeWidth || PROGRESSION.REP_RANGE_WIDTH;
+    const increase = reached(target => target.reps + width);
+    return targets.map((target, index) => {
+      const weight = this.getWeight(performed, index, target);
+      if (target.reps === null) {
+        return { set: index + 1, reps: null, weight, rir: target.rir, change: PROGRESSION.STATUSES.HOLD };
+      }
+      const lastReps = performed[index] ? performed[index].reps : target.reps - 1;
+      return {
+        set: index + 1,
+        reps: increase ? target.reps : Math.min(target.reps + width, Math.max(target.reps, lastReps + 1)),
+        weight: increase ? addWeight(weight, increment) : weight,
+        rir: target.rir,
+        change: increase ? PROGRESSION.STATUSES.INCREASE : PROGRESSION.STATUSES.HOLD
+      };
+    });
+  }
+
+  /**
+   * Weight a set was last done with: the logged set, else the heaviest
+   * logged set of the session, else the planned weight.
+   * @private
+   * @static
+   */
+  static getWeight(performed, index, target) {
+    if (performed[index]) {
+      return performed[index].weight;
+    }
+    const logged = performed.filter(Boolean).map(set => set.weight);
+    if (logged.length > 0) {
+      return Math.max(...logged);
+    }
+    return target.weight || 0;
+  }
+
+  /**
+   * Checks whether the last `STALL_SESSIONS` sessions failed to improve on
+   * the best estimated one-rep max of the sessions before them.
+   *
+   * @static
+   * @param {Array<ExerciseSession>} sessions - Sessions, newest first
+   * @returns {{sessions: number, best: number, recentBest: number, since: string}|null} Stall, or null
+   */
+  static detectStall(sessions) {
+    if (sessions.length <= PROGRESSION.STALL_SESSIONS) {
+      return null;
+    }
+    const recentBest = Math.max(...sessions.slice(0, PROGRESSION.STALL_SESSIONS).map(sessionOneRepMax).filter(value => value !== null));
+    const earlier = sessions.slice(PROGRESSION.STALL_SESSIONS)
+      .map(session => ({ date: session.date, value: sessionOneRepMax(session) }))
+      .filter(entry => entry.value !== null);
+    if (!isFinite(recentBest) || earlier.length === 0) {
+      return null;
+    }
+    const best = earlier.reduce((top, entry) => (entry.value > top.value ? entry : top));
+    if (recentBest > best.value) {
+      return null;
+    }
+    return { sessions: PROGRESSION.STALL_SESSIONS, best: best.value, recentBest, since: best.date };
+  }
+}
+
+module.exports = ProgressionEngine;
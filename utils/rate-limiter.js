@@ -0,0 +1,249 @@
+/**
+ * @fileoverview Client-side token bucket rate limiter for wger API requests
+ * @module utils/rate-limiter
+ * @version 1.0.0
+ * @author Node-RED wger contrib team
+ */
+
+const timeProviderFactory = require('./time-provider').default;
+
+/**
+ * Configuration options for the rate limiter.
+ *
+ * @typedef {Object} RateLimiterConfig
+ * @property {number} [requestsPerSecond=5] - Sustained request rate (tokens added per second)
+ * @property {number} [burst=10] - Bucket size, i.e. requests allowed back to back after an idle period
+ * @property {Object} [timeProvider] - Time provider for dependency injection (defaults to system time)
+ */
+
+/**
+ * Token bucket rate limiter with a FIFO wait queue.
+ *
+ * Each request takes one token. Tokens refill continuously at `requestsPerSecond`
+ * up to `burst`. Requests that find the bucket empty wait in order until a token
+ * is available. A server-side `Retry-After` can pause the whole bucket with
+ * `pause()`, so queued requests wait until the server accepts requests again.
+ *
+ * @class RateLimiter
+ * @example
+ * const limiter = new RateLimiter({ requestsPerSecond: 2, burst: 4 });
+ * await limiter.acquire(); // resolves once the request may be sent
+ *
+ * @example
+ * // Show the queue depth while requests wait
+ * const unsubscribe = limiter.onQueueChange(depth => console.log(`${depth} waiting`));
+ */
+class RateLimiter {
+  /**
+   * Creates a new RateLimiter instance.
+   *
+   * @constructor
+   * @param {RateLimiterConfig} [config={}] - Configuration options
+   */
+  constructor(config = {}) {
+    this.requestsPerSecond = config.requestsPerSecond > 0 ? config.requestsPerSecond : 5;
+    this.burst = config.burst >= 1 ? Math.floor(config.burst) : 10;
+    this.timeProvider = config.timeProvider || timeProviderFactory();
+
+    this.tokens = this.burst;
+    this.lastRefill = this.timeProvider.now();
+    this.pausedUntil = 0;
+    this._queue = [];
+    this._timerId = null;
+    this._listeners = new Set();
+  }
+
+  /**
+   * Waits until a request may be sent and takes a token for it.
+   *
+   * @returns {Promise<void>} Resolves when the request may proceed
+   * @throws {Error} If the limiter is disposed while the request is queued
+   */
+  acquire() {
+    if (this._queue.length === 0 && this._tryTake()) {
+      return Promise.resolve();
+    }
+
+    return new Promise((resolve, reject) => {
+      this._queue.push({ resolve, reject });
+      this._notify();
+      this._schedule();
+    });
+  }
+
+  /**
+   * Blocks all requests for the given time, e.g. after a 429 with `Retry-After`.
+   *
+   * @param {number} delayMs - Milliseconds to wait before sending again
+   */
+  pause(delayMs) {
+    this._refill();
+    this.pausedUntil = Math.max(this.pausedUntil, this.timeProvider.now() + delayMs);
+    // Start refilling only once the pause is over, so the bucket does not burst right after it
+    this.tokens = Math.min(this.tokens, 1);
+    this.lastRefill = this.pausedUntil;
+    this._reschedule();
+  }
+
+  /**
+   * Gets the number of requests waiting for a token.
+   *
+   * @returns {number} Queue depth
+   */
+  getQueueDepth() {
+    return this._queue.length;
+  }
+
+  /**
+   * Registers a listener called with the queue depth whenever it changes.
+   *
+   * @param {Function} listener - Callback receiving the current queue depth
+   * @returns {Function} Function that removes the listener
+   */
+  onQueueChange(listener) {
+    this._listeners.add(listener);
+    return () => this._listeners.delete(listener);
+  }
+
+  /**
+   * Rejects all queued requests and stops the refill timer.
+   *
+   * @param {Error} [error] - Error used to reject queued requests
+   */
+  dispose(error = new Error('Rate limiter disposed')) {
+    if (this._timerId !== null) {
+      this.timeProvider.clearTimeout(this._timerId);
+      this._timerId = null;
+    }
+    const queued = this._queue.splice(0);
+    queued.forEach(entry => entry.reject(error));
+    if (queued.length > 0) {
+      this._notify();
+    }
+    this._listeners.clear();
+  }
+
+  /**
+   * Adds the tokens earned since the last refill.
+   *
+   * @private
+   */
+  _refill() {
+    const now = this.timeProvider.now();
+    const elapsed = Math.max(0, now - this.lastRefill);
+    this.tokens = Math.min(this.burst, this.tokens + (elapsed * this.requestsPerSecond) / 1000);
+    this.lastRefill = now;
+  }
+
+  /**
+   * Takes a token if one is available and the limiter is not paused.
+   *
+   * @private
+   * @returns {boolean} True if a token was taken
+   */
+  _tryTake() {
+    if (this.timeProvider.now() < this.pausedUntil) {
+      return false;
+    }
+    this._refill();
+    if (this.tokens >= 1) {
+      this.tokens -= 1;
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Releases queued requests for which tokens are available.
+   *
+   * @private
+   */
+  _drain() {
+    this._timerId = null;
+    let released = false;
+
+    while (this._queue.length > 0 && this._tryTake()) {
+      this._queue.shift().resolve();
+      released = true;
+    }
+
+    if (released) {
+      this._notify();
+    }
+    this._schedule();
+  }
+
+  /**
+   * Starts a timer for the next token if requests are waiting.
+   *
+   * @private
+   */
+  _schedule() {
+    if (this._timerId !== null || this._queue.length === 0) {
+      return;
+    }
+
+    const now = this.timeProvider.now();
+    const waitMs = now < this.pausedUntil
+      ? this.pausedUntil - now
+      : Math.ceil(((1 - this.tokens) * 1000) / this.requestsPerSecond);
+
+    this._timerId = this.timeProvider.setTimeout(() => this._drain(), Math.max(waitMs, 1));
+  }
+
+  /**
+   * Replaces a pending timer, e.g. after the pause window changed.
+   *
+   * @private
+   */
+  _reschedule() {
+    if (this._timerId !== null) {
+      this.timeProvider.clearTimeout(this._timerId);
+      this._timerId = null;
+    }
+    this._schedule();
+  }
+
+  /**
+   * Notifies listeners of the current queue depth.
+   *
+   * @private
+   */
+  _notify() {
+    const depth = this._queue.length;
+    this._listeners.forEach(listener => listener(depth));
+  }
+}
+
+/**
+ * Parses a `Retry-After` header value (delay in seconds or an HTTP date).
+ *
+ * @param {string|null} value - Header value
+ * @param {number} now - Current timestamp in milliseconds
+ * @returns {number|null} Delay in milliseconds, or null if the header is missing or invalid
+ *
+ * @example
+ * parseRetryAfter('120', Date.now()); // 120000
+ * parseRetryAfter('Wed, 21 Oct 2026 07:28:00 GMT', Date.now());
+ */
+function parseRetryAfter(value, now) {
+  if (value === null || value === undefined || String(value).trim() === '') {
+    return null;
+  }
+
+  const text = String(value).trim();
+  if (/^\d+(\.\d+)?$/.test(text)) {
+    return Math.round(parseFloat(text) * 1000);
+  }
+
+  const date = Date.parse(text);
+  if (isNaN(date)) {
+    return null;
+  }
+  return Math.max(0, date - now);
+}
+
+module.exports = {
+  RateLimiter,
+  parseRetryAfter
+};
@@ -0,0 +1,235 @@
+/**
+ * @fileoverview HTTP response cache for GET requests with TTL, LRU eviction and ETag revalidation
+ * @module utils/response-cache
+ * @requires ./constants
+ * @version 1.0.0
+ * @author Node-RED wger contrib team
+ */
+
+const { createHash } = require('crypto');
+const { CACHE } = require('./constants');
+const timeProviderFactory = require('./time-provider').default;
+
+/**
+ * Cached response entry
+ * @typedef {Object} ResponseCacheEntry
+ * @property {*} data - Parsed response body
+ * @property {string|null} etag - ETag sent by the server, used for revalidation
+ * @property {string} path - Resource path the response belongs to (used for invalidation)
+ * @property {number} expiresAt - Timestamp after which the entry must be revalidated
+ */
+
+/**
+ * Response cache for GET requests to slowly changing wger endpoints.
+ *
+ * Only paths with a TTL in `CACHE.TTLS` are cached. Entries are keyed by auth
+ * identity, path and query, so different users never share responses. Expired
+ * entries with an ETag are kept for `If-None-Match` revalidation; a write to a
+ * resource path invalidates every cached response under its collection.
+ * The least recently used entry is evicted once `maxEntries` is reached.
+ *
+ * @class ResponseCache
+ * @example
+ * const cache = new ResponseCache();
+ * const key = cache.buildKey('token:abc', '/api/v2/muscle/', { limit: 20 });
+ * cache.set(key, '/api/v2/muscle/', responseData, '"etag-1"');
+ * cache.get(key); // { data, etag: '"etag-1"', fresh: true }
+ */
+class ResponseCache {
+  /**
+   * Creates a new ResponseCache instance
+   * @constructor
+   * @param {Object} [options={}] - Cache options
+   * @param {number} [options.maxEntries] - Maximum number of cached responses
+   * @param {Object<string, number>} [options.ttls] - TTL in milliseconds per endpoint path prefix
+   * @param {Object} [options.timeProvider] - Time provider for dependency injection
+   */
+  constructor(options = {}) {
+    this.maxEntries = options.maxEntries || CACHE.MAX_ENTRIES;
+    this.ttls = options.ttls || CACHE.TTLS;
+    this.timeProvider = options.timeProvider || timeProviderFactory();
+    this.cache = new Map();
+    this.stats = { hits: 0, misses: 0, revalidations: 0 };
+  }
+
+  /**
+   * Gets the TTL for a resource path, matching the longest configured prefix.
+   *
+   * @param {string} path - Resource path (e.g. '/api/v2/muscle/3/')
+   * @returns {number} TTL in milliseconds, 0 if the path is not cacheable
+   */
+  getTtl(path) {
+    const prefix = Object.keys(this.ttls)
+      .filter(candidate => path.startsWith(candidate))
+      .sort((a, b) => b.length - a.length)[0];
+    return prefix ? this.ttls[prefix] : 0;
+  }
+
+  /**
+   * Builds a cache key from auth identity, path and query parameters.
+   * Query parameters are sorted so equivalent requests share an entry.
+   *
+   * @param {string} identity - Auth identity (see `ResponseCache.identityFromHeader`)
+   * @param {string} path - Resource path
+   * @param {Object} [params] - Query parameters
+   * @returns {string} Cache key
+   */
+  buildKey(identity, path, params) {
+    const query = Object.entries(params || {})
+      .filter(([, value]) => value !== null && value !== undefined)
+      .map(([key, value]) => `${encodeURIComponent(key)}=${encodeURIComponent(String(value))}`)
+      .sort()
+      .join('&');
+    return `${identity}|${path}?${query}`;
+  }
+
+  /**
+   * Looks up a cached response.
+   *
+   * @param {string} key - Cache key
+   * @returns {{data: *, etag: (string|null), fresh: boolean}|null} Entry, or null on a miss.
+   *   Stale entries are only returned when they carry an ETag for revalidation.
+   */
+  get(key) {
+    const entry = this.cache.get(key);
+    if (!entry) {
+      this.stats.misses++;
+      return null;
+    }
+
+    const fresh = this.timeProvider.now() < entry.expiresAt;
+    if (!fresh && !entry.etag) {
+      this.cache.delete(key);
+      this.stats.misses++;
+      return null;
+    }
+
+    // Re-insert to mark the entry as most recently used
+    this.cache.delete(key);
+    this.cache.set(key, entry);
+
+    if (fresh) {
+      this.stats.hits++;
+    }
+    return { data: structuredClone(entry.data), etag: entry.etag, fresh };
+  }
+
+  /**
+   * Stores a response, evicting the least recently used entry when full.
+   *
+   * @param {string} key - Cache key
+   * @param {string} path - Resource path
+   * @param {*} data - Parsed response body
+   * @param {string|null} [etag=null] - ETag response header
+   */
+  set(key, path, data, etag = null) {
+    const ttl = this.getTtl(path);
+    if (ttl <= 0) {
+      return;
+    }
+
+    this.cache.delete(key);
+    if (this.cache.size >= this.maxEntries) {
+      const oldestKey = this.cache.keys().next().value;
+      this.cache.delete(oldestKey);
+    }
+
+    this.cache.set(key, {
+      data: structuredClone(data),
+      etag: etag || null,
+      path,
+      expiresAt: this.timeProvider.now() + ttl
+    });
+  }
+
+  /**
+   * Renews an entry after the server answered `304 Not Modified`.
+   *
+   * @param {string} key - Cache key
+   * @returns {*} The cached data, or undefined if the entry is gone
+   */
+  revalidate(key) {
+    const entry = this.cache.get(key);
+    if (!entry) {
+      return undefined;
+    }
+
+    entry.expiresAt = this.timeProvider.now() + this.getTtl(entry.path);
+    this.stats.revalidations++;
+    return structuredClone(entry.data);
+  }
+
+  /**
+   * Invalidates all responses under the collection of a written resource path.
+   * A write to '/api/v2/equipment/4/' drops '/api/v2/equipment/' listings and
+   * every '/api/v2/equipment/...' detail response, for all identities.
+   *
+   * @param {string} path - Path of the resource that was written
+   * @returns {number} Number of entries removed
+   */
+  invalidatePath(path) {
+    const collection = ResponseCache.getCollectionPath(path);
+    let removed = 0;
+
+    for (const [key, entry] of this.cache.entries()) {
+      if (entry.path.startsWith(collection)) {
+        this.cache.delete(key);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  /**
+   * Clears all cached responses.
+   */
+  clear() {
+    this.cache.clear();
+  }
+
+  /**
+   * Gets cache statistics.
+   *
+   * @returns {Object} Size and hit/miss/revalidation counters
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      size: this.cache.size,
+      maxEntries: this.maxEntries
+    };
+  }
+
+  /**
+   * Gets the collection path of a resource path by dropping a trailing id segment.
+   *
+   * @static
+   * @param {string} path - Resource path
+   * @returns {string} Collection path with trailing slash
+   * @example
+   * ResponseCache.getCollectionPath('/api/v2/muscle/3/'); // '/api/v2/muscle/'
+   */
+  static getCollectionPath(path) {
+    const segments = path.split('?')[0].split('/').filter(Boolean);
+    const idIndex = segments.findIndex((segment, index) => index > 1 && /^\d+$/.test(segment));
+    const kept = idIndex === -1 ? segments : segments.slice(0, idIndex);
+    return `/${kept.join('/')}/`;
+  }
+
+  /**
+   * Derives a cache identity from auth headers without keeping the secret itself.
+   *
+   * @static
+   * @param {Object} [authHeader] - Authentication headers
+   * @returns {string} Identity string ('anonymous' without credentials)
+   */
+  static identityFromHeader(authHeader) {
+    const value = authHeader && authHeader.Authorization;
+    if (!value) {
+      return 'anonymous';
+    }
+    return createHash('sha256').update(value).digest('hex').substring(0, 16);
+  }
+}
+
+module.exports = ResponseCache;
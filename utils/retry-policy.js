@@ -5,7 +5,7 @@
  * @author Node-RED wger contrib team
  */
 
-const { handleWhen, retry, ExponentialBackoff } = require('cockatiel');
+const { handleWhen, retry, ExponentialBackoff, DelegateBackoff } = require('cockatiel');
 const timeProviderFactory = require('./time-provider').default;
 const randomProviderFactory = require('./random-provider').default;
 
@@ -103,13 +103,21 @@ class RetryPolicy {
    * @private
    */
   _createCockatielPolicy() {
-    const backoff = new ExponentialBackoff({
+    const exponential = new ExponentialBackoff({
       initialDelay: this.baseDelayMs,
       maxDelay: this.maxDelayMs,
       exponent: 2,
       jitter: this.jitterRatio
     });
 
+    // Wait as long as the server asked for via Retry-After, otherwise back off exponentially
+    const backoff = new DelegateBackoff((context, state) => {
+      const next = state ? state.next(context) : exponential.next(context);
+      const error = context.result && context.result.error;
+      const retryAfterMs = error && typeof error.retryAfterMs === 'number' ? error.retryAfterMs : null;
+      return { delay: retryAfterMs !== null ? retryAfterMs : next.duration, state: next };
+    });
+
     // Create retry policy with error filtering
     this._policy = retry(
       handleWhen(error => this._shouldRetryError(error)), 
@@ -131,7 +139,11 @@ class RetryPolicy {
     // Check for HTTP response errors with retryable status codes
     const statusCode = error.status || (error.response && error.response.status);
     if (statusCode && typeof statusCode === 'number') {
-      return this.retryableStatusCodes.includes(statusCode);
+      if (!this.retryableStatusCodes.includes(statusCode)) {
+        return false;
+      }
+      // Give up instead of retrying early when the server asks to wait longer than maxDelayMs
+      return !(typeof error.retryAfterMs === 'number' && error.retryAfterMs > this.maxDelayMs);
     }
 
     // Check for network/connection errors
@@ -189,14 +201,20 @@ class RetryPolicy {
   /**
    * Calculates the delay before the next retry attempt using exponential backoff with jitter.
    * Maintained for backward compatibility - now uses Cockatiel's backoff calculation.
+   * A `retryAfterMs` on the error (from a `Retry-After` header) takes precedence.
    * 
    * @param {number} attemptNumber - Current attempt number (1-based)
+   * @param {Error} [error] - The error that triggered the retry
    * @returns {number} Delay in milliseconds before next retry
    * 
    * @example
    * const delay = policy.getRetryDelay(2); // Returns ~2000ms with jitter for second retry
    */
-  getRetryDelay(attemptNumber) {
+  getRetryDelay(attemptNumber, error) {
+    if (error && typeof error.retryAfterMs === 'number') {
+      return error.retryAfterMs;
+    }
+
     // Calculate exponential backoff: baseDelay * 2^(attemptNumber-1)
     const exponentialDelay = this.baseDelayMs * Math.pow(2, attemptNumber - 1);
     
@@ -0,0 +1,83 @@
+/**
+ * @fileoverview Records objects created by multi-step operations so they can be deleted again on failure
+ * @module utils/rollback-journal
+ * @version 1.0.0
+ * @author Node-RED wger contrib team
+ */
+
+/**
+ * Result of a rollback
+ * @typedef {Object} RollbackReport
+ * @property {number} deleted - Number of created objects deleted again
+ * @property {Array<{endpoint: string, id: number, error: string}>} failed - Objects that could not be deleted
+ */
+
+/**
+ * Journal of the objects a multi-step operation created. When a later step
+ * fails, `rollback` deletes them again, newest first, so children are removed
+ * before their parents.
+ *
+ * @class RollbackJournal
+ * @example
+ * const journal = new RollbackJournal();
+ * try {
+ *   const workout = journal.track(client, API.ENDPOINTS.WORKOUT_BY_ID, await client.post(API.ENDPOINTS.WORKOUTS, data));
+ *   // ... further steps
+ * } catch (error) {
+ *   const { deleted, failed } = await journal.rollback();
+ *   // ... report the rollback with the error
+ * }
+ */
+class RollbackJournal {
+  constructor() {
+    this.entries = [];
+  }
+
+  /**
+   * Records a created object.
+   *
+   * @param {WgerApiClient} client - Client the object was created with
+   * @param {string} endpoint - Endpoint template of the object with an `{id}` placeholder
+   * @param {Object} created - Created object as returned by the API
+   * @returns {Object} The created object
+   */
+  track(client, endpoint, created) {
+    if (created && created.id !== undefined && created.id !== null) {
+      this.entries.push({ client, endpoint, id: created.id });
+    }
+    return created;
+  }
+
+  /**
+   * Number of recorded objects.
+   * @type {number}
+   */
+  get size() {
+    return this.entries.length;
+  }
+
+  /**
+   * Deletes the recorded objects, newest first. Objects that cannot be
+   * deleted are reported instead of stopping the rollback.
+   *
+   * @async
+   * @returns {Promise<RollbackReport>} Rollback result
+   */
+  async rollback() {
+    const report = { deleted: 0, failed: [] };
+    const entries = this.entries.reverse();
+    this.entries = [];
+
+    for (const { client, endpoint, id } of entries) {
+      try {
+        await client.delete(endpoint.replace('{id}', id));
+        report.deleted++;
+      } catch (error) {
+        report.failed.push({ endpoint, id, error: error.message });
+      }
+    }
+    return report;
+  }
+}
+
+module.exports = RollbackJournal;
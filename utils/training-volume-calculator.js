@@ -0,0 +1,182 @@
+/**
+ * @fileoverview Weekly training volume per muscle group and exercise category from wger workout logs
+ * @module utils/training-volume-calculator
+ * @requires ./constants
+ * @requires ./calendar
+ * @requires ./unit-converter
+ * @version 1.0.0
+ * @author Node-RED wger contrib team
+ */
+
+const { WEIGHT_UNITS, WORKOUT_PLAN, PERSONAL_RECORDS, TRAINING_VOLUME } = require('./constants');
+const Calendar = require('./calendar');
+const UnitConverter = require('./unit-converter');
+
+/**
+ * Volume of a group of sets
+ * @typedef {Object} Volume
+ * @property {number} sets - Logged sets
+ * @property {number} hardSets - Sets close to failure (see `TRAINING_VOLUME.HARD_SET_MAX_RIR`)
+ * @property {number} reps - Repetitions
+ * @property {number} tonnage - Sum of weight × repetitions
+ */
+
+/**
+ * Adds a set to a volume.
+ * @private
+ */
+const addSet = (volume, set) => {
+  volume.sets++;
+  volume.hardSets += set.hard ? 1 : 0;
+  volume.reps += set.reps;
+  volume.tonnage = Math.round((volume.tonnage + set.tonnage) * 100) / 100;
+};
+
+/**
+ * Creates an empty volume.
+ * @private
+ */
+const emptyVolume = () => ({ sets: 0, hardSets: 0, reps: 0, tonnage: 0 });
+
+/**
+ * Adds a set to the volume of a named group.
+ * @private
+ */
+const addToGroup = (groups, name, set) => {
+  if (!groups.has(name)) {
+    groups.set(name, emptyVolume());
+  }
+  addSet(groups.get(name), set);
+};
+
+/**
+ * Lists named volumes, most hard sets first.
+ * @private
+ */
+const listGroups = (groups, field) => Array.from(groups.entries())
+  .map(([name, volume]) => ({ [field]: name, ...volume }))
+  .sort((a, b) => b.hardSets - a.hardSets || b.sets - a.sets || String(a[field]).localeCompare(String(b[field])));
+
+/**
+ * Sums workout logs into weekly volume per primary and secondary muscle and
+ * per exercise category. Every set counts fully for each of its exercise's
+ * muscles, so the muscle lists add up to more than the weekly totals.
+ *
+ * @class TrainingVolumeCalculator
+ * @example
+ * const report = TrainingVolumeCalculator.calculate(logs, exercises, { unit: 'kg', timeZone: 'Europe/Berlin' });
+ * report.weeks[0].muscles.primary[0]; // { muscle: 'Pectoralis major', sets: 12, hardSets: 9, reps: 96, tonnage: 5760 }
+ */
+class TrainingVolumeCalculator {
+  /**
+   * Reduces exercise base info from wger to the metadata used for volume.
+   *
+   * @static
+   * @param {Object} exercise - Exercise base info (`getExercise`)
+   * @returns {ExerciseMetadata} Metadata
+   */
+  static toMetadata(exercise) {
+    const muscleName = muscle => muscle.name_en || muscle.name;
+    const translations = exercise.exercises || exercise.translations || [];
+    const translation = translations.find(candidate => candidate.language === WORKOUT_PLAN.NAME_LANGUAGE) || translations[0];
+    return {
+      id: exercise.id,
+      name: exercise.name || (translation && translation.name) || null,
+      category: exercise.category && typeof exercise.category === 'object' ? exercise.category.name : null,
+      muscles: (exercise.muscles || []).map(muscleName).filter(Boolean),
+      musclesSecondary: (exercise.muscles_secondary || []).map(muscleName).filter(Boolean)
+    };
+  }
+
+  /**
+   * Reads a workout log as a set. Repetitions are only counted for logs in
+   * plain repetitions, tonnage only for weights in kg or lb. Sets without a
+   * repetitions in reserve value count as hard sets.
+   *
+   * @static
+   * @param {Object} log - wger workout log
+   * @param {Object} [options={}] - Options
+   * @param {string} [options.unit='kg'] - Tonnage unit
+   * @param {number} [options.hardSetMaxRir] - Highest RIR of a hard set
+   * @returns {{exercise: number, date: string, reps: number, tonnage: number, hard: boolean}} Set
+   */
+  static toSet(log, options = {}) {
+    const maxRir = options.hardSetMaxRir === undefined ? TRAINING_VOLUME.HARD_SET_MAX_RIR : options.hardSetMaxRir;
+    const inReps = log.repetition_unit === undefined || log.repetition_unit === null ||
+      Number(log.repetition_unit) === PERSONAL_RECORDS.REPETITION_UNIT_ID;
+    const weightUnitId = log.weight_unit === undefined || log.weight_unit === null
+      ? WEIGHT_UNITS.LOG_UNIT_IDS[WEIGHT_UNITS.KG]
+      : Number(log.weight_unit);
+    const from = Object.keys(WEIGHT_UNITS.LOG_UNIT_IDS).find(name => WEIGHT_UNITS.LOG_UNIT_IDS[name] === weightUnitId);
+    const reps = inReps && Number(log.reps) > 0 ? Number(log.reps) : 0;
+    const weight = from ? parseFloat(log.weight) : NaN;
+    const rir = parseFloat(log.rir);
+
+    return {
+      exercise: Number(log.exercise_base),
+      date: log.date,
+      reps,
+      tonnage: weight > 0 ? UnitConverter.convert(weight * reps, from, options.unit || WEIGHT_UNITS.KG) : 0,
+      hard: isNaN(rir) || rir <= maxRir
+    };
+  }
+
+  /**
+   * Calculates weekly volume.
+   *
+   * @static
+   * @param {Array<Object>} logs - wger workout logs
+   * @param {Map<number, ExerciseMetadata>} exercises - Metadata by exercise id; exercises without
+   *   metadata count towards the totals and the `Unknown` category only
+   * @param {Object} [options={}] - Options
+   * @param {string} [options.unit='kg'] - Tonnage unit
+   * @param {number} [options.hardSetMaxRir=3] - Highest RIR of a hard set
+   * @param {string} [options.timeZone] - Time zone the weeks are determined in
+   * @param {number} [options.weekStart=1] - First day of the week, 0 (Sunday) to 6 (Saturday)
+   * @returns {{totals: Volume, weeks: Array<Object>}} Totals and weeks, oldest first
+   */
+  static calculate(logs, exercises, options = {}) {
+    const totals = emptyVolume();
+    const weeks = new Map();
+
+    (logs || []).forEach(log => {
+      const date = Calendar.toLocalDate(log.date, options.timeZone);
+      if (typeof date !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+        return;
+      }
+      const set = this.toSet(log, options);
+      const { key, start } = Calendar.getWeek(date, options.weekStart);
+      if (!weeks.has(key)) {
+        weeks.set(key, { week: key, startDate: start, totals: emptyVolume(), primary: new Map(), secondary: new Map(), categories: new Map() });
+      }
+      const week = weeks.get(key);
+      const exercise = exercises.get(set.exercise);
+
+      addSet(totals, set);
+      addSet(week.totals, set);
+      addToGroup(week.categories, (exercise && exercise.category) || TRAINING_VOLUME.UNKNOWN_CATEGORY, set);
+      if (exercise) {
+        exercise.muscles.forEach(muscle => addToGroup(week.primary, muscle, set));
+        exercise.musclesSecondary.forEach(muscle => addToGroup(week.secondary, muscle, set));
+      }
+    });
+
+    return {
+      totals,
+      weeks: Array.from(weeks.values())
+        .sort((a, b) => a.startDate.localeCompare(b.startDate))
+        .map(week => ({
+          week: week.week,
+          startDate: week.startDate,
+          totals: week.totals,
+          muscles: {
+            primary: listGroups(week.primary, 'muscle'),
+            secondary: listGroups(week.secondary, 'muscle')
+          },
+          categories: listGroups(week.categories, 'category')
+        }))
+    };
+  }
+}
+
+module.exports = TrainingVolumeCalculator;
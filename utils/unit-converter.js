@@ -0,0 +1,247 @@
+/**
+ * @fileoverview Weight unit parsing and conversion for node payloads and results
+ * @module utils/unit-converter
+ * @requires ./constants
+ * @version 1.0.0
+ * @author Node-RED wger contrib team
+ */
+
+const { WEIGHT_UNITS, UNITS, ERRORS } = require('./constants');
+
+/**
+ * Value with an explicit unit, accepted wherever a weight or amount is expected
+ * @typedef {Object} UnitValue
+ * @property {number|string} value - Amount in `unit`
+ * @property {string} unit - Unit name or alias (e.g. 'lb', 'lbs', 'kg', 'g', 'oz')
+ */
+
+/**
+ * Grams per unit
+ * @private
+ */
+const GRAMS = {
+  [WEIGHT_UNITS.G]: 1,
+  [WEIGHT_UNITS.KG]: 1000,
+  [WEIGHT_UNITS.LB]: WEIGHT_UNITS.KG_PER_LB * 1000,
+  [WEIGHT_UNITS.OZ]: WEIGHT_UNITS.G_PER_OZ
+};
+
+/**
+ * Accepted spellings of units, in lower case
+ * @private
+ */
+const UNIT_ALIASES = {
+  kg: WEIGHT_UNITS.KG,
+  kgs: WEIGHT_UNITS.KG,
+  kilogram: WEIGHT_UNITS.KG,
+  kilograms: WEIGHT_UNITS.KG,
+  lb: WEIGHT_UNITS.LB,
+  lbs: WEIGHT_UNITS.LB,
+  pound: WEIGHT_UNITS.LB,
+  pounds: WEIGHT_UNITS.LB,
+  g: WEIGHT_UNITS.G,
+  gram: WEIGHT_UNITS.G,
+  grams: WEIGHT_UNITS.G,
+  oz: WEIGHT_UNITS.OZ,
+  ounce: WEIGHT_UNITS.OZ,
+  ounces: WEIGHT_UNITS.OZ
+};
+
+/**
+ * Converts weights between kilograms, pounds, grams and ounces, and applies the
+ * unit rules of `UNITS.FIELDS` to operation payloads.
+ *
+ * @class UnitConverter
+ * @example
+ * UnitConverter.convert(180, 'lb', 'kg'); // 81.65
+ *
+ * const payload = UnitConverter.convertPayload(
+ *   { weight: { value: 180, unit: 'lb' }, date: '2024-03-01' },
+ *   { weight: 'account' },
+ *   'kg'
+ * );
+ * // payload -> { weight: 81.65, date: '2024-03-01' }
+ */
+class UnitConverter {
+  /**
+   * Normalizes a unit name.
+   *
+   * @static
+   * @param {string} value - Unit name or alias (e.g. 'lbs', 'Kilograms')
+   * @returns {string} One of `WEIGHT_UNITS.KG`, `LB`, `G` or `OZ`
+   * @throws {Error} If the unit is unknown
+   */
+  static parseUnit(value) {
+    const unit = UNIT_ALIASES[String(value).trim().toLowerCase()];
+    if (!unit) {
+      throw new Error(ERRORS.UNKNOWN_UNIT.replace('{unit}', value));
+    }
+    return unit;
+  }
+
+  /**
+   * Converts an amount between units.
+   *
+   * @static
+   * @param {number} value - Amount in `from`
+   * @param {string} from - Unit of the amount
+   * @param {string} to - Unit to convert to
+   * @returns {number} Amount in `to`, rounded to two decimals
+   */
+  static convert(value, from, to) {
+    const source = this.parseUnit(from);
+    const target = this.parseUnit(to);
+    if (source === target) {
+      return value;
+    }
+    return Math.round(value * GRAMS[source] / GRAMS[target] * 100) / 100;
+  }
+
+  /**
+   * Checks whether a payload value is a `{ value, unit }` object.
+   *
+   * @static
+   * @param {*} input - Payload value
+   * @returns {boolean} True for unit values
+   */
+  static isUnitValue(input) {
+    return input !== null && typeof input === 'object' && !Array.isArray(input) &&
+      input.value !== undefined && input.unit !== undefined;
+  }
+
+  /**
+   * Reads a payload value in the given unit. Plain numbers are taken to be in
+   * that unit already and are returned unchanged, as is anything that is not
+   * a unit value, so validation can report it.
+   *
+   * @static
+   * @param {number|UnitValue|*} input - Payload value
+   * @param {string} unit - Unit the value is needed in
+   * @param {string} [field='value'] - Field name for error messages
+   * @returns {number|*} Value in `unit`
+   * @throws {Error} If a unit value has a non-numeric value or an unknown unit
+   */
+  static readValue(input, unit, field = 'value') {
+    if (!this.isUnitValue(input)) {
+      return input;
+    }
+    const amount = typeof input.value === 'string' ? parseFloat(input.value.replace(',', '.')) : input.value;
+    if (typeof amount !== 'number' || !isFinite(amount)) {
+      throw new Error(`Invalid ${field}: ${input.value}`);
+    }
+    return this.convert(amount, input.unit, unit);
+  }
+
+  /**
+   * Converts the unit fields of an operation payload. Array payloads (batches)
+   * are converted item by item. The payload is not modified.
+   *
+   * Workout logs carry their own unit: weights are converted to the unit of the
+   * log's `weight_unit` id, or to the account unit, whose id is then set on
+   * the log. Food amounts are converted to grams and cannot be combined with
+   * a portion (`weight_unit`).
+   *
+   * @static
+   * @param {Object|Array<Object>} payload - Operation payload
+   * @param {Object<string, string>} fields - Target unit per field (see `UNITS.FIELDS`)
+   * @param {string} [accountUnit='kg'] - The account's weight unit
+   * @returns {Object|Array<Object>} Converted payload
+   * @throws {Error} If a unit value cannot be read
+   */
+  static convertPayload(payload, fields, accountUnit = WEIGHT_UNITS.KG) {
+    if (Array.isArray(payload)) {
+      return payload.map(item => this.convertPayload(item, fields, accountUnit));
+    }
+    if (payload === null || typeof payload !== 'object') {
+      return payload;
+    }
+
+    const converted = { ...payload };
+    Object.entries(fields).forEach(([field, target]) => {
+      if (converted[field] === undefined) {
+        return;
+      }
+
+      if (target === UNITS.TARGETS.WORKOUT_LOG) {
+        const unitIds = WEIGHT_UNITS.LOG_UNIT_IDS;
+        const logUnit = Object.keys(unitIds).find(unit => unitIds[unit] === converted.weight_unit);
+        if (!logUnit) {
+          converted.weight_unit = unitIds[accountUnit];
+        }
+        converted[field] = this.readValue(converted[field], logUnit || accountUnit, field);
+        return;
+      }
+
+      if (target === UNITS.TARGETS.ACCOUNT) {
+        converted[field] = this.readValue(converted[field], accountUnit, field);
+        return;
+      }
+
+      if (this.isUnitValue(converted[field]) && converted.weight_unit !== undefined) {
+        throw new Error(ERRORS.UNIT_WITH_PORTION);
+      }
+      converted[field] = this.readValue(converted[field], target, field);
+    });
+    return converted;
+  }
+
+  /**
+   * Resolves the target units of an operation's unit fields, as reported in `msg.units`.
+   * Workout log weights are in the unit of each log's `weight_unit`, so for a
+   * batch of logs the units are listed per log.
+   *
+   * @static
+   * @param {Object<string, string>} fields - Target unit per field (see `UNITS.FIELDS`)
+   * @param {string} [accountUnit='kg'] - The account's weight unit
+   * @param {Object|Array<Object>} [payload] - Converted payload, read for the logs' `weight_unit`
+   * @returns {Object<string, string>|Array<Object<string, string>>} Unit per field, per log for a batch of logs
+   */
+  static describeUnits(fields, accountUnit = WEIGHT_UNITS.KG, payload = {}) {
+    const perLog = Object.values(fields).includes(UNITS.TARGETS.WORKOUT_LOG);
+    if (Array.isArray(payload)) {
+      return perLog
+        ? payload.map(item => this.describeUnits(fields, accountUnit, item))
+        : this.describeUnits(fields, accountUnit);
+    }
+
+    const unitIds = WEIGHT_UNITS.LOG_UNIT_IDS;
+    const logUnit = perLog && payload && typeof payload === 'object'
+      ? Object.keys(unitIds).find(unit => unitIds[unit] === payload.weight_unit)
+      : undefined;
+    const units = {};
+    Object.entries(fields).forEach(([field, target]) => {
+      if (target === UNITS.TARGETS.WORKOUT_LOG) {
+        units[field] = logUnit || accountUnit;
+      } else {
+        units[field] = target === UNITS.TARGETS.ACCOUNT ? accountUnit : target;
+      }
+    });
+    return units;
+  }
+
+  /**
+   * Reads the weight unit from a wger settings or profile record.
+   *
+   * @static
+   * @param {Object} [record] - Settings or profile record
+   * @returns {string|null} `WEIGHT_UNITS.KG` or `WEIGHT_UNITS.LB`, null if the record names none
+   */
+  static accountUnitFrom(record) {
+    if (!record || typeof record !== 'object') {
+      return null;
+    }
+    for (const field of UNITS.ACCOUNT_FIELDS) {
+      const value = record[field];
+      if (typeof value !== 'string') {
+        continue;
+      }
+      const unit = UNITS.PREFERENCES[value.toLowerCase()] || UNIT_ALIASES[value.trim().toLowerCase()];
+      if (unit === WEIGHT_UNITS.KG || unit === WEIGHT_UNITS.LB) {
+        return unit;
+      }
+    }
+    return null;
+  }
+}
+
+module.exports = UnitConverter;
@@ -2,11 +2,13 @@
  * @fileoverview Validation schemas for all wger node operations
  * @module utils/validation-schemas
  * @requires ./input-validator
+ * @requires ./constants
  * @version 1.0.0
  * @author Node-RED wger contrib team
  */
 
 const InputValidator = require('./input-validator');
+const { IMPORT, EXPORT, WORKOUT_PLAN, SESSION_LOG, PERSONAL_RECORDS, TRAINING_VOLUME, PROGRESSION, WEIGHT_UNITS, WEIGHT_OUTLIERS, BODY_COMPOSITION } = require('./constants');
 
 /**
  * Shorthand references for cleaner schema definitions
@@ -124,6 +126,17 @@ const exerciseSchemas = {
  * @property {Object} deleteWorkout - Schema for deleting workout
  * @property {Object} getWorkoutCanonical - Schema for fetching workout canonical representation
  * @property {Object} getWorkoutLogData - Schema for fetching workout log data
+ * @property {Object} cloneWorkout - Schema for copying a workout with its days, sets and settings
+ * @property {Object} exportWorkout - Schema for exporting a workout as a portable plan
+ * @property {Object} importWorkout - Schema for creating a workout from a portable plan
+ * @property {Object} logSession - Schema for logging a workout session with its set results in one step
+ * @property {Object} getPersonalRecords - Schema for calculating personal records from workout logs
+ * @property {Object} detectNewRecords - Schema for checking a new workout log for personal records
+ * @property {Object} getTrainingVolume - Schema for weekly training volume per muscle group
+ * @property {Object} suggestNextSession - Schema for next-session targets of a workout day
+ * @property {Object} exportScheduleIcs - Schema for exporting a schedule as iCalendar feed
+ * @property {Object} getScheduleFeedUrl - Schema for the token-protected feed address of a schedule
+ * @property {Object} importScheduleIcs - Schema for creating schedule steps from iCalendar events
  * @property {Object} listDays - Schema for listing workout days
  * @property {Object} createDay - Schema for creating workout day
  * @property {Object} updateDay - Schema for updating workout day
@@ -167,6 +180,54 @@ const workoutSchemas = {
     workoutId: COMMON.id
   },
 
+  cloneWorkout: {
+    workoutId: COMMON.id,
+    name: {
+      type: TYPES.STRING,
+      required: false,
+      minLength: 1,
+      maxLength: 200,
+      sanitize: true
+    },
+    targetServer: {
+      type: TYPES.STRING,
+      required: false,
+      minLength: 1,
+      maxLength: 100
+    }
+  },
+
+  exportWorkout: {
+    workoutId: COMMON.id,
+    format: {
+      type: TYPES.STRING,
+      required: false,
+      default: WORKOUT_PLAN.FORMATS.JSON,
+      enum: Object.values(WORKOUT_PLAN.FORMATS)
+    }
+  },
+
+  importWorkout: {
+    // Plan object, or its JSON or YAML text
+    plan: {
+      required: true,
+      sanitize: false
+    },
+    name: {
+      type: TYPES.STRING,
+      required: false,
+      minLength: 1,
+      maxLength: 200,
+      sanitize: true
+    },
+    language: COMMON.language,
+    dryRun: {
+      type: TYPES.BOOLEAN,
+      required: false,
+      default: false
+    }
+  },
+
   getWorkoutLogData: {
     workoutId: COMMON.id
   },
@@ -341,6 +402,9 @@ const workoutSchemas = {
 
   listWorkoutLogs: {
     workout: COMMON.optionalId,
+    exercise_base: COMMON.optionalId,
+    startDate: COMMON.date,
+    endDate: COMMON.date,
     limit: COMMON.limit,
     offset: COMMON.offset
   },
@@ -399,6 +463,122 @@ const workoutSchemas = {
   deleteWorkoutLog: {
     logId: COMMON.id
   },
+  logSession: {
+    // Each part is checked against createWorkoutSession and createWorkoutLog before writing
+    session: {
+      type: TYPES.OBJECT,
+      required: true
+    },
+    logs: {
+      type: TYPES.ARRAY,
+      required: true,
+      minItems: 1,
+      maxItems: SESSION_LOG.MAX_LOGS
+    }
+  },
+
+  getPersonalRecords: {
+    exercise_base: COMMON.optionalId,
+    workoutId: COMMON.optionalId,
+    formula: {
+      type: TYPES.STRING,
+      required: false,
+      default: PERSONAL_RECORDS.DEFAULT_FORMULA,
+      enum: Object.values(PERSONAL_RECORDS.FORMULAS)
+    },
+    unit: {
+      type: TYPES.STRING,
+      required: false,
+      enum: [WEIGHT_UNITS.KG, WEIGHT_UNITS.LB]
+    }
+  },
+
+  detectNewRecords: {
+    _strict: false, // Accept the output of createWorkoutLog as is
+    id: COMMON.optionalId,
+    exercise_base: COMMON.id,
+    reps: {
+      type: TYPES.INTEGER,
+      required: true,
+      min: 0,
+      max: 1000
+    },
+    weight: COMMON.weight,
+    weight_unit: {
+      type: TYPES.INTEGER,
+      required: false
+    },
+    repetition_unit: {
+      type: TYPES.INTEGER,
+      required: false
+    },
+    date: {
+      type: TYPES.DATE,
+      required: false
+    },
+    formula: {
+      type: TYPES.STRING,
+      required: false,
+      default: PERSONAL_RECORDS.DEFAULT_FORMULA,
+      enum: Object.values(PERSONAL_RECORDS.FORMULAS)
+    },
+    unit: {
+      type: TYPES.STRING,
+      required: false,
+      enum: [WEIGHT_UNITS.KG, WEIGHT_UNITS.LB]
+    }
+  },
+  getTrainingVolume: {
+    startDate: COMMON.date,
+    endDate: COMMON.date,
+    workoutId: COMMON.optionalId,
+    hardSetMaxRir: {
+      type: TYPES.NUMBER,
+      required: false,
+      min: 0,
+      max: 10,
+      default: TRAINING_VOLUME.HARD_SET_MAX_RIR
+    },
+    unit: {
+      type: TYPES.STRING,
+      required: false,
+      enum: [WEIGHT_UNITS.KG, WEIGHT_UNITS.LB]
+    }
+  },
+
+  suggestNextSession: {
+    dayId: COMMON.id,
+    scheme: {
+      type: TYPES.STRING,
+      required: false,
+      default: PROGRESSION.DEFAULT_SCHEME,
+      enum: Object.values(PROGRESSION.SCHEMES)
+    },
+    increment: {
+      type: TYPES.NUMBER,
+      required: false,
+      min: 0.1,
+      max: 100
+    },
+    repRangeWidth: {
+      type: TYPES.INTEGER,
+      required: false,
+      min: 1,
+      max: 50,
+      default: PROGRESSION.REP_RANGE_WIDTH
+    },
+    targetRir: {
+      type: TYPES.NUMBER,
+      required: false,
+      min: 0,
+      max: 10
+    },
+    unit: {
+      type: TYPES.STRING,
+      required: false,
+      enum: [WEIGHT_UNITS.KG, WEIGHT_UNITS.LB]
+    }
+  },
 
   getSchedule: {
     workoutId: COMMON.id,
@@ -408,6 +588,38 @@ const workoutSchemas = {
 
   getScheduleStep: {
     scheduleId: COMMON.id
+  },
+
+  exportScheduleIcs: {
+    scheduleId: COMMON.id,
+    startDate: COMMON.date,
+    endDate: COMMON.date
+  },
+
+  getScheduleFeedUrl: {
+    scheduleId: COMMON.id
+  },
+
+  importScheduleIcs: {
+    ics: {
+      type: TYPES.STRING,
+      required: true,
+      minLength: 1,
+      sanitize: false
+    },
+    scheduleId: COMMON.optionalId,
+    name: {
+      type: TYPES.STRING,
+      required: false,
+      minLength: 1,
+      maxLength: 200,
+      sanitize: true
+    },
+    dryRun: {
+      type: TYPES.BOOLEAN,
+      required: false,
+      default: false
+    }
   }
 };
 
@@ -665,11 +877,17 @@ const nutritionSchemas = {
  * @property {Object} createWeightEntry - Schema for creating new weight entry
  * @property {Object} updateWeightEntry - Schema for updating existing weight entry
  * @property {Object} deleteWeightEntry - Schema for deleting weight entry
+ * @property {Object} importWeightEntries - Schema for importing weight entries from CSV or JSON rows
+ * @property {Object} findSuspectWeightEntries - Schema for finding outlier weight entries
+ * @property {Object} getBodyCompositionStats - Schema for BMI, energy and lean-mass estimates
+ * @property {Object} exportWeightEntries - Schema for exporting weight entries as CSV, JSON Lines or chart data
  */
 const weightSchemas = {
   listWeightEntries: {
     limit: COMMON.limit,
-    offset: COMMON.offset
+    offset: COMMON.offset,
+    startDate: COMMON.date,
+    endDate: COMMON.date
   },
 
   getWeightEntry: {
@@ -697,6 +915,287 @@ const weightSchemas = {
 
   deleteWeightEntry: {
     entryId: COMMON.id
+  },
+
+  importWeightEntries: {
+    csv: {
+      type: TYPES.STRING,
+      required: false,
+      maxLength: 2000000,
+      sanitize: false
+    },
+    rows: {
+      type: TYPES.ARRAY,
+      required: false,
+      maxItems: IMPORT.MAX_ROWS
+    },
+    delimiter: {
+      type: TYPES.STRING,
+      required: false,
+      default: ',',
+      minLength: 1,
+      maxLength: 1,
+      trim: false,
+      sanitize: false
+    },
+    hasHeader: {
+      type: TYPES.BOOLEAN,
+      required: false,
+      default: true
+    },
+    columns: {
+      type: TYPES.OBJECT,
+      required: false
+    },
+    dateFormat: {
+      type: TYPES.STRING,
+      required: false,
+      default: IMPORT.DATE_FORMATS.ISO,
+      enum: Object.values(IMPORT.DATE_FORMATS)
+    },
+    unit: {
+      type: TYPES.STRING,
+      required: false,
+      default: WEIGHT_UNITS.KG,
+      enum: [WEIGHT_UNITS.KG, WEIGHT_UNITS.LB]
+    },
+    duplicates: {
+      type: TYPES.STRING,
+      required: false,
+      default: IMPORT.DUPLICATES.SKIP,
+      enum: Object.values(IMPORT.DUPLICATES)
+    }
+  },
+
+  findSuspectWeightEntries: {
+    startDate: COMMON.date,
+    endDate: COMMON.date,
+    window: {
+      type: TYPES.INTEGER,
+      required: false,
+      default: WEIGHT_OUTLIERS.WINDOW,
+      min: 3,
+      max: 31
+    },
+    threshold: {
+      type: TYPES.NUMBER,
+      required: false,
+      default: WEIGHT_OUTLIERS.THRESHOLD,
+      min: 1,
+      max: 10
+    },
+    minDeviation: {
+      type: TYPES.NUMBER,
+      required: false,
+      default: WEIGHT_OUTLIERS.MIN_DEVIATION,
+      min: 0,
+      max: 100
+    }
+  },
+
+  getBodyCompositionStats: {
+    startDate: COMMON.date,
+    endDate: COMMON.date,
+    height: {
+      type: TYPES.NUMBER,
+      required: false,
+      min: 50,
+      max: 300
+    },
+    activityFactor: {
+      type: TYPES.NUMBER,
+      required: false,
+      min: 1,
+      max: 2.5
+    },
+    bodyFatCategory: COMMON.optionalId,
+    maxPairingDays: {
+      type: TYPES.INTEGER,
+      required: false,
+      default: BODY_COMPOSITION.MAX_PAIRING_DAYS,
+      min: 0,
+      max: 31
+    }
+  },
+
+  exportWeightEntries: {
+    startDate: COMMON.date,
+    endDate: COMMON.date,
+    format: {
+      type: TYPES.STRING,
+      required: false,
+      default: EXPORT.FORMATS.CSV,
+      enum: Object.values(EXPORT.FORMATS)
+    },
+    includeTrend: {
+      type: TYPES.BOOLEAN,
+      required: false,
+      default: false
+    },
+    includeWeeklyAverage: {
+      type: TYPES.BOOLEAN,
+      required: false,
+      default: false
+    },
+    smoothing: {
+      type: TYPES.NUMBER,
+      required: false,
+      min: 0.01,
+      max: 1
+    },
+    delimiter: {
+      type: TYPES.STRING,
+      required: false,
+      default: ',',
+      minLength: 1,
+      maxLength: 1,
+      trim: false,
+      sanitize: false
+    },
+    unit: {
+      type: TYPES.STRING,
+      required: false,
+      enum: [WEIGHT_UNITS.KG, WEIGHT_UNITS.LB]
+    }
+  }
+};
+
+/**
+ * Validation schemas for body measurement operations.
+ * Includes schemas for measurement categories (e.g. body fat, waist) and
+ * the individual measurement entries logged against them.
+ * 
+ * @namespace measurementSchemas
+ * @type {Object<string, Object>}
+ * 
+ * @property {Object} listMeasurementCategories - Schema for listing measurement categories
+ * @property {Object} getMeasurementCategory - Schema for fetching single measurement category
+ * @property {Object} createMeasurementCategory - Schema for creating measurement category
+ * @property {Object} updateMeasurementCategory - Schema for updating measurement category
+ * @property {Object} deleteMeasurementCategory - Schema for deleting measurement category
+ * @property {Object} listMeasurements - Schema for listing measurements with date range filters
+ * @property {Object} getMeasurement - Schema for fetching single measurement
+ * @property {Object} createMeasurement - Schema for creating new measurement
+ * @property {Object} updateMeasurement - Schema for updating existing measurement
+ * @property {Object} deleteMeasurement - Schema for deleting measurement
+ * @property {Object} getLatestMeasurement - Schema for fetching latest value of one category
+ * @property {Object} getLatestMeasurements - Schema for fetching latest value of every category
+ */
+const measurementSchemas = {
+  listMeasurementCategories: {
+    limit: COMMON.limit,
+    offset: COMMON.offset
+  },
+
+  getMeasurementCategory: {
+    categoryId: COMMON.id
+  },
+
+  createMeasurementCategory: {
+    name: {
+      type: TYPES.STRING,
+      required: true,
+      minLength: 1,
+      maxLength: 100,
+      sanitize: true
+    },
+    unit: {
+      type: TYPES.STRING,
+      required: true,
+      minLength: 1,
+      maxLength: 30,
+      sanitize: true
+    }
+  },
+
+  updateMeasurementCategory: {
+    categoryId: COMMON.id,
+    name: {
+      type: TYPES.STRING,
+      required: false,
+      minLength: 1,
+      maxLength: 100,
+      sanitize: true
+    },
+    unit: {
+      type: TYPES.STRING,
+      required: false,
+      minLength: 1,
+      maxLength: 30,
+      sanitize: true
+    }
+  },
+
+  deleteMeasurementCategory: {
+    categoryId: COMMON.id
+  },
+
+  listMeasurements: {
+    category: COMMON.optionalId,
+    startDate: COMMON.date,
+    endDate: COMMON.date,
+    ordering: {
+      type: TYPES.STRING,
+      required: false,
+      enum: ['date', '-date', 'value', '-value'],
+      default: '-date'
+    },
+    limit: COMMON.limit,
+    offset: COMMON.offset
+  },
+
+  getMeasurement: {
+    measurementId: COMMON.id
+  },
+
+  createMeasurement: {
+    category: COMMON.id,
+    date: {
+      type: TYPES.DATE,
+      required: true
+    },
+    value: {
+      type: TYPES.NUMBER,
+      required: true,
+      min: 0,
+      max: 5000
+    },
+    notes: {
+      type: TYPES.STRING,
+      required: false,
+      maxLength: 100,
+      sanitize: true
+    }
+  },
+
+  updateMeasurement: {
+    measurementId: COMMON.id,
+    category: COMMON.optionalId,
+    date: COMMON.date,
+    value: {
+      type: TYPES.NUMBER,
+      required: false,
+      min: 0,
+      max: 5000
+    },
+    notes: {
+      type: TYPES.STRING,
+      required: false,
+      maxLength: 100,
+      sanitize: true
+    }
+  },
+
+  deleteMeasurement: {
+    measurementId: COMMON.id
+  },
+
+  getLatestMeasurement: {
+    categoryId: COMMON.id
+  },
+
+  getLatestMeasurements: {
+    // No parameters required
   }
 };
 
@@ -865,6 +1364,10 @@ const userSchemas = {
     // No parameters required
   },
 
+  getWeightUnit: {
+    // No parameters required
+  },
+
   updateUserPreferences: {
     language: COMMON.language,
     theme: {
@@ -1076,6 +1579,7 @@ const apiSchemas = {
  * @property {Object} workout - Workout node operation schemas  
  * @property {Object} nutrition - Nutrition node operation schemas
  * @property {Object} weight - Weight tracking node operation schemas
+ * @property {Object} measurement - Body measurement node operation schemas
  * @property {Object} user - User management node operation schemas
  * @property {Object} api - Generic API node operation schemas
  * 
@@ -1090,6 +1594,7 @@ module.exports = {
   workout: workoutSchemas,
   nutrition: nutritionSchemas,
   weight: weightSchemas,
+  measurement: measurementSchemas,
   user: userSchemas,
   api: apiSchemas
 };
\ No newline at end of file
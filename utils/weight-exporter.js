@@ -0,0 +1,184 @@
+/**
+ * @fileoverview Formatting of weight entries as CSV, JSON Lines or dashboard chart data
+ * @module utils/weight-exporter
+ * @requires ./constants
+ * @requires ./unit-converter
+ * @requires ./weight-stats-calculator
+ * @version 1.0.0
+ * @author Node-RED wger contrib team
+ */
+
+const { WEIGHT_UNITS, EXPORT } = require('./constants');
+const UnitConverter = require('./unit-converter');
+const WeightStatsCalculator = require('./weight-stats-calculator');
+
+/**
+ * Exported row
+ * @typedef {Object} ExportRow
+ * @property {string} date - Entry date as returned by wger
+ * @property {number} weight - Weight in the export unit
+ * @property {string} unit - Export unit
+ * @property {number} [trend] - Smoothed trend weight, if requested
+ * @property {number} [weeklyAverage] - Average weight of the entry's week, if requested
+ */
+
+/**
+ * CSV header names of the row fields
+ * @private
+ */
+const CSV_HEADERS = {
+  date: 'date',
+  weight: 'weight',
+  unit: 'unit',
+  trend: 'trend',
+  weeklyAverage: 'weekly_average'
+};
+
+/**
+ * Quotes a CSV cell that contains the delimiter, a quote or a line break (RFC 4180).
+ * @private
+ */
+const escapeCsv = (value, delimiter) => {
+  const text = value === undefined || value === null ? '' : String(value);
+  return text.includes(delimiter) || /["\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Turns wger weight entries into rows, optionally with the trend line and
+ * weekly averages of `WeightStatsCalculator`, and formats them for
+ * spreadsheets, log pipelines or node-red-dashboard charts.
+ *
+ * @class WeightExporter
+ * @example
+ * const rows = WeightExporter.buildRows(entries, { includeTrend: true });
+ * WeightExporter.format(rows, 'csv');
+ * // 'date,weight,unit,trend\n2024-03-01,80.4,kg,80.4\n...'
+ */
+class WeightExporter {
+  /**
+   * Builds export rows, oldest first. Entries without a valid date or weight are left out.
+   *
+   * @static
+   * @param {Array<Object>} entries - wger weight entries in `options.from`
+   * @param {Object} [options={}] - Row options
+   * @param {string} [options.from='kg'] - Unit the entries are stored in
+   * @param {string} [options.unit] - Unit to export (default: `from`)
+   * @param {boolean} [options.includeTrend=false] - Add the smoothed trend weight
+   * @param {boolean} [options.includeWeeklyAverage=false] - Add the average of the entry's week
+   * @param {number} [options.smoothing] - Daily smoothing factor of the trend line
+   * @param {string} [options.timeZone] - Time zone the weeks are determined in (default: the process time zone)
+   * @param {number} [options.weekStart=1] - First day of the week, 0 (Sunday) to 6 (Saturday)
+   * @returns {Array<ExportRow>} Rows
+   */
+  static buildRows(entries, options = {}) {
+    const from = options.from || WEIGHT_UNITS.KG;
+    const unit = options.unit || from;
+    const convert = weight => UnitConverter.convert(weight, from, unit);
+    const points = WeightStatsCalculator.toChronologicalPoints(entries || []);
+    if (points.length === 0) {
+      return [];
+    }
+
+    // The trend line has one point per entry, in the same order
+    const trend = options.includeTrend
+      ? WeightStatsCalculator.analyzeTrend(entries, { smoothing: options.smoothing, includeTrendLine: true }).series
+      : null;
+    const weeks = new Map();
+    if (options.includeWeeklyAverage) {
+      WeightStatsCalculator.calculateWeeklyAverages(points, options)
+        .forEach(week => weeks.set(week.week, week.average));
+    }
+
+    return points.map((point, index) => {
+      const row = { date: point.date, weight: convert(Math.round(point.weight * 100) / 100), unit };
+      if (trend) {
+        row.trend = convert(trend[index].trend);
+      }
+      if (options.includeWeeklyAverage) {
+        row.weeklyAverage = convert(weeks.get(WeightStatsCalculator.getWeekKey(point.date, options)));
+      }
+      return row;
+    });
+  }
+
+  /**
+   * Formats rows in the given export format.
+   *
+   * @static
+   * @param {Array<ExportRow>} rows - Rows from `buildRows`
+   * @param {string} [format='csv'] - One of `EXPORT.FORMATS`
+   * @param {Object} [options={}] - Format options
+   * @param {string} [options.delimiter=','] - CSV delimiter
+   * @returns {string|Array<Object>} CSV or JSON Lines text, or chart data
+   */
+  static format(rows, format = EXPORT.FORMATS.CSV, options = {}) {
+    if (format === EXPORT.FORMATS.JSONL) {
+      return this.toJsonLines(rows);
+    }
+    if (format === EXPORT.FORMATS.CHART) {
+      return this.toChart(rows);
+    }
+    return this.toCsv(rows, options.delimiter);
+  }
+
+  /**
+   * Formats rows as CSV with a header line. Optional columns are only
+   * included when the rows have them.
+   *
+   * @static
+   * @param {Array<ExportRow>} rows - Rows
+   * @param {string} [delimiter=','] - Field delimiter
+   * @returns {string} CSV text, lines separated by `\n`
+   */
+  static toCsv(rows, delimiter = ',') {
+    const fields = this.getFields(rows);
+    const lines = [fields.map(field => escapeCsv(CSV_HEADERS[field], delimiter)).join(delimiter)];
+    rows.forEach(row => {
+      lines.push(fields.map(field => escapeCsv(row[field], delimiter)).join(delimiter));
+    });
+    return lines.join('\n');
+  }
+
+  /**
+   * Formats rows as JSON Lines, one JSON object per line.
+   *
+   * @static
+   * @param {Array<ExportRow>} rows - Rows
+   * @returns {string} JSON Lines text
+   */
+  static toJsonLines(rows) {
+    return rows.map(row => JSON.stringify(row)).join('\n');
+  }
+
+  /**
+   * Formats rows as node-red-dashboard chart data: one series per exported
+   * value, with `x` as a timestamp in milliseconds.
+   *
+   * @static
+   * @param {Array<ExportRow>} rows - Rows
+   * @returns {Array<{series: Array<string>, data: Array<Array<{x: number, y: number}>>, labels: Array<string>}>} Chart data
+   */
+  static toChart(rows) {
+    const values = this.getFields(rows).filter(field => ['weight', 'trend', 'weeklyAverage'].includes(field));
+    const names = { weight: EXPORT.CHART_SERIES.WEIGHT, trend: EXPORT.CHART_SERIES.TREND, weeklyAverage: EXPORT.CHART_SERIES.WEEKLY_AVERAGE };
+    return [{
+      series: values.map(field => names[field]),
+      data: values.map(field => rows.map(row => ({ x: Date.parse(row.date), y: row[field] }))),
+      labels: ['']
+    }];
+  }
+
+  /**
+   * Lists the row fields in column order.
+   * @private
+   * @static
+   * @param {Array<ExportRow>} rows - Rows
+   * @returns {Array<string>} Field names
+   */
+  static getFields(rows) {
+    const first = rows[0] || {};
+    return Object.keys(CSV_HEADERS).filter(field => ['date', 'weight', 'unit'].includes(field) || first[field] !== undefined);
+  }
+}
+
+module.exports = WeightExporter;
@@ -0,0 +1,318 @@
+/**
+ * @fileoverview Parsing and duplicate planning for weight entry imports (CSV or JSON rows)
+ * @module utils/weight-importer
+ * @requires ./constants
+ * @requires ./unit-converter
+ * @version 1.0.0
+ * @author Node-RED wger contrib team
+ */
+
+const { WEIGHT_UNITS, IMPORT, ERRORS } = require('./constants');
+const UnitConverter = require('./unit-converter');
+
+/**
+ * Normalized import row
+ * @typedef {Object} ImportEntry
+ * @property {number} row - 1-based position of the row in the import (header excluded)
+ * @property {string} date - Entry date as YYYY-MM-DD
+ * @property {number} weight - Weight in the target unit (kilograms by default), rounded to two decimals
+ */
+
+/**
+ * Default mapping of entry fields to row columns
+ * @private
+ */
+const DEFAULT_COLUMNS = { date: 'date', weight: 'weight' };
+
+/**
+ * Date format patterns capturing year, month and day
+ * @private
+ */
+const DATE_PATTERNS = {
+  [IMPORT.DATE_FORMATS.ISO]: { regex: /^(\d{4})-(\d{1,2})-(\d{1,2})(?:[T ].*)?$/, order: ['y', 'm', 'd'] },
+  [IMPORT.DATE_FORMATS.DMY_DOT]: { regex: /^(\d{1,2})\.(\d{1,2})\.(\d{4})$/, order: ['d', 'm', 'y'] },
+  [IMPORT.DATE_FORMATS.DMY_SLASH]: { regex: /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/, order: ['d', 'm', 'y'] },
+  [IMPORT.DATE_FORMATS.MDY_SLASH]: { regex: /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/, order: ['m', 'd', 'y'] }
+};
+
+/**
+ * Converts weight entry exports of other apps into wger weight entries and
+ * decides which of them to insert, update or skip.
+ *
+ * @class WeightImporter
+ * @example
+ * const rows = WeightImporter.readRows({
+ *   csv: 'Date;Kg\n01.03.2024;80,4',
+ *   delimiter: ';',
+ *   columns: { date: 'Date', weight: 'Kg' }
+ * });
+ * const { entries } = WeightImporter.normalize(rows, { dateFormat: 'DD.MM.YYYY' });
+ * // entries -> [{ row: 1, date: '2024-03-01', weight: 80.4 }]
+ */
+class WeightImporter {
+  /**
+   * Reads the raw rows of an import payload. CSV text is parsed into arrays of
+   * cells; with a header row, mapped column names are resolved to indexes.
+   *
+   * @static
+   * @param {Object} payload - Import payload
+   * @param {string} [payload.csv] - CSV text
+   * @param {Array<Object|Array>} [payload.rows] - JSON rows (objects or arrays)
+   * @param {string} [payload.delimiter=','] - CSV delimiter
+   * @param {boolean} [payload.hasHeader=true] - Whether the first CSV line holds column names
+   * @param {Object} [payload.columns] - Mapping of `date`, `weight` and optional `unit` to columns
+   * @returns {{rows: Array<Object|Array>, columns: Object}} Rows and the columns to read from them
+   * @throws {Error} If neither CSV text nor rows are given, or a mapped column is missing
+   */
+  static readRows(payload) {
+    const columns = { ...DEFAULT_COLUMNS, ...(payload.columns || {}) };
+
+    if (Array.isArray(payload.rows)) {
+      return { rows: payload.rows, columns };
+    }
+    if (typeof payload.csv !== 'string') {
+      throw new Error(ERRORS.IMPORT_NO_ROWS);
+    }
+
+    const lines = this.parseCsv(payload.csv, payload.delimiter || ',');
+    if (payload.hasHeader === false) {
+      return { rows: lines, columns };
+    }
+
+    const header = (lines.shift() || []).map(name => name.trim());
+    const resolved = {};
+    Object.entries(columns).forEach(([field, column]) => {
+      if (typeof column === 'number') {
+        resolved[field] = column;
+        return;
+      }
+      const index = header.findIndex(name => name.toLowerCase() === String(column).toLowerCase());
+      if (index === -1) {
+        throw new Error(ERRORS.IMPORT_UNKNOWN_COLUMN.replace('{column}', column));
+      }
+      resolved[field] = index;
+    });
+    return { rows: lines, columns: resolved };
+  }
+
+  /**
+   * Parses CSV text with quoted fields (RFC 4180). Empty lines are dropped.
+   *
+   * @static
+   * @param {string} text - CSV text
+   * @param {string} [delimiter=','] - Field delimiter
+   * @returns {Array<Array<string>>} Lines as arrays of cells
+   */
+  static parseCsv(text, delimiter = ',') {
+    const lines = [];
+    let line = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      if (quoted) {
+        if (char === '"' && text[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          cell += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === delimiter) {
+        line.push(cell);
+        cell = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[i + 1] === '\n') {
+          i++;
+        }
+        line.push(cell);
+        lines.push(line);
+        line = [];
+        cell = '';
+      } else {
+        cell += char;
+      }
+    }
+    line.push(cell);
+    lines.push(line);
+
+    return lines.filter(cells => cells.some(value => value.trim() !== ''));
+  }
+
+  /**
+   * Converts raw rows into entries. Rows that cannot be parsed are reported
+   * instead of aborting the import.
+   *
+   * @static
+   * @param {{rows: Array<Object|Array>, columns: Object}} input - Output of `readRows`
+   * @param {Object} [options={}] - Parsing options
+   * @param {string} [options.dateFormat='YYYY-MM-DD'] - Date format of the date column (see `IMPORT.DATE_FORMATS`)
+   * @param {string} [options.unit='kg'] - Unit of weights without a unit column or suffix
+   * @param {string} [options.targetUnit='kg'] - Unit the entries are stored in (the account's weight unit)
+   * @returns {{entries: Array<ImportEntry>, errors: Array<{row: number, error: string}>}} Parsed entries and row errors
+   */
+  static normalize({ rows, columns }, options = {}) {
+    const dateFormat = options.dateFormat || IMPORT.DATE_FORMATS.ISO;
+    const defaultUnit = options.unit || WEIGHT_UNITS.KG;
+    const targetUnit = options.targetUnit || WEIGHT_UNITS.KG;
+    const entries = [];
+    const errors = [];
+
+    rows.forEach((raw, index) => {
+      const row = index + 1;
+      try {
+        const read = column => (raw !== null && typeof raw === 'object' ? raw[column] : undefined);
+        const unit = columns.unit !== undefined && read(columns.unit) !== undefined && read(columns.unit) !== ''
+          ? this.parseUnit(read(columns.unit))
+          : defaultUnit;
+        entries.push({
+          row,
+          date: this.parseDate(read(columns.date), dateFormat),
+          weight: this.parseWeight(read(columns.weight), unit, targetUnit)
+        });
+      } catch (error) {
+        errors.push({ row, error: error.message });
+      }
+    });
+
+    return { entries, errors };
+  }
+
+  /**
+   * Parses a date in the given format.
+   *
+   * @static
+   * @param {string|number} value - Date value
+   * @param {string} format - One of `IMPORT.DATE_FORMATS`
+   * @returns {string} Date as YYYY-MM-DD
+   * @throws {Error} If the value does not match the format or is not a calendar date
+   */
+  static parseDate(value, format) {
+    if (value === undefined || value === null || String(value).trim() === '') {
+      throw new Error('Missing date');
+    }
+
+    if (format === IMPORT.DATE_FORMATS.UNIX || format === IMPORT.DATE_FORMATS.UNIX_MS) {
+      const number = Number(value);
+      const date = new Date(format === IMPORT.DATE_FORMATS.UNIX ? number * 1000 : number);
+      if (isNaN(date.getTime())) {
+        throw new Error(`Invalid ${format} timestamp: ${value}`);
+      }
+      return date.toISOString().substring(0, 10);
+    }
+
+    const pattern = DATE_PATTERNS[format];
+    const match = pattern && String(value).trim().match(pattern.regex);
+    if (!match) {
+      throw new Error(`Date "${value}" does not match format ${format}`);
+    }
+
+    const parts = {};
+    pattern.order.forEach((key, index) => {
+      parts[key] = parseInt(match[index + 1], 10);
+    });
+    const date = new Date(Date.UTC(parts.y, parts.m - 1, parts.d));
+    if (date.getUTCFullYear() !== parts.y || date.getUTCMonth() !== parts.m - 1 || date.getUTCDate() !== parts.d) {
+      throw new Error(`Invalid date: ${value}`);
+    }
+    return date.toISOString().substring(0, 10);
+  }
+
+  /**
+   * Parses a weight value and converts it to the target unit. Strings may use a
+   * decimal comma and carry a unit suffix ("176.4 lb"), which overrides `unit`.
+   *
+   * @static
+   * @param {string|number} value - Weight value
+   * @param {string} [unit='kg'] - Unit of the value
+   * @param {string} [targetUnit='kg'] - Unit to convert to
+   * @returns {number} Weight in `targetUnit`, rounded to two decimals
+   * @throws {Error} If the value is not a positive number
+   */
+  static parseWeight(value, unit = WEIGHT_UNITS.KG, targetUnit = WEIGHT_UNITS.KG) {
+    let amount = value;
+    if (typeof value === 'string') {
+      const match = value.trim().match(/^(\d+(?:[.,]\d+)?)\s*([a-zA-Z]+)?$/);
+      if (!match) {
+        throw new Error(`Invalid weight: ${value}`);
+      }
+      amount = parseFloat(match[1].replace(',', '.'));
+      if (match[2]) {
+        unit = this.parseUnit(match[2]);
+      }
+    }
+
+    if (typeof amount !== 'number' || !isFinite(amount) || amount <= 0) {
+      throw new Error(`Invalid weight: ${value}`);
+    }
+
+    return Math.round(UnitConverter.convert(amount, unit, targetUnit) * 100) / 100;
+  }
+
+  /**
+   * Normalizes a unit name.
+   *
+   * @static
+   * @param {string} value - Unit as written in the import (e.g. 'lbs')
+   * @returns {string} `WEIGHT_UNITS.KG` or `WEIGHT_UNITS.LB`
+   * @throws {Error} If the unit is unknown
+   */
+  static parseUnit(value) {
+    const unit = UnitConverter.parseUnit(value);
+    if (unit !== WEIGHT_UNITS.KG && unit !== WEIGHT_UNITS.LB) {
+      throw new Error(ERRORS.UNKNOWN_UNIT.replace('{unit}', value));
+    }
+    return unit;
+  }
+
+  /**
+   * Decides what to do with each entry given the entries already stored in wger.
+   * Only the first row per date is used; later rows with the same date are skipped.
+   *
+   * @static
+   * @param {Array<ImportEntry>} entries - Parsed import entries
+   * @param {Array<Object>} existing - Existing wger weight entries (`id`, `date`, `weight`)
+   * @param {string} [duplicates='skip'] - `skip` or `update` entries whose date already exists
+   * @returns {{create: Array<ImportEntry>, update: Array<Object>, skipped: Array<Object>}}
+   *   Entries to insert, updates (`entryId` added) and skipped rows with a `reason`
+   */
+  static plan(entries, existing, duplicates = IMPORT.DUPLICATES.SKIP) {
+    const existingByDate = new Map();
+    existing.forEach(entry => {
+      const date = String(entry.date).substring(0, 10);
+      if (!existingByDate.has(date)) {
+        existingByDate.set(date, entry);
+      }
+    });
+
+    const seen = new Set();
+    const plan = { create: [], update: [], skipped: [] };
+
+    entries.forEach(entry => {
+      if (seen.has(entry.date)) {
+        plan.skipped.push({ ...entry, reason: 'duplicate date in import' });
+        return;
+      }
+      seen.add(entry.date);
+
+      const current = existingByDate.get(entry.date);
+      if (!current) {
+        plan.create.push(entry);
+      } else if (duplicates !== IMPORT.DUPLICATES.UPDATE) {
+        plan.skipped.push({ ...entry, reason: 'entry exists' });
+      } else if (Math.abs(parseFloat(current.weight) - entry.weight) < 0.005) {
+        plan.skipped.push({ ...entry, reason: 'unchanged' });
+      } else {
+        plan.update.push({ ...entry, entryId: current.id });
+      }
+    });
+
+    return plan;
+  }
+}
+
+module.exports = WeightImporter;
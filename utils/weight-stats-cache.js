@@ -1,9 +1,13 @@
 /**
  * @fileoverview Cache manager for weight statistics with TTL and smart invalidation
  * @module utils/weight-stats-cache
+ * @requires ./constants
  * @version 1.0.0
  */
 
+const { STATS_CACHE } = require('./constants');
+const timeProviderFactory = require('./time-provider').default;
+
 /**
  * Cache entry structure for weight statistics
  * @typedef {Object} CacheEntry
@@ -12,6 +16,10 @@
  * @property {string} cacheKey - Unique cache key
  * @property {number} entryCount - Number of entries used for calculation
  * @property {string} dateRange - Date range identifier
+ * @property {string} userId - Sanitized user identifier the entry belongs to
+ * @property {string} startDate - Start date the statistics were calculated for
+ * @property {string} endDate - End date the statistics were calculated for
+ * @property {Object} options - Calculation options the statistics were calculated with
  */
 
 /**
@@ -33,6 +41,7 @@ class WeightStatsCache {
     this.maxCacheSize = maxCacheSize;
     this.hits = 0;
     this.misses = 0;
+    this._listeners = new Set();
     
     // Performance metrics
     this.metrics = {
@@ -60,8 +69,15 @@ class WeightStatsCache {
     const sanitizedEndDate = this.sanitizeCacheKeyComponent(endDate);
     const sanitizedGroupBy = options.groupBy ? this.sanitizeCacheKeyComponent(options.groupBy) : '';
     
+    // Calculation options change the result, so each combination gets its own entry
+    const variant = Object.keys(options)
+      .filter(name => name !== 'groupBy' && options[name] !== undefined && options[name] !== null && options[name] !== false)
+      .sort()
+      .map(name => this.sanitizeCacheKeyComponent(`${name}-${options[name]}`))
+      .join('_');
+    
     const baseKey = `${sanitizedUserId}_${sanitizedStartDate}_${sanitizedEndDate}`;
-    const optionsKey = sanitizedGroupBy ? `_${sanitizedGroupBy}` : '';
+    const optionsKey = (sanitizedGroupBy ? `_${sanitizedGroupBy}` : '') + (variant ? `__${variant}` : '');
     return `weight_stats_${baseKey}${optionsKey}`;
   }
 
@@ -157,7 +173,11 @@ class WeightStatsCache {
       timestamp: Date.now(),
       cacheKey: key,
       entryCount,
-      dateRange: `${startDate}_${endDate}`
+      dateRange: `${startDate}_${endDate}`,
+      userId: this.sanitizeCacheKeyComponent(userId),
+      startDate,
+      endDate,
+      options: { ...options }
     });
     
     // Update metrics
@@ -165,6 +185,8 @@ class WeightStatsCache {
       // Estimate data saved (assuming ~100 bytes per entry)
       this.metrics.dataSaved += (entryCount * 100) / 1024; // Convert to KB
     }
+    
+    this._notify();
   }
 
   /**
@@ -173,15 +195,150 @@ class WeightStatsCache {
    * @param {string} [dateRange] - Date range to invalidate
    */
   invalidate(userId = null, dateRange = null) {
+    const sanitizedUserId = userId ? this.sanitizeCacheKeyComponent(userId) : null;
     const keysToDelete = Array.from(this.cache.entries())
-      .filter(([key, entry]) => {
-        if (userId && key.includes(userId)) return true;
+      .filter(([, entry]) => {
+        if (sanitizedUserId && entry.userId === sanitizedUserId) return true;
         if (dateRange && entry.dateRange === dateRange) return true;
         return false;
       })
       .map(([key]) => key);
     
     keysToDelete.forEach(key => this.cache.delete(key));
+    if (keysToDelete.length > 0) {
+      this._notify();
+    }
+  }
+
+  /**
+   * Invalidates all entries whose user identifier starts with a prefix,
+   * e.g. every user of one server when identifiers are `<server>/<user>`
+   * @param {string} prefix - User identifier prefix (sanitized like the identifiers)
+   * @returns {number} Number of removed entries
+   */
+  invalidatePrefix(prefix) {
+    const sanitizedPrefix = this.sanitizeCacheKeyComponent(prefix);
+    const keysToDelete = Array.from(this.cache.entries())
+      .filter(([, entry]) => entry.userId.startsWith(sanitizedPrefix))
+      .map(([key]) => key);
+    
+    keysToDelete.forEach(key => this.cache.delete(key));
+    if (keysToDelete.length > 0) {
+      this._notify();
+    }
+    return keysToDelete.length;
+  }
+
+  /**
+   * Updates the valid entries of a user in place, keeping their age.
+   * The updater returns the new data, or null to drop the entry.
+   * @param {string} userId - User identifier
+   * @param {Function} updater - `(data, { startDate, endDate, options }) => Object|null`
+   * @returns {{updated: number, removed: number}} Number of updated and removed entries
+   */
+  update(userId, updater) {
+    const sanitizedUserId = this.sanitizeCacheKeyComponent(userId);
+    const result = { updated: 0, removed: 0 };
+    
+    for (const [key, entry] of Array.from(this.cache.entries())) {
+      if (entry.userId !== sanitizedUserId) continue;
+      
+      const data = this.isValid(entry)
+        ? updater(entry.data, { startDate: entry.startDate, endDate: entry.endDate, options: entry.options })
+        : null;
+      if (data) {
+        this.cache.set(key, { ...entry, data });
+        result.updated++;
+      } else {
+        this.cache.delete(key);
+        result.removed++;
+      }
+    }
+    
+    if (result.updated + result.removed > 0) {
+      this._notify();
+    }
+    return result;
+  }
+
+  /**
+   * Exports the valid entries of users whose identifier starts with a prefix,
+   * including their data and creation time, for persistence
+   * @param {string} [prefix] - User identifier prefix, all entries if omitted
+   * @returns {Array<CacheEntry>} Copies of the entries
+   */
+  exportEntries(prefix) {
+    const sanitizedPrefix = prefix ? this.sanitizeCacheKeyComponent(prefix) : '';
+    return Array.from(this.cache.values())
+      .filter(entry => entry.userId.startsWith(sanitizedPrefix) && this.isValid(entry))
+      .map(entry => ({ ...entry }));
+  }
+
+  /**
+   * Restores exported entries. Entries keep their creation time, so they expire
+   * when they would have without a restart; expired entries and entries older
+   * than the cached ones are skipped.
+   * @param {Array<CacheEntry>} entries - Entries from `exportEntries`
+   * @returns {number} Number of restored entries
+   */
+  importEntries(entries) {
+    let restored = 0;
+    for (const entry of entries || []) {
+      if (!entry || !entry.cacheKey || !entry.userId || !this.isValid(entry)) continue;
+      
+      const current = this.cache.get(entry.cacheKey);
+      if (current && current.timestamp >= entry.timestamp) continue;
+      
+      if (!current && this.cache.size >= this.maxCacheSize) {
+        this.cache.delete(this.cache.keys().next().value);
+      }
+      this.cache.set(entry.cacheKey, { ...entry });
+      restored++;
+    }
+    
+    if (restored > 0) {
+      this._notify();
+    }
+    return restored;
+  }
+
+  /**
+   * Registers a listener called whenever entries are added, changed or removed
+   * @param {Function} listener - Called without arguments
+   * @returns {Function} Function that removes the listener
+   */
+  onChange(listener) {
+    this._listeners.add(listener);
+    return () => this._listeners.delete(listener);
+  }
+
+  /**
+   * Notifies change listeners
+   * @private
+   */
+  _notify() {
+    this._listeners.forEach(listener => listener());
+  }
+
+  /**
+   * Lists the cached entries without their data, for diagnostics
+   * @param {string} [prefix] - Only list entries whose user identifier starts with this prefix
+   * @returns {Array<Object>} Entry summaries (`cacheKey`, `userId`, `startDate`, `endDate`, `options`, `entryCount`, `ageMs`, `valid`)
+   */
+  inspect(prefix) {
+    const now = Date.now();
+    const sanitizedPrefix = prefix ? this.sanitizeCacheKeyComponent(prefix) : '';
+    const entries = Array.from(this.cache.values()).filter(entry => entry.userId.startsWith(sanitizedPrefix));
+    return entries.map(entry => ({
+      cacheKey: entry.cacheKey,
+      userId: entry.userId,
+      startDate: entry.startDate,
+      endDate: entry.endDate,
+      options: entry.options,
+      entryCount: entry.entryCount,
+      ageMs: now - entry.timestamp,
+      valid: this.isValid(entry)
+    }));
   }
 
   /**
@@ -191,6 +348,7 @@ class WeightStatsCache {
     this.cache.clear();
     this.hits = 0;
     this.misses = 0;
+    this._notify();
   }
 
   /**
@@ -258,6 +416,97 @@ class WeightStatsCache {
   }
 }
 
+/**
+ * Persists the entries of one user identifier prefix (e.g. all users of one
+ * config node) so cached statistics survive a Node-RED restart. Changes are
+ * collected for `saveDelayMs` and written in one go.
+ * 
+ * @class WeightStatsCachePersistence
+ * @example
+ * const persistence = new WeightStatsCachePersistence({
+ *   cache: getSharedCache(),
+ *   prefix: `${node.id}/`,
+ *   storage: new FileOutboxStorage('/data/wger-stats-cache.json')
+ * });
+ * await persistence.warmUp();
+ */
+class WeightStatsCachePersistence {
+  /**
+   * @constructor
+   * @param {Object} options - Persistence options
+   * @param {WeightStatsCache} options.cache - Cache to persist
+   * @param {string} options.prefix - User identifier prefix of the persisted entries
+   * @param {Object} options.storage - Storage with async `load()` and `save(state)`
+   * @param {number} [options.saveDelayMs=STATS_CACHE.SAVE_DELAY_MS] - Delay to collect changes into one write
+   * @param {Function} [options.onError] - Called with storage errors
+   * @param {Object} [options.timeProvider] - Time provider for dependency injection
+   */
+  constructor(options) {
+    this.cache = options.cache;
+    this.prefix = options.prefix;
+    this.storage = options.storage;
+    this.saveDelayMs = options.saveDelayMs !== undefined ? options.saveDelayMs : STATS_CACHE.SAVE_DELAY_MS;
+    this.onError = options.onError || (() => {});
+    this.timeProvider = options.timeProvider || timeProviderFactory();
+    this._timerId = null;
+    this._saving = Promise.resolve();
+    this._unsubscribe = this.cache.onChange(() => this._scheduleSave());
+  }
+
+  /**
+   * Loads the stored entries into the cache
+   * @returns {Promise<number>} Number of restored entries
+   */
+  async warmUp() {
+    try {
+      const state = await this.storage.load();
+      return this.cache.importEntries(state && state.entries);
+    } catch (error) {
+      this.onError(error);
+      return 0;
+    }
+  }
+
+  /**
+   * Writes pending changes now
+   * @returns {Promise<void>}
+   */
+  flush() {
+    if (this._timerId !== null) {
+      this.timeProvider.clearTimeout(this._timerId);
+      this._timerId = null;
+    }
+    const state = { entries: this.cache.exportEntries(this.prefix) };
+    this._saving = this._saving
+      .then(() => this.storage.save(state))
+      .catch(error => this.onError(error));
+    return this._saving;
+  }
+
+  /**
+   * Writes pending changes and stops listening to the cache
+   * @returns {Promise<void>}
+   */
+  dispose() {
+    this._unsubscribe();
+    return this._timerId !== null ? this.flush() : this._saving;
+  }
+
+  /**
+   * Schedules a save unless one is pending
+   * @private
+   */
+  _scheduleSave() {
+    if (this._timerId !== null) {
+      return;
+    }
+    this._timerId = this.timeProvider.setTimeout(() => {
+      this._timerId = null;
+      this.flush();
+    }, this.saveDelayMs);
+  }
+}
+
 // Singleton instance for shared caching across all weight nodes
 let sharedCache = null;
 
@@ -288,6 +537,7 @@ function resetSharedCache() {
 
 module.exports = {
   WeightStatsCache,
+  WeightStatsCachePersistence,
   getSharedCache,
   resetSharedCache
 };
\ No newline at end of file
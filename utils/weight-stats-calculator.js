@@ -1,9 +1,30 @@
 /**
  * @fileoverview Optimized weight statistics calculator with efficient algorithms
  * @module utils/weight-stats-calculator
+ * @requires ./constants
+ * @requires ./unit-converter
+ * @requires ./calendar
  * @version 1.0.0
  */
 
+const { WEIGHT_TREND, WEIGHT_OUTLIERS } = require('./constants');
+const UnitConverter = require('./unit-converter');
+const Calendar = require('./calendar');
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Builds the reported outlier from an entry position and its deviation
+ * @private
+ */
+const toWeightOutlier = (entries, { index, expected, deviation }) => ({
+  id: entries[index].id,
+  date: entries[index].date,
+  weight: parseFloat(entries[index].weight),
+  expected,
+  deviation
+});
+
 /**
  * Weight statistics result structure
  * @typedef {Object} WeightStats
@@ -20,6 +41,37 @@
  * @property {number} count - Total number of entries
  * @property {Array<Object>} weeklyAverages - Weekly averages if requested
  * @property {Array<Object>} monthlyAverages - Monthly averages if requested
+ * @property {TrendAnalysis} trendAnalysis - Trend line, slope and goal projection if requested
+ * @property {Array<WeightOutlier>} outliers - Entries excluded as outliers if requested
+ * @property {string} [unit] - Weight unit, set by `convertUnits`
+ */
+
+/**
+ * Weight entry flagged as a likely scale glitch or typo
+ * @typedef {Object} WeightOutlier
+ * @property {number} id - Weight entry id
+ * @property {string} date - Entry date
+ * @property {number} weight - Recorded weight
+ * @property {number} expected - Median weight of the neighbouring entries
+ * @property {number} deviation - Recorded minus expected weight
+ */
+
+/**
+ * Weight trend analysis
+ * @typedef {Object} TrendAnalysis
+ * @property {number} smoothing - Daily smoothing factor used for the trend line
+ * @property {number} trendWeight - Latest value of the smoothed trend line
+ * @property {number|null} slopePerWeek - Least-squares regression slope in kg/week (null with fewer than two days of data)
+ * @property {number|null} rSquared - Goodness of fit of the regression (0-1)
+ * @property {number} direction - Trend direction from the slope (-1: down, 0: stable, 1: up)
+ * @property {Object} [goal] - Goal projection if a target weight was given
+ * @property {number} goal.targetWeight - Target weight
+ * @property {number} goal.remaining - Difference between target and trend weight
+ * @property {boolean} goal.reached - Whether the trend weight is within tolerance of the target
+ * @property {boolean} goal.onTrack - Whether the slope points towards the target
+ * @property {number|null} goal.weeksToGoal - Weeks until the target is reached at the current slope
+ * @property {string|null} goal.projectedDate - Projected date (YYYY-MM-DD) the target is reached
+ * @property {Array<{date: string, weight: number, trend: number}>} [series] - Trend line, oldest first, if requested
  */
 
 /**
@@ -39,12 +91,27 @@ class WeightStatsCalculator {
    * @param {boolean} [options.includeAdvanced=false] - Include advanced statistics
    * @param {boolean} [options.includeWeekly=false] - Include weekly averages
    * @param {boolean} [options.includeMonthly=false] - Include monthly averages
+   * @param {boolean} [options.includeTrend=false] - Include the trend analysis (see `analyzeTrend`)
+   * @param {boolean} [options.includeTrendLine=false] - Include the trend analysis with the smoothed series
+   * @param {number} [options.smoothing=0.1] - Daily smoothing factor of the trend line
+   * @param {number} [options.targetWeight] - Target weight to project; implies `includeTrend`
+   * @param {boolean} [options.excludeOutliers=false] - Leave out and list entries flagged by `detectOutliers`
+   * @param {string} [options.timeZone] - Time zone weekly and monthly averages are grouped in (default: the process time zone)
+   * @param {number} [options.weekStart=1] - First day of the week for weekly averages, 0 (Sunday) to 6 (Saturday)
    * @returns {WeightStats|null} Calculated statistics or null if no data
    */
   static calculate(entries, options = {}) {
     if (!entries || entries.length === 0) {
       return null;
     }
+    
+    let outliers = null;
+    if (options.excludeOutliers) {
+      const found = this.findOutliers(entries, options);
+      const flagged = new Set(found.map(outlier => outlier.index));
+      outliers = found.map(outlier => toWeightOutlier(entries, outlier));
+      entries = entries.filter((_, index) => !flagged.has(index));
+    }
 
     // Single-pass algorithm for basic stats using immutable approach
     let min = Infinity;
@@ -100,11 +167,19 @@ class WeightStatsCalculator {
     
     // Add time-based aggregations if requested
     if (options.includeWeekly) {
-      stats.weeklyAverages = this.calculateWeeklyAverages(entries);
+      stats.weeklyAverages = this.calculateWeeklyAverages(entries, options);
     }
     
     if (options.includeMonthly) {
-      stats.monthlyAverages = this.calculateMonthlyAverages(entries);
+      stats.monthlyAverages = this.calculateMonthlyAverages(entries, options);
+    }
+    
+    if (options.includeTrend || options.includeTrendLine || options.targetWeight !== undefined) {
+      stats.trendAnalysis = this.analyzeTrend(entries, options);
+    }
+    
+    if (outliers) {
+      stats.outliers = outliers;
     }
     
     return stats;
@@ -135,6 +210,234 @@ class WeightStatsCalculator {
     return 0; // Stable
   }
   
+  /**
+   * Analyzes the weight trend of entries in any order. The trend line is an
+   * exponential moving average that filters day-to-day water fluctuations;
+   * the slope comes from a least-squares fit over all entries. With a target
+   * weight, the date the trend line reaches it at the current slope is projected.
+   * 
+   * @static
+   * @param {Array<Object>} entries - Weight entries (`date`, `weight`)
+   * @param {Object} [options={}] - Analysis options
+   * @param {number} [options.smoothing=0.1] - Daily smoothing factor (0-1); higher follows the scale more closely
+   * @param {number} [options.targetWeight] - Target weight to project
+   * @param {boolean} [options.includeTrendLine=false] - Include the smoothed series
+   * @returns {TrendAnalysis|null} Trend analysis or null if no entry has a valid date and weight
+   */
+  static analyzeTrend(entries, options = {}) {
+    const points = this.toChronologicalPoints(entries);
+    if (points.length === 0) {
+      return null;
+    }
+    
+    const smoothing = options.smoothing || WEIGHT_TREND.DEFAULT_SMOOTHING;
+    const series = this.calculateSmoothedTrend(points, smoothing);
+    const regression = this.calculateRegression(points);
+    const latest = series[series.length - 1];
+    const slopePerWeek = regression ? regression.slopePerWeek : null;
+    
+    const analysis = {
+      smoothing,
+      trendWeight: latest.trend,
+      slopePerWeek: slopePerWeek === null ? null : Math.round(slopePerWeek * 100) / 100,
+      rSquared: regression ? Math.round(regression.rSquared * 100) / 100 : null,
+      direction: slopePerWeek === null || Math.abs(slopePerWeek) < WEIGHT_TREND.STABLE_SLOPE
+        ? 0
+        : Math.sign(slopePerWeek)
+    };
+    
+    if (options.targetWeight !== undefined && options.targetWeight !== null) {
+      analysis.goal = this.projectGoal(latest, slopePerWeek, options.targetWeight);
+    }
+    
+    if (options.includeTrendLine) {
+      analysis.series = series;
+    }
+    
+    return analysis;
+  }
+  
+  /**
+   * Converts entries into numeric points sorted oldest first, dropping entries
+   * without a valid date or weight
+   * @private
+   * @static
+   * @param {Array<Object>} entries - Weight entries
+   * @returns {Array<{date: string, time: number, weight: number}>} Sorted points
+   */
+  static toChronologicalPoints(entries) {
+    return entries
+      .map(entry => ({ date: entry.date, time: Date.parse(entry.date), weight: parseFloat(entry.weight) }))
+      .filter(point => !isNaN(point.time) && isFinite(point.weight))
+      .sort((a, b) => a.time - b.time);
+  }
+  
+  /**
+   * Calculates the exponentially smoothed trend line. The smoothing factor
+   * applies per day, so a gap of several days moves the trend further towards
+   * the next weigh-in than consecutive daily entries would.
+   * @private
+   * @static
+   * @param {Array<Object>} points - Points sorted oldest first
+   * @param {number} smoothing - Daily smoothing factor (0-1)
+   * @returns {Array<{date: string, weight: number, trend: number}>} Trend line
+   */
+  static calculateSmoothedTrend(points, smoothing) {
+    let trend = points[0].weight;
+    let previousTime = points[0].time;
+    
+    return points.map(point => {
+      const days = Math.max((point.time - previousTime) / MS_PER_DAY, 1);
+      const factor = 1 - Math.pow(1 - smoothing, days);
+      trend += factor * (point.weight - trend);
+      previousTime = point.time;
+      return {
+        date: point.date,
+        weight: Math.round(point.weight * 100) / 100,
+        trend: Math.round(trend * 100) / 100
+      };
+    });
+  }
+  
+  /**
+   * Fits a least-squares line through weight over time
+   * @private
+   * @static
+   * @param {Array<Object>} points - Points sorted oldest first
+   * @returns {{slopePerWeek: number, rSquared: number}|null} Regression or null if all points share one time
+   */
+  static calculateRegression(points) {
+    const n = points.length;
+    const origin = points[0].time;
+    let sumX = 0;
+    let sumY = 0;
+    for (const point of points) {
+      sumX += (point.time - origin) / MS_PER_DAY;
+      sumY += point.weight;
+    }
+    const meanX = sumX / n;
+    const meanY = sumY / n;
+    
+    let sxx = 0;
+    let sxy = 0;
+    let syy = 0;
+    for (const point of points) {
+      const dx = (point.time - origin) / MS_PER_DAY - meanX;
+      const dy = point.weight - meanY;
+      sxx += dx * dx;
+      sxy += dx * dy;
+      syy += dy * dy;
+    }
+    
+    if (sxx === 0) {
+      return null;
+    }
+    
+    const slopePerDay = sxy / sxx;
+    return {
+      slopePerWeek: slopePerDay * 7,
+      rSquared: syy === 0 ? 1 : (sxy * sxy) / (sxx * syy)
+    };
+  }
+  
+  /**
+   * Projects when the trend line reaches a target weight at the current slope
+   * @private
+   * @static
+   * @param {Object} latest - Latest trend line point (`date`, `trend`)
+   * @param {number|null} slopePerWeek - Regression slope in kg/week
+   * @param {number} targetWeight - Target weight
+   * @returns {Object} Goal projection (see `TrendAnalysis.goal`)
+   */
+  static projectGoal(latest, slopePerWeek, targetWeight) {
+    const remaining = targetWeight - latest.trend;
+    const goal = {
+      targetWeight,
+      remaining: Math.round(remaining * 100) / 100,
+      reached: Math.abs(remaining) <= WEIGHT_TREND.GOAL_TOLERANCE,
+      onTrack: false,
+      weeksToGoal: null,
+      projectedDate: null
+    };
+    
+    if (goal.reached) {
+      return { ...goal, onTrack: true, weeksToGoal: 0, projectedDate: String(latest.date).substring(0, 10) };
+    }
+    
+    if (slopePerWeek === null || Math.abs(slopePerWeek) < WEIGHT_TREND.STABLE_SLOPE || Math.sign(slopePerWeek) !== Math.sign(remaining)) {
+      return goal;
+    }
+    
+    const weeks = remaining / slopePerWeek;
+    goal.onTrack = true;
+    if (weeks <= WEIGHT_TREND.MAX_PROJECTION_WEEKS) {
+      goal.weeksToGoal = Math.round(weeks * 10) / 10;
+      goal.projectedDate = new Date(Date.parse(latest.date) + weeks * 7 * MS_PER_DAY).toISOString().substring(0, 10);
+    }
+    return goal;
+  }
+  
+  /**
+   * Flags entries that are implausible compared to their neighbours, such as
+   * scale glitches or a mistyped 8.5 instead of 85. Each entry is compared with
+   * the median of a window of consecutive entries (a Hampel filter); it is
+   * flagged when it deviates by more than `threshold` scaled median absolute
+   * deviations and by more than `minDeviation` kg. Fewer than three entries are
+   * never flagged.
+   * 
+   * @static
+   * @param {Array<Object>} entries - Weight entries (`id`, `date`, `weight`) in any order
+   * @param {Object} [options={}] - Detection options
+   * @param {number} [options.window=7] - Number of entries the rolling median is taken over
+   * @param {number} [options.threshold=3] - Allowed deviation in scaled median absolute deviations
+   * @param {number} [options.minDeviation=2] - Deviation in kg that is never flagged
+   * @returns {Array<WeightOutlier>} Flagged entries in input order
+   */
+  static detectOutliers(entries, options = {}) {
+    return this.findOutliers(entries, options).map(outlier => toWeightOutlier(entries, outlier));
+  }
+  
+  /**
+   * Finds outliers by position in the entries array
+   * @private
+   * @static
+   * @param {Array<Object>} entries - Weight entries
+   * @param {Object} options - Detection options (see `detectOutliers`)
+   * @returns {Array<{index: number, expected: number, deviation: number}>} Outliers in input order
+   */
+  static findOutliers(entries, options = {}) {
+    const window = options.window || WEIGHT_OUTLIERS.WINDOW;
+    const threshold = options.threshold || WEIGHT_OUTLIERS.THRESHOLD;
+    const minDeviation = options.minDeviation !== undefined ? options.minDeviation : WEIGHT_OUTLIERS.MIN_DEVIATION;
+    
+    const points = entries
+      .map((entry, index) => ({ index, time: Date.parse(entry.date), weight: parseFloat(entry.weight) }))
+      .filter(point => !isNaN(point.time) && isFinite(point.weight))
+      .sort((a, b) => a.time - b.time);
+    if (points.length < 3) {
+      return [];
+    }
+    
+    const size = Math.min(window, points.length);
+    const half = Math.floor(size / 2);
+    const outliers = [];
+    
+    points.forEach((point, i) => {
+      // Keep the window full at both ends of the series
+      const start = Math.min(Math.max(i - half, 0), points.length - size);
+      const weights = points.slice(start, start + size).map(neighbour => neighbour.weight);
+      const median = this.calculateMedian(weights);
+      const mad = this.calculateMedian(weights.map(weight => Math.abs(weight - median)));
+      const deviation = point.weight - median;
+      
+      if (Math.abs(deviation) > Math.max(threshold * WEIGHT_OUTLIERS.MAD_SCALE * mad, minDeviation)) {
+        outliers.push({ index: point.index, expected: median, deviation: Math.round(deviation * 100) / 100 });
+      }
+    });
+    
+    return outliers.sort((a, b) => a.index - b.index);
+  }
+  
   /**
    * Calculates median weight efficiently
    * @private
@@ -168,24 +471,27 @@ class WeightStatsCalculator {
   }
   
   /**
-   * Calculates weekly averages from entries
+   * Calculates weekly averages from entries, grouped by the week each entry's
+   * date falls in within the time zone
    * @private
    * @static
    * @param {Array<Object>} entries - Weight entries sorted by date
-   * @returns {Array<Object>} Weekly averages
+   * @param {Object} [options={}] - Grouping options
+   * @param {string} [options.timeZone] - Time zone of the entry dates (default: the process time zone)
+   * @param {number} [options.weekStart=1] - First day of the week, 0 (Sunday) to 6 (Saturday)
+   * @returns {Array<Object>} Weekly averages with the week key and the week's first day as `startDate`, newest first
    */
-  static calculateWeeklyAverages(entries) {
+  static calculateWeeklyAverages(entries, options = {}) {
     const weeks = new Map();
     
     for (const entry of entries) {
-      const date = new Date(entry.date);
-      const weekKey = this.getWeekKey(date);
+      const week = Calendar.getWeek(Calendar.toLocalDate(entry.date, options.timeZone), options.weekStart);
       
-      const existingWeek = weeks.get(weekKey);
+      const existingWeek = weeks.get(week.key);
       if (!existingWeek) {
-        weeks.set(weekKey, { sum: entry.weight, count: 1, startDate: entry.date });
+        weeks.set(week.key, { sum: entry.weight, count: 1, startDate: week.start });
       } else {
-        weeks.set(weekKey, {
+        weeks.set(week.key, {
           ...existingWeek,
           sum: existingWeek.sum + entry.weight,
           count: existingWeek.count + 1
@@ -200,22 +506,24 @@ class WeightStatsCalculator {
       startDate: data.startDate
     }));
     
-    return result.sort((a, b) => b.week.localeCompare(a.week));
+    return result.sort((a, b) => b.startDate.localeCompare(a.startDate));
   }
   
   /**
-   * Calculates monthly averages from entries
+   * Calculates monthly averages from entries, grouped by the month each entry's
+   * date falls in within the time zone
    * @private
    * @static
    * @param {Array<Object>} entries - Weight entries sorted by date
+   * @param {Object} [options={}] - Grouping options
+   * @param {string} [options.timeZone] - Time zone of the entry dates (default: the process time zone)
    * @returns {Array<Object>} Monthly averages
    */
-  static calculateMonthlyAverages(entries) {
+  static calculateMonthlyAverages(entries, options = {}) {
     const months = new Map();
     
     for (const entry of entries) {
-      const date = new Date(entry.date);
-      const monthKey = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+      const monthKey = Calendar.getMonth(Calendar.toLocalDate(entry.date, options.timeZone));
       
       const existingMonth = months.get(monthKey);
       if (!existingMonth) {
@@ -239,31 +547,93 @@ class WeightStatsCalculator {
   }
   
   /**
-   * Gets week key for a date (ISO week)
+   * Gets the week key of a date in the time zone (ISO 8601 numbering)
    * @private
    * @static
-   * @param {Date} date - Date to get week key for
-   * @returns {string} Week key in format "YYYY-WW"
+   * @param {Date|string} date - Date to get week key for
+   * @param {Object} [options={}] - Week options (`timeZone`, `weekStart`)
+   * @returns {string} Week key in format "YYYY-Www", with the week-numbering year
    */
-  static getWeekKey(date) {
-    const year = date.getFullYear();
-    const weekNumber = this.getWeekNumber(date);
-    return `${year}-W${String(weekNumber).padStart(2, '0')}`;
+  static getWeekKey(date, options = {}) {
+    return Calendar.getWeek(Calendar.toLocalDate(date, options.timeZone), options.weekStart).key;
   }
   
   /**
-   * Gets ISO week number for a date
+   * Gets the week number of a date in the time zone (ISO 8601 numbering)
    * @private
    * @static
-   * @param {Date} date - Date to get week number for
-   * @returns {number} ISO week number
+   * @param {Date|string} date - Date to get week number for
+   * @param {Object} [options={}] - Week options (`timeZone`, `weekStart`)
+   * @returns {number} Week number (1-53)
+   */
+  static getWeekNumber(date, options = {}) {
+    return Calendar.getWeek(Calendar.toLocalDate(date, options.timeZone), options.weekStart).week;
+  }
+  
+  /**
+   * Converts statistics to another weight unit. Weights, differences and slopes
+   * are converted; percentages, counts, directions and fit are unit-free.
+   * 
+   * @static
+   * @param {WeightStats|null} stats - Statistics in `from`
+   * @param {string} from - Unit the statistics were calculated in
+   * @param {string} to - Unit to convert to
+   * @returns {WeightStats|null} Converted copy of the statistics with `unit` set
    */
-  static getWeekNumber(date) {
-    const d = new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()));
-    const dayNum = d.getUTCDay() || 7;
-    d.setUTCDate(d.getUTCDate() + 4 - dayNum);
-    const yearStart = new Date(Date.UTC(d.getUTCFullYear(), 0, 1));
-    return Math.ceil((((d - yearStart) / 86400000) + 1) / 7);
+  static convertUnits(stats, from, to) {
+    if (!stats) {
+      return stats;
+    }
+    
+    const convert = value => (typeof value === 'number' ? UnitConverter.convert(value, from, to) : value);
+    const converted = { ...stats, unit: UnitConverter.parseUnit(to) };
+    
+    ['min', 'max', 'avg', 'median', 'latest', 'oldest', 'change', 'standardDeviation'].forEach(field => {
+      if (stats[field] !== undefined) {
+        converted[field] = convert(stats[field]);
+      }
+    });
+    
+    if (stats.weeklyAverages) {
+      converted.weeklyAverages = stats.weeklyAverages.map(week => ({ ...week, average: convert(week.average) }));
+    }
+    if (stats.monthlyAverages) {
+      converted.monthlyAverages = stats.monthlyAverages.map(month => ({ ...month, average: convert(month.average) }));
+    }
+    
+    if (stats.trendAnalysis) {
+      const analysis = stats.trendAnalysis;
+      converted.trendAnalysis = {
+        ...analysis,
+        trendWeight: convert(analysis.trendWeight),
+        slopePerWeek: convert(analysis.slopePerWeek)
+      };
+      if (analysis.goal) {
+        converted.trendAnalysis.goal = {
+          ...analysis.goal,
+          targetWeight: convert(analysis.goal.targetWeight),
+          remaining: convert(analysis.goal.remaining)
+        };
+      }
+      if (analysis.series) {
+        converted.trendAnalysis.series = analysis.series.map(point => ({
+          ...point,
+          weight: convert(point.weight),
+          trend: convert(point.trend)
+        }));
+      }
+    }
+    
+    if (stats.outliers) {
+      converted.outliers = stats.outliers.map(outlier => ({
+        ...outlier,
+        weight: convert(outlier.weight),
+        expected: convert(outlier.expected),
+        deviation: convert(outlier.deviation)
+      }));
+    }
+    
+    return converted;
   }
   
   /**
@@ -0,0 +1,283 @@
+/**
+ * @fileoverview Conversion between wger workouts and the portable workout plan format
+ * @module utils/workout-plan
+ * @requires js-yaml
+ * @requires ./constants
+ * @version 1.0.0
+ * @author Node-RED wger contrib team
+ */
+
+const yaml = require('js-yaml');
+const { WORKOUT_CLONE, WORKOUT_PLAN, ERRORS } = require('./constants');
+
+/**
+ * Reference to an exercise that does not depend on instance-specific ids
+ * @typedef {Object} ExerciseReference
+ * @property {string} [uuid] - UUID of the exercise, identical on every wger server sharing the exercise database
+ * @property {string} [name] - Exercise name, used when the UUID is unknown on the target server
+ */
+
+/**
+ * Workout plan document (see docs/WORKOUT-PLAN-FORMAT.md)
+ * @typedef {Object} WorkoutPlanDocument
+ * @property {string} format - Always `wger-workout-plan`
+ * @property {number} version - Format version
+ * @property {string} name - Workout name
+ * @property {string} [description] - Workout description
+ * @property {Array<Object>} days - Days with their `sets`, each set with its `exercises` and their `settings`
+ */
+
+/**
+ * Copies the given fields of an object, leaving out missing ones.
+ * @private
+ */
+const pick = (source, fields) => {
+  const copy = {};
+  fields.forEach(field => {
+    if (source[field] !== undefined && source[field] !== null) {
+      copy[field] = source[field];
+    }
+  });
+  return copy;
+};
+
+/**
+ * Throws a plan format error.
+ * @private
+ */
+const invalid = (reason) => {
+  throw new Error(ERRORS.WORKOUT_PLAN_INVALID.replace('{reason}', reason));
+};
+
+/**
+ * Checks that a plan field is an array, if present.
+ * @private
+ */
+const listAt = (parent, field, path) => {
+  const list = parent[field] === undefined || parent[field] === null ? [] : parent[field];
+  if (!Array.isArray(list)) {
+    invalid(`${path}.${field} must be a list`);
+  }
+  return list;
+};
+
+/**
+ * Builds and reads workout plan documents: the days, sets and settings of a
+ * workout with exercises referenced by UUID and name, so a plan can be kept
+ * in version control and imported on any wger server.
+ *
+ * @class WorkoutPlan
+ * @example
+ * const plan = WorkoutPlan.fromCanonical(canonical, exercisesById);
+ * const text = WorkoutPlan.serialize(plan, 'yaml');
+ * WorkoutPlan.parse(text).days.length;
+ */
+class WorkoutPlan {
+  /**
+   * Builds a plan from the canonical representation of a workout.
+   *
+   * @static
+   * @param {Object} canonical - Canonical workout representation from wger
+   * @param {Map<number, ExerciseReference>} [exercises] - References of the exercise ids used in the workout
+   * @returns {WorkoutPlanDocument} Plan
+   */
+  static fromCanonical(canonical, exercises = new Map()) {
+    const workout = canonical.obj || {};
+    return {
+      format: WORKOUT_PLAN.FORMAT,
+      version: WORKOUT_PLAN.VERSION,
+      name: workout.name || '',
+      description: workout.description || '',
+      days: (canonical.day_list || []).map(day => ({
+        ...pick(day.obj || {}, WORKOUT_CLONE.DAY_FIELDS),
+        sets: (day.set_list || []).map(set => ({
+          ...pick(set.obj || {}, WORKOUT_CLONE.SET_FIELDS),
+          exercises: (set.exercise_list || []).map(exercise => {
+            const id = this.getExerciseId(exercise);
+            return {
+              exercise: exercises.get(id) || this.toReference(exercise.obj),
+              settings: (exercise.setting_obj_list || []).map(setting => pick(setting, WORKOUT_PLAN.SETTING_FIELDS))
+            };
+          })
+        }))
+      }))
+    };
+  }
+
+  /**
+   * Lists the ids of the exercises used in a canonical workout representation.
+   *
+   * @static
+   * @param {Object} canonical - Canonical workout representation
+   * @returns {Array<number>} Unique exercise ids
+   */
+  static getExerciseIds(canonical) {
+    const ids = new Set();
+    (canonical.day_list || []).forEach(day => (day.set_list || []).forEach(set => {
+      (set.exercise_list || []).forEach(exercise => {
+        const id = this.getExerciseId(exercise);
+        if (id !== undefined) {
+          ids.add(id);
+        }
+      });
+    }));
+    return Array.from(ids);
+  }
+
+  /**
+   * Id of an exercise of the canonical representation, from the exercise
+   * itself or its first setting.
+   * @private
+   * @static
+   */
+  static getExerciseId(exercise) {
+    if (exercise.obj && exercise.obj.id !== undefined) {
+      return exercise.obj.id;
+    }
+    const setting = (exercise.setting_obj_list || [])[0];
+    return setting ? setting.exercise_base : undefined;
+  }
+
+  /**
+   * Builds the reference of an exercise from wger exercise data. The name is
+   * taken from the exercise or, for exercise base info, from its English
+   * translation if there is one.
+   *
+   * @static
+   * @param {Object} [exercise] - Exercise or exercise base info from wger
+   * @returns {ExerciseReference} Reference
+   */
+  static toReference(exercise) {
+    if (!exercise) {
+      return {};
+    }
+    const translations = exercise.exercises || exercise.translations || [];
+    const translation = translations.find(candidate => candidate.language === WORKOUT_PLAN.NAME_LANGUAGE) || translations[0];
+    const name = exercise.name || (translation && translation.name);
+    return pick({ uuid: exercise.uuid, name }, ['uuid', 'name']);
+  }
+
+  /**
+   * Formats a plan.
+   *
+   * @static
+   * @param {WorkoutPlanDocument} plan - Plan
+   * @param {string} [format='json'] - One of `WORKOUT_PLAN.FORMATS`
+   * @returns {string|WorkoutPlanDocument} JSON or YAML text, or the plan itself
+   */
+  static serialize(plan, format = WORKOUT_PLAN.FORMATS.JSON) {
+    if (format === WORKOUT_PLAN.FORMATS.YAML) {
+      return yaml.dump(plan, { noRefs: true, lineWidth: -1 });
+    }
+    if (format === WORKOUT_PLAN.FORMATS.OBJECT) {
+      return plan;
+    }
+    return JSON.stringify(plan, null, 2);
+  }
+
+  /**
+   * Reads and checks a plan given as object, JSON or YAML text.
+   *
+   * @static
+   * @param {string|Object} input - Plan document
+   * @returns {WorkoutPlanDocument} Plan
+   * @throws {Error} When the input is not a plan of a supported version
+   */
+  static parse(input) {
+    let plan = input;
+    if (typeof input === 'string') {
+      try {
+        // JSON is a subset of YAML, so one parser reads both
+        plan = yaml.load(input, { schema: yaml.JSON_SCHEMA });
+      } catch (error) {
+        invalid(error.reason || error.message);
+      }
+    }
+
+    if (!plan || typeof plan !== 'object' || Array.isArray(plan)) {
+      invalid('expected an object');
+    }
+    if (plan.format !== WORKOUT_PLAN.FORMAT) {
+      invalid(`format must be "${WORKOUT_PLAN.FORMAT}"`);
+    }
+    if (plan.version !== WORKOUT_PLAN.VERSION) {
+      invalid(`unsupported version ${plan.version} (supported: ${WORKOUT_PLAN.VERSION})`);
+    }
+    if (typeof plan.name !== 'string' || plan.name.trim() === '') {
+      invalid('name is required');
+    }
+
+    listAt(plan, 'days', 'plan').forEach((day, dayIndex) => {
+      listAt(day, 'sets', `days[${dayIndex}]`).forEach((set, setIndex) => {
+        const setPath = `days[${dayIndex}].sets[${setIndex}]`;
+        listAt(set, 'exercises', setPath).forEach((exercise, exerciseIndex) => {
+          const path = `${setPath}.exercises[${exerciseIndex}]`;
+          const reference = exercise.exercise || {};
+          if (!reference.uuid && !reference.name) {
+            invalid(`${path}.exercise needs a uuid or a name`);
+          }
+          listAt(exercise, 'settings', path);
+        });
+      });
+    });
+    return plan;
+  }
+
+  /**
+   * Lists the exercise references of a plan with their location.
+   *
+   * @static
+   * @param {WorkoutPlanDocument} plan - Checked plan
+   * @returns {Array<{path: string, exercise: ExerciseReference}>} References in plan order
+   */
+  static getExerciseReferences(plan) {
+    const references = [];
+    (plan.days || []).forEach((day, dayIndex) => (day.sets || []).forEach((set, setIndex) => {
+      (set.exercises || []).forEach((exercise, exerciseIndex) => {
+        references.push({ path: `days[${dayIndex}].sets[${setIndex}].exercises[${exerciseIndex}]`, exercise: exercise.exercise });
+      });
+    }));
+    return references;
+  }
+
+  /**
+   * Key under which a reference is resolved once per plan.
+   *
+   * @static
+   * @param {ExerciseReference} reference - Exercise reference
+   * @returns {string} Key
+   */
+  static getReferenceKey(reference) {
+    return reference.uuid ? `uuid:${reference.uuid}` : `name:${String(reference.name).trim().toLowerCase()}`;
+  }
+
+  /**
+   * Turns a plan into the shape of a canonical workout representation, with
+   * the exercise ids of the target server, so it can be created like a clone.
+   *
+   * @static
+   * @param {WorkoutPlanDocument} plan - Checked plan
+   * @param {Map<string, number>} exerciseIds - Exercise ids by reference key
+   * @returns {Object} Canonical representation without ids of its own
+   */
+  static toCanonical(plan, exerciseIds) {
+    return {
+      obj: { name: plan.name, description: plan.description || '' },
+      day_list: (plan.days || []).map(day => ({
+        obj: pick(day, WORKOUT_CLONE.DAY_FIELDS),
+        set_list: (day.sets || []).map(set => ({
+          obj: pick(set, WORKOUT_CLONE.SET_FIELDS),
+          exercise_list: (set.exercises || []).map(exercise => {
+            const id = exerciseIds.get(this.getReferenceKey(exercise.exercise));
+            return {
+              obj: { id },
+              setting_obj_list: (exercise.settings || []).map(setting => ({ ...pick(setting, WORKOUT_PLAN.SETTING_FIELDS), exercise_base: id }))
+            };
+          })
+        }))
+      }))
+    };
+  }
+}
+
+module.exports = WorkoutPlan;
@@ -0,0 +1,153 @@
+/**
+ * @fileoverview Planned training days of wger schedules and schedule steps from calendar events
+ * @module utils/workout-schedule
+ * @requires ./constants
+ * @requires ./calendar
+ * @requires ./workout-plan
+ * @version 1.0.0
+ * @author Node-RED wger contrib team
+ */
+
+const { ICS } = require('./constants');
+const Calendar = require('./calendar');
+const WorkoutPlan = require('./workout-plan');
+
+const DAYS_PER_WEEK = 7;
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Day of the week as numbered by wger days, 1 (Monday) to 7 (Sunday).
+ * @private
+ */
+const isoWeekday = date => ((new Date(`${date}T00:00:00Z`).getUTCDay() + 6) % DAYS_PER_WEEK) + 1;
+
+/**
+ * Expands wger schedules into the dates their workout days are planned on,
+ * and groups calendar events back into schedule steps.
+ *
+ * A schedule runs its steps in order from its start date; each step repeats
+ * the days of its workout for `duration` weeks, and a looping schedule starts
+ * over after the last step.
+ *
+ * @class WorkoutSchedule
+ * @example
+ * const { events } = WorkoutSchedule.toEvents(schedule, steps, canonicalByWorkout, { endDate: '2024-12-31' });
+ * const steps = WorkoutSchedule.toSteps(IcsCalendar.parse(text).events, event => workoutIdOf(event));
+ */
+class WorkoutSchedule {
+  /**
+   * Lists the planned training days of a schedule as all-day events.
+   *
+   * @static
+   * @param {Object} schedule - wger schedule (`start_date`, `is_loop`)
+   * @param {Array<Object>} steps - Schedule steps (`workout`, `duration` in weeks, `order`)
+   * @param {Map<number, Object>} workouts - Canonical representation per workout id
+   * @param {Object} [options={}] - Options
+   * @param {string} [options.startDate] - Leave out days before this date
+   * @param {string} [options.endDate] - Leave out days after this date; looping schedules
+   *   otherwise run for `ICS.LOOP_WEEKS` weeks
+   * @returns {{events: Array<IcsEvent>, truncated: boolean}} Events by date, and whether `ICS.MAX_EVENTS` cut them off
+   */
+  static toEvents(schedule, steps, workouts, options = {}) {
+    const ordered = (steps || []).slice().sort((a, b) => (a.order || 0) - (b.order || 0) || a.id - b.id);
+    const cycleWeeks = ordered.reduce((sum, step) => sum + Math.max(0, Number(step.duration) || 0), 0);
+    const events = [];
+    if (!schedule.start_date || cycleWeeks === 0) {
+      return { events, truncated: false };
+    }
+
+    const start = String(schedule.start_date).substring(0, 10);
+    const horizon = options.endDate || (schedule.is_loop ? Calendar.addDays(start, ICS.LOOP_WEEKS * DAYS_PER_WEEK - 1) : null);
+    let cursor = start;
+    let truncated = false;
+
+    do {
+      for (const step of ordered) {
+        const stepEnd = Calendar.addDays(cursor, (Number(step.duration) || 0) * DAYS_PER_WEEK);
+        const canonical = workouts.get(step.workout) || {};
+        for (let date = cursor; date < stepEnd && (!horizon || date <= horizon) && !truncated; date = Calendar.addDays(date, 1)) {
+          if (options.startDate && date < options.startDate) {
+            continue;
+          }
+          for (const day of canonical.day_list || []) {
+            if (!(day.obj && (day.obj.day || []).includes(isoWeekday(date)))) {
+              continue;
+            }
+            if (events.length >= ICS.MAX_EVENTS) {
+              truncated = true;
+              break;
+            }
+            events.push(this.toEvent(schedule, step, canonical, day, date));
+          }
+        }
+        cursor = stepEnd;
+        if (truncated || (horizon && cursor > horizon)) {
+          break;
+        }
+      }
+    } while (schedule.is_loop && !truncated && cursor <= horizon);
+
+    return { events, truncated };
+  }
+
+  /**
+   * Builds the event of a planned workout day. The UID is made of the ids of
+   * schedule, step and day and the date, so it stays the same across exports.
+   * @private
+   * @static
+   */
+  static toEvent(schedule, step, canonical, day, date) {
+    const workout = canonical.obj || {};
+    const exercises = [];
+    (day.set_list || []).forEach(set => (set.exercise_list || []).forEach(exercise => {
+      const name = WorkoutPlan.toReference(exercise.obj).name;
+      const count = set.obj && set.obj.sets ? ` (${set.obj.sets} sets)` : '';
+      if (name) {
+        exercises.push(`${name}${count}`);
+      }
+    }));
+
+    return {
+      uid: `wger-schedule-${schedule.id}-step-${step.id}-day-${day.obj.id}-${date.replace(/-/g, '')}@${ICS.UID_DOMAIN}`,
+      start: date,
+      end: Calendar.addDays(date, 1),
+      summary: [workout.name, day.obj.description].filter(Boolean).join(': '),
+      description: exercises.join('\n'),
+      properties: { [ICS.WORKOUT_PROPERTY]: String(step.workout) }
+    };
+  }
+
+  /**
+   * Groups events into schedule steps: consecutive events of the same workout
+   * form one step lasting the weeks from the first event's start to the last
+   * event's end, at least one.
+   *
+   * @static
+   * @param {Array<IcsEvent>} events - Calendar events
+   * @param {Function} getWorkout - `event => workoutId`; events it returns no id for are left out
+   * @returns {Array<{workout: number, duration: number, start: string, end: string, events: Array<string>}>} Steps in date order
+   */
+  static toSteps(events, getWorkout) {
+    const steps = [];
+    (events || [])
+      .map(event => ({ event, workout: getWorkout(event) }))
+      .filter(entry => entry.workout !== undefined && entry.workout !== null)
+      .sort((a, b) => a.event.start.localeCompare(b.event.start))
+      .forEach(({ event, workout }) => {
+        const last = steps[steps.length - 1];
+        if (last && last.workout === workout) {
+          last.end = event.end > last.end ? event.end : last.end;
+          last.events.push(event.uid);
+        } else {
+          steps.push({ workout, start: event.start, end: event.end, events: [event.uid] });
+        }
+      });
+
+    return steps.map(step => {
+      const days = Math.round((Date.parse(`${step.end}T00:00:00Z`) - Date.parse(`${step.start}T00:00:00Z`)) / MS_PER_DAY);
+      return { ...step, duration: Math.max(1, Math.ceil(days / DAYS_PER_WEEK)) };
+    });
+  }
+}
+
+module.exports = WorkoutSchedule;
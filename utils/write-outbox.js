@@ -0,0 +1,542 @@
+/**
+ * @fileoverview Durable outbox for writes made while the wger server is unreachable
+ * @module utils/write-outbox
+ * @requires ./constants
+ * @version 1.0.0
+ * @author Node-RED wger contrib team
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { OUTBOX, ERRORS } = require('./constants');
+const timeProviderFactory = require('./time-provider').default;
+
+/**
+ * Keeps the context values that survive storage as JSON; callbacks and
+ * objects are rebuilt by the handler on replay.
+ * @private
+ */
+const serializableContext = context => Object.fromEntries(Object.entries(context || {})
+  .filter(([, value]) => ['string', 'number', 'boolean'].includes(typeof value)));
+
+/**
+ * Queued write operation
+ * @typedef {Object} OutboxEntry
+ * @property {string} idempotencyKey - Unique key of the write, used to detect duplicates
+ * @property {string} type - Node type that replays the write (e.g. 'wger-weight')
+ * @property {string} operation - Operation name (e.g. 'createWeightEntry')
+ * @property {Object} payload - Operation payload
+ * @property {Object} [context] - Serialisable operation context (time zone, week start, concurrency)
+ * @property {number} queuedAt - Timestamp when the write was queued
+ */
+
+/**
+ * Outbox storage backed by Node-RED context storage. Use a persistent context
+ * store (e.g. `localfilesystem`) so queued writes survive a restart.
+ *
+ * @class ContextOutboxStorage
+ */
+class ContextOutboxStorage {
+  /**
+   * @constructor
+   * @param {Object} context - Node-RED context object (e.g. `node.context()`)
+   * @param {string} [store] - Name of the context store, the default store if omitted
+   * @param {string} [key=OUTBOX.CONTEXT_KEY] - Context key the state is stored under
+   */
+  constructor(context, store, key = OUTBOX.CONTEXT_KEY) {
+    this.context = context;
+    this.store = store || undefined;
+    this.key = key;
+  }
+
+  /**
+   * Loads the stored outbox state.
+   * @returns {Promise<Object|null>} Stored state, or null if nothing was stored
+   */
+  load() {
+    return new Promise((resolve, reject) => {
+      this.context.get(this.key, this.store, (err, value) => (err ? reject(err) : resolve(value || null)));
+    });
+  }
+
+  /**
+   * Stores the outbox state.
+   * @param {Object} state - Outbox state
+   * @returns {Promise<void>}
+   */
+  save(state) {
+    return new Promise((resolve, reject) => {
+      this.context.set(this.key, state, this.store, err => (err ? reject(err) : resolve()));
+    });
+  }
+}
+
+/**
+ * Outbox storage backed by a local JSON file. Writes go to a temporary file
+ * that is renamed over the old one, so a crash never leaves a truncated file.
+ *
+ * @class FileOutboxStorage
+ */
+class FileOutboxStorage {
+  /**
+   * @constructor
+   * @param {string} filePath - Path of the JSON file
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+  }
+
+  /**
+   * Loads the stored outbox state.
+   * @returns {Promise<Object|null>} Stored state, or null if the file does not exist
+   */
+  async load() {
+    try {
+      return JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Stores the outbox state.
+   * @param {Object} state - Outbox state
+   * @returns {Promise<void>}
+   */
+  async save(state) {
+    const tempPath = `${this.filePath}.tmp`;
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.writeFile(tempPath, JSON.stringify(state), 'utf8');
+    await fs.rename(tempPath, this.filePath);
+  }
+}
+
+/**
+ * Durable FIFO outbox for write operations.
+ *
+ * Writes that fail because the server is unreachable are stored together with an
+ * idempotency key and replayed in order by the node type that created them once
+ * the connection is back. While writes are queued, the outbox probes the
+ * connection every `probeIntervalMs`; new writes are queued behind the pending
+ * ones so the original order is kept. Keys of replayed writes are remembered, so
+ * a message carrying an already queued or replayed key is not written twice.
+ *
+ * @class WriteOutbox
+ * @example
+ * const outbox = new WriteOutbox({
+ *   storage: new FileOutboxStorage('/data/wger-outbox.json'),
+ *   getClient: () => server.getClient(),
+ *   probe: () => server.testConnection()
+ * });
+ * outbox.registerHandler('wger-weight', handleWeightOperation);
+ */
+class WriteOutbox {
+  /**
+   * Creates a new WriteOutbox instance and loads the stored state.
+   *
+   * @constructor
+   * @param {Object} options - Outbox options
+   * @param {Object} [options.storage] - Storage with async `load()` and `save(state)`; in-memory only if omitted
+   * @param {Function} options.getClient - Returns the API client used for replays
+   * @param {Function} [options.probe] - Async connection test resolving to `{ success }`
+   * @param {Function} [options.onFailure] - Called with `(entry, error)` when a replayed write is rejected or times out
+   * @param {Function} [options.onError] - Called with storage errors
+   * @param {number} [options.probeIntervalMs] - Delay between connection tests while writes are queued
+   * @param {number} [options.maxEntries] - Maximum number of queued writes
+   * @param {Object} [options.timeProvider] - Time provider for dependency injection
+   */
+  constructor(options) {
+    this.storage = options.storage || null;
+    this.getClient = options.getClient;
+    this.probe = options.probe || null;
+    this.onFailure = options.onFailure || (() => {});
+    this.onError = options.onError || (() => {});
+    this.probeIntervalMs = options.probeIntervalMs || OUTBOX.PROBE_INTERVAL_MS;
+    this.maxEntries = options.maxEntries || OUTBOX.MAX_ENTRIES;
+    this.timeProvider = options.timeProvider || timeProviderFactory();
+
+    this.entries = [];
+    this.completedKeys = [];
+    this.stats = { replayed: 0, failed: 0 };
+    this.disposed = false;
+    this._handlers = new Map();
+    this._listeners = new Set();
+    this._timerId = null;
+    this._replaying = null;
+    this._saving = Promise.resolve();
+    this.ready = this._load();
+  }
+
+  /**
+   * Checks whether an operation of a node type may be queued.
+   *
+   * @param {string} type - Node type
+   * @param {string} operation - Operation name
+   * @returns {boolean} True if the operation is queueable
+   */
+  accepts(type, operation) {
+    return (OUTBOX.OPERATIONS[type] || []).includes(operation);
+  }
+
+  /**
+   * Registers the operation handler that replays writes of a node type.
+   *
+   * @param {string} type - Node type
+   * @param {Function} handler - Operation handler `(client, operation, payload, context)`
+   * @returns {Function} Function that removes the handler
+   */
+  registerHandler(type, handler) {
+    if (!this._handlers.has(type)) {
+      this._handlers.set(type, new Set());
+    }
+    this._handlers.get(type).add(handler);
+    // A node deployed after its writes were queued can replay them now
+    this._schedule();
+    return () => this._handlers.get(type).delete(handler);
+  }
+
+  /**
+   * Registers a listener called with the outbox statistics whenever they change.
+   *
+   * @param {Function} listener - Callback receiving `{ queued, replayed, failed }`
+   * @returns {Function} Function that removes the listener
+   */
+  onChange(listener) {
+    this._listeners.add(listener);
+    return () => this._listeners.delete(listener);
+  }
+
+  /**
+   * Gets the outbox statistics.
+   *
+   * @returns {{queued: number, replayed: number, failed: number}} Counts
+   */
+  getStats() {
+    return { queued: this.entries.length, ...this.stats };
+  }
+
+  /**
+   * Checks whether writes are waiting to be replayed.
+   *
+   * @async
+   * @returns {Promise<boolean>} True if the outbox is not empty
+   */
+  async hasPending() {
+    await this.ready;
+    return this.entries.length > 0;
+  }
+
+  /**
+   * Looks up an idempotency key among queued and replayed writes.
+   *
+   * @async
+   * @param {string} idempotencyKey - Idempotency key
+   * @returns {Promise<Object|null>} Receipt marked as duplicate, or null if the key is unknown
+   */
+  async findDuplicate(idempotencyKey) {
+    await this.ready;
+    const queued = this.entries.some(entry => entry.idempotencyKey === idempotencyKey);
+    if (!queued && !this.completedKeys.includes(idempotencyKey)) {
+      return null;
+    }
+    return { queued, duplicate: true, idempotencyKey, outbox: this.getStats() };
+  }
+
+  /**
+   * Remembers the key of a write that reached the server directly.
+   *
+   * @async
+   * @param {string} idempotencyKey - Idempotency key
+   * @returns {Promise<void>}
+   */
+  async markCompleted(idempotencyKey) {
+    await this.ready;
+    this._remember(idempotencyKey);
+    await this._persist();
+  }
+
+  /**
+   * Queues a write and stores it before resolving.
+   *
+   * @async
+   * @param {Object} write - Write to queue
+   * @param {string} write.idempotencyKey - Idempotency key
+   * @param {string} write.type - Node type that replays the write
+   * @param {string} write.operation - Operation name
+   * @param {Object} write.payload - Operation payload
+   * @param {Object} [write.context] - Operation context; its serialisable values are passed to the handler on replay
+   * @returns {Promise<Object>} Receipt `{ queued: true, idempotencyKey, position, outbox }`
+   * @throws {Error} If the outbox is full
+   */
+  async enqueue(write) {
+    await this.ready;
+    const duplicate = await this.findDuplicate(write.idempotencyKey);
+    if (duplicate) {
+      return duplicate;
+    }
+    if (this.entries.length >= this.maxEntries) {
+      throw new Error(ERRORS.OUTBOX_FULL.replace('{max}', this.maxEntries));
+    }
+
+    this.entries.push({
+      idempotencyKey: write.idempotencyKey,
+      type: write.type,
+      operation: write.operation,
+      payload: write.payload,
+      context: serializableContext(write.context),
+      queuedAt: this.timeProvider.now()
+    });
+    await this._persist();
+    this._notify();
+    this._schedule();
+
+    return {
+      queued: true,
+      idempotencyKey: write.idempotencyKey,
+      position: this.entries.length,
+      outbox: this.getStats()
+    };
+  }
+
+  /**
+   * Replays queued writes in order. Stops at the first write that fails because
+   * the server is unreachable again, or whose node type has no handler yet.
+   * Writes rejected by the server are dropped and counted as failed.
+   * Concurrent calls share one replay.
+   *
+   * @async
+   * @returns {Promise<Object>} Outbox statistics after the replay
+   */
+  replay() {
+    if (!this._replaying) {
+      this._replaying = this._replayEntries().finally(() => {
+        this._replaying = null;
+        this._schedule();
+      });
+    }
+    return this._replaying;
+  }
+
+  /**
+   * Stops probing and releases listeners and handlers. Queued writes stay in storage.
+   */
+  dispose() {
+    this.disposed = true;
+    if (this._timerId !== null) {
+      this.timeProvider.clearTimeout(this._timerId);
+      this._timerId = null;
+    }
+    this._listeners.clear();
+    this._handlers.clear();
+  }
+
+  /**
+   * Loads the stored state.
+   *
+   * @private
+   * @returns {Promise<void>}
+   */
+  async _load() {
+    if (!this.storage) {
+      return;
+    }
+    try {
+      const state = await this.storage.load();
+      if (state) {
+        this.entries = Array.isArray(state.entries) ? state.entries : [];
+        this.completedKeys = Array.isArray(state.completedKeys) ? state.completedKeys : [];
+        this.stats = { replayed: 0, failed: 0, ...state.stats };
+      }
+    } catch (error) {
+      this.onError(error);
+    }
+    if (this.entries.length > 0) {
+      this._notify();
+      this._schedule();
+    }
+  }
+
+  /**
+   * Replays entries one after another.
+   *
+   * @private
+   * @returns {Promise<Object>} Outbox statistics
+   */
+  async _replayEntries() {
+    await this.ready;
+
+    while (this.entries.length > 0 && !this.disposed) {
+      const entry = this.entries[0];
+      const handler = this._getHandler(entry.type);
+      if (!handler) {
+        break;
+      }
+
+      try {
+        await handler(this.getClient(), entry.operation, entry.payload, { ...entry.context });
+        this.stats.replayed++;
+        this._remember(entry.idempotencyKey);
+      } catch (error) {
+        if (WriteOutbox.isOfflineError(error)) {
+          break;
+        }
+        this.stats.failed++;
+        this.onFailure(entry, WriteOutbox.isUnknownOutcome(error)
+          ? WriteOutbox.toUnknownOutcomeError(entry.operation, error)
+          : error);
+      }
+
+      this.entries.shift();
+      await this._persist();
+      this._notify();
+    }
+
+    return this.getStats();
+  }
+
+  /**
+   * Starts a connection probe timer while writes are queued.
+   *
+   * @private
+   */
+  _schedule() {
+    if (this.disposed || this._timerId !== null || this._replaying || this.entries.length === 0 || !this.probe) {
+      return;
+    }
+
+    this._timerId = this.timeProvider.setTimeout(async () => {
+      this._timerId = null;
+      try {
+        const result = await this.probe();
+        if (result && result.success) {
+          await this.replay();
+          return;
+        }
+      } catch (error) {
+        // Still offline - try again later
+      }
+      this._schedule();
+    }, this.probeIntervalMs);
+  }
+
+  /**
+   * Gets a replay handler for a node type.
+   *
+   * @private
+   * @param {string} type - Node type
+   * @returns {Function|undefined} Handler
+   */
+  _getHandler(type) {
+    const handlers = this._handlers.get(type);
+    return handlers ? handlers.values().next().value : undefined;
+  }
+
+  /**
+   * Adds a key to the bounded list of completed keys.
+   *
+   * @private
+   * @param {string} idempotencyKey - Idempotency key
+   */
+  _remember(idempotencyKey) {
+    if (!this.completedKeys.includes(idempotencyKey)) {
+      this.completedKeys.push(idempotencyKey);
+    }
+    if (this.completedKeys.length > OUTBOX.MAX_COMPLETED_KEYS) {
+      this.completedKeys.splice(0, this.completedKeys.length - OUTBOX.MAX_COMPLETED_KEYS);
+    }
+  }
+
+  /**
+   * Writes the current state to storage, one write at a time.
+   *
+   * @private
+   * @returns {Promise<void>}
+   */
+  _persist() {
+    if (!this.storage) {
+      return Promise.resolve();
+    }
+    const state = {
+      entries: this.entries.slice(),
+      completedKeys: this.completedKeys.slice(),
+      stats: { ...this.stats }
+    };
+    this._saving = this._saving
+      .then(() => this.storage.save(state))
+      .catch(error => this.onError(error));
+    return this._saving;
+  }
+
+  /**
+   * Notifies listeners of the current statistics.
+   *
+   * @private
+   */
+  _notify() {
+    const stats = this.getStats();
+    this._listeners.forEach(listener => listener(stats));
+  }
+
+  /**
+   * Checks whether an error means the server could not be reached, as opposed
+   * to the server rejecting the write. Writes whose outcome is unknown (see
+   * `isUnknownOutcome`) do not count, so they are never replayed.
+   *
+   * @static
+   * @param {Error} error - Error thrown by the API client or by a JWT login or refresh
+   * @returns {boolean} True for network errors, login timeouts, an open circuit and 502/503
+   */
+  static isOfflineError(error) {
+    if (!error || this.isUnknownOutcome(error)) {
+      return false;
+    }
+    if (typeof error.status === 'number') {
+      return [502, 503].includes(error.status);
+    }
+    return error.name === 'NetworkError' ||
+      error.name === 'CircuitBreakerOpenError' ||
+      error.code === 'ETIMEDOUT' ||
+      error.message === 'Network Error';
+  }
+
+  /**
+   * Checks whether a write reached the server without an answer: a request
+   * timeout or a gateway timeout (504). The server may have saved it, and as
+   * the idempotency key is not sent to wger, writing it again could duplicate it.
+   *
+   * @static
+   * @param {Error} error - Error thrown by the API client
+   * @returns {boolean} True when the write may or may not have been saved
+   */
+  static isUnknownOutcome(error) {
+    return Boolean(error) && (error.status === 504 ||
+      (error.code === 'ETIMEDOUT' && error.message === 'Request timed out'));
+  }
+
+  /**
+   * Wraps an error of a write whose outcome is unknown; the result has the
+   * code `WRITE_OUTCOME_UNKNOWN` and the original error as `cause`.
+   *
+   * @static
+   * @param {string} operation - Operation name
+   * @param {Error} error - Timeout error
+   * @returns {Error} Error to report instead
+   */
+  static toUnknownOutcomeError(operation, error) {
+    const unknown = new Error(
+      ERRORS.WRITE_OUTCOME_UNKNOWN.replace('{operation}', operation).replace('{reason}', error.message),
+      { cause: error }
+    );
+    unknown.code = 'WRITE_OUTCOME_UNKNOWN';
+    return unknown;
+  }
+}
+
+module.exports = {
+  WriteOutbox,
+  ContextOutboxStorage,
+  FileOutboxStorage
+};